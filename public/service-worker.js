@@ -0,0 +1,179 @@
+/* eslint-disable no-restricted-globals */
+// public/service-worker.js
+// Offline app shell, a read-only cache of recent data, and check-in reminders
+// (from the push service or from the local push stand-in).
+//
+// `npm run build` stamps BUILD_VERSION and BUILD_ASSETS (see
+// scripts/stamp-service-worker.js), so every deploy changes this file and the
+// browser installs it as an update. The new worker waits until the page asks
+// it to take over, which is when the student accepts the update prompt.
+
+const BUILD_VERSION = 'dev';
+const BUILD_ASSETS = [];
+
+// Unstamped (npm start) builds change constantly; only the offline page is cached
+const CACHE_APP_SHELL = BUILD_VERSION !== 'dev';
+
+const SHELL_CACHE = `shell-${BUILD_VERSION}`;
+const DATA_CACHE = 'data-v1';
+const OFFLINE_PAGE = 'offline.html';
+const SHELL_FILES = ['', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+// Supabase reads kept for offline viewing; anything else always needs the network
+const CACHED_TABLES = [
+  'profiles',
+  'student_profiles',
+  'daily_mood_entries',
+  'streak_tracking',
+  'login_history',
+  'initial_assessment_summary',
+  'student_achievements',
+  'reminder_settings',
+];
+const MAX_DATA_ENTRIES = 100;
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+const showReminder = (payload) =>
+  self.registration.showNotification(payload.title, {
+    body: payload.body,
+    tag: payload.tag,
+    icon: scoped('logo192.png'),
+    badge: scoped('favicon.ico'),
+    data: { url: payload.url || '/student/dashboard' },
+  });
+
+self.addEventListener('install', (event) => {
+  const files = CACHE_APP_SHELL
+    ? [OFFLINE_PAGE, ...SHELL_FILES].map(scoped).concat(BUILD_ASSETS)
+    : [scoped(OFFLINE_PAGE)];
+
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(files)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith('shell-') && name !== SHELL_CACHE)
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (isCachedData(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (CACHE_APP_SHELL && url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch (error) {
+    payload = { title: 'Daily check-in', body: event.data.text() };
+  }
+
+  event.waitUntil(showReminder(payload));
+});
+
+self.addEventListener('message', (event) => {
+  switch (event.data?.type) {
+    case 'SKIP_WAITING':
+      self.skipWaiting();
+      break;
+    case 'CLEAR_DATA_CACHE':
+      // Signing out must not leave one student's data readable by the next
+      event.waitUntil(caches.delete(DATA_CACHE));
+      break;
+    case 'SIMULATE_PUSH':
+      event.waitUntil(showReminder(event.data.payload));
+      break;
+    default:
+      break;
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/student/dashboard';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => 'focus' in client);
+      if (existing) {
+        existing.navigate(url);
+        return existing.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
+// Pages: network first; offline, a cached copy of that exact page (such as
+// the offline page itself), the app shell (which routes on the client), or
+// the standalone offline page with crisis resources
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE);
+    const shell = CACHE_APP_SHELL && await cache.match(scoped('index.html'));
+    return (await cache.match(request))
+      || shell
+      || (await cache.match(scoped(OFFLINE_PAGE)))
+      || Response.error();
+  }
+};
+
+// Data: always fresh when online, last copy when not. Failures with no copy
+// still reach the app as network errors, so offline writes queue as before.
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      await trimCache(cache, MAX_DATA_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Build assets are content-hashed, so a cached copy is always correct
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+};
+
+const isCachedData = (url) => {
+  if (url.pathname === '/auth/v1/user') return true;
+
+  const match = url.pathname.match(/^\/rest\/v1\/([a-z_]+)$/);
+  return Boolean(match) && CACHED_TABLES.includes(match[1]);
+};
+
+// Oldest entries first, since keys come back in insertion order
+const trimCache = async (cache, maxEntries) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
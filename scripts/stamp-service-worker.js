@@ -0,0 +1,26 @@
+// scripts/stamp-service-worker.js
+// Runs after `react-scripts build`. Writes this build's version and asset
+// list into build/service-worker.js, so installs precache the app shell and
+// every deploy is picked up as a service worker update.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const buildDir = path.join(__dirname, '..', 'build');
+const workerPath = path.join(buildDir, 'service-worker.js');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(buildDir, 'asset-manifest.json'), 'utf8'));
+const assets = Object.values(manifest.files).filter(file => !/\.(map|txt)$/.test(file));
+const version = crypto.createHash('sha256').update(JSON.stringify(manifest)).digest('hex').slice(0, 12);
+
+const source = fs.readFileSync(workerPath, 'utf8');
+const stamped = source
+  .replace("const BUILD_VERSION = 'dev';", `const BUILD_VERSION = '${version}';`)
+  .replace('const BUILD_ASSETS = [];', `const BUILD_ASSETS = ${JSON.stringify(assets)};`);
+
+if (stamped === source) {
+  throw new Error('service-worker.js has no BUILD_VERSION/BUILD_ASSETS placeholders to stamp');
+}
+
+fs.writeFileSync(workerPath, stamped);
+console.log(`Stamped service worker ${version} with ${assets.length} assets`);
@@ -0,0 +1,92 @@
+// src/api/accountDeletion.js
+import { supabase } from '../utils/supabase';
+import { addDays } from 'date-fns';
+import retentionConfig from '../config/dataRetention.json';
+
+/**
+ * Grace period before a requested deletion is carried out
+ */
+export const getGracePeriodDays = () => retentionConfig.gracePeriodDays;
+
+/**
+ * Clinical records counselors keep after an erasure: { enabled, years, tables }
+ */
+export const getClinicalRetention = () => retentionConfig.clinicalRetention;
+
+/**
+ * Get the student's pending deletion request, if any
+ */
+export const getPendingDeletionRequest = async (studentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('account_deletion_requests')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('status', 'pending')
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return { request: data, error: null };
+  } catch (error) {
+    return { request: null, error };
+  }
+};
+
+/**
+ * Ask for the account to be deleted after the grace period
+ * The process-account-deletions edge function erases the data once `scheduled_for` passes.
+ */
+export const requestAccountDeletion = async (studentId, reason = null) => {
+  try {
+    const { request: existing, error: existingError } = await getPendingDeletionRequest(studentId);
+    if (existingError) throw existingError;
+    if (existing) {
+      return { request: existing, error: null };
+    }
+
+    const requestedAt = new Date();
+
+    const { data, error } = await supabase
+      .from('account_deletion_requests')
+      .insert({
+        student_id: studentId,
+        requested_at: requestedAt.toISOString(),
+        scheduled_for: addDays(requestedAt, retentionConfig.gracePeriodDays).toISOString(),
+        status: 'pending',
+        reason,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { request: data, error: null };
+  } catch (error) {
+    return { request: null, error };
+  }
+};
+
+/**
+ * Cancel a pending deletion during the grace period
+ */
+export const cancelAccountDeletion = async (studentId) => {
+  try {
+    const { error } = await supabase
+      .from('account_deletion_requests')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+      })
+      .eq('student_id', studentId)
+      .eq('status', 'pending');
+
+    if (error) throw error;
+
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+};
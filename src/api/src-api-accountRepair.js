@@ -0,0 +1,114 @@
+// src/api/accountRepair.js
+// Finds and fixes accounts left half-created by signups or assessment
+// submissions that failed partway (before those writes became atomic).
+import { supabase } from '../utils/supabase';
+import { fetchAllRows } from '../utils/paging';
+
+/**
+ * Create any missing profile rows for a signed-in user
+ *
+ * Signup stores the form fields in the auth user's metadata, so the same
+ * database functions signup uses can rebuild the rows. Both functions skip
+ * rows that already exist, so this is safe to call on every sign-in.
+ */
+export const repairAccount = async (authUser) => {
+  try {
+    const metadata = authUser.user_metadata || {};
+
+    // Admins are set up by hand, never through signup, so there is nothing
+    // to rebuild, and falling through would make them a student
+    if (metadata.role === 'admin') {
+      throw new Error('Admin accounts are set up by an administrator and cannot be repaired automatically');
+    }
+
+    if (metadata.role === 'counselor') {
+      const { error } = await supabase.rpc('create_counselor_account', {
+        p_user_id: authUser.id,
+        p_email: authUser.email,
+        p_full_name: metadata.full_name || authUser.email,
+        p_specialization: metadata.specialization || null,
+        p_license_number: metadata.license_number || null,
+        p_years_of_experience: metadata.years_of_experience || null,
+      });
+
+      if (error) throw error;
+    } else {
+      const { error } = await supabase.rpc('create_student_account', {
+        p_user_id: authUser.id,
+        p_email: authUser.email,
+        p_full_name: metadata.full_name || authUser.email,
+        p_student_id: metadata.student_id || null,
+        p_major: metadata.major || null,
+        p_year_of_study: metadata.year_of_study || null,
+      });
+
+      if (error) throw error;
+    }
+
+    return { repaired: true, error: null };
+  } catch (error) {
+    return { repaired: false, error };
+  }
+};
+
+/**
+ * Find student accounts in a partial state
+ *
+ * Reports, per student, which of these problems were found:
+ * - missing_student_profile / missing_streak: signup stopped early
+ * - assessment_flag_not_set: a summary exists but the profile still says
+ *   the initial assessment is outstanding
+ * - orphaned_responses: responses saved for a session that never got a summary
+ *
+ * The comparison runs in the database (find_incomplete_accounts, admins
+ * only) over every row. Auth users with no `profiles` row at all aren't
+ * visible from here; they are repaired by repairAccount the next time they
+ * sign in.
+ */
+export const findIncompleteAccounts = async () => {
+  try {
+    const { rows, error } = await fetchAllRows(() => supabase
+      .rpc('find_incomplete_accounts')
+      .order('student_id', { ascending: true }));
+
+    if (error) throw error;
+
+    const accounts = rows.map(row => ({
+      studentId: row.student_id,
+      problems: row.problems,
+      orphanedSessionIds: row.orphaned_session_ids,
+    }));
+
+    return { accounts, error: null };
+  } catch (error) {
+    return { accounts: null, error };
+  }
+};
+
+/**
+ * Fix every account findIncompleteAccounts reports
+ *
+ * Each student is re-checked and repaired in one database call
+ * (repair_incomplete_account): missing rows are recreated with signup
+ * defaults and orphaned responses are deleted, since without a summary they
+ * were never shown to anyone and the student is asked to take the assessment
+ * again. Returns what was fixed per student.
+ */
+export const repairIncompleteAccounts = async () => {
+  try {
+    const { accounts, error: findError } = await findIncompleteAccounts();
+    if (findError) throw findError;
+
+    const results = [];
+    for (const account of accounts) {
+      const { data, error } = await supabase.rpc('repair_incomplete_account', {
+        p_student_id: account.studentId,
+      });
+      results.push({ ...account, fixed: data || [], error });
+    }
+
+    return { results, error: null };
+  } catch (error) {
+    return { results: null, error };
+  }
+};
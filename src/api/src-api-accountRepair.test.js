@@ -0,0 +1,57 @@
+// src/api/accountRepair.test.js
+import { supabase } from '../utils/supabase';
+import { findIncompleteAccounts, repairIncompleteAccounts } from './accountRepair';
+
+jest.mock('../utils/supabase', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+
+const incomplete = [
+  { student_id: 's1', problems: ['missing_streak'], orphaned_session_ids: [] },
+  { student_id: 's2', problems: ['orphaned_responses'], orphaned_session_ids: ['session-a'] },
+];
+
+// find_incomplete_accounts answers in pages; everything else is a repair
+const mockDatabase = (rows, repair = async () => ({ data: [], error: null })) => {
+  supabase.rpc.mockImplementation((name, args) => {
+    if (name !== 'find_incomplete_accounts') return repair(args);
+
+    const query = {
+      order: () => query,
+      range: async (from, to) => ({ data: rows.slice(from, to + 1), error: null }),
+    };
+    return query;
+  });
+};
+
+describe('findIncompleteAccounts', () => {
+  it('reads every page the database reports', async () => {
+    const many = Array.from({ length: 1001 }, (_, index) => ({
+      student_id: `s${index}`,
+      problems: ['missing_streak'],
+      orphaned_session_ids: [],
+    }));
+    mockDatabase(many);
+
+    const { accounts, error } = await findIncompleteAccounts();
+
+    expect(error).toBeNull();
+    expect(accounts).toHaveLength(1001);
+    expect(accounts[1000]).toEqual({ studentId: 's1000', problems: ['missing_streak'], orphanedSessionIds: [] });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
+
+describe('repairIncompleteAccounts', () => {
+  it('repairs each student in the database and never deletes rows itself', async () => {
+    mockDatabase(incomplete, async ({ p_student_id: studentId }) => (studentId === 's1'
+      ? { data: ['missing_streak'], error: null }
+      : { data: null, error: { code: '42501', message: 'Only admins can repair accounts' } }));
+
+    const { results } = await repairIncompleteAccounts();
+
+    expect(supabase.rpc).toHaveBeenCalledWith('repair_incomplete_account', { p_student_id: 's1' });
+    expect(supabase.rpc).toHaveBeenCalledWith('repair_incomplete_account', { p_student_id: 's2' });
+    expect(supabase.from).not.toHaveBeenCalled();
+    expect(results[0]).toMatchObject({ studentId: 's1', fixed: ['missing_streak'], error: null });
+    expect(results[1].error.code).toBe('42501');
+  });
+});
@@ -0,0 +1,191 @@
+// src/api/achievements.js
+import { supabase } from '../utils/supabase';
+import achievementConfig from '../config/achievements.json';
+
+/**
+ * Every badge a student can earn, in display order
+ */
+export const getAchievementDefinitions = () => achievementConfig.achievements;
+
+/**
+ * Get the badges a student has earned, oldest first
+ */
+export const getEarnedAchievements = async (studentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('student_achievements')
+      .select('*')
+      .eq('student_id', studentId)
+      .order('earned_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { achievements: data, error: null };
+  } catch (error) {
+    return { achievements: null, error };
+  }
+};
+
+/**
+ * Award any badges the student now qualifies for
+ *
+ * Badges are stored once and kept for good, so a streak badge stays after
+ * the streak ends. Streak badges are judged on the longest streak, since
+ * reaching the milestone at any point earns it. Returns only the badges
+ * awarded by this call.
+ */
+export const evaluateAchievements = async (studentId) => {
+  try {
+    const [progress, earned] = await Promise.all([
+      getAchievementProgress(studentId),
+      getEarnedAchievements(studentId),
+    ]);
+
+    if (progress.error) throw progress.error;
+    if (earned.error) throw earned.error;
+
+    const earnedIds = new Set(earned.achievements.map(a => a.achievement_id));
+    const newlyEarned = getAchievementDefinitions().filter(badge =>
+      !earnedIds.has(badge.id) && (progress.progress[badge.type] || 0) >= badge.threshold
+    );
+
+    if (newlyEarned.length === 0) {
+      return { earned: [], error: null };
+    }
+
+    const { data, error } = await supabase
+      .from('student_achievements')
+      .upsert(
+        newlyEarned.map(badge => ({
+          student_id: studentId,
+          achievement_id: badge.id,
+          earned_at: new Date().toISOString(),
+        })),
+        { onConflict: 'student_id,achievement_id', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (error) throw error;
+
+    return { earned: data, error: null };
+  } catch (error) {
+    return { earned: null, error };
+  }
+};
+
+/**
+ * Get every badge with the student's progress and, if earned, when
+ */
+export const getAchievementGallery = async (studentId) => {
+  try {
+    const [progress, earned] = await Promise.all([
+      getAchievementProgress(studentId),
+      getEarnedAchievements(studentId),
+    ]);
+
+    if (progress.error) throw progress.error;
+    if (earned.error) throw earned.error;
+
+    const earnedById = new Map(earned.achievements.map(a => [a.achievement_id, a]));
+
+    const gallery = getAchievementDefinitions().map(badge => {
+      const record = earnedById.get(badge.id);
+      return {
+        ...badge,
+        earned: Boolean(record),
+        earnedAt: record?.earned_at || null,
+        progress: Math.min(progress.progress[badge.type] || 0, badge.threshold),
+      };
+    });
+
+    return { gallery, error: null };
+  } catch (error) {
+    return { gallery: null, error };
+  }
+};
+
+/**
+ * Get earned badges the student hasn't been shown a celebration for yet
+ */
+export const getUncelebratedAchievements = async (studentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('student_achievements')
+      .select('*')
+      .eq('student_id', studentId)
+      .is('celebrated_at', null)
+      .order('earned_at', { ascending: true });
+
+    if (error) throw error;
+
+    const definitions = new Map(getAchievementDefinitions().map(badge => [badge.id, badge]));
+    const achievements = data
+      .filter(row => definitions.has(row.achievement_id))
+      .map(row => ({ ...definitions.get(row.achievement_id), earnedAt: row.earned_at }));
+
+    return { achievements, error: null };
+  } catch (error) {
+    return { achievements: [], error };
+  }
+};
+
+/**
+ * Record that the celebration for these badges has been shown
+ */
+export const markAchievementsCelebrated = async (studentId, achievementIds) => {
+  try {
+    const { error } = await supabase
+      .from('student_achievements')
+      .update({ celebrated_at: new Date().toISOString() })
+      .eq('student_id', studentId)
+      .in('achievement_id', achievementIds);
+
+    if (error) throw error;
+
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+};
+
+/**
+ * Helper to count what each badge type measures
+ */
+const getAchievementProgress = async (studentId) => {
+  try {
+    const [streak, summaries, checkIns] = await Promise.all([
+      supabase
+        .from('streak_tracking')
+        .select('longest_streak')
+        .eq('student_id', studentId)
+        .single(),
+      supabase
+        .from('initial_assessment_summary')
+        .select('id', { count: 'exact', head: true })
+        .eq('student_id', studentId),
+      supabase
+        .from('daily_mood_entries')
+        .select('id', { count: 'exact', head: true })
+        .eq('student_id', studentId),
+    ]);
+
+    if (streak.error && streak.error.code !== 'PGRST116') throw streak.error;
+    if (summaries.error) throw summaries.error;
+    if (checkIns.error) throw checkIns.error;
+
+    const assessments = summaries.count || 0;
+
+    return {
+      progress: {
+        streak: streak.data?.longest_streak || 0,
+        assessments,
+        // Every session after the first one is a retake
+        retakes: Math.max(0, assessments - 1),
+        checkins: checkIns.count || 0,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { progress: null, error };
+  }
+};
@@ -0,0 +1,286 @@
+// src/api/appointments.js
+import { supabase } from '../utils/supabase';
+import { addDays, format } from 'date-fns';
+import { buildIcsEvent } from '../utils/ics';
+import { addDaysToKey, getBrowserTimeZone, getDayKey, zonedTimeToInstant } from '../utils/dateService';
+import { getDatePreferences } from './preferences';
+
+// Postgres unique/exclusion violations raised by the no-double-booking constraints
+const BOOKING_CONFLICT_CODES = ['23505', '23P01'];
+
+/**
+ * Get a counselor's recurring weekly availability
+ */
+export const getAvailability = async (counselorId) => {
+  try {
+    const { data, error } = await supabase
+      .from('counselor_availability')
+      .select('*')
+      .eq('counselor_id', counselorId)
+      .order('weekday', { ascending: true })
+      .order('start_time', { ascending: true });
+
+    if (error) throw error;
+
+    return { availability: data, error: null };
+  } catch (error) {
+    return { availability: null, error };
+  }
+};
+
+/**
+ * Replace a counselor's weekly availability
+ * Each block: { weekday (0 = Sunday), startTime 'HH:mm', endTime 'HH:mm', slotMinutes }
+ *
+ * Times are wall-clock times in the counselor's own timezone, which is stored
+ * with the blocks. The old schedule is swapped out in one transaction, so a
+ * failed save leaves it untouched.
+ */
+export const saveAvailability = async (counselorId, blocks) => {
+  try {
+    blocks.forEach(block => {
+      if (block.startTime >= block.endTime) {
+        throw new Error('Availability must end after it starts');
+      }
+    });
+
+    const { preferences } = await getDatePreferences(counselorId);
+    const timeZone = preferences?.timeZone || getBrowserTimeZone();
+
+    const { data, error } = await supabase.rpc('save_counselor_availability', {
+      p_counselor_id: counselorId,
+      p_time_zone: timeZone,
+      p_blocks: blocks.map(block => ({
+        weekday: block.weekday,
+        start_time: block.startTime,
+        end_time: block.endTime,
+        slot_minutes: block.slotMinutes || 50,
+      })),
+    });
+
+    if (error) throw error;
+
+    return { availability: data, error: null };
+  } catch (error) {
+    return { availability: null, error };
+  }
+};
+
+/**
+ * Expand weekly availability into concrete slots, leaving out booked and past times
+ *
+ * Each block is laid out on the counselor's calendar in the timezone stored
+ * with it, so every viewer sees the same instants and a slot keeps its
+ * wall-clock time across a DST change.
+ */
+export const generateSlots = (availability, booked = [], { from = new Date(), days = 14 } = {}) => {
+  const slots = [];
+
+  availability.forEach(block => {
+    // Rows saved before timezones were stored fall back to the viewer's
+    const timeZone = block.time_zone || getBrowserTimeZone();
+    const firstDay = getDayKey(from, { timeZone });
+    const blockStart = toMinutes(block.start_time);
+    const blockEnd = toMinutes(block.end_time);
+
+    for (let offset = 0; offset < days; offset++) {
+      const dayKey = addDaysToKey(firstDay, offset);
+      if (getWeekday(dayKey) !== block.weekday) continue;
+
+      for (let minute = blockStart; minute + block.slot_minutes <= blockEnd; minute += block.slot_minutes) {
+        const start = atWallClock(dayKey, minute, timeZone);
+        const end = atWallClock(dayKey, minute + block.slot_minutes, timeZone);
+        const taken = booked.some(appointment => overlaps(appointment, start, end));
+
+        // A slot swallowed by a spring-forward gap ends where it starts
+        if (start > from && end > start && !taken) {
+          slots.push({ startsAt: start.toISOString(), endsAt: end.toISOString() });
+        }
+      }
+    }
+  });
+
+  return slots.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+};
+
+/**
+ * Get bookable slots for a counselor over the next `days` days
+ */
+export const getOpenSlots = async (counselorId, { days = 14 } = {}) => {
+  try {
+    const { availability, error: availabilityError } = await getAvailability(counselorId);
+    if (availabilityError) throw availabilityError;
+
+    // Students can't read other students' appointments, so ask for the times only
+    const from = new Date();
+    const { data: booked, error: bookedError } = await supabase.rpc('get_booked_times', {
+      p_counselor_id: counselorId,
+      p_from: from.toISOString(),
+      p_to: addDays(from, days).toISOString(),
+    });
+
+    if (bookedError) throw bookedError;
+
+    return { slots: generateSlots(availability, booked, { from, days }), error: null };
+  } catch (error) {
+    return { slots: null, error };
+  }
+};
+
+/**
+ * Book an appointment slot
+ *
+ * The database function checks the slot is one of the counselor's open slots
+ * and that the counselor is the student's current one before booking it.
+ */
+export const bookAppointment = async (studentId, counselorId, { startsAt, endsAt }) => {
+  try {
+    const { data, error } = await supabase.rpc('book_appointment', {
+      p_student_id: studentId,
+      p_counselor_id: counselorId,
+      p_starts_at: startsAt,
+      p_ends_at: endsAt,
+    });
+
+    if (error) throw toBookingError(error);
+
+    return { appointment: data, error: null };
+  } catch (error) {
+    return { appointment: null, error };
+  }
+};
+
+/**
+ * Move an appointment to a new slot, with the same checks as booking
+ */
+export const rescheduleAppointment = async (appointmentId, { startsAt, endsAt }) => {
+  try {
+    const { data, error } = await supabase.rpc('reschedule_appointment', {
+      p_appointment_id: appointmentId,
+      p_starts_at: startsAt,
+      p_ends_at: endsAt,
+    });
+
+    if (error) throw toBookingError(error);
+
+    return { appointment: data, error: null };
+  } catch (error) {
+    return { appointment: null, error };
+  }
+};
+
+/**
+ * Cancel an appointment as the signed-in student or counselor
+ * (kept for history, frees the slot)
+ */
+export const cancelAppointment = async (appointmentId) => {
+  try {
+    const { data, error } = await supabase.rpc('cancel_appointment', {
+      p_appointment_id: appointmentId,
+    });
+
+    if (error) throw error;
+
+    return { appointment: data, error: null };
+  } catch (error) {
+    return { appointment: null, error };
+  }
+};
+
+/**
+ * Get upcoming booked appointments for a student or counselor
+ */
+export const getUpcomingAppointments = async (userId, role = 'student') => {
+  try {
+    const column = role === 'counselor' ? 'counselor_id' : 'student_id';
+
+    const { data, error } = await supabase
+      .from('appointments')
+      .select(`
+        *,
+        student:student_id (
+          full_name
+        ),
+        counselor:counselor_id (
+          full_name
+        )
+      `)
+      .eq(column, userId)
+      .eq('status', 'booked')
+      .gte('ends_at', new Date().toISOString())
+      .order('starts_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { appointments: data, error: null };
+  } catch (error) {
+    return { appointments: null, error };
+  }
+};
+
+/**
+ * Build the .ics calendar file for an appointment
+ */
+export const getAppointmentIcs = (appointment, role = 'student') => {
+  const otherParty = role === 'counselor'
+    ? appointment.student?.full_name
+    : appointment.counselor?.full_name;
+
+  return buildIcsEvent({
+    uid: `appointment-${appointment.id}@student-mental-health-app`,
+    start: appointment.starts_at,
+    end: appointment.ends_at,
+    summary: otherParty ? `Counseling session with ${otherParty}` : 'Counseling session',
+    description: 'Campus counseling appointment',
+    location: appointment.location || 'Campus Counseling Center',
+    status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  });
+};
+
+/**
+ * Suggested .ics filename for an appointment
+ */
+export const getAppointmentIcsFilename = (appointment) =>
+  `counseling-${format(new Date(appointment.starts_at), 'yyyy-MM-dd-HHmm')}.ics`;
+
+/**
+ * Helper to turn a 'HH:mm' or 'HH:mm:ss' time into minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Helper to get the weekday of a day key (0 = Sunday)
+ */
+const getWeekday = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Helper to find the instant a wall-clock time on a day happens in a timezone
+ */
+const atWallClock = (dayKey, minutesAfterMidnight, timeZone) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+
+  return zonedTimeToInstant({
+    year,
+    month,
+    day,
+    hour: Math.floor(minutesAfterMidnight / 60),
+    minute: minutesAfterMidnight % 60,
+  }, timeZone);
+};
+
+/**
+ * Helper to check two time ranges overlap
+ */
+const overlaps = (appointment, start, end) =>
+  new Date(appointment.starts_at) < end && new Date(appointment.ends_at) > start;
+
+/**
+ * Helper to turn a double-booking constraint violation into a friendly error
+ */
+const toBookingError = (error) =>
+  BOOKING_CONFLICT_CODES.includes(error.code)
+    ? new Error('That time is no longer available. Please pick another slot.')
+    : error;
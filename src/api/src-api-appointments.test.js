@@ -0,0 +1,149 @@
+// src/api/appointments.test.js
+import { supabase } from '../utils/supabase';
+import { getDatePreferences } from './preferences';
+import { bookAppointment, generateSlots, getOpenSlots, saveAvailability } from './appointments';
+
+jest.mock('../utils/supabase', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+jest.mock('./preferences', () => ({ getDatePreferences: jest.fn() }));
+
+// Mondays 9–11am in New York, in 60 minute sessions
+const mondayMornings = [{
+  weekday: 1,
+  start_time: '09:00:00',
+  end_time: '11:00:00',
+  slot_minutes: 60,
+  time_zone: 'America/New_York',
+}];
+
+describe('generateSlots', () => {
+  it("lays slots out in the counselor's timezone, not the viewer's", () => {
+    const slots = generateSlots(mondayMornings, [], { from: new Date('2026-10-23T12:00:00Z'), days: 7 });
+
+    expect(slots).toEqual([
+      { startsAt: '2026-10-26T13:00:00.000Z', endsAt: '2026-10-26T14:00:00.000Z' },
+      { startsAt: '2026-10-26T14:00:00.000Z', endsAt: '2026-10-26T15:00:00.000Z' },
+    ]);
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    const slots = generateSlots(mondayMornings, [], { from: new Date('2026-10-23T12:00:00Z'), days: 14 });
+
+    // Clocks fall back on 1 November, so 9am is an hour later in UTC
+    expect(slots.map(slot => slot.startsAt)).toEqual([
+      '2026-10-26T13:00:00.000Z',
+      '2026-10-26T14:00:00.000Z',
+      '2026-11-02T14:00:00.000Z',
+      '2026-11-02T15:00:00.000Z',
+    ]);
+  });
+
+  it('uses the counselor calendar day when the viewer is already on the next one', () => {
+    // 11pm Sunday in New York is Monday in UTC; Monday's slots are a day away, not a week
+    const slots = generateSlots(mondayMornings, [], { from: new Date('2026-10-26T03:00:00Z'), days: 2 });
+
+    expect(slots).toHaveLength(2);
+  });
+
+  it('leaves out booked and past slots', () => {
+    const booked = [{ starts_at: '2026-10-26T14:00:00Z', ends_at: '2026-10-26T15:00:00Z' }];
+    const slots = generateSlots(mondayMornings, booked, { from: new Date('2026-10-26T13:30:00Z'), days: 1 });
+
+    expect(slots).toEqual([]);
+  });
+
+  it('drops a slot that falls inside a spring-forward gap', () => {
+    const earlySunday = [{ ...mondayMornings[0], weekday: 0, start_time: '01:00', end_time: '04:00' }];
+    const slots = generateSlots(earlySunday, [], { from: new Date('2026-03-07T12:00:00Z'), days: 2 });
+
+    // 2–3am doesn't exist on 8 March 2026
+    expect(slots.map(slot => slot.startsAt)).toEqual([
+      '2026-03-08T06:00:00.000Z',
+      '2026-03-08T07:00:00.000Z',
+    ]);
+  });
+});
+
+describe('saveAvailability', () => {
+  it("replaces the schedule in one call, stamped with the counselor's timezone", async () => {
+    getDatePreferences.mockResolvedValue({ preferences: { timeZone: 'Europe/Berlin' }, error: null });
+    supabase.rpc.mockResolvedValue({ data: [{ id: 'b1' }], error: null });
+
+    const { availability } = await saveAvailability('c1', [
+      { weekday: 2, startTime: '13:00', endTime: '15:00', slotMinutes: 45 },
+    ]);
+
+    expect(availability).toEqual([{ id: 'b1' }]);
+    expect(supabase.from).not.toHaveBeenCalled();
+    expect(supabase.rpc).toHaveBeenCalledWith('save_counselor_availability', {
+      p_counselor_id: 'c1',
+      p_time_zone: 'Europe/Berlin',
+      p_blocks: [{ weekday: 2, start_time: '13:00', end_time: '15:00', slot_minutes: 45 }],
+    });
+  });
+
+  it('rejects a block that ends before it starts without touching the schedule', async () => {
+    const { error } = await saveAvailability('c1', [
+      { weekday: 2, startTime: '15:00', endTime: '13:00' },
+    ]);
+
+    expect(error.message).toBe('Availability must end after it starts');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
+
+describe('getOpenSlots', () => {
+  it('reads booked times through the database function', async () => {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      order: () => query,
+      then: (resolve) => resolve({ data: [], error: null }),
+    };
+    supabase.from.mockReturnValue(query);
+    supabase.rpc.mockResolvedValue({ data: [], error: null });
+
+    const { slots, error } = await getOpenSlots('c1');
+
+    expect(error).toBeNull();
+    expect(slots).toEqual([]);
+    expect(supabase.from).not.toHaveBeenCalledWith('appointments');
+    expect(supabase.rpc).toHaveBeenCalledWith('get_booked_times', expect.objectContaining({ p_counselor_id: 'c1' }));
+  });
+});
+
+describe('bookAppointment', () => {
+  const slot = { startsAt: '2026-10-26T13:00:00.000Z', endsAt: '2026-10-26T14:00:00.000Z' };
+
+  it('books through the database function that checks the slot', async () => {
+    supabase.rpc.mockResolvedValue({ data: { id: 'a1', status: 'booked' }, error: null });
+
+    const { appointment } = await bookAppointment('s1', 'c1', slot);
+
+    expect(appointment).toEqual({ id: 'a1', status: 'booked' });
+    expect(supabase.rpc).toHaveBeenCalledWith('book_appointment', {
+      p_student_id: 's1',
+      p_counselor_id: 'c1',
+      p_starts_at: slot.startsAt,
+      p_ends_at: slot.endsAt,
+    });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('reports a double booking in plain words', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { code: '23P01', message: 'conflicting key value' } });
+
+    const { appointment, error } = await bookAppointment('s1', 'c1', slot);
+
+    expect(appointment).toBeNull();
+    expect(error.message).toBe('That time is no longer available. Please pick another slot.');
+  });
+
+  it('passes a refused booking through', async () => {
+    const refused = { code: '22023', message: "That time isn't in your counselor's availability" };
+    supabase.rpc.mockResolvedValue({ data: null, error: refused });
+
+    const { error } = await bookAppointment('s1', 'c9', slot);
+
+    expect(error).toBe(refused);
+  });
+});
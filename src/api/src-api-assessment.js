@@ -1,12 +1,24 @@
 // src/api/assessment.js
 import { supabase } from '../utils/supabase';
 import { v4 as uuidv4 } from 'uuid';
+import { interpretAssessment, interpretInstrumentScore, toSummaryFields } from '../utils/interpretation';
+import { evaluateAssessmentRisk, evaluateInstrumentRisk } from '../utils/riskEvaluation';
+import { getInstrument, scoreInstrument, toAssessmentQuestions, toGeneralScale } from '../utils/instruments';
+import { raiseRiskAlert } from './riskAlerts';
+import { autoAssignCounselor } from './assignments';
+import { discardAssessmentDraft } from './assessmentDrafts';
+import { evaluateAchievements } from './achievements';
 
 /**
  * Get all active assessment questions with options
+ * Pass an instrument id (e.g. 'phq9') to get that standardized instrument instead.
  */
-export const getAssessmentQuestions = async () => {
+export const getAssessmentQuestions = async (instrumentId = null) => {
   try {
+    if (instrumentId) {
+      return { questions: toAssessmentQuestions(instrumentId), error: null };
+    }
+
     const { data: questions, error: questionsError } = await supabase
       .from('initial_assessment_questions')
       .select(`
@@ -45,90 +57,44 @@ export const hasCompletedAssessment = async (studentId) => {
 
 /**
  * Submit complete initial assessment
+ * With `instrumentId`, responses are scored with that instrument's published rules.
  */
-export const submitInitialAssessment = async (studentId, responses) => {
+export const submitInitialAssessment = async (studentId, responses, { instrumentId = null } = {}) => {
   try {
     const sessionId = uuidv4();
+    const session = scoreSession(responses, instrumentId);
 
-    // 1. Insert all responses
-    const responseRecords = responses.map(response => ({
-      student_id: studentId,
-      question_id: response.questionId,
-      selected_option_id: response.selectedOptionId,
-      remark: response.remark,
-      severity_score: response.severityScore,
-      assessment_session_id: sessionId,
-    }));
-
-    const { error: responsesError } = await supabase
-      .from('initial_assessment_responses')
-      .insert(responseRecords);
-
-    if (responsesError) throw responsesError;
-
-    // 2. Aggregate remarks and calculate scores by category
-    const aggregatedRemarks = {};
-    const categoryScores = {};
-
-    responses.forEach(response => {
-      const category = response.category;
-      
-      if (!aggregatedRemarks[category]) {
-        aggregatedRemarks[category] = [];
-        categoryScores[category] = [];
-      }
-      
-      aggregatedRemarks[category].push(response.remark);
-      categoryScores[category].push(response.severityScore);
+    // 1. Save responses and summary, and mark the profile, in one transaction
+    const { error: saveError } = await saveAssessmentSession(studentId, sessionId, responses, session, {
+      instrumentId,
+      markCompleted: true,
     });
 
-    // Calculate average score per category
-    const finalCategoryScores = {};
-    Object.keys(categoryScores).forEach(category => {
-      const scores = categoryScores[category];
-      const average = scores.reduce((a, b) => a + b, 0) / scores.length;
-      finalCategoryScores[category] = parseFloat(average.toFixed(2));
-    });
-
-    // Calculate overall score
-    const allScores = responses.map(r => r.severityScore);
-    const overallScore = allScores.reduce((a, b) => a + b, 0) / allScores.length;
+    if (saveError) throw saveError;
 
-    // 3. Create assessment summary
-    const { error: summaryError } = await supabase
-      .from('initial_assessment_summary')
-      .insert({
-        student_id: studentId,
-        assessment_session_id: sessionId,
-        aggregated_remarks: aggregatedRemarks,
-        category_scores: finalCategoryScores,
-        overall_score: parseFloat(overallScore.toFixed(2)),
-        ai_diagnosis: 'Pending AI Analysis', // Placeholder
-        ai_insights: 'AI insights will be generated based on your responses.', // Placeholder
-        ai_recommendations: 'Personalized recommendations coming soon.', // Placeholder
-      });
+    // 2. Match the student with a counselor (no-op if already assigned)
+    const { error: assignError } = await autoAssignCounselor(studentId, session.matchScores);
+    if (assignError) {
+      console.error('Error assigning counselor:', assignError);
+    }
 
-    if (summaryError) throw summaryError;
+    // 3. The answers are saved, so the draft is no longer needed
+    await clearDraft(studentId, instrumentId);
 
-    // 4. Update student profile
-    const { error: updateError } = await supabase
-      .from('student_profiles')
-      .update({
-        has_completed_initial_assessment: true,
-        initial_assessment_date: new Date().toISOString(),
-      })
-      .eq('id', studentId);
+    // 4. Award assessment badges
+    await awardAchievements(studentId);
 
-    if (updateError) throw updateError;
+    // 5. Check for signs of crisis and alert counselors
+    const risk = await checkAssessmentRisk(studentId, sessionId, responses, session);
 
-    return { success: true, sessionId, error: null };
+    return { success: true, sessionId, risk, error: null };
   } catch (error) {
-    return { success: false, sessionId: null, error };
+    return { success: false, sessionId: null, risk: null, error };
   }
 };
 
 /**
- * Get student's assessment summary
+ * Get student's latest assessment summary
  */
 export const getAssessmentSummary = async (studentId) => {
   try {
@@ -136,6 +102,8 @@ export const getAssessmentSummary = async (studentId) => {
       .from('initial_assessment_summary')
       .select('*')
       .eq('student_id', studentId)
+      .order('completed_at', { ascending: false })
+      .limit(1)
       .single();
 
     if (error) throw error;
@@ -177,69 +145,299 @@ export const getAssessmentResponses = async (studentId) => {
 /**
  * Retake assessment (creates new session)
  */
-export const retakeAssessment = async (studentId, responses) => {
-  // Same as submitInitialAssessment but updates existing summary
+export const retakeAssessment = async (studentId, responses, { instrumentId = null } = {}) => {
+  // Same as submitInitialAssessment; earlier summaries are kept as history
   try {
     const sessionId = uuidv4();
+    const session = scoreSession(responses, instrumentId);
 
-    // Insert new responses
-    const responseRecords = responses.map(response => ({
-      student_id: studentId,
-      question_id: response.questionId,
-      selected_option_id: response.selectedOptionId,
-      remark: response.remark,
-      severity_score: response.severityScore,
-      assessment_session_id: sessionId,
-    }));
-
-    const { error: responsesError } = await supabase
-      .from('initial_assessment_responses')
-      .insert(responseRecords);
+    // Save responses and the new summary in one transaction
+    const { error: saveError } = await saveAssessmentSession(studentId, sessionId, responses, session, {
+      instrumentId,
+      markCompleted: false,
+    });
+
+    if (saveError) throw saveError;
+
+    await clearDraft(studentId, instrumentId);
+    await awardAchievements(studentId);
+
+    const risk = await checkAssessmentRisk(studentId, sessionId, responses, session);
+
+    return { success: true, sessionId, risk, error: null };
+  } catch (error) {
+    return { success: false, sessionId: null, risk: null, error };
+  }
+};
+
+/**
+ * Get every assessment session summary for a student, oldest first
+ * Pass `instrumentId` to keep only sessions scored with that instrument, so
+ * trends never mix scales.
+ */
+export const getAssessmentSessions = async (studentId, { instrumentId } = {}) => {
+  try {
+    let query = supabase
+      .from('initial_assessment_summary')
+      .select('*')
+      .eq('student_id', studentId);
+
+    if (instrumentId) {
+      query = query.eq('instrument_id', instrumentId);
+    }
+
+    const { data, error } = await query.order('completed_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { sessions: data, error: null };
+  } catch (error) {
+    return { sessions: null, error };
+  }
+};
+
+/**
+ * Listen for new assessment summaries for a student, e.g. after a retake
+ * in another tab
+ */
+export const subscribeToAssessmentSessions = (studentId, onChange) => {
+  const channel = supabase
+    .channel(`assessment_sessions:${studentId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'initial_assessment_summary',
+        filter: `student_id=eq.${studentId}`,
+      },
+      () => onChange()
+    )
+    .subscribe();
+
+  return () => supabase.removeChannel(channel);
+};
+
+/**
+ * Compare two assessment sessions
+ * Positive deltas mean the later session scored higher (more severe).
+ */
+export const compareAssessmentSessions = (baseSession, compareSession) => {
+  const categories = [...new Set([
+    ...Object.keys(baseSession.category_scores || {}),
+    ...Object.keys(compareSession.category_scores || {}),
+  ])].sort();
+
+  const categoryDeltas = {};
+  categories.forEach(category => {
+    const before = baseSession.category_scores?.[category] ?? null;
+    const after = compareSession.category_scores?.[category] ?? null;
+
+    categoryDeltas[category] = {
+      before,
+      after,
+      delta: before !== null && after !== null ? parseFloat((after - before).toFixed(2)) : null,
+    };
+  });
+
+  const overallDelta = parseFloat((compareSession.overall_score - baseSession.overall_score).toFixed(2));
+
+  return {
+    baseSessionId: baseSession.assessment_session_id,
+    compareSessionId: compareSession.assessment_session_id,
+    overall: {
+      before: baseSession.overall_score,
+      after: compareSession.overall_score,
+      delta: overallDelta,
+    },
+    categories: categoryDeltas,
+    trend: overallDelta < 0 ? 'improved' : overallDelta > 0 ? 'worsened' : 'unchanged',
+  };
+};
+
+/**
+ * Build chart rows of overall and per-category scores across sessions
+ */
+export const getAssessmentTrend = (sessions) =>
+  sessions.map(session => ({
+    sessionId: session.assessment_session_id,
+    date: session.completed_at ? session.completed_at.slice(0, 10) : null,
+    overall: session.overall_score,
+    ...session.category_scores,
+  }));
 
-    if (responsesError) throw responsesError;
+/**
+ * Helper to score a session's responses into summary columns
+ *
+ * Without an instrument, scores are averaged per category as before. With
+ * one, the instrument's own rules give the raw score and severity band, and
+ * the summary records which instrument version produced them. overall_score
+ * and category_scores stay on the general scale so every session compares.
+ */
+const scoreSession = (responses, instrumentId) => {
+  const aggregatedRemarks = {};
+  const categoryScores = {};
 
-    // Aggregate and calculate (same logic as initial submission)
-    const aggregatedRemarks = {};
-    const categoryScores = {};
+  responses.forEach(response => {
+    const category = response.category;
 
+    if (!aggregatedRemarks[category]) {
+      aggregatedRemarks[category] = [];
+      categoryScores[category] = [];
+    }
+
+    aggregatedRemarks[category].push(response.remark);
+    categoryScores[category].push(response.severityScore);
+  });
+
+  if (instrumentId) {
+    const instrument = getInstrument(instrumentId);
+    const answers = {};
     responses.forEach(response => {
-      const category = response.category;
-      
-      if (!aggregatedRemarks[category]) {
-        aggregatedRemarks[category] = [];
-        categoryScores[category] = [];
-      }
-      
-      aggregatedRemarks[category].push(response.remark);
-      categoryScores[category].push(response.severityScore);
+      answers[toItemNumber(response.questionId)] = response.severityScore;
     });
 
-    const finalCategoryScores = {};
-    Object.keys(categoryScores).forEach(category => {
-      const scores = categoryScores[category];
-      const average = scores.reduce((a, b) => a + b, 0) / scores.length;
-      finalCategoryScores[category] = parseFloat(average.toFixed(2));
-    });
+    const instrumentScore = scoreInstrument(instrumentId, answers);
+    const generalScore = toGeneralScale(instrumentScore);
+    const hasSubscales = Object.keys(generalScore.subscaleScores).length > 0;
+    const matchScores = { [instrument.category]: generalScore.overallScore };
+
+    return {
+      instrumentScore,
+      overallScore: generalScore.overallScore,
+      matchScores,
+      summaryFields: {
+        aggregated_remarks: aggregatedRemarks,
+        category_scores: hasSubscales ? generalScore.subscaleScores : matchScores,
+        overall_score: generalScore.overallScore,
+        instrument_id: instrumentId,
+        instrument_version: instrumentScore.instrumentVersion,
+        raw_score: instrumentScore.rawScore,
+        severity_band: instrumentScore.severityBand,
+        subscale_scores: instrumentScore.subscaleScores,
+        flagged_items: instrumentScore.flaggedItems,
+        ...toSummaryFields(interpretInstrumentScore(instrumentScore, instrument)),
+      },
+    };
+  }
 
-    const allScores = responses.map(r => r.severityScore);
-    const overallScore = allScores.reduce((a, b) => a + b, 0) / allScores.length;
+  // Calculate average score per category
+  const finalCategoryScores = {};
+  Object.keys(categoryScores).forEach(category => {
+    const scores = categoryScores[category];
+    const average = scores.reduce((a, b) => a + b, 0) / scores.length;
+    finalCategoryScores[category] = parseFloat(average.toFixed(2));
+  });
+
+  // Calculate overall score
+  const allScores = responses.map(r => r.severityScore);
+  const overallScore = allScores.reduce((a, b) => a + b, 0) / allScores.length;
+
+  // Interpret scores with the local rules engine
+  const interpretation = interpretAssessment({
+    categoryScores: finalCategoryScores,
+    overallScore,
+    aggregatedRemarks,
+  });
+
+  return {
+    instrumentScore: null,
+    overallScore,
+    matchScores: finalCategoryScores,
+    summaryFields: {
+      aggregated_remarks: aggregatedRemarks,
+      category_scores: finalCategoryScores,
+      overall_score: parseFloat(overallScore.toFixed(2)),
+      ...toSummaryFields(interpretation),
+    },
+  };
+};
 
-    // Update existing summary
-    const { error: summaryError } = await supabase
-      .from('initial_assessment_summary')
-      .update({
+/**
+ * Helper to write a whole session atomically
+ * The `submit_assessment_session` database function inserts the responses and
+ * the summary and (for a first assessment) sets the profile flag in a single
+ * transaction, so a failure leaves nothing behind to repair.
+ */
+const saveAssessmentSession = async (studentId, sessionId, responses, session, { instrumentId, markCompleted }) => {
+  try {
+    const { error } = await supabase.rpc('submit_assessment_session', {
+      p_student_id: studentId,
+      p_session_id: sessionId,
+      p_responses: toResponseRecords(studentId, sessionId, responses, instrumentId),
+      p_summary: {
+        student_id: studentId,
         assessment_session_id: sessionId,
-        aggregated_remarks: aggregatedRemarks,
-        category_scores: finalCategoryScores,
-        overall_score: parseFloat(overallScore.toFixed(2)),
+        ...session.summaryFields,
         completed_at: new Date().toISOString(),
-      })
-      .eq('student_id', studentId);
+      },
+      p_mark_completed: markCompleted,
+    });
 
-    if (summaryError) throw summaryError;
+    if (error) throw error;
 
-    return { success: true, sessionId, error: null };
+    return { error: null };
   } catch (error) {
-    return { success: false, sessionId: null, error };
+    return { error };
   }
 };
+
+/**
+ * Helper to build response rows
+ * Instrument items aren't rows in initial_assessment_questions, so they are
+ * stored by instrument id and item number instead of question/option ids.
+ */
+const toResponseRecords = (studentId, sessionId, responses, instrumentId) =>
+  responses.map(response => ({
+    student_id: studentId,
+    question_id: instrumentId ? null : response.questionId,
+    selected_option_id: instrumentId ? null : response.selectedOptionId,
+    instrument_id: instrumentId,
+    item_number: instrumentId ? toItemNumber(response.questionId) : null,
+    remark: response.remark,
+    severity_score: response.severityScore,
+    assessment_session_id: sessionId,
+  }));
+
+/**
+ * Helper to read the item number from an instrument question id ("phq9:9")
+ */
+const toItemNumber = (questionId) => Number(String(questionId).split(':')[1]);
+
+/**
+ * Helper to discard the draft behind a submitted session
+ * A leftover draft only means a stale "resume" prompt, so failures are logged.
+ */
+const clearDraft = async (studentId, instrumentId) => {
+  const { error } = await discardAssessmentDraft(studentId, instrumentId);
+  if (error) {
+    console.error('Error discarding assessment draft:', error);
+  }
+};
+
+/**
+ * Helper to award any badges a new session earned; never blocks the submission
+ */
+const awardAchievements = async (studentId) => {
+  const { error } = await evaluateAchievements(studentId);
+  if (error) {
+    console.error('Error evaluating achievements:', error);
+  }
+};
+
+/**
+ * Helper to evaluate a submitted assessment and raise an alert if needed
+ * A failed alert insert never blocks the submission; the student still sees the safety screen.
+ */
+const checkAssessmentRisk = async (studentId, sessionId, responses, session) => {
+  const risk = session.instrumentScore
+    ? evaluateInstrumentRisk(session.instrumentScore, responses)
+    : evaluateAssessmentRisk(responses, session.overallScore);
+
+  if (risk.triggered) {
+    const { notified, queued } = await raiseRiskAlert(studentId, risk, 'assessment', sessionId);
+    return { ...risk, counselorNotified: notified, alertQueued: queued };
+  }
+
+  return risk;
+};
@@ -0,0 +1,179 @@
+// src/api/assessmentDrafts.js
+import { supabase } from '../utils/supabase';
+import { addDays } from 'date-fns';
+import retentionConfig from '../config/dataRetention.json';
+import {
+  saveLocalDraft,
+  getLocalDraft,
+  removeLocalDraft,
+  isOnline,
+  isNetworkError,
+} from '../utils/offlineQueue';
+
+// Drafts for the general questionnaire share one slot per student
+const DEFAULT_DRAFT_KEY = 'default';
+
+/**
+ * Save assessment progress on this device and on the server
+ *
+ * `answers` is keyed by question id and holds response objects in the shape
+ * submitInitialAssessment expects, so a resumed draft can be submitted with
+ * `Object.values(draft.answers)`. Every save pushes the expiry forward.
+ * Offline saves stay on the device and are returned with `synced: false`.
+ */
+export const saveAssessmentDraft = async (studentId, { instrumentId = null, answers = {}, currentIndex = 0 } = {}) => {
+  try {
+    const now = new Date();
+    const draft = {
+      student_id: studentId,
+      draft_key: instrumentId || DEFAULT_DRAFT_KEY,
+      instrument_id: instrumentId,
+      answers,
+      current_index: currentIndex,
+      updated_at: now.toISOString(),
+      expires_at: addDays(now, retentionConfig.assessmentDraftExpiryDays).toISOString(),
+    };
+
+    try {
+      await saveLocalDraft({ ...draft, key: localDraftKey(studentId, instrumentId) });
+    } catch (localError) {
+      console.warn('Local draft storage unavailable:', localError);
+    }
+
+    if (!isOnline()) {
+      return { draft, synced: false, error: null };
+    }
+
+    const { draft: saved, error } = await upsertServerDraft(draft);
+    if (error) {
+      if (isNetworkError(error)) {
+        return { draft, synced: false, error: null };
+      }
+      throw error;
+    }
+
+    return { draft: saved, synced: true, error: null };
+  } catch (error) {
+    return { draft: null, synced: false, error };
+  }
+};
+
+/**
+ * Get the draft to resume, from whichever copy (device or server) is newer
+ * Expired drafts are discarded and never returned; a nightly database job
+ * deletes the server copies nobody comes back for. A newer device copy is
+ * pushed to the server so the student can continue on another device.
+ */
+export const getAssessmentDraft = async (studentId, instrumentId = null) => {
+  try {
+    let local = null;
+    try {
+      local = await getLocalDraft(localDraftKey(studentId, instrumentId));
+    } catch (localError) {
+      console.warn('Local draft storage unavailable:', localError);
+    }
+
+    let server = null;
+    const { data, error } = await supabase
+      .from('assessment_drafts')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('draft_key', instrumentId || DEFAULT_DRAFT_KEY)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      // Offline: the device copy is all we have
+      if (!isNetworkError(error)) throw error;
+    } else {
+      server = data;
+    }
+
+    const draft = pickNewerDraft(local, server);
+    if (!draft) {
+      return { draft: null, error: null };
+    }
+
+    if (new Date(draft.expires_at) <= new Date()) {
+      await discardAssessmentDraft(studentId, instrumentId);
+      return { draft: null, error: null };
+    }
+
+    if (draft === local && isOnline()) {
+      const { error: pushError } = await upsertServerDraft(toServerDraft(local));
+      if (pushError) {
+        console.warn('Could not sync assessment draft:', pushError);
+      }
+    }
+
+    return { draft: toServerDraft(draft), error: null };
+  } catch (error) {
+    return { draft: null, error };
+  }
+};
+
+/**
+ * Throw away a draft on this device and on the server
+ * Called after a successful submission, or when the student starts over.
+ */
+export const discardAssessmentDraft = async (studentId, instrumentId = null) => {
+  try {
+    try {
+      await removeLocalDraft(localDraftKey(studentId, instrumentId));
+    } catch (localError) {
+      console.warn('Local draft storage unavailable:', localError);
+    }
+
+    const { error } = await supabase
+      .from('assessment_drafts')
+      .delete()
+      .eq('student_id', studentId)
+      .eq('draft_key', instrumentId || DEFAULT_DRAFT_KEY);
+
+    if (error) throw error;
+
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+};
+
+/**
+ * Helper to build the device storage key for a draft
+ */
+const localDraftKey = (studentId, instrumentId) =>
+  `${studentId}:${instrumentId || DEFAULT_DRAFT_KEY}`;
+
+/**
+ * Helper to drop device-only fields before a draft goes to the server
+ */
+const toServerDraft = (draft) => {
+  const { key, ...serverDraft } = draft;
+  return serverDraft;
+};
+
+/**
+ * Helper to write a draft row (one per student per draft key)
+ */
+const upsertServerDraft = async (draft) => {
+  try {
+    const { data, error } = await supabase
+      .from('assessment_drafts')
+      .upsert(draft, { onConflict: 'student_id,draft_key' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { draft: data, error: null };
+  } catch (error) {
+    return { draft: null, error };
+  }
+};
+
+/**
+ * Helper to choose the most recently saved of two drafts (either may be null)
+ */
+const pickNewerDraft = (local, server) => {
+  if (!local || !server) return local || server;
+  return new Date(local.updated_at) > new Date(server.updated_at) ? local : server;
+};
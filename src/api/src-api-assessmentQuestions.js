@@ -0,0 +1,133 @@
+// src/api/assessmentQuestions.js
+// Admin editing of the custom assessment (initial_assessment_questions and
+// their options). Row-level security (assessment_question_access migration)
+// only lets admins write these tables; students keep reading active
+// questions through getAssessmentQuestions.
+import { supabase } from '../utils/supabase';
+import { sortQuestions, validateOption, validateQuestion } from '../utils/questionEditor';
+
+/**
+ * Get every question, active or not, with its options
+ */
+export const getAllQuestions = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('initial_assessment_questions')
+      .select(`
+        *,
+        initial_assessment_options (*)
+      `)
+      .order('question_number', { ascending: true });
+
+    if (error) throw error;
+
+    return { questions: sortQuestions(data), error: null };
+  } catch (error) {
+    return { questions: null, error };
+  }
+};
+
+/**
+ * Create a question with its options, numbered after the last question
+ * New questions start inactive, so they can be previewed before students see them.
+ * The `create_assessment_question` database function writes both in one transaction.
+ */
+export const createQuestion = async ({ question_text, category, options }) => {
+  try {
+    const question = validateQuestion({ question_text, category, options });
+
+    const { data, error } = await supabase.rpc('create_assessment_question', {
+      p_question_text: question.question_text,
+      p_category: question.category,
+      p_options: question.options,
+      p_is_active: false,
+    });
+
+    if (error) throw error;
+
+    return { question: data, error: null };
+  } catch (error) {
+    return { question: null, error };
+  }
+};
+
+/**
+ * Edit a question's text or category
+ */
+export const updateQuestion = async (questionId, { question_text, category }) => {
+  try {
+    const { data, error } = await supabase
+      .from('initial_assessment_questions')
+      .update(validateQuestion({ question_text, category }))
+      .eq('id', questionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { question: data, error: null };
+  } catch (error) {
+    return { question: null, error };
+  }
+};
+
+/**
+ * Show a question to students or hide it
+ * Answers already given to a hidden question stay in students' history.
+ */
+export const setQuestionActive = async (questionId, isActive) => {
+  try {
+    const { data, error } = await supabase
+      .from('initial_assessment_questions')
+      .update({ is_active: isActive })
+      .eq('id', questionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { question: data, error: null };
+  } catch (error) {
+    return { question: null, error };
+  }
+};
+
+/**
+ * Renumber every question to match `questionIds`, first id as question 1
+ * Done by the `reorder_assessment_questions` database function, so numbers
+ * never collide halfway through.
+ */
+export const reorderQuestions = async (questionIds) => {
+  try {
+    const { error } = await supabase.rpc('reorder_assessment_questions', {
+      p_question_ids: questionIds,
+    });
+
+    if (error) throw error;
+
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error };
+  }
+};
+
+/**
+ * Edit an option's text, remark and severity score
+ * Past responses keep the severity score they were given at the time.
+ */
+export const updateOption = async (optionId, option) => {
+  try {
+    const { data, error } = await supabase
+      .from('initial_assessment_options')
+      .update(validateOption(option))
+      .eq('id', optionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { option: data, error: null };
+  } catch (error) {
+    return { option: null, error };
+  }
+};
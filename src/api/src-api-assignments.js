@@ -0,0 +1,232 @@
+// src/api/assignments.js
+import { supabase } from '../utils/supabase';
+
+// Words in a counselor's free-text specialization that match each assessment category
+const SPECIALIZATION_KEYWORDS = {
+  anxiety: ['anxiety', 'panic', 'worry'],
+  stress: ['stress', 'burnout', 'academic'],
+  mood: ['depression', 'mood'],
+  depression: ['depression', 'mood'],
+  sleep: ['sleep', 'insomnia'],
+  social: ['social', 'relationship', 'loneliness'],
+};
+
+// A specialization match is worth this many students of extra load
+const SPECIALIZATION_WEIGHT = 5;
+
+/**
+ * Get a student's current counselor assignment (null if unassigned)
+ */
+export const getActiveAssignment = async (studentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('counselor_assignments')
+      .select(`
+        *,
+        profiles:counselor_id (
+          full_name,
+          email
+        )
+      `)
+      .eq('student_id', studentId)
+      .is('ended_at', null)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return { assignment: data, error: null };
+  } catch (error) {
+    return { assignment: null, error };
+  }
+};
+
+/**
+ * Get ids of students currently assigned to a counselor
+ */
+export const getAssignedStudentIds = async (counselorId) => {
+  try {
+    const { data, error } = await supabase
+      .from('counselor_assignments')
+      .select('student_id')
+      .eq('counselor_id', counselorId)
+      .is('ended_at', null);
+
+    if (error) throw error;
+
+    return { studentIds: data.map(row => row.student_id), error: null };
+  } catch (error) {
+    return { studentIds: [], error };
+  }
+};
+
+/**
+ * Check whether a counselor is currently assigned to a student
+ */
+export const isAssignedCounselor = async (counselorId, studentId) => {
+  const { assignment, error } = await getActiveAssignment(studentId);
+  if (error) return { assigned: false, error };
+
+  return { assigned: assignment?.counselor_id === counselorId, error: null };
+};
+
+/**
+ * Get every counselor with their current number of assigned students
+ * Counted by the `get_counselor_loads` database function, since row-level
+ * security only shows each user their own assignments.
+ */
+export const getCounselorLoads = async () => {
+  try {
+    const { data, error } = await supabase.rpc('get_counselor_loads');
+
+    if (error) throw error;
+
+    const loads = data.map(counselor => ({
+      id: counselor.id,
+      fullName: counselor.full_name || '',
+      specialization: counselor.specialization,
+      yearsOfExperience: counselor.years_of_experience,
+      load: counselor.load,
+    }));
+
+    return { counselors: loads, error: null };
+  } catch (error) {
+    return { counselors: null, error };
+  }
+};
+
+/**
+ * Rank counselors for a student
+ *
+ * Counselors whose specialization matches the student's highest-scoring
+ * category are preferred, but a much lighter caseload can outweigh a match.
+ * Ties go to more years of experience, then to name, so results are stable.
+ */
+export const rankCounselors = (counselors, categoryScores = {}) => {
+  const topCategory = Object.keys(categoryScores)
+    .sort((a, b) => categoryScores[b] - categoryScores[a] || a.localeCompare(b))[0];
+
+  const keywords = topCategory
+    ? SPECIALIZATION_KEYWORDS[topCategory.toLowerCase()] || [topCategory.toLowerCase().replace(/_/g, ' ')]
+    : [];
+
+  return counselors
+    .map(counselor => {
+      const specialization = (counselor.specialization || '').toLowerCase();
+      const matchesSpecialization = keywords.some(keyword => specialization.includes(keyword));
+
+      return {
+        ...counselor,
+        matchesSpecialization,
+        score: (matchesSpecialization ? SPECIALIZATION_WEIGHT : 0) - counselor.load,
+      };
+    })
+    .sort((a, b) =>
+      b.score - a.score
+      || (b.yearsOfExperience || 0) - (a.yearsOfExperience || 0)
+      || a.fullName.localeCompare(b.fullName)
+    );
+};
+
+/**
+ * Automatically assign a counselor to the signed-in student if they have none yet
+ */
+export const autoAssignCounselor = async (studentId, categoryScores) => {
+  try {
+    const { assignment: existing, error: existingError } = await getActiveAssignment(studentId);
+    if (existingError) throw existingError;
+    if (existing) {
+      return { assignment: existing, error: null };
+    }
+
+    const { counselors, error: loadsError } = await getCounselorLoads();
+    if (loadsError) throw loadsError;
+
+    const [best] = rankCounselors(counselors, categoryScores);
+    if (!best) {
+      return { assignment: null, error: null };
+    }
+
+    const reason = best.matchesSpecialization
+      ? `Automatic: specialization match (${best.specialization})`
+      : 'Automatic: lowest caseload';
+
+    // Assigns the signed-in student; if a counselor took them on in the
+    // meantime, that assignment comes back instead
+    const { data, error } = await supabase.rpc('auto_assign_counselor', {
+      p_counselor_id: best.id,
+      p_reason: reason,
+    });
+
+    if (error) throw error;
+
+    return { assignment: data, error: null };
+  } catch (error) {
+    return { assignment: null, error };
+  }
+};
+
+/**
+ * Take on a student who has no counselor, e.g. from the unassigned risk alert queue
+ * Fails when another counselor took the student on first.
+ */
+export const claimUnassignedStudent = async (studentId) => {
+  try {
+    const { data, error } = await supabase.rpc('claim_unassigned_student', {
+      p_student_id: studentId,
+    });
+
+    if (error) throw error;
+
+    return { assignment: data, error: null };
+  } catch (error) {
+    return { assignment: null, error };
+  }
+};
+
+/**
+ * Manually reassign (transfer) a student to another counselor
+ * The `transfer_student` database function closes the previous assignment
+ * (kept in the history) and opens the new one in one transaction. Only the
+ * student's current counselor or an admin may transfer them.
+ */
+export const reassignStudent = async (studentId, newCounselorId, { reason = null } = {}) => {
+  try {
+    const { data, error } = await supabase.rpc('transfer_student', {
+      p_student_id: studentId,
+      p_counselor_id: newCounselorId,
+      p_reason: reason,
+    });
+
+    if (error) throw error;
+
+    return { assignment: data, error: null };
+  } catch (error) {
+    return { assignment: null, error };
+  }
+};
+
+/**
+ * Get a student's full assignment and transfer history, newest first
+ */
+export const getAssignmentHistory = async (studentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('counselor_assignments')
+      .select(`
+        *,
+        profiles:counselor_id (
+          full_name
+        )
+      `)
+      .eq('student_id', studentId)
+      .order('assigned_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { history: data, error: null };
+  } catch (error) {
+    return { history: null, error };
+  }
+};
@@ -0,0 +1,82 @@
+// src/api/assignments.test.js
+import { supabase } from '../utils/supabase';
+import { autoAssignCounselor, getCounselorLoads, reassignStudent } from './assignments';
+
+jest.mock('../utils/supabase', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+
+// No active assignment for the student
+const mockNoActiveAssignment = () => {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    is: () => query,
+    single: async () => ({ data: null, error: { code: 'PGRST116' } }),
+  };
+  supabase.from.mockReturnValue(query);
+};
+
+const loads = [
+  { id: 'c1', full_name: 'Ada', specialization: 'Anxiety and panic', years_of_experience: 3, load: 4 },
+  { id: 'c2', full_name: 'Ben', specialization: 'Sleep', years_of_experience: 10, load: 2 },
+];
+
+describe('getCounselorLoads', () => {
+  it('reads loads from the database function', async () => {
+    supabase.rpc.mockResolvedValue({ data: loads, error: null });
+
+    const { counselors } = await getCounselorLoads();
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_counselor_loads');
+    expect(counselors[0]).toEqual({
+      id: 'c1',
+      fullName: 'Ada',
+      specialization: 'Anxiety and panic',
+      yearsOfExperience: 3,
+      load: 4,
+    });
+  });
+});
+
+describe('autoAssignCounselor', () => {
+  it('assigns the best match through the database function', async () => {
+    mockNoActiveAssignment();
+    supabase.rpc.mockImplementation(async (name) => (name === 'get_counselor_loads'
+      ? { data: loads, error: null }
+      : { data: { id: 'a1', counselor_id: 'c1' }, error: null }));
+
+    const { assignment, error } = await autoAssignCounselor('s1', { anxiety: 2.5, sleep: 1 });
+
+    expect(error).toBeNull();
+    expect(assignment).toEqual({ id: 'a1', counselor_id: 'c1' });
+    expect(supabase.rpc).toHaveBeenCalledWith('auto_assign_counselor', {
+      p_counselor_id: 'c1',
+      p_reason: 'Automatic: specialization match (Anxiety and panic)',
+    });
+  });
+});
+
+describe('reassignStudent', () => {
+  it('transfers in a single database call', async () => {
+    supabase.rpc.mockResolvedValue({ data: { id: 'a2', counselor_id: 'c2' }, error: null });
+
+    const { assignment } = await reassignStudent('s1', 'c2', { reason: 'Schedule clash' });
+
+    expect(assignment).toEqual({ id: 'a2', counselor_id: 'c2' });
+    expect(supabase.rpc).toHaveBeenCalledWith('transfer_student', {
+      p_student_id: 's1',
+      p_counselor_id: 'c2',
+      p_reason: 'Schedule clash',
+    });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('reports a refused transfer', async () => {
+    const refused = { code: '42501', message: "Only the student's counselor can transfer them" };
+    supabase.rpc.mockResolvedValue({ data: null, error: refused });
+
+    const { assignment, error } = await reassignStudent('s9', 'c1');
+
+    expect(assignment).toBeNull();
+    expect(error).toBe(refused);
+  });
+});
@@ -1,8 +1,21 @@
 // src/api/auth.js
 import { supabase } from '../utils/supabase';
+import { repairAccount } from './accountRepair';
+
+// Roles whose signup also creates a role-specific profile row
+// (admins have none; their `profiles` row is all there is)
+const ROLE_PROFILE_TABLES = {
+  student: 'student_profiles',
+  counselor: 'counselor_profiles',
+  admin: null,
+};
 
 /**
  * Student Signup
+ *
+ * The profile rows are created by one database function, so they either all
+ * exist or none do. The form fields also go into the auth user's metadata;
+ * if that step fails after the auth user exists, signing in repairs it.
  */
 export const signUpStudent = async ({ email, password, fullName, studentId, major, yearOfStudy }) => {
   try {
@@ -10,48 +23,22 @@ export const signUpStudent = async ({ email, password, fullName, studentId, majo
     const { data: authData, error: authError } = await supabase.auth.signUp({
       email,
       password,
+      options: {
+        data: {
+          role: 'student',
+          full_name: fullName,
+          student_id: studentId || null,
+          major: major || null,
+          year_of_study: yearOfStudy || null,
+        },
+      },
     });
 
-    if (authError) throw authError;
-
-    const userId = authData.user.id;
-
-    // 2. Create profile
-    const { error: profileError } = await supabase
-      .from('profiles')
-      .insert({
-        id: userId,
-        email,
-        full_name: fullName,
-        role: 'student',
-      });
-
-    if (profileError) throw profileError;
+    if (authError) throw toSignUpError(authError);
 
-    // 3. Create student profile
-    const { error: studentProfileError } = await supabase
-      .from('student_profiles')
-      .insert({
-        id: userId,
-        student_id: studentId || null,
-        major: major || null,
-        year_of_study: yearOfStudy || null,
-        has_completed_initial_assessment: false,
-      });
-
-    if (studentProfileError) throw studentProfileError;
-
-    // 4. Initialize streak tracking
-    const { error: streakError } = await supabase
-      .from('streak_tracking')
-      .insert({
-        student_id: userId,
-        current_streak: 0,
-        longest_streak: 0,
-        total_login_days: 0,
-      });
-
-    if (streakError) throw streakError;
+    // 2. Create profile, student profile and streak tracking together
+    const { error: accountError } = await repairAccount(authData.user);
+    if (accountError) throw accountError;
 
     return { user: authData.user, error: null };
   } catch (error) {
@@ -68,35 +55,22 @@ export const signUpCounselor = async ({ email, password, fullName, specializatio
     const { data: authData, error: authError } = await supabase.auth.signUp({
       email,
       password,
+      options: {
+        data: {
+          role: 'counselor',
+          full_name: fullName,
+          specialization: specialization || null,
+          license_number: licenseNumber || null,
+          years_of_experience: yearsOfExperience || null,
+        },
+      },
     });
 
-    if (authError) throw authError;
-
-    const userId = authData.user.id;
-
-    // 2. Create profile
-    const { error: profileError } = await supabase
-      .from('profiles')
-      .insert({
-        id: userId,
-        email,
-        full_name: fullName,
-        role: 'counselor',
-      });
-
-    if (profileError) throw profileError;
-
-    // 3. Create counselor profile
-    const { error: counselorProfileError } = await supabase
-      .from('counselor_profiles')
-      .insert({
-        id: userId,
-        specialization: specialization || null,
-        license_number: licenseNumber || null,
-        years_of_experience: yearsOfExperience || null,
-      });
+    if (authError) throw toSignUpError(authError);
 
-    if (counselorProfileError) throw counselorProfileError;
+    // 2. Create profile and counselor profile together
+    const { error: accountError } = await repairAccount(authData.user);
+    if (accountError) throw accountError;
 
     return { user: authData.user, error: null };
   } catch (error) {
@@ -116,13 +90,8 @@ export const signIn = async ({ email, password }) => {
 
     if (error) throw error;
 
-    // Fetch user profile to get role
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', data.user.id)
-      .single();
-
+    // Fetch user profile to get role (rebuilding it if signup stopped early)
+    const { profile, error: profileError } = await getOrRepairProfile(data.user);
     if (profileError) throw profileError;
 
     return { user: data.user, profile, error: null };
@@ -166,12 +135,7 @@ export const getCurrentUserProfile = async () => {
     if (userError) throw userError;
     if (!user) throw new Error('No user found');
 
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', user.id)
-      .single();
-
+    const { profile, error: profileError } = await getOrRepairProfile(user);
     if (profileError) throw profileError;
 
     // Get role-specific profile
@@ -233,3 +197,58 @@ export const updatePassword = async (newPassword) => {
     return { error };
   }
 };
+
+/**
+ * Helper to load a profile, repairing the account once if any row is missing
+ */
+const getOrRepairProfile = async (authUser) => {
+  try {
+    let { data: profile, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', authUser.id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    const role = profile?.role || authUser.user_metadata?.role || 'student';
+    let hasRoleProfile = true;
+    if (ROLE_PROFILE_TABLES[role]) {
+      const { data: roleProfile, error: roleError } = await supabase
+        .from(ROLE_PROFILE_TABLES[role])
+        .select('id')
+        .eq('id', authUser.id)
+        .single();
+
+      if (roleError && roleError.code !== 'PGRST116') throw roleError;
+      hasRoleProfile = Boolean(roleProfile);
+    }
+
+    if (!profile || !hasRoleProfile) {
+      const { error: repairError } = await repairAccount(authUser);
+      if (repairError) throw repairError;
+
+      ({ data: profile, error } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', authUser.id)
+        .single());
+
+      if (error) throw error;
+    }
+
+    return { profile, error: null };
+  } catch (error) {
+    return { profile: null, error };
+  }
+};
+
+/**
+ * Helper to explain a signup that hit an existing (possibly half-created) account
+ */
+const toSignUpError = (error) => {
+  if (/already registered|already exists/i.test(error.message || '')) {
+    return new Error('An account with this email already exists. Sign in to finish setting it up.');
+  }
+  return error;
+};
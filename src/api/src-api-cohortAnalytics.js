@@ -0,0 +1,82 @@
+// src/api/cohortAnalytics.js
+// Aggregate-only analytics for counseling center leadership. Both database
+// functions check that the caller may see cohort analytics, count students
+// per group themselves and withhold any group under the minimum size, so
+// rows about individual students never reach the browser. The minimum lives
+// in the database (cohort_settings, which only admins change), so no caller
+// can lower it; the browser reads it from there and minGroupSize in the
+// config is only the starting value.
+import { supabase } from '../utils/supabase';
+import {
+  summarizeCohortAssessments,
+  summarizeCohortMood,
+  validateGroupBy,
+} from '../utils/cohortAnalytics';
+import cohortConfig from '../config/cohortAnalytics.json';
+
+/**
+ * The minimum group size the database enforces
+ */
+export const getCohortMinGroupSize = async () => {
+  try {
+    const { data, error } = await supabase.rpc('cohort_min_group_size');
+
+    if (error) throw error;
+
+    return { minGroupSize: data, error: null };
+  } catch (error) {
+    return { minGroupSize: null, error };
+  }
+};
+
+/**
+ * Weekly mood averages for a term, split by `groupBy` ('all', 'major' or
+ * 'year_of_study'), as cells keyed by week of term
+ * Pass the minimum from getCohortMinGroupSize so both sides hide the same groups.
+ */
+export const getCohortMoodTrends = async ({ term, groupBy = 'all', minGroupSize = cohortConfig.minGroupSize }) => {
+  try {
+    const { data, error } = await supabase.rpc('get_cohort_mood_weeks', {
+      p_start: term.start,
+      p_end: term.end,
+      p_group_by: validateGroupBy(groupBy),
+    });
+
+    if (error) throw error;
+
+    return {
+      cells: summarizeCohortMood(data, { term, minGroupSize }),
+      error: null,
+    };
+  } catch (error) {
+    return { cells: [], error };
+  }
+};
+
+/**
+ * Monthly share of students at moderate assessment severity or worse, per
+ * category, split by `groupBy`
+ */
+export const getCohortAssessmentTrends = async ({
+  start,
+  end,
+  groupBy = 'all',
+  minGroupSize = cohortConfig.minGroupSize,
+}) => {
+  try {
+    const { data, error } = await supabase.rpc('get_cohort_assessment_months', {
+      p_start: start,
+      p_end: end,
+      p_group_by: validateGroupBy(groupBy),
+    });
+
+    if (error) throw error;
+
+    return {
+      cells: summarizeCohortAssessments(data, { minGroupSize }),
+      error: null,
+    };
+  } catch (error) {
+    return { cells: [], error };
+  }
+};
@@ -0,0 +1,144 @@
+// src/api/copingActivities.js
+import { supabase } from '../utils/supabase';
+import { fetchAllRows } from '../utils/paging';
+import { evaluateTextRisk } from '../utils/riskEvaluation';
+import {
+  getActivity,
+  suggestActivities,
+  summarizeActivityEffects,
+  validateFeeling,
+} from '../utils/copingActivities';
+import { getTodayMoodEntry } from './moodTracker';
+import { raiseRiskAlert } from './riskAlerts';
+
+/**
+ * Coping activities suggested by today's check-in
+ * Empty when there is no check-in yet or nothing in it calls for one.
+ */
+export const getSuggestedActivities = async (studentId) => {
+  try {
+    const { entry, error: entryError } = await getTodayMoodEntry(studentId);
+    if (entryError) throw entryError;
+
+    const { effects } = await getActivityEffects(studentId);
+
+    return {
+      entry,
+      suggestions: suggestActivities(entry, { effects: effects || [] }),
+      error: null,
+    };
+  } catch (error) {
+    return { entry: null, suggestions: [], error };
+  }
+};
+
+/**
+ * Log a finished activity
+ *
+ * `moodEntryId` links it to the check-in that suggested it, if any.
+ * `responses` holds what the student wrote (grounding answers, thought
+ * record), which is checked for crisis language like mood notes are.
+ */
+export const logActivityCompletion = async (
+  studentId,
+  activityId,
+  { startedAt, moodEntryId = null, responses = null } = {}
+) => {
+  try {
+    if (!getActivity(activityId)) {
+      throw new Error(`Unknown coping activity "${activityId}"`);
+    }
+
+    const { data, error } = await supabase
+      .from('coping_activity_logs')
+      .insert({
+        student_id: studentId,
+        activity_id: activityId,
+        mood_entry_id: moodEntryId,
+        started_at: startedAt || new Date().toISOString(),
+        completed_at: new Date().toISOString(),
+        responses,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    let risk = null;
+    if (responses) {
+      risk = evaluateTextRisk(Object.values(responses).flat().join('\n'));
+      if (risk.triggered) {
+        const { notified, queued } = await raiseRiskAlert(studentId, risk, 'coping_activity', data.id);
+        risk = { ...risk, counselorNotified: notified, alertQueued: queued };
+      }
+    }
+
+    return { log: data, risk, error: null };
+  } catch (error) {
+    return { log: null, risk: null, error };
+  }
+};
+
+/**
+ * Record the answer to "do you feel better?" after an activity
+ */
+export const recordActivityFeeling = async (studentId, logId, feeling) => {
+  try {
+    const { data, error } = await supabase
+      .from('coping_activity_logs')
+      .update({
+        feeling_after: validateFeeling(feeling),
+        feeling_recorded_at: new Date().toISOString(),
+      })
+      .eq('id', logId)
+      .eq('student_id', studentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { log: data, error: null };
+  } catch (error) {
+    return { log: null, error };
+  }
+};
+
+/**
+ * Get a student's activity history, newest first
+ */
+export const getActivityHistory = async (studentId, limit = 20) => {
+  try {
+    const { data, error } = await supabase
+      .from('coping_activity_logs')
+      .select('*')
+      .eq('student_id', studentId)
+      .not('completed_at', 'is', null)
+      .order('completed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return { logs: data, error: null };
+  } catch (error) {
+    return { logs: null, error };
+  }
+};
+
+/**
+ * How often each activity has left this student feeling better
+ */
+export const getActivityEffects = async (studentId) => {
+  try {
+    const { rows, error } = await fetchAllRows(() => supabase
+      .from('coping_activity_logs')
+      .select('activity_id, completed_at, feeling_after')
+      .eq('student_id', studentId)
+      .order('completed_at', { ascending: true }));
+
+    if (error) throw error;
+
+    return { effects: summarizeActivityEffects(rows), error: null };
+  } catch (error) {
+    return { effects: null, error };
+  }
+};
@@ -0,0 +1,203 @@
+// src/api/counselor.js
+import { supabase } from '../utils/supabase';
+import { format, subDays } from 'date-fns';
+import { getAssessmentSummary, getAssessmentResponses, getAssessmentSessions } from './assessment';
+import { getMoodHistory } from './moodTracker';
+import { getStreakStats } from './streaks';
+import { getAssignedStudentIds, isAssignedCounselor } from './assignments';
+
+const RISK_RANK = { high: 2, elevated: 1, none: 0 };
+
+/**
+ * Get a counselor's caseload: each assigned student with their latest
+ * assessment, recent mood entries, streak and open risk alerts
+ */
+export const getCaseload = async (counselorId, { moodDays = 7 } = {}) => {
+  try {
+    const { studentIds, error: assignedError } = await getAssignedStudentIds(counselorId);
+    if (assignedError) throw assignedError;
+
+    if (studentIds.length === 0) {
+      return { caseload: [], error: null };
+    }
+
+    const { data: students, error: studentsError } = await supabase
+      .from('student_profiles')
+      .select(`
+        *,
+        profiles:id (
+          full_name,
+          email
+        )
+      `)
+      .in('id', studentIds);
+
+    if (studentsError) throw studentsError;
+
+    const since = format(subDays(new Date(), moodDays - 1), 'yyyy-MM-dd');
+
+    const [summaries, streaks, moods, alerts] = await Promise.all([
+      supabase
+        .from('initial_assessment_summary')
+        .select('student_id, overall_score, category_scores, ai_diagnosis, completed_at')
+        .in('student_id', studentIds)
+        .order('completed_at', { ascending: false }),
+      supabase
+        .from('streak_tracking')
+        .select('student_id, current_streak, longest_streak, last_login_date')
+        .in('student_id', studentIds),
+      supabase
+        .from('daily_mood_entries')
+        .select('student_id, entry_date, mood_emoji, stress_emoji, anxiety_emoji')
+        .in('student_id', studentIds)
+        .gte('entry_date', since)
+        .order('entry_date', { ascending: true }),
+      supabase
+        .from('risk_alerts')
+        .select('id, student_id, risk_level, created_at')
+        .in('student_id', studentIds)
+        .eq('status', 'open'),
+    ]);
+
+    [summaries, streaks, moods, alerts].forEach(result => {
+      if (result.error) throw result.error;
+    });
+
+    const caseload = students.map(student => {
+      // Newest first, so this is the latest session
+      const summary = summaries.data.find(s => s.student_id === student.id) || null;
+      const streak = streaks.data.find(s => s.student_id === student.id) || null;
+      const recentMoods = moods.data.filter(m => m.student_id === student.id);
+      const openAlerts = alerts.data.filter(a => a.student_id === student.id);
+
+      const riskLevel = openAlerts.reduce(
+        (highest, alert) => (RISK_RANK[alert.risk_level] > RISK_RANK[highest] ? alert.risk_level : highest),
+        'none'
+      );
+
+      return {
+        id: student.id,
+        fullName: student.profiles?.full_name || '',
+        email: student.profiles?.email || '',
+        studentNumber: student.student_id,
+        major: student.major,
+        yearOfStudy: student.year_of_study,
+        hasCompletedAssessment: student.has_completed_initial_assessment,
+        overallScore: summary?.overall_score ?? null,
+        categoryScores: summary?.category_scores || {},
+        diagnosis: summary?.ai_diagnosis || null,
+        assessedAt: summary?.completed_at || null,
+        currentStreak: streak?.current_streak || 0,
+        lastLoginDate: streak?.last_login_date || null,
+        recentMoods,
+        lastCheckIn: recentMoods.length > 0 ? recentMoods[recentMoods.length - 1].entry_date : null,
+        openAlerts,
+        riskLevel,
+      };
+    });
+
+    return { caseload: sortCaseload(caseload, 'risk'), error: null };
+  } catch (error) {
+    return { caseload: null, error };
+  }
+};
+
+/**
+ * Filter caseload rows (search text, major, year of study, risk level)
+ */
+export const filterCaseload = (caseload, { search = '', major = '', yearOfStudy = '', riskLevel = '' } = {}) => {
+  const term = search.trim().toLowerCase();
+
+  return caseload.filter(student => {
+    if (term) {
+      const haystack = [student.fullName, student.email, student.studentNumber]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(term)) return false;
+    }
+    if (major && student.major !== major) return false;
+    if (yearOfStudy && String(student.yearOfStudy) !== String(yearOfStudy)) return false;
+    if (riskLevel && student.riskLevel !== riskLevel) return false;
+    return true;
+  });
+};
+
+/**
+ * Sort caseload rows
+ * 'risk' puts open high-risk alerts first, then highest overall assessment score.
+ */
+export const sortCaseload = (caseload, sortBy = 'risk', direction = 'desc') => {
+  const compare = {
+    risk: (a, b) =>
+      RISK_RANK[a.riskLevel] - RISK_RANK[b.riskLevel] || (a.overallScore ?? -1) - (b.overallScore ?? -1),
+    name: (a, b) => a.fullName.localeCompare(b.fullName),
+    overallScore: (a, b) => (a.overallScore ?? -1) - (b.overallScore ?? -1),
+    streak: (a, b) => a.currentStreak - b.currentStreak,
+    lastCheckIn: (a, b) => (a.lastCheckIn || '').localeCompare(b.lastCheckIn || ''),
+  }[sortBy];
+
+  if (!compare) {
+    throw new Error(`Invalid sort field: ${sortBy}`);
+  }
+
+  const sorted = [...caseload].sort(compare);
+  return direction === 'desc' ? sorted.reverse() : sorted;
+};
+
+/**
+ * Get everything a counselor needs for one student's detail view
+ * Only the student's assigned counselor may load it.
+ */
+export const getStudentOverview = async (studentId, counselorId) => {
+  try {
+    const { assigned, error: assignedError } = await isAssignedCounselor(counselorId, studentId);
+    if (assignedError) throw assignedError;
+    if (!assigned) {
+      throw new Error('This student is not assigned to you');
+    }
+
+    const { data: student, error: studentError } = await supabase
+      .from('student_profiles')
+      .select(`
+        *,
+        profiles:id (
+          full_name,
+          email
+        )
+      `)
+      .eq('id', studentId)
+      .single();
+
+    if (studentError) throw studentError;
+
+    const [summaryResult, responsesResult, moodResult, streakResult, sessionsResult] = await Promise.all([
+      getAssessmentSummary(studentId),
+      getAssessmentResponses(studentId),
+      getMoodHistory(studentId, 30),
+      getStreakStats(studentId),
+      getAssessmentSessions(studentId),
+    ]);
+
+    // A student who hasn't finished the assessment has no summary row yet
+    if (summaryResult.error && summaryResult.error.code !== 'PGRST116') throw summaryResult.error;
+    if (responsesResult.error) throw responsesResult.error;
+    if (moodResult.error) throw moodResult.error;
+    if (streakResult.error) throw streakResult.error;
+    if (sessionsResult.error) throw sessionsResult.error;
+
+    return {
+      overview: {
+        student,
+        summary: summaryResult.summary,
+        responses: responsesResult.responses,
+        moodHistory: moodResult.entries,
+        streakStats: streakResult.stats,
+        sessions: sessionsResult.sessions,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { overview: null, error };
+  }
+};
@@ -0,0 +1,212 @@
+// src/api/dataExport.js
+import { supabase } from '../utils/supabase';
+import { toCsv } from '../utils/csv';
+
+/**
+ * Collect every record tied to a student for a personal data export
+ */
+export const collectStudentData = async (studentId) => {
+  try {
+    const [
+      profile,
+      studentProfile,
+      responses,
+      summaries,
+      drafts,
+      moodEntries,
+      logins,
+      streak,
+      achievements,
+      reminderSettings,
+      copingActivities,
+      resourceInteractions,
+      threads,
+      appointments,
+      assignments,
+      riskAlerts,
+    ] = await Promise.all([
+      supabase.from('profiles').select('*').eq('id', studentId).single(),
+      supabase.from('student_profiles').select('*').eq('id', studentId).single(),
+      supabase
+        .from('initial_assessment_responses')
+        .select(`
+          *,
+          initial_assessment_questions (
+            question_text,
+            category
+          ),
+          initial_assessment_options (
+            option_text
+          )
+        `)
+        .eq('student_id', studentId)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('initial_assessment_summary')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('completed_at', { ascending: true }),
+      supabase
+        .from('assessment_drafts')
+        .select('*')
+        .eq('student_id', studentId),
+      supabase
+        .from('daily_mood_entries')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('entry_date', { ascending: true }),
+      supabase
+        .from('login_history')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('login_date', { ascending: true }),
+      supabase.from('streak_tracking').select('*').eq('student_id', studentId).single(),
+      supabase
+        .from('student_achievements')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('earned_at', { ascending: true }),
+      supabase.from('reminder_settings').select('*').eq('student_id', studentId).single(),
+      supabase
+        .from('coping_activity_logs')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('started_at', { ascending: true }),
+      supabase
+        .from('resource_interactions')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('updated_at', { ascending: true }),
+      supabase
+        .from('message_threads')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('appointments')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('starts_at', { ascending: true }),
+      supabase
+        .from('counselor_assignments')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('assigned_at', { ascending: true }),
+      supabase
+        .from('risk_alerts')
+        .select('*')
+        .eq('student_id', studentId)
+        .order('created_at', { ascending: true }),
+    ]);
+
+    [
+      profile,
+      studentProfile,
+      responses,
+      summaries,
+      drafts,
+      moodEntries,
+      logins,
+      achievements,
+      copingActivities,
+      resourceInteractions,
+      threads,
+      appointments,
+      assignments,
+      riskAlerts,
+    ].forEach(result => {
+      if (result.error) throw result.error;
+    });
+    [streak, reminderSettings].forEach(result => {
+      if (result.error && result.error.code !== 'PGRST116') throw result.error;
+    });
+
+    // Messages are keyed by thread, so they can only be fetched once the threads are known
+    let messages = [];
+    if (threads.data.length > 0) {
+      const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .in('thread_id', threads.data.map(thread => thread.id))
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      messages = data;
+    }
+
+    // Group responses by the assessment session they belong to
+    const sessions = {};
+    responses.data.forEach(response => {
+      const sessionId = response.assessment_session_id;
+      if (!sessions[sessionId]) {
+        sessions[sessionId] = { sessionId, submittedAt: response.created_at, responses: [] };
+      }
+      sessions[sessionId].responses.push(response);
+    });
+
+    return {
+      data: {
+        exportedAt: new Date().toISOString(),
+        profile: { ...profile.data, ...studentProfile.data },
+        assessmentSessions: Object.values(sessions),
+        assessmentSummaries: summaries.data,
+        assessmentDrafts: drafts.data,
+        moodEntries: moodEntries.data,
+        loginHistory: logins.data,
+        streak: streak.data || null,
+        achievements: achievements.data,
+        reminderSettings: reminderSettings.data || null,
+        copingActivities: copingActivities.data,
+        resourceInteractions: resourceInteractions.data,
+        messageThreads: threads.data,
+        messages,
+        appointments: appointments.data,
+        counselorAssignments: assignments.data,
+        riskAlerts: riskAlerts.data,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { data: null, error };
+  }
+};
+
+/**
+ * Serialize an export as pretty-printed JSON
+ */
+export const toExportJson = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Serialize an export as one CSV per dataset, keyed by file name
+ */
+export const toExportCsvFiles = (data) => ({
+  'profile.csv': toCsv([data.profile]),
+  'assessment_responses.csv': toCsv(
+    data.assessmentSessions.flatMap(session =>
+      session.responses.map(response => ({
+        assessment_session_id: session.sessionId,
+        submitted_at: response.created_at,
+        instrument: response.instrument_id,
+        item_number: response.item_number,
+        category: response.initial_assessment_questions?.category,
+        question: response.initial_assessment_questions?.question_text,
+        answer: response.initial_assessment_options?.option_text,
+        remark: response.remark,
+        severity_score: response.severity_score,
+      }))
+    )
+  ),
+  'assessment_summaries.csv': toCsv(data.assessmentSummaries),
+  'mood_entries.csv': toCsv(data.moodEntries),
+  'login_history.csv': toCsv(data.loginHistory),
+  'streak.csv': toCsv(data.streak ? [data.streak] : []),
+  'achievements.csv': toCsv(data.achievements),
+  'reminder_settings.csv': toCsv(data.reminderSettings ? [data.reminderSettings] : []),
+  'coping_activities.csv': toCsv(data.copingActivities),
+  'resource_interactions.csv': toCsv(data.resourceInteractions),
+  'message_threads.csv': toCsv(data.messageThreads),
+  'messages.csv': toCsv(data.messages),
+  'appointments.csv': toCsv(data.appointments),
+  'counselor_assignments.csv': toCsv(data.counselorAssignments),
+  'risk_alerts.csv': toCsv(data.riskAlerts),
+});
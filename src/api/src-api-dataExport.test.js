@@ -0,0 +1,82 @@
+// src/api/dataExport.test.js
+import { supabase } from '../utils/supabase';
+import { collectStudentData, toExportCsvFiles } from './dataExport';
+
+jest.mock('../utils/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+// Every table holding a student's data; keep in step with ERASURE_PLAN in the
+// process-account-deletions edge function
+const STUDENT_TABLES = [
+  'profiles',
+  'student_profiles',
+  'initial_assessment_responses',
+  'initial_assessment_summary',
+  'assessment_drafts',
+  'daily_mood_entries',
+  'login_history',
+  'streak_tracking',
+  'student_achievements',
+  'reminder_settings',
+  'coping_activity_logs',
+  'resource_interactions',
+  'message_threads',
+  'messages',
+  'appointments',
+  'counselor_assignments',
+  'risk_alerts',
+];
+
+// Each table answers with one row tagged with its name; .single() gets the row itself
+const mockTables = () => {
+  const queried = [];
+
+  supabase.from.mockImplementation(table => {
+    queried.push(table);
+    const row = { id: `${table}-1`, table };
+    const query = {
+      select: () => query,
+      eq: () => query,
+      in: () => query,
+      order: () => query,
+      single: async () => ({ data: row, error: null }),
+      then: (resolve) => resolve({ data: [row], error: null }),
+    };
+    return query;
+  });
+
+  return queried;
+};
+
+describe('collectStudentData', () => {
+  it('reads every table that holds student data', async () => {
+    const queried = mockTables();
+
+    const { error } = await collectStudentData('s1');
+
+    expect(error).toBeNull();
+    expect([...new Set(queried)].sort()).toEqual([...STUDENT_TABLES].sort());
+  });
+
+  it('includes conversations, appointments, assignments and alerts in the export', async () => {
+    mockTables();
+
+    const { data } = await collectStudentData('s1');
+
+    expect(data.messageThreads).toEqual([{ id: 'message_threads-1', table: 'message_threads' }]);
+    expect(data.messages).toEqual([{ id: 'messages-1', table: 'messages' }]);
+    expect(data.appointments).toHaveLength(1);
+    expect(data.counselorAssignments).toHaveLength(1);
+    expect(data.riskAlerts).toHaveLength(1);
+  });
+
+  it('writes a CSV file for each of them', async () => {
+    mockTables();
+
+    const { data } = await collectStudentData('s1');
+    const files = toExportCsvFiles(data);
+
+    ['message_threads', 'messages', 'appointments', 'counselor_assignments', 'risk_alerts'].forEach(name => {
+      expect(files[`${name}.csv`]).toContain(`${name}-1`);
+    });
+  });
+});
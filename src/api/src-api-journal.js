@@ -0,0 +1,153 @@
+// src/api/journal.js
+// The journal is the notes and tags on daily_mood_entries, so every page of
+// it sits next to that day's mood check-in.
+import { supabase } from '../utils/supabase';
+import journalConfig from '../config/journal.json';
+import { fetchAllRows } from '../utils/paging';
+import { addDaysToKey } from '../utils/dateService';
+import { evaluateMoodRisk } from '../utils/riskEvaluation';
+import {
+  compareTagDays,
+  countTags,
+  getSuggestedTags,
+  normalizeTag,
+  normalizeTags,
+  validateNote,
+} from '../utils/journal';
+import { getTodayKey } from './preferences';
+import { raiseRiskAlert } from './riskAlerts';
+
+/**
+ * Get journal entries, newest first
+ *
+ * Only days with a note or a tag are included. `search` is full-text search
+ * over notes (phrases in quotes, `-word` to exclude); `tag` keeps days with
+ * that tag; `from` and `to` limit the dates.
+ */
+export const getJournalEntries = async (
+  studentId,
+  { search = '', tag = null, from = null, to = null, limit = journalConfig.searchLimit } = {}
+) => {
+  try {
+    let query = supabase
+      .from('daily_mood_entries')
+      .select('*')
+      .eq('student_id', studentId)
+      .or('notes.not.is.null,tags.neq.{}');
+
+    if (search.trim()) {
+      query = query.textSearch('notes', search.trim(), { type: 'websearch', config: 'english' });
+    }
+    if (tag) {
+      query = query.contains('tags', [normalizeTag(tag)]);
+    }
+    if (from) {
+      query = query.gte('entry_date', from);
+    }
+    if (to) {
+      query = query.lte('entry_date', to);
+    }
+
+    const { data, error } = await query
+      .order('entry_date', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return { entries: data, error: null };
+  } catch (error) {
+    return { entries: null, error };
+  }
+};
+
+/**
+ * Rewrite the note and/or tags on a day that already has a mood check-in
+ * New notes are checked for crisis language, the same as at check-in.
+ */
+export const updateJournalEntry = async (studentId, entryDate, { notes, tags }) => {
+  try {
+    const updates = {};
+    if (notes !== undefined) updates.notes = validateNote(notes);
+    if (tags !== undefined) updates.tags = normalizeTags(tags);
+
+    const { data: existing, error: existingError } = await supabase
+      .from('daily_mood_entries')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('entry_date', entryDate)
+      .single();
+
+    if (existingError && existingError.code !== 'PGRST116') {
+      throw existingError;
+    }
+
+    if (!existing) {
+      throw new Error('Check in for this day before writing about it');
+    }
+
+    const { data, error } = await supabase
+      .from('daily_mood_entries')
+      .update(updates)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    let risk = null;
+    if (updates.notes && updates.notes !== existing.notes) {
+      risk = evaluateMoodRisk(data);
+      if (risk.triggered) {
+        const { notified, queued } = await raiseRiskAlert(studentId, risk, 'mood_entry', entryDate);
+        risk = { ...risk, counselorNotified: notified, alertQueued: queued };
+      }
+    }
+
+    return { entry: data, risk, error: null };
+  } catch (error) {
+    return { entry: null, risk: null, error };
+  }
+};
+
+/**
+ * Get the tags to offer: the suggested ones plus every tag the student has
+ * used, with how often
+ */
+export const getJournalTags = async (studentId) => {
+  try {
+    const { rows, error } = await fetchAllRows(() => supabase
+      .from('daily_mood_entries')
+      .select('tags')
+      .eq('student_id', studentId)
+      .order('entry_date', { ascending: true }));
+
+    if (error) throw error;
+
+    return { suggested: getSuggestedTags(), used: countTags(rows), error: null };
+  } catch (error) {
+    return { suggested: getSuggestedTags(), used: [], error };
+  }
+};
+
+/**
+ * Compare mood on days with a tag against other days, over the last `days` days
+ * For example, how "exams" days compare with the rest of the semester.
+ */
+export const compareTag = async (studentId, tag, { days = 180 } = {}) => {
+  try {
+    const today = await getTodayKey(studentId);
+
+    const { rows, error } = await fetchAllRows(() => supabase
+      .from('daily_mood_entries')
+      .select('*')
+      .eq('student_id', studentId)
+      .gte('entry_date', addDaysToKey(today, -(days - 1)))
+      .order('entry_date', { ascending: true }));
+
+    if (error) throw error;
+
+    return { comparison: compareTagDays(rows, normalizeTag(tag)), error: null };
+  } catch (error) {
+    return { comparison: null, error };
+  }
+};
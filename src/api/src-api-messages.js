@@ -0,0 +1,284 @@
+// src/api/messages.js
+import { supabase } from '../utils/supabase';
+import { v4 as uuidv4 } from 'uuid';
+import { isAssignedCounselor } from './assignments';
+
+const ATTACHMENT_BUCKET = 'message-attachments';
+
+export const ALLOWED_ATTACHMENT_TYPES = {
+  'image/jpeg': ['jpg', 'jpeg'],
+  'image/png': ['png'],
+  'application/pdf': ['pdf'],
+  'text/plain': ['txt'],
+};
+
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Check an attachment's type, extension and size before upload
+ */
+export const validateAttachment = (file) => {
+  if (!file) return { valid: true, error: null };
+
+  const extensions = ALLOWED_ATTACHMENT_TYPES[file.type];
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  if (!extensions || !extensions.includes(extension)) {
+    return { valid: false, error: new Error('Only JPG, PNG, PDF and plain-text files can be attached') };
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return { valid: false, error: new Error('Attachments must be 5 MB or smaller') };
+  }
+
+  return { valid: true, error: null };
+};
+
+/**
+ * Get (or start) the thread between a student and their assigned counselor
+ */
+export const getOrCreateThread = async (studentId, counselorId) => {
+  try {
+    const { data: existing, error: existingError } = await supabase
+      .from('message_threads')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('counselor_id', counselorId)
+      .single();
+
+    if (existingError && existingError.code !== 'PGRST116') {
+      throw existingError;
+    }
+
+    if (existing) {
+      return { thread: existing, error: null };
+    }
+
+    const { assigned, error: assignedError } = await isAssignedCounselor(counselorId, studentId);
+    if (assignedError) throw assignedError;
+    if (!assigned) {
+      throw new Error('Messages can only be sent to your assigned counselor');
+    }
+
+    const { data, error } = await supabase
+      .from('message_threads')
+      .insert({ student_id: studentId, counselor_id: counselorId })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { thread: data, error: null };
+  } catch (error) {
+    return { thread: null, error };
+  }
+};
+
+/**
+ * Get messages in a thread, oldest first
+ */
+export const getMessages = async (threadId, userId) => {
+  try {
+    await assertThreadAccess(threadId, userId);
+
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('thread_id', threadId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { messages: data, error: null };
+  } catch (error) {
+    return { messages: null, error };
+  }
+};
+
+/**
+ * Send a message, optionally with one attachment
+ */
+export const sendMessage = async (threadId, senderId, body, file = null) => {
+  try {
+    await assertThreadAccess(threadId, senderId);
+
+    const { error: attachmentError } = validateAttachment(file);
+    if (attachmentError) throw attachmentError;
+
+    if (!body?.trim() && !file) {
+      throw new Error('Message is empty');
+    }
+
+    let attachment = {};
+    if (file) {
+      const path = `${threadId}/${uuidv4()}-${file.name}`;
+      const { error: uploadError } = await supabase.storage
+        .from(ATTACHMENT_BUCKET)
+        .upload(path, file, { contentType: file.type });
+
+      if (uploadError) throw uploadError;
+
+      attachment = {
+        attachment_path: path,
+        attachment_name: file.name,
+        attachment_type: file.type,
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('messages')
+      .insert({
+        thread_id: threadId,
+        sender_id: senderId,
+        body: body?.trim() || null,
+        ...attachment,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { message: data, error: null };
+  } catch (error) {
+    return { message: null, error };
+  }
+};
+
+/**
+ * Mark every message the reader received in a thread as read
+ * Only read_at can be updated, and only on messages someone else sent.
+ */
+export const markThreadRead = async (threadId, readerId) => {
+  try {
+    await assertThreadAccess(threadId, readerId);
+
+    const { error } = await supabase
+      .from('messages')
+      .update({ read_at: new Date().toISOString() })
+      .eq('thread_id', threadId)
+      .neq('sender_id', readerId)
+      .is('read_at', null);
+
+    if (error) throw error;
+
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+};
+
+/**
+ * Count unread messages across all of a user's threads
+ * Returns the total plus breakdowns keyed by thread id and by student id.
+ */
+export const getUnreadCount = async (userId) => {
+  try {
+    const { data: threads, error: threadsError } = await supabase
+      .from('message_threads')
+      .select('id, student_id, counselor_id')
+      .or(`student_id.eq.${userId},counselor_id.eq.${userId}`);
+
+    if (threadsError) throw threadsError;
+
+    if (threads.length === 0) {
+      return { total: 0, byThread: {}, byStudent: {}, error: null };
+    }
+
+    const { data, error } = await supabase
+      .from('messages')
+      .select('thread_id')
+      .in('thread_id', threads.map(t => t.id))
+      .neq('sender_id', userId)
+      .is('read_at', null);
+
+    if (error) throw error;
+
+    const byThread = {};
+    const byStudent = {};
+    data.forEach(row => {
+      const studentId = threads.find(t => t.id === row.thread_id).student_id;
+      byThread[row.thread_id] = (byThread[row.thread_id] || 0) + 1;
+      byStudent[studentId] = (byStudent[studentId] || 0) + 1;
+    });
+
+    return { total: data.length, byThread, byStudent, error: null };
+  } catch (error) {
+    return { total: 0, byThread: {}, byStudent: {}, error };
+  }
+};
+
+/**
+ * Get a short-lived download link for an attachment
+ */
+export const getAttachmentUrl = async (path) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrl(path, 60);
+
+    if (error) throw error;
+
+    return { url: data.signedUrl, error: null };
+  } catch (error) {
+    return { url: null, error };
+  }
+};
+
+/**
+ * Listen for new and updated (read) messages in one thread
+ * Returns a function that unsubscribes.
+ */
+export const subscribeToThread = (threadId, onChange) => {
+  const channel = supabase
+    .channel(`messages:${threadId}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'messages', filter: `thread_id=eq.${threadId}` },
+      (payload) => onChange(payload.eventType, payload.new)
+    )
+    .subscribe();
+
+  return () => supabase.removeChannel(channel);
+};
+
+/**
+ * Listen for any message change visible to the user; used to refresh unread badges
+ * Realtime only delivers rows the message policies let the user read, which
+ * are the messages in threads they can currently see.
+ */
+export const subscribeToMessageChanges = (userId, onChange) => {
+  const channel = supabase
+    .channel(`unread:${userId}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'messages' },
+      () => onChange()
+    )
+    .subscribe();
+
+  return () => supabase.removeChannel(channel);
+};
+
+/**
+ * Helper to make sure a user is a participant in a thread
+ * Counselors must also still be the student's assigned counselor. The thread
+ * policies enforce the same rule; this turns a hidden thread into a clear error.
+ */
+const assertThreadAccess = async (threadId, userId) => {
+  const { data: thread, error } = await supabase
+    .from('message_threads')
+    .select('student_id, counselor_id')
+    .eq('id', threadId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (thread?.student_id === userId) return thread;
+
+  if (thread?.counselor_id === userId) {
+    const { assigned, error: assignedError } = await isAssignedCounselor(userId, thread.student_id);
+    if (assignedError) throw assignedError;
+    if (assigned) return thread;
+  }
+
+  throw new Error('You do not have access to this conversation');
+};
@@ -0,0 +1,95 @@
+// src/api/moodReports.js
+import { supabase } from '../utils/supabase';
+import { fetchAllRows } from '../utils/paging';
+import { daysBetweenKeys, getDayKey } from '../utils/dateService';
+import { getActiveDays, calculateStreak } from '../utils/streakPolicy';
+import { getBestAndHardestWeeks, getReviewRange, getTopEmojis } from '../utils/moodReports';
+import { getDatePreferences } from './preferences';
+import { getWeeklyMoodSummary } from './moodTracker';
+
+/**
+ * The year in review a student can open right now, if any
+ * Offered for a few weeks after each term ends.
+ */
+export const getAvailableYearInReview = async (studentId, now = new Date()) => {
+  const { preferences } = await getDatePreferences(studentId);
+  return getReviewRange(getDayKey(now, preferences));
+};
+
+/**
+ * Build the year-in-review report for the twelve months ending with a term
+ *
+ * Covers the best and hardest weeks, most common moods, how consistently the
+ * student logged in and checked in, and their longest streak in that time.
+ * Mood figures come from weekly counts aggregated in the database; only the
+ * dates of logins and check-ins are read row by row.
+ */
+export const getYearInReview = async (studentId, { now = new Date() } = {}) => {
+  try {
+    const { preferences } = await getDatePreferences(studentId);
+    const today = getDayKey(now, preferences);
+    const review = getReviewRange(today);
+
+    if (!review) {
+      return { report: null, error: null };
+    }
+
+    const { start, end, term } = review;
+    const [summary, checkIns, logins, streak] = await Promise.all([
+      getWeeklyMoodSummary(studentId, { start, end }),
+      fetchAllRows(() => supabase
+        .from('daily_mood_entries')
+        .select('entry_date')
+        .eq('student_id', studentId)
+        .gte('entry_date', start)
+        .lte('entry_date', end)
+        .order('entry_date', { ascending: true })),
+      fetchAllRows(() => supabase
+        .from('login_history')
+        .select('login_date')
+        .eq('student_id', studentId)
+        .gte('login_date', start)
+        .lte('login_date', end)
+        .order('login_date', { ascending: true })),
+      supabase
+        .from('streak_tracking')
+        .select('covered_days')
+        .eq('student_id', studentId)
+        .single(),
+    ]);
+
+    if (summary.error) throw summary.error;
+    if (checkIns.error) throw checkIns.error;
+    if (logins.error) throw logins.error;
+    if (streak.error && streak.error.code !== 'PGRST116') throw streak.error;
+
+    const checkInDates = checkIns.rows.map(row => row.entry_date);
+    const loginDates = logins.rows.map(row => row.login_date);
+    const totalDays = daysBetweenKeys(end, start) + 1;
+
+    // Same streak rules as the live streak, limited to this year's days
+    const { longestStreak } = calculateStreak({
+      activeDays: getActiveDays({ loginDates, checkInDates }),
+      today: end,
+      coveredDays: (streak.data?.covered_days || []).filter(day => day.date >= start && day.date <= end),
+    });
+
+    return {
+      report: {
+        term,
+        start,
+        end,
+        totalDays,
+        weeks: summary.weeks,
+        ...getBestAndHardestWeeks(summary.weeks),
+        topMoods: getTopEmojis(summary.moodCounts.mood),
+        checkIns: { days: checkInDates.length, rate: checkInDates.length / totalDays },
+        logins: { days: new Set(loginDates).size, rate: new Set(loginDates).size / totalDays },
+        longestStreak,
+      },
+      error: null,
+    };
+  } catch (error) {
+    return { report: null, error };
+  }
+};
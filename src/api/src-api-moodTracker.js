@@ -1,13 +1,38 @@
 // src/api/moodTracker.js
 import { supabase } from '../utils/supabase';
-import { startOfWeek, startOfMonth, endOfWeek, endOfMonth, format } from 'date-fns';
+import {
+  enqueueMoodEntry,
+  getQueuedMoodEntries,
+  getQueuedMoodEntry,
+  removeQueuedMoodEntry,
+  isOnline,
+  isNetworkError,
+  isQueuedWriteNewer,
+} from '../utils/offlineQueue';
+import { evaluateMoodRisk } from '../utils/riskEvaluation';
+import { getDayKey, getWeekRange, getMonthRange, addDaysToKey } from '../utils/dateService';
+import { analyzeMoodEntries } from '../utils/moodAnalytics';
+import { getPeriodRange, isLongRange, summarizeWeekCounts } from '../utils/moodReports';
+import { fetchAllRows } from '../utils/paging';
+import { normalizeTag, normalizeTags, validateNote } from '../utils/journal';
+import { MOOD_DIMENSIONS } from '../utils/moodScale';
+import insightConfig from '../config/moodInsights.json';
+import { getDatePreferences, getTodayKey } from './preferences';
+import { updateStreak } from './streaks';
+import { raiseRiskAlert, syncPendingRiskAlerts } from './riskAlerts';
 
 /**
  * Check if student has submitted mood entry for today
  */
 export const hasTodayMoodEntry = async (studentId) => {
   try {
-    const today = format(new Date(), 'yyyy-MM-dd');
+    const today = await getTodayKey(studentId);
+
+    // A check-in still waiting to sync counts as done for today
+    const queued = await safeGetQueuedMoodEntry(studentId, today);
+    if (queued) {
+      return { hasEntry: true, error: null };
+    }
 
     const { data, error } = await supabase
       .from('daily_mood_entries')
@@ -28,127 +53,341 @@ export const hasTodayMoodEntry = async (studentId) => {
 
 /**
  * Submit daily mood entry
+ * Written to the offline queue first, then synced right away when online.
  */
 export const submitMoodEntry = async (studentId, moodData) => {
+  let risk = null;
   try {
-    const today = format(new Date(), 'yyyy-MM-dd');
+    const today = await getTodayKey(studentId);
+    const record = buildMoodRecord(studentId, today, moodData);
+    // Evaluated first so a check-in that fails to save still reaches the safety screen
+    risk = await checkMoodRisk(studentId, record);
+    const result = await saveMoodEntry(record);
+    if (!result.pending) await refreshStreak(studentId);
+
+    return { ...result, risk };
+  } catch (error) {
+    return { entry: null, pending: false, risk, error };
+  }
+};
 
-    const { data, error } = await supabase
-      .from('daily_mood_entries')
-      .insert({
-        student_id: studentId,
-        entry_date: today,
-        mood_emoji: moodData.moodEmoji,
-        stress_emoji: moodData.stressEmoji,
-        anxiety_emoji: moodData.anxietyEmoji,
-        sleep_quality_emoji: moodData.sleepQualityEmoji,
-        energy_level_emoji: moodData.energyLevelEmoji,
-        notes: moodData.notes || null,
-      })
-      .select()
-      .single();
+/**
+ * Update today's mood entry
+ * Saving upserts on (student_id, entry_date), so an edit is the same write as
+ * a first check-in and goes through the same queue.
+ */
+export const updateTodayMoodEntry = (studentId, moodData) => submitMoodEntry(studentId, moodData);
 
-    if (error) throw error;
+/**
+ * Get mood entries that are saved locally but not yet synced
+ */
+export const getPendingMoodEntries = async (studentId) => {
+  try {
+    const entries = await getQueuedMoodEntries(studentId);
+    return { entries: entries.map(toPendingEntry), error: null };
+  } catch (error) {
+    return { entries: [], error };
+  }
+};
 
-    return { entry: data, error: null };
+/**
+ * Replay all queued mood entries for a student against Supabase
+ *
+ * Conflict rule for an entry that already exists on the server for the same
+ * entry_date: the most recent write wins. The local entry is kept when it was
+ * queued after the server row was last written, otherwise the server row is
+ * kept and the local entry is discarded (and reported in `conflicts`).
+ * An entry the server rejects stays queued and is reported in `failed`; the
+ * rest of the queue is still replayed.
+ */
+export const syncPendingMoodEntries = async (studentId) => {
+  try {
+    const queued = await getQueuedMoodEntries(studentId);
+    const synced = [];
+    const conflicts = [];
+    const failed = [];
+    let pending = 0;
+
+    for (const record of queued) {
+      if (!isOnline()) {
+        pending++;
+        continue;
+      }
+
+      const { entry, discarded, error } = await syncQueuedMoodEntry(record);
+
+      if (error) {
+        if (isNetworkError(error)) {
+          pending++;
+          continue;
+        }
+        failed.push({ entry: toPendingEntry(record), error });
+        continue;
+      }
+
+      if (discarded) {
+        conflicts.push({ local: toPendingEntry(record), server: entry });
+      } else {
+        synced.push(entry);
+      }
+    }
+
+    if (synced.length > 0) await refreshStreak(studentId);
+
+    return { synced, conflicts, failed, pending, error: null };
   } catch (error) {
-    return { entry: null, error };
+    return { synced: [], conflicts: [], failed: [], pending: 0, error };
   }
 };
 
 /**
- * Update today's mood entry
+ * Sync queued risk alerts and entries now and again whenever the browser comes back online
+ * Returns a cleanup function that removes the listener.
  */
-export const updateTodayMoodEntry = async (studentId, moodData) => {
+export const startMoodSync = (studentId, onSynced) => {
+  const runSync = async () => {
+    const { error: alertError } = await syncPendingRiskAlerts(studentId);
+    if (alertError) {
+      console.error('Error sending queued risk alerts:', alertError);
+    }
+
+    const result = await syncPendingMoodEntries(studentId);
+    if (onSynced) onSynced(result);
+  };
+
+  window.addEventListener('online', runSync);
+  runSync();
+
+  return () => window.removeEventListener('online', runSync);
+};
+
+/**
+ * Helper to evaluate a mood entry against recent days and raise an alert if needed
+ * Works offline on whatever history is reachable; the safety screen never waits on the network.
+ * An alert that can't be sent yet is queued with the offline mood entries.
+ */
+const checkMoodRisk = async (studentId, record) => {
+  const { entries: queuedEntries } = await getPendingMoodEntries(studentId);
+  let recentEntries = queuedEntries;
+
+  if (isOnline()) {
+    const { entries } = await getMoodHistory(studentId, 7);
+    recentEntries = [...recentEntries, ...(entries || [])];
+  }
+
+  const risk = evaluateMoodRisk(record, recentEntries);
+
+  if (risk.triggered) {
+    const { notified, queued } = await raiseRiskAlert(studentId, risk, 'mood_entry', record.entry_date);
+    return { ...risk, counselorNotified: notified, alertQueued: queued };
+  }
+
+  return risk;
+};
+
+/**
+ * Helper to recount the streak once a check-in reaches the server
+ */
+const refreshStreak = async (studentId) => {
+  const { error } = await updateStreak(studentId);
+  if (error) {
+    console.error('Error updating streak:', error);
+  }
+};
+
+/**
+ * Helper to build a daily_mood_entries row from form data
+ */
+const buildMoodRecord = (studentId, entryDate, moodData) => ({
+  student_id: studentId,
+  entry_date: entryDate,
+  mood_emoji: moodData.moodEmoji,
+  stress_emoji: moodData.stressEmoji,
+  anxiety_emoji: moodData.anxietyEmoji,
+  sleep_quality_emoji: moodData.sleepQualityEmoji,
+  energy_level_emoji: moodData.energyLevelEmoji,
+  notes: validateNote(moodData.notes),
+  // Left out when the form doesn't send tags, so saving keeps the ones already there
+  ...(moodData.tags !== undefined && { tags: normalizeTags(moodData.tags) }),
+});
+
+/**
+ * Helper to queue a record and try to sync it immediately
+ */
+const saveMoodEntry = async (record) => {
+  let queued = null;
   try {
-    const today = format(new Date(), 'yyyy-MM-dd');
+    queued = await enqueueMoodEntry(record);
+  } catch (queueError) {
+    // No IndexedDB (private mode, old browser): fall back to a direct write
+    console.warn('Offline queue unavailable:', queueError);
+  }
+
+  if (queued && !isOnline()) {
+    return { entry: toPendingEntry(queued), pending: true, error: null };
+  }
+
+  const { entry, error } = await syncQueuedMoodEntry(
+    queued || { ...record, queued_at: new Date().toISOString() }
+  );
+
+  if (error) {
+    if (queued && isNetworkError(error)) {
+      return { entry: toPendingEntry(queued), pending: true, error: null };
+    }
+    throw error;
+  }
+
+  return { entry, pending: false, error: null };
+};
+
+/**
+ * Helper to write one queued record to Supabase, applying the conflict rule
+ */
+const syncQueuedMoodEntry = async (queued) => {
+  try {
+    const { key, queued_at: queuedAt, ...record } = queued;
+
+    const { data: existing, error: existingError } = await supabase
+      .from('daily_mood_entries')
+      .select('*')
+      .eq('student_id', record.student_id)
+      .eq('entry_date', record.entry_date)
+      .single();
+
+    if (existingError && existingError.code !== 'PGRST116') {
+      throw existingError;
+    }
+
+    if (!isQueuedWriteNewer(queued, existing)) {
+      await forgetQueuedMoodEntry(record);
+      return { entry: existing, discarded: true, error: null };
+    }
 
     const { data, error } = await supabase
       .from('daily_mood_entries')
-      .update({
-        mood_emoji: moodData.moodEmoji,
-        stress_emoji: moodData.stressEmoji,
-        anxiety_emoji: moodData.anxietyEmoji,
-        sleep_quality_emoji: moodData.sleepQualityEmoji,
-        energy_level_emoji: moodData.energyLevelEmoji,
-        notes: moodData.notes || null,
-      })
-      .eq('student_id', studentId)
-      .eq('entry_date', today)
+      .upsert(record, { onConflict: 'student_id,entry_date' })
       .select()
       .single();
 
     if (error) throw error;
 
-    return { entry: data, error: null };
+    await forgetQueuedMoodEntry(record);
+
+    return { entry: data, discarded: false, error: null };
   } catch (error) {
-    return { entry: null, error };
+    return { entry: null, discarded: false, error };
   }
 };
 
 /**
- * Get mood entries for current week
+ * Helper to drop a record from the queue, ignoring a missing IndexedDB
  */
-export const getWeeklyMoodData = async (studentId) => {
+const forgetQueuedMoodEntry = async (record) => {
   try {
-    const weekStart = format(startOfWeek(new Date(), { weekStartsOn: 1 }), 'yyyy-MM-dd');
-    const weekEnd = format(endOfWeek(new Date(), { weekStartsOn: 1 }), 'yyyy-MM-dd');
+    await removeQueuedMoodEntry(record.student_id, record.entry_date);
+  } catch (error) {
+    // Nothing was queued if IndexedDB is unavailable
+  }
+};
 
-    const { data, error } = await supabase
+/**
+ * Helper to read a queued entry without failing when IndexedDB is unavailable
+ */
+const safeGetQueuedMoodEntry = async (studentId, entryDate) => {
+  try {
+    return await getQueuedMoodEntry(studentId, entryDate);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Helper to shape a queued record like a server row, flagged as pending
+ */
+const toPendingEntry = (queued) => {
+  const { key, ...entry } = queued;
+  return { ...entry, id: null, pending_sync: true };
+};
+
+/**
+ * Get mood entries for current week
+ */
+export const getWeeklyMoodData = async (studentId) =>
+  getMoodDataForRange(studentId, getWeekRange(await getTodayKey(studentId)));
+
+/**
+ * Get mood entries for a specific month
+ */
+export const getMonthlyMoodData = async (studentId, date = new Date()) => {
+  const { preferences } = await getDatePreferences(studentId);
+  return getMoodDataForRange(studentId, getMonthRange(getDayKey(date, preferences)));
+};
+
+/**
+ * Get mood entries for any range of day keys, with their counts
+ * Read a page at a time, so a range spanning years isn't cut short.
+ */
+export const getMoodDataForRange = async (studentId, { start, end }) => {
+  try {
+    const { rows, error } = await fetchAllRows(() => supabase
       .from('daily_mood_entries')
       .select('*')
       .eq('student_id', studentId)
-      .gte('entry_date', weekStart)
-      .lte('entry_date', weekEnd)
-      .order('entry_date', { ascending: true });
+      .gte('entry_date', start)
+      .lte('entry_date', end)
+      .order('entry_date', { ascending: true }));
 
     if (error) throw error;
 
     // Aggregate mood counts
-    const moodCounts = aggregateMoodCounts(data);
+    const moodCounts = aggregateMoodCounts(rows);
 
-    return { entries: data, moodCounts, error: null };
+    return { entries: rows, moodCounts, error: null };
   } catch (error) {
     return { entries: null, moodCounts: null, error };
   }
 };
 
 /**
- * Get mood entries for a specific month
+ * Get per-week averages and emoji counts for a range
+ * The counting happens in the database (get_mood_week_counts), so a
+ * semester or year comes back as a row per week and emoji, not per entry.
  */
-export const getMonthlyMoodData = async (studentId, date = new Date()) => {
+export const getWeeklyMoodSummary = async (studentId, { start, end }) => {
   try {
-    const monthStart = format(startOfMonth(date), 'yyyy-MM-dd');
-    const monthEnd = format(endOfMonth(date), 'yyyy-MM-dd');
-
-    const { data, error } = await supabase
-      .from('daily_mood_entries')
-      .select('*')
-      .eq('student_id', studentId)
-      .gte('entry_date', monthStart)
-      .lte('entry_date', monthEnd)
-      .order('entry_date', { ascending: true });
+    const { data, error } = await supabase.rpc('get_mood_week_counts', {
+      p_student_id: studentId,
+      p_start: start,
+      p_end: end,
+    });
 
     if (error) throw error;
 
-    // Aggregate mood counts
-    const moodCounts = aggregateMoodCounts(data);
+    const { weeks, counts } = summarizeWeekCounts(data);
 
-    return { entries: data, moodCounts, error: null };
+    return { weeks, moodCounts: counts, error: null };
   } catch (error) {
-    return { entries: null, moodCounts: null, error };
+    return { weeks: null, moodCounts: null, error };
   }
 };
 
 /**
  * Get mood history (last N days)
+ * With `tag`, only days whose journal carries that tag (see api/journal).
  */
-export const getMoodHistory = async (studentId, days = 30) => {
+export const getMoodHistory = async (studentId, days = 30, { tag = null } = {}) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('daily_mood_entries')
       .select('*')
-      .eq('student_id', studentId)
+      .eq('student_id', studentId);
+
+    if (tag) {
+      query = query.contains('tags', [normalizeTag(tag)]);
+    }
+
+    const { data, error } = await query
       .order('entry_date', { ascending: false })
       .limit(days);
 
@@ -165,7 +404,12 @@ export const getMoodHistory = async (studentId, days = 30) => {
  */
 export const getTodayMoodEntry = async (studentId) => {
   try {
-    const today = format(new Date(), 'yyyy-MM-dd');
+    const today = await getTodayKey(studentId);
+
+    const queued = await safeGetQueuedMoodEntry(studentId, today);
+    if (queued) {
+      return { entry: toPendingEntry(queued), error: null };
+    }
 
     const { data, error } = await supabase
       .from('daily_mood_entries')
@@ -245,34 +489,90 @@ const aggregateMoodCounts = (entries) => {
 
 /**
  * Get mood analytics for visualization
+ *
+ * `period` is 'week', 'month', 'semester' or a custom { start, end }. For
+ * ranges up to a season, `chartData` holds each day's numeric scores (see
+ * utils/moodScale) with 7- and 30-day rolling averages as
+ * `<dimension>Avg7` and `<dimension>Avg30`. Longer ranges are charted by
+ * week from database-side counts (`granularity: 'week'`). Week-over-week
+ * change, correlations and insights always look at the last few months.
  */
 export const getMoodAnalytics = async (studentId, period = 'week') => {
   try {
-    let data;
-    if (period === 'week') {
-      const result = await getWeeklyMoodData(studentId);
-      data = result.entries;
-    } else if (period === 'month') {
-      const result = await getMonthlyMoodData(studentId);
-      data = result.entries;
-    } else {
-      throw new Error('Invalid period. Use "week" or "month"');
+    const { preferences } = await getDatePreferences(studentId);
+    const today = getDayKey(new Date(), preferences);
+    const range = getPeriodRange(period, today);
+    const historyStart = addDaysToKey(today, -(insightConfig.historyDays - 1));
+
+    const history = await getMoodDataForRange(studentId, { start: historyStart, end: today });
+    if (history.error) throw history.error;
+
+    const recent = analyzeMoodEntries(history.entries, today);
+    const trends = {
+      weekOverWeek: recent.weekOverWeek,
+      correlations: recent.correlations,
+      insights: recent.insights,
+    };
+
+    if (isLongRange(range)) {
+      const { weeks, moodCounts, error } = await getWeeklyMoodSummary(studentId, range);
+      if (error) throw error;
+
+      return {
+        range,
+        granularity: 'week',
+        chartData: weeks.map(week => ({ date: week.weekStart, entries: week.entries, ...week.averages })),
+        moodCounts,
+        ...trends,
+        error: null,
+      };
     }
 
+    // Start early enough that the first day's longest rolling average is complete
+    const longestWindow = Math.max(...insightConfig.rollingWindows);
+    const { entries: data, error } = await getMoodDataForRange(studentId, {
+      start: addDaysToKey(range.start, -(longestWindow - 1)),
+      end: range.end,
+    });
+
+    if (error) throw error;
+
+    const { series, rollingAverages } = analyzeMoodEntries(data, today);
+    const inPeriod = (date) => date >= range.start && date <= range.end;
+
     // Prepare data for charting
-    const chartData = data.map(entry => ({
-      date: entry.entry_date,
-      mood: entry.mood_emoji,
-      stress: entry.stress_emoji,
-      anxiety: entry.anxiety_emoji,
-      sleep: entry.sleep_quality_emoji,
-      energy: entry.energy_level_emoji,
-    }));
-
-    const moodCounts = aggregateMoodCounts(data);
-
-    return { chartData, moodCounts, error: null };
+    const chartData = series
+      .map((point, index) => {
+        const row = { ...point };
+        MOOD_DIMENSIONS.forEach(dimension => {
+          Object.entries(rollingAverages[dimension]).forEach(([windowDays, values]) => {
+            row[`${dimension}Avg${windowDays}`] = values[index].value;
+          });
+        });
+        return row;
+      })
+      .filter(row => inPeriod(row.date));
+
+    const moodCounts = aggregateMoodCounts(data.filter(entry => inPeriod(entry.entry_date)));
+
+    return {
+      range,
+      granularity: 'day',
+      chartData,
+      moodCounts,
+      ...trends,
+      error: null,
+    };
   } catch (error) {
-    return { chartData: null, moodCounts: null, error };
+    return {
+      range: null,
+      granularity: null,
+      chartData: null,
+      moodCounts: null,
+      weekOverWeek: null,
+      correlations: null,
+      insights: null,
+      error,
+    };
   }
 };
@@ -0,0 +1,66 @@
+// src/api/moodTracker.test.js
+import { supabase } from '../utils/supabase';
+import { enqueueMoodEntry, getQueuedMoodEntries, isOnline } from '../utils/offlineQueue';
+import { getTodayKey } from './preferences';
+import { raiseRiskAlert } from './riskAlerts';
+import { submitMoodEntry } from './moodTracker';
+
+jest.mock('../utils/supabase', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../utils/offlineQueue', () => ({
+  ...jest.requireActual('../utils/offlineQueue'),
+  enqueueMoodEntry: jest.fn(),
+  getQueuedMoodEntries: jest.fn(),
+  isOnline: jest.fn(),
+}));
+jest.mock('./preferences', () => ({ getTodayKey: jest.fn(), getDatePreferences: jest.fn() }));
+jest.mock('./streaks', () => ({ updateStreak: jest.fn() }));
+jest.mock('./riskAlerts', () => ({ raiseRiskAlert: jest.fn(), syncPendingRiskAlerts: jest.fn() }));
+
+const moodData = (notes) => ({
+  moodEmoji: '😢',
+  stressEmoji: '😰',
+  anxietyEmoji: '😰',
+  sleepQualityEmoji: '😴',
+  energyLevelEmoji: '😴',
+  notes,
+});
+
+// Offline with no IndexedDB: the direct write is the only way to save, and it fails
+const mockFailingSave = () => {
+  isOnline.mockReturnValue(false);
+  enqueueMoodEntry.mockRejectedValue(new Error('IndexedDB is not available in this browser'));
+  const query = {
+    select: () => query,
+    eq: () => query,
+    single: async () => ({ data: null, error: new TypeError('Failed to fetch') }),
+  };
+  supabase.from.mockReturnValue(query);
+};
+
+beforeEach(() => {
+  getTodayKey.mockResolvedValue('2026-03-02');
+  getQueuedMoodEntries.mockResolvedValue([]);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('submitMoodEntry', () => {
+  it('still returns the risk result when the check-in cannot be saved', async () => {
+    mockFailingSave();
+    raiseRiskAlert.mockResolvedValue({ alert: null, notified: false, queued: true, error: null });
+
+    const result = await submitMoodEntry('s1', moodData('I want to die'));
+
+    expect(result.error).toBeTruthy();
+    expect(result.risk).toMatchObject({ triggered: true, counselorNotified: false, alertQueued: true });
+    expect(raiseRiskAlert).toHaveBeenCalledWith('s1', expect.objectContaining({ triggered: true }), 'mood_entry', '2026-03-02');
+  });
+
+  it('does not raise an alert when nothing in the check-in triggers one', async () => {
+    mockFailingSave();
+
+    const result = await submitMoodEntry('s1', moodData('Long day but okay'));
+
+    expect(result.risk.triggered).toBe(false);
+    expect(raiseRiskAlert).not.toHaveBeenCalled();
+  });
+});
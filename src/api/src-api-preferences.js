@@ -0,0 +1,130 @@
+// src/api/preferences.js
+import { supabase } from '../utils/supabase';
+import {
+  getBrowserTimeZone,
+  getDayKey,
+  isValidTimeZone,
+  DEFAULT_ROLLOVER_HOUR,
+} from '../utils/dateService';
+
+// Night owls can push the start of their day as late as 6am
+export const MAX_ROLLOVER_HOUR = 6;
+
+const CACHE_PREFIX = 'date-preferences:';
+
+/**
+ * Get a user's timezone and day-rollover hour
+ *
+ * The first time a user has no stored timezone, the browser's is saved so
+ * their days stay put when they travel. Settings are cached on the device,
+ * so offline check-ins still land on the right day.
+ */
+export const getDatePreferences = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('timezone, day_rollover_hour')
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+
+    let timeZone = data.timezone;
+    if (!isValidTimeZone(timeZone)) {
+      timeZone = getBrowserTimeZone();
+      const { error: saveError } = await supabase
+        .from('profiles')
+        .update({ timezone: timeZone })
+        .eq('id', userId);
+
+      if (saveError) {
+        console.warn('Could not save timezone:', saveError);
+      }
+    }
+
+    const preferences = {
+      timeZone,
+      rolloverHour: data.day_rollover_hour ?? DEFAULT_ROLLOVER_HOUR,
+    };
+
+    writeCachedPreferences(userId, preferences);
+    return { preferences, error: null };
+  } catch (error) {
+    return { preferences: readCachedPreferences(userId), error };
+  }
+};
+
+/**
+ * Change a user's timezone and/or day-rollover hour
+ */
+export const updateDatePreferences = async (userId, { timeZone, rolloverHour }) => {
+  try {
+    const updates = {};
+
+    if (timeZone !== undefined) {
+      if (!isValidTimeZone(timeZone)) {
+        throw new Error(`Unknown timezone: ${timeZone}`);
+      }
+      updates.timezone = timeZone;
+    }
+
+    if (rolloverHour !== undefined) {
+      if (!Number.isInteger(rolloverHour) || rolloverHour < 0 || rolloverHour > MAX_ROLLOVER_HOUR) {
+        throw new Error(`Day rollover must be a whole hour between 0 and ${MAX_ROLLOVER_HOUR}`);
+      }
+      updates.day_rollover_hour = rolloverHour;
+    }
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .update(updates)
+      .eq('id', userId)
+      .select('timezone, day_rollover_hour')
+      .single();
+
+    if (error) throw error;
+
+    const preferences = {
+      timeZone: data.timezone,
+      rolloverHour: data.day_rollover_hour ?? DEFAULT_ROLLOVER_HOUR,
+    };
+
+    writeCachedPreferences(userId, preferences);
+    return { preferences, error: null };
+  } catch (error) {
+    return { preferences: null, error };
+  }
+};
+
+/**
+ * The user's current day key ('yyyy-MM-dd' in their timezone and rollover)
+ * Falls back to cached (or browser) settings when the profile can't be read.
+ */
+export const getTodayKey = async (userId, now = new Date()) => {
+  const { preferences } = await getDatePreferences(userId);
+  return getDayKey(now, preferences);
+};
+
+/**
+ * Helper to read settings cached on this device, or browser defaults
+ */
+const readCachedPreferences = (userId) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(`${CACHE_PREFIX}${userId}`));
+    if (cached && isValidTimeZone(cached.timeZone)) return cached;
+  } catch (error) {
+    // Fall through to defaults
+  }
+  return { timeZone: getBrowserTimeZone(), rolloverHour: DEFAULT_ROLLOVER_HOUR };
+};
+
+/**
+ * Helper to cache settings on this device
+ */
+const writeCachedPreferences = (userId, preferences) => {
+  try {
+    localStorage.setItem(`${CACHE_PREFIX}${userId}`, JSON.stringify(preferences));
+  } catch (error) {
+    // Storage full or disabled; the next read just hits the server again
+  }
+};
@@ -0,0 +1,363 @@
+// src/api/reminders.js
+import { supabase } from '../utils/supabase';
+import {
+  buildReminderMessage,
+  createPushStandIn,
+  deliverReminder,
+  getDefaultReminderSettings,
+  getNextReminderAt,
+  isWithinQuietHours,
+} from '../utils/reminders';
+import { registerServiceWorker, isPushSupported, urlBase64ToUint8Array } from '../utils/serviceWorker';
+import { getDayKey, getDayStart, getZonedParts } from '../utils/dateService';
+import { getDatePreferences } from './preferences';
+import { hasTodayMoodEntry } from './moodTracker';
+import { getStreakData, needsStreakMaintenance } from './streaks';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Set REACT_APP_PUSH_TRANSPORT=local to route pushes through the on-device stand-in
+const USE_LOCAL_PUSH = process.env.REACT_APP_PUSH_TRANSPORT === 'local';
+const LOCAL_SUBSCRIPTION = { endpoint: 'local-stand-in' };
+
+/**
+ * Get a student's reminder settings (defaults if they never saved any)
+ */
+export const getReminderSettings = async (studentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('reminder_settings')
+      .select('*')
+      .eq('student_id', studentId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!data) {
+      return {
+        settings: { ...getDefaultReminderSettings(), pushSubscription: null, lastSentOn: null },
+        error: null,
+      };
+    }
+
+    return { settings: toSettings(data), error: null };
+  } catch (error) {
+    return { settings: null, error };
+  }
+};
+
+/**
+ * Save reminder time, quiet hours and whether reminders are on
+ */
+export const saveReminderSettings = async (studentId, { enabled, reminderTime, quietHours }) => {
+  try {
+    [reminderTime, quietHours?.start, quietHours?.end].forEach(time => {
+      if (!TIME_PATTERN.test(time || '')) {
+        throw new Error('Times must be in 24-hour HH:mm format');
+      }
+    });
+
+    const { data, error } = await supabase
+      .from('reminder_settings')
+      .upsert({
+        student_id: studentId,
+        enabled,
+        reminder_time: reminderTime,
+        quiet_start: quietHours.start,
+        quiet_end: quietHours.end,
+      }, { onConflict: 'student_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { settings: toSettings(data), error: null };
+  } catch (error) {
+    return { settings: null, error };
+  }
+};
+
+/**
+ * Ask for notification permission and subscribe this device to Web Push
+ * Returns the channel reminders will use: 'push', or 'in_app' when the
+ * browser can't do push or the student said no.
+ */
+export const enablePushReminders = async (studentId) => {
+  try {
+    if (!isPushSupported()) {
+      return { channel: 'in_app', error: null };
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return { channel: 'in_app', error: null };
+    }
+
+    const registration = await registerServiceWorker();
+    if (!registration) {
+      return { channel: 'in_app', error: null };
+    }
+
+    let subscription = LOCAL_SUBSCRIPTION;
+    if (!USE_LOCAL_PUSH) {
+      const vapidKey = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+      if (!vapidKey) {
+        throw new Error('Push reminders are not configured (missing VAPID key)');
+      }
+
+      const pushSubscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(vapidKey),
+      });
+      subscription = pushSubscription.toJSON();
+    }
+
+    const { error } = await supabase
+      .from('reminder_settings')
+      .upsert({ student_id: studentId, push_subscription: subscription }, { onConflict: 'student_id' });
+
+    if (error) throw error;
+
+    return { channel: 'push', error: null };
+  } catch (error) {
+    return { channel: 'in_app', error };
+  }
+};
+
+/**
+ * Stop push reminders on this device; in-app reminders keep working
+ */
+export const disablePushReminders = async (studentId) => {
+  try {
+    const registration = await registerServiceWorker();
+    const subscription = await registration?.pushManager?.getSubscription();
+    if (subscription) {
+      await subscription.unsubscribe();
+    }
+
+    const { error } = await supabase
+      .from('reminder_settings')
+      .update({ push_subscription: null })
+      .eq('student_id', studentId);
+
+    if (error) throw error;
+
+    return { error: null };
+  } catch (error) {
+    return { error };
+  }
+};
+
+/**
+ * Build today's reminder for a student, or null if they've already checked in
+ * The wording depends on their streak and whether it is at risk today.
+ */
+export const getTodayReminder = async (studentId) => {
+  try {
+    const [today, maintenance, streak, checkIns, dateSettings] = await Promise.all([
+      hasTodayMoodEntry(studentId),
+      needsStreakMaintenance(studentId),
+      getStreakData(studentId),
+      supabase
+        .from('daily_mood_entries')
+        .select('id', { count: 'exact', head: true })
+        .eq('student_id', studentId),
+      getDatePreferences(studentId),
+    ]);
+
+    if (today.error) throw today.error;
+    if (maintenance.error) throw maintenance.error;
+    if (streak.error) throw streak.error;
+    if (checkIns.error) throw checkIns.error;
+
+    const message = buildReminderMessage({
+      hasTodayEntry: today.hasEntry,
+      needsMaintenance: maintenance.needsMaintenance,
+      currentStreak: streak.streakData.current_streak,
+      freezesAvailable: streak.streakData.freezes_available || 0,
+      totalCheckIns: checkIns.count || 0,
+      dayKey: getDayKey(new Date(), dateSettings.preferences),
+    });
+
+    return { message, error: null };
+  } catch (error) {
+    return { message: null, error };
+  }
+};
+
+/**
+ * The transport push reminders go out through
+ * The real one asks the `send-push` edge function (which holds the VAPID
+ * private key) to deliver; the local stand-in shows the notification through
+ * this device's service worker instead.
+ */
+export const getPushTransport = async () => {
+  if (USE_LOCAL_PUSH) {
+    return createPushStandIn(await registerServiceWorker());
+  }
+
+  return {
+    send: async (subscription, payload) => {
+      const { error } = await supabase.functions.invoke('send-push', {
+        body: { subscription, payload },
+      });
+      if (error) throw error;
+    },
+  };
+};
+
+/**
+ * Send today's reminder to one student if it is due
+ *
+ * Skipped when reminders are off, during quiet hours, once today's reminder
+ * has gone out, or when the student already checked in. Students without a
+ * push subscription, or whose push fails, get it through `onInApp` instead.
+ * Push reminders for students who aren't in the app are sent by the
+ * process-reminders edge function.
+ */
+export const sendReminder = async (studentId, { transport = null, onInApp = null, now = new Date() } = {}) => {
+  try {
+    const { settings, error: settingsError } = await getReminderSettings(studentId);
+    if (settingsError) throw settingsError;
+
+    if (!settings.enabled) {
+      return { sent: false, reason: 'disabled', error: null };
+    }
+
+    const { preferences } = await getDatePreferences(studentId);
+    if (!isReminderDue(settings, preferences, now)) {
+      return { sent: false, reason: 'not_due', error: null };
+    }
+
+    const { message, error: messageError } = await getTodayReminder(studentId);
+    if (messageError) throw messageError;
+
+    if (!message) {
+      return { sent: false, reason: 'checked_in', error: null };
+    }
+
+    const { delivered, channel } = await deliverReminder(message, {
+      subscription: settings.pushSubscription,
+      transport: transport || (settings.pushSubscription ? await getPushTransport() : null),
+      onInApp,
+    });
+
+    if (delivered) {
+      const { error } = await supabase
+        .from('reminder_settings')
+        .upsert({
+          student_id: studentId,
+          last_sent_on: getDayKey(now, preferences),
+        }, { onConflict: 'student_id' });
+
+      if (error) throw error;
+    }
+
+    return { sent: delivered, channel, message, error: null };
+  } catch (error) {
+    return { sent: false, error };
+  }
+};
+
+/**
+ * Send a reminder right now so the student can see what one looks like
+ * Doesn't count as today's reminder. Uses today's wording, or the generic
+ * nudge once today's check-in is done.
+ */
+export const sendTestReminder = async (studentId, onInApp) => {
+  try {
+    const [{ settings, error: settingsError }, { message, error: messageError }] = await Promise.all([
+      getReminderSettings(studentId),
+      getTodayReminder(studentId),
+    ]);
+
+    if (settingsError) throw settingsError;
+    if (messageError) throw messageError;
+
+    const testMessage = message || buildReminderMessage({
+      hasTodayEntry: false,
+      needsMaintenance: false,
+      totalCheckIns: 1,
+      dayKey: 'test',
+    });
+
+    const { channel } = await deliverReminder(testMessage, {
+      subscription: settings.pushSubscription,
+      transport: settings.pushSubscription ? await getPushTransport() : null,
+      onInApp,
+    });
+
+    return { channel, error: null };
+  } catch (error) {
+    return { channel: null, error };
+  }
+};
+
+/**
+ * Deliver reminders while the app is open
+ * Catches up on a reminder that came due while the app was closed, then
+ * waits for the next one. Returns a function that stops the timer.
+ */
+export const startReminderScheduler = (studentId, onInApp) => {
+  let timer = null;
+  let stopped = false;
+
+  const schedule = async () => {
+    await sendReminder(studentId, { onInApp });
+    if (stopped) return;
+
+    const { settings } = await getReminderSettings(studentId);
+    if (!settings?.enabled || stopped) return;
+
+    const { preferences } = await getDatePreferences(studentId);
+    const now = new Date();
+    const nextAt = getNextReminderAt(settings, preferences, now, settings.lastSentOn);
+
+    timer = setTimeout(schedule, Math.max(nextAt - now, 1000));
+  };
+
+  schedule();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * Helper to check whether today's reminder time has passed and it hasn't gone out
+ */
+const isReminderDue = (settings, preferences, now) => {
+  const today = getDayKey(now, preferences);
+  if (settings.lastSentOn === today) return false;
+
+  const { hour, minute } = getZonedParts(now, preferences.timeZone);
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  if (isWithinQuietHours(time, settings.quietHours)) return false;
+
+  // Today's slot, found by asking for the next reminder from the start of the day
+  const dayStart = getDayStart(today, preferences);
+  const slot = getNextReminderAt(settings, preferences, new Date(dayStart - 1), settings.lastSentOn);
+
+  return now >= slot;
+};
+
+/**
+ * Helper to map a reminder_settings row to the settings shape
+ */
+const toSettings = (row) => {
+  const defaults = getDefaultReminderSettings();
+
+  return {
+    enabled: row.enabled ?? defaults.enabled,
+    reminderTime: row.reminder_time || defaults.reminderTime,
+    quietHours: {
+      start: row.quiet_start || defaults.quietHours.start,
+      end: row.quiet_end || defaults.quietHours.end,
+    },
+    pushSubscription: row.push_subscription || null,
+    lastSentOn: row.last_sent_on || null,
+  };
+};
@@ -0,0 +1,104 @@
+// src/api/resources.js
+import { supabase } from '../utils/supabase';
+import { addDaysToKey } from '../utils/dateService';
+import {
+  getBookmarkedResources,
+  getCategorySeverity,
+  getMoodSignals,
+  getResource,
+  rankResources,
+} from '../utils/resources';
+import resourceConfig from '../config/resources.json';
+import { getAssessmentSessions } from './assessment';
+import { getMoodDataForRange } from './moodTracker';
+import { getTodayKey } from './preferences';
+
+const RESOURCE_STATUSES = ['bookmarked', 'dismissed'];
+
+/**
+ * Recommended resources for a student, plus the ones they have bookmarked
+ *
+ * Ranked against every assessment session (latest per instrument) and the
+ * last couple of weeks of check-ins, so a retake changes the list as soon as
+ * its summary is saved. `basedOn` is the newest session used.
+ */
+export const getRecommendedResources = async (studentId) => {
+  try {
+    const today = await getTodayKey(studentId);
+    const [sessionsResult, moodResult, interactionsResult] = await Promise.all([
+      getAssessmentSessions(studentId),
+      getMoodDataForRange(studentId, {
+        start: addDaysToKey(today, -(resourceConfig.mood.windowDays - 1)),
+        end: today,
+      }),
+      supabase
+        .from('resource_interactions')
+        .select('resource_id, status')
+        .eq('student_id', studentId),
+    ]);
+
+    if (sessionsResult.error) throw sessionsResult.error;
+    if (moodResult.error) throw moodResult.error;
+    if (interactionsResult.error) throw interactionsResult.error;
+
+    const sessions = sessionsResult.sessions;
+    const interactions = interactionsResult.data;
+
+    return {
+      recommendations: rankResources({
+        severity: getCategorySeverity(sessions),
+        moodSignals: getMoodSignals(moodResult.entries),
+        interactions,
+      }),
+      bookmarks: getBookmarkedResources(interactions),
+      basedOn: sessions.length > 0 ? sessions[sessions.length - 1].assessment_session_id : null,
+      error: null,
+    };
+  } catch (error) {
+    return { recommendations: [], bookmarks: [], basedOn: null, error };
+  }
+};
+
+/**
+ * Bookmark or dismiss a resource, or clear either with `status` null
+ */
+export const setResourceStatus = async (studentId, resourceId, status) => {
+  try {
+    if (!getResource(resourceId)) {
+      throw new Error(`Unknown resource "${resourceId}"`);
+    }
+
+    if (status === null) {
+      const { error } = await supabase
+        .from('resource_interactions')
+        .delete()
+        .eq('student_id', studentId)
+        .eq('resource_id', resourceId);
+
+      if (error) throw error;
+
+      return { interaction: null, error: null };
+    }
+
+    if (!RESOURCE_STATUSES.includes(status)) {
+      throw new Error(`Invalid resource status "${status}"`);
+    }
+
+    const { data, error } = await supabase
+      .from('resource_interactions')
+      .upsert({
+        student_id: studentId,
+        resource_id: resourceId,
+        status,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'student_id,resource_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { interaction: data, error: null };
+  } catch (error) {
+    return { interaction: null, error };
+  }
+};
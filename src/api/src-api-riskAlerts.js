@@ -0,0 +1,253 @@
+// src/api/riskAlerts.js
+import { supabase } from '../utils/supabase';
+import {
+  enqueueRiskAlert,
+  getQueuedRiskAlerts,
+  removeQueuedRiskAlert,
+  isOnline,
+  isNetworkError,
+} from '../utils/offlineQueue';
+import { getAssignedStudentIds } from './assignments';
+
+// Alerts come back with the student's name and email for the dashboard
+const ALERT_COLUMNS = `
+  *,
+  profiles:student_id (
+    full_name,
+    email
+  )
+`;
+
+/**
+ * Create a risk alert for counselors, with an audit entry
+ * `source` is 'assessment', 'mood_entry' or 'coping_activity'; `sourceRef` is the
+ * session id, entry date or activity log id.
+ *
+ * The `raise_risk_alert` database function writes the alert and its audit
+ * event in one transaction, for the signed-in student. Alerts are unique per
+ * student, source and source ref, so calling this again for the same entry
+ * (a re-save, or a queued alert whose first attempt did arrive) updates that
+ * alert rather than raising another.
+ */
+export const createRiskAlert = async (studentId, evaluation, source, sourceRef) => {
+  try {
+    const { data: alert, error } = await supabase
+      .rpc('raise_risk_alert', {
+        p_source: source,
+        p_source_ref: sourceRef,
+        p_risk_level: evaluation.level,
+        p_reasons: evaluation.reasons,
+        p_rules_version: evaluation.rulesVersion,
+      })
+      .single();
+
+    if (error) throw error;
+
+    return { alert, error: null };
+  } catch (error) {
+    return { alert: null, error };
+  }
+};
+
+/**
+ * Raise a risk alert for a triggered evaluation, queueing it on this device
+ * when it can't be created now
+ *
+ * Never throws: `notified` is true only when counselors can already see the
+ * alert, and `queued` when it will be sent by syncPendingRiskAlerts.
+ */
+export const raiseRiskAlert = async (studentId, evaluation, source, sourceRef) => {
+  if (isOnline()) {
+    const { alert, error } = await createRiskAlert(studentId, evaluation, source, sourceRef);
+    if (!error) {
+      return { alert, notified: true, queued: false, error: null };
+    }
+    console.error('Error creating risk alert:', error);
+  }
+
+  try {
+    await enqueueRiskAlert({
+      student_id: studentId,
+      source,
+      source_ref: sourceRef,
+      level: evaluation.level,
+      reasons: evaluation.reasons,
+      rulesVersion: evaluation.rulesVersion,
+    });
+    return { alert: null, notified: false, queued: true, error: null };
+  } catch (error) {
+    console.error('Error queueing risk alert:', error);
+    return { alert: null, notified: false, queued: false, error };
+  }
+};
+
+/**
+ * Send risk alerts queued on this device
+ * An alert the server rejects stays queued and is reported in `failed`; the
+ * rest of the queue is still sent.
+ */
+export const syncPendingRiskAlerts = async (studentId) => {
+  try {
+    const queued = await getQueuedRiskAlerts(studentId);
+    const sent = [];
+    const failed = [];
+    let pending = 0;
+
+    for (const record of queued) {
+      if (!isOnline()) {
+        pending++;
+        continue;
+      }
+
+      const { level, reasons, rulesVersion } = record;
+      const { alert, error } = await createRiskAlert(
+        record.student_id,
+        { level, reasons, rulesVersion },
+        record.source,
+        record.source_ref
+      );
+
+      if (error) {
+        if (isNetworkError(error)) {
+          pending++;
+        } else {
+          failed.push({ alert: record, error });
+        }
+        continue;
+      }
+
+      await removeQueuedRiskAlert(record.key);
+      sent.push(alert);
+    }
+
+    return { sent, failed, pending, error: null };
+  } catch (error) {
+    return { sent: [], failed: [], pending: 0, error };
+  }
+};
+
+/**
+ * Get risk alerts for a counselor's assigned students (open ones by default), highest risk first
+ *
+ * Alerts from students with no counselor yet form a shared queue every counselor
+ * sees; they come back flagged `unassigned` until someone takes the student on.
+ */
+export const getRiskAlerts = async (counselorId, { status = 'open' } = {}) => {
+  try {
+    const { studentIds, error: assignedError } = await getAssignedStudentIds(counselorId);
+    if (assignedError) throw assignedError;
+
+    let assigned = [];
+    if (studentIds.length > 0) {
+      let query = supabase
+        .from('risk_alerts')
+        .select(ALERT_COLUMNS)
+        .in('student_id', studentIds);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      assigned = data;
+    }
+
+    const { data: unassigned, error: unassignedError } = await supabase
+      .rpc('get_unassigned_risk_alerts', { p_status: status || null })
+      .select(ALERT_COLUMNS);
+
+    if (unassignedError) throw unassignedError;
+
+    // risk_level is text, so rank it here rather than in the query
+    const alerts = [
+      ...assigned.map(alert => ({ ...alert, unassigned: false })),
+      ...unassigned.map(alert => ({ ...alert, unassigned: true })),
+    ].sort(
+      (a, b) => riskRank(b.risk_level) - riskRank(a.risk_level)
+        || new Date(b.created_at) - new Date(a.created_at)
+    );
+
+    return { alerts, error: null };
+  } catch (error) {
+    return { alerts: null, error };
+  }
+};
+
+/**
+ * Acknowledge an alert (counselor has seen it and is following up)
+ */
+export const acknowledgeRiskAlert = async (alertId, counselorId, note = null) =>
+  updateAlertStatus(alertId, 'acknowledged', counselorId, note);
+
+/**
+ * Resolve an alert once follow-up is complete
+ */
+export const resolveRiskAlert = async (alertId, counselorId, note = null) =>
+  updateAlertStatus(alertId, 'resolved', counselorId, note);
+
+/**
+ * Get the audit trail for an alert, oldest first
+ */
+export const getRiskAlertAuditTrail = async (alertId) => {
+  try {
+    const { data, error } = await supabase
+      .from('risk_alert_events')
+      .select('*')
+      .eq('alert_id', alertId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { events: data, error: null };
+  } catch (error) {
+    return { events: null, error };
+  }
+};
+
+/**
+ * Helper to change alert status and record who did it
+ */
+const updateAlertStatus = async (alertId, status, actorId, note) => {
+  try {
+    const { data, error } = await supabase
+      .from('risk_alerts')
+      .update({
+        status,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', alertId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: auditError } = await recordAlertEvent(alertId, status, actorId, note);
+    if (auditError) throw auditError;
+
+    return { alert: data, error: null };
+  } catch (error) {
+    return { alert: null, error };
+  }
+};
+
+/**
+ * Helper to append to the alert audit trail
+ */
+const recordAlertEvent = async (alertId, action, actorId, note) => {
+  const { error } = await supabase
+    .from('risk_alert_events')
+    .insert({
+      alert_id: alertId,
+      action,
+      actor_id: actorId,
+      note,
+    });
+
+  return { error };
+};
+
+/**
+ * Helper to order risk levels
+ */
+const riskRank = (level) => ({ high: 2, elevated: 1 }[level] || 0);
@@ -0,0 +1,180 @@
+// src/api/riskAlerts.test.js
+import { supabase } from '../utils/supabase';
+import {
+  enqueueRiskAlert,
+  getQueuedRiskAlerts,
+  removeQueuedRiskAlert,
+  isOnline,
+} from '../utils/offlineQueue';
+import { getAssignedStudentIds } from './assignments';
+import { getRiskAlerts, raiseRiskAlert, syncPendingRiskAlerts } from './riskAlerts';
+
+jest.mock('../utils/supabase', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+jest.mock('./assignments', () => ({ getAssignedStudentIds: jest.fn() }));
+jest.mock('../utils/offlineQueue', () => ({
+  ...jest.requireActual('../utils/offlineQueue'),
+  enqueueRiskAlert: jest.fn(),
+  getQueuedRiskAlerts: jest.fn(),
+  removeQueuedRiskAlert: jest.fn(),
+  isOnline: jest.fn(),
+}));
+
+const evaluation = {
+  triggered: true,
+  level: 'high',
+  reasons: [{ code: 'crisis_language' }],
+  rulesVersion: 1,
+};
+
+const networkError = new TypeError('Failed to fetch');
+
+// raise_risk_alert answers with the next result in line
+const mockAlertInserts = (...results) => {
+  const pending = [...results];
+  supabase.rpc.mockImplementation(() => ({ single: async () => pending.shift() }));
+};
+
+beforeEach(() => {
+  isOnline.mockReturnValue(true);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('raiseRiskAlert', () => {
+  it('reports counselors notified once the alert is created', async () => {
+    mockAlertInserts({ data: { id: 'a1' }, error: null });
+
+    const result = await raiseRiskAlert('s1', evaluation, 'mood_entry', '2026-03-02');
+
+    expect(result).toEqual({ alert: { id: 'a1' }, notified: true, queued: false, error: null });
+    expect(enqueueRiskAlert).not.toHaveBeenCalled();
+  });
+
+  it('writes the alert and its audit event in one database call', async () => {
+    mockAlertInserts({ data: { id: 'a1' }, error: null });
+
+    await raiseRiskAlert('s1', evaluation, 'mood_entry', '2026-03-02');
+
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('raise_risk_alert', {
+      p_source: 'mood_entry',
+      p_source_ref: '2026-03-02',
+      p_risk_level: 'high',
+      p_reasons: evaluation.reasons,
+      p_rules_version: 1,
+    });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('queues the alert when it cannot be created', async () => {
+    mockAlertInserts({ data: null, error: networkError });
+
+    const result = await raiseRiskAlert('s1', evaluation, 'mood_entry', '2026-03-02');
+
+    expect(result).toMatchObject({ notified: false, queued: true, error: null });
+    expect(enqueueRiskAlert).toHaveBeenCalledWith({
+      student_id: 's1',
+      source: 'mood_entry',
+      source_ref: '2026-03-02',
+      level: 'high',
+      reasons: evaluation.reasons,
+      rulesVersion: 1,
+    });
+  });
+
+  it('queues without trying the network while offline', async () => {
+    isOnline.mockReturnValue(false);
+
+    const result = await raiseRiskAlert('s1', evaluation, 'mood_entry', '2026-03-02');
+
+    expect(result.queued).toBe(true);
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('reports neither notified nor queued when the device cannot queue it', async () => {
+    isOnline.mockReturnValue(false);
+    enqueueRiskAlert.mockRejectedValue(new Error('IndexedDB is not available in this browser'));
+
+    const result = await raiseRiskAlert('s1', evaluation, 'mood_entry', '2026-03-02');
+
+    expect(result).toMatchObject({ notified: false, queued: false });
+    expect(result.error).toBeTruthy();
+  });
+});
+
+describe('syncPendingRiskAlerts', () => {
+  const queued = (key) => ({
+    key,
+    student_id: 's1',
+    source: 'mood_entry',
+    source_ref: key,
+    level: 'high',
+    reasons: [],
+    rulesVersion: 1,
+  });
+
+  it('sends the rest of the queue when the server rejects one alert', async () => {
+    getQueuedRiskAlerts.mockResolvedValue([queued('first'), queued('second')]);
+    mockAlertInserts(
+      { data: null, error: { code: '42501', message: 'permission denied' } },
+      { data: { id: 'a2' }, error: null }
+    );
+
+    const result = await syncPendingRiskAlerts('s1');
+
+    expect(result.sent).toEqual([{ id: 'a2' }]);
+    expect(result.failed.map(({ alert }) => alert.key)).toEqual(['first']);
+    expect(removeQueuedRiskAlert).toHaveBeenCalledTimes(1);
+    expect(removeQueuedRiskAlert).toHaveBeenCalledWith('second');
+  });
+
+  it('keeps alerts queued while the connection is down', async () => {
+    getQueuedRiskAlerts.mockResolvedValue([queued('first')]);
+    mockAlertInserts({ data: null, error: networkError });
+
+    const result = await syncPendingRiskAlerts('s1');
+
+    expect(result).toMatchObject({ sent: [], failed: [], pending: 1, error: null });
+    expect(removeQueuedRiskAlert).not.toHaveBeenCalled();
+  });
+});
+
+describe('getRiskAlerts', () => {
+  const alert = (id, studentId, riskLevel, createdAt) => ({
+    id,
+    student_id: studentId,
+    risk_level: riskLevel,
+    created_at: createdAt,
+  });
+
+  // Both queries end in a select/filter chain that resolves to `data`
+  const resolving = (data) => {
+    const query = {
+      select: () => query,
+      in: () => query,
+      eq: () => query,
+      then: (resolve) => resolve({ data, error: null }),
+    };
+    return query;
+  };
+
+  it('adds the shared queue of alerts from students with no counselor', async () => {
+    getAssignedStudentIds.mockResolvedValue({ studentIds: ['s1'], error: null });
+    supabase.from.mockReturnValue(resolving([alert('a1', 's1', 'elevated', '2026-03-02T10:00:00Z')]));
+    supabase.rpc.mockReturnValue(resolving([alert('a2', 's9', 'high', '2026-03-01T10:00:00Z')]));
+
+    const { alerts } = await getRiskAlerts('c1');
+
+    expect(alerts.map(a => [a.id, a.unassigned])).toEqual([['a2', true], ['a1', false]]);
+    expect(supabase.rpc).toHaveBeenCalledWith('get_unassigned_risk_alerts', { p_status: 'open' });
+  });
+
+  it('still shows the shared queue to a counselor with no students', async () => {
+    getAssignedStudentIds.mockResolvedValue({ studentIds: [], error: null });
+    supabase.rpc.mockReturnValue(resolving([alert('a2', 's9', 'high', '2026-03-01T10:00:00Z')]));
+
+    const { alerts } = await getRiskAlerts('c1');
+
+    expect(alerts.map(a => a.id)).toEqual(['a2']);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
@@ -1,13 +1,17 @@
 // src/api/streaks.js
 import { supabase } from '../utils/supabase';
-import { format, differenceInDays, subDays } from 'date-fns';
+import { addDaysToKey } from '../utils/dateService';
+import { getStreakPolicy, getActiveDays, calculateStreak } from '../utils/streakPolicy';
+import { getTodayKey } from './preferences';
+import { evaluateAchievements } from './achievements';
+import achievementConfig from '../config/achievements.json';
 
 /**
  * Record daily login
  */
 export const recordLogin = async (studentId) => {
   try {
-    const today = format(new Date(), 'yyyy-MM-dd');
+    const today = await getTodayKey(studentId);
 
     // 1. Insert login record (will be ignored if already exists due to UNIQUE constraint)
     const { error: loginError } = await supabase
@@ -36,79 +40,104 @@ export const recordLogin = async (studentId) => {
 
 /**
  * Update streak calculation
+ *
+ * Which days count (logins, mood check-ins or either) comes from the streak
+ * policy. Missed days are bridged with grace days or banked freezes, and
+ * each streak milestone from getStreakAchievements earns more freezes.
  */
 export const updateStreak = async (studentId) => {
   try {
-    // Get all login dates for student
-    const { data: logins, error: loginsError } = await supabase
-      .from('login_history')
-      .select('login_date')
-      .eq('student_id', studentId)
-      .order('login_date', { ascending: false });
-
-    if (loginsError) throw loginsError;
-
-    if (!logins || logins.length === 0) {
+    const policy = getStreakPolicy();
+
+    const [logins, checkIns, tracking] = await Promise.all([
+      supabase
+        .from('login_history')
+        .select('login_date')
+        .eq('student_id', studentId),
+      supabase
+        .from('daily_mood_entries')
+        .select('entry_date')
+        .eq('student_id', studentId),
+      supabase
+        .from('streak_tracking')
+        .select('*')
+        .eq('student_id', studentId)
+        .single(),
+    ]);
+
+    if (logins.error) throw logins.error;
+    if (checkIns.error) throw checkIns.error;
+    if (tracking.error && tracking.error.code !== 'PGRST116') throw tracking.error;
+
+    const loginDates = logins.data.map(l => l.login_date).sort();
+    const activeDays = getActiveDays({
+      loginDates,
+      checkInDates: checkIns.data.map(e => e.entry_date),
+    }, policy);
+
+    if (activeDays.length === 0) {
       return { error: null };
     }
 
-    const today = format(new Date(), 'yyyy-MM-dd');
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let tempStreak = 0;
-
-    // Calculate current streak
-    const sortedDates = logins.map(l => l.login_date).sort((a, b) => new Date(b) - new Date(a));
-    
-    // Check if logged in today or yesterday
-    const mostRecentLogin = sortedDates[0];
-    const daysSinceLastLogin = differenceInDays(new Date(today), new Date(mostRecentLogin));
-
-    if (daysSinceLastLogin <= 1) {
-      currentStreak = 1;
-      
-      for (let i = 1; i < sortedDates.length; i++) {
-        const daysDiff = differenceInDays(new Date(sortedDates[i - 1]), new Date(sortedDates[i]));
-        
-        if (daysDiff === 1) {
-          currentStreak++;
-        } else {
-          break;
-        }
-      }
-    }
+    const existing = tracking.data || {};
+    const today = await getTodayKey(studentId);
+
+    const streak = calculateStreak({
+      activeDays,
+      today,
+      coveredDays: existing.covered_days || [],
+      freezesAvailable: existing.freezes_available || 0,
+    }, policy);
 
-    // Calculate longest streak
-    tempStreak = 1;
-    longestStreak = 1;
-
-    for (let i = 1; i < sortedDates.length; i++) {
-      const daysDiff = differenceInDays(new Date(sortedDates[i - 1]), new Date(sortedDates[i]));
-      
-      if (daysDiff === 1) {
-        tempStreak++;
-        longestStreak = Math.max(longestStreak, tempStreak);
-      } else {
-        tempStreak = 1;
-      }
+    // Milestones only earn freezes once per streak; a broken streak starts over
+    let lastFreezeMilestone = existing.last_freeze_milestone || 0;
+    if (streak.currentStreak < lastFreezeMilestone) {
+      lastFreezeMilestone = 0;
     }
 
-    longestStreak = Math.max(longestStreak, currentStreak);
+    const newMilestones = getStreakAchievements(streak.currentStreak, streak.longestStreak).current
+      .map(achievement => achievement.milestone)
+      .filter(milestone => milestone > lastFreezeMilestone);
+
+    let freezesAvailable = streak.freezesAvailable;
+    if (newMilestones.length > 0) {
+      freezesAvailable = Math.min(
+        policy.freezes.maxBanked,
+        freezesAvailable + newMilestones.length * policy.freezes.perMilestone
+      );
+      lastFreezeMilestone = Math.max(...newMilestones);
+    }
 
     // Update or insert streak tracking
     const { error: streakError } = await supabase
       .from('streak_tracking')
       .upsert({
         student_id: studentId,
-        current_streak: currentStreak,
-        longest_streak: longestStreak,
-        last_login_date: today,
-        total_login_days: logins.length,
+        current_streak: streak.currentStreak,
+        longest_streak: Math.max(streak.longestStreak, existing.longest_streak || 0),
+        last_login_date: loginDates[loginDates.length - 1] || null,
+        last_active_date: activeDays[activeDays.length - 1],
+        total_login_days: loginDates.length,
+        freezes_available: freezesAvailable,
+        last_freeze_milestone: lastFreezeMilestone,
+        covered_days: streak.coveredDays,
+        grace_days_left: streak.graceDaysLeft,
       });
 
     if (streakError) throw streakError;
 
-    return { error: null };
+    // Streak and check-in badges depend on the counts just saved
+    const { earned, error: achievementError } = await evaluateAchievements(studentId);
+    if (achievementError) {
+      console.error('Error evaluating achievements:', achievementError);
+    }
+
+    return {
+      newlyCovered: streak.newlyCovered,
+      freezesEarned: newMilestones.length > 0,
+      achievementsEarned: earned || [],
+      error: null,
+    };
   } catch (error) {
     return { error };
   }
@@ -164,7 +193,7 @@ export const getStreakData = async (studentId) => {
  */
 export const getLoginCalendar = async (studentId, days = 90) => {
   try {
-    const startDate = format(subDays(new Date(), days), 'yyyy-MM-dd');
+    const startDate = addDaysToKey(await getTodayKey(studentId), -days);
 
     const { data, error } = await supabase
       .from('login_history')
@@ -202,6 +231,10 @@ export const getStreakStats = async (studentId) => {
       totalLoginDays: streakData.total_login_days,
       lastLoginDate: streakData.last_login_date,
       loginDates: loginDates,
+      countsBy: getStreakPolicy().countsBy,
+      freezesAvailable: streakData.freezes_available || 0,
+      graceDaysLeft: streakData.grace_days_left ?? getStreakPolicy().graceDays.allowance,
+      coveredDays: streakData.covered_days || [],
     };
 
     return { stats, error: null };
@@ -211,30 +244,36 @@ export const getStreakStats = async (studentId) => {
 };
 
 /**
- * Check if user needs to maintain streak (logged in yesterday but not today)
+ * Check if user needs to maintain streak (active yesterday but not yet today)
  */
 export const needsStreakMaintenance = async (studentId) => {
   try {
-    const today = format(new Date(), 'yyyy-MM-dd');
-    const yesterday = format(subDays(new Date(), 1), 'yyyy-MM-dd');
-
-    // Check if logged in today
-    const { data: todayLogin } = await supabase
-      .from('login_history')
-      .select('login_date')
-      .eq('student_id', studentId)
-      .eq('login_date', today)
-      .single();
-
-    // Check if logged in yesterday
-    const { data: yesterdayLogin } = await supabase
-      .from('login_history')
-      .select('login_date')
-      .eq('student_id', studentId)
-      .eq('login_date', yesterday)
-      .single();
-
-    const needsMaintenance = !!yesterdayLogin && !todayLogin;
+    const today = await getTodayKey(studentId);
+    const yesterday = addDaysToKey(today, -1);
+
+    // Check for streak activity (per the streak policy) today and yesterday
+    const [logins, checkIns] = await Promise.all([
+      supabase
+        .from('login_history')
+        .select('login_date')
+        .eq('student_id', studentId)
+        .in('login_date', [yesterday, today]),
+      supabase
+        .from('daily_mood_entries')
+        .select('entry_date')
+        .eq('student_id', studentId)
+        .in('entry_date', [yesterday, today]),
+    ]);
+
+    if (logins.error) throw logins.error;
+    if (checkIns.error) throw checkIns.error;
+
+    const activeDays = getActiveDays({
+      loginDates: logins.data.map(l => l.login_date),
+      checkInDates: checkIns.data.map(e => e.entry_date),
+    }, getStreakPolicy());
+
+    const needsMaintenance = activeDays.includes(yesterday) && !activeDays.includes(today);
 
     return { needsMaintenance, error: null };
   } catch (error) {
@@ -244,52 +283,38 @@ export const needsStreakMaintenance = async (studentId) => {
 
 /**
  * Get streak achievements (milestones)
+ * Milestones and titles come from the streak badges in achievements.json.
  */
 export const getStreakAchievements = (currentStreak, longestStreak) => {
-  const milestones = [7, 14, 30, 60, 90, 180, 365];
-  
+  const streakBadges = achievementConfig.achievements
+    .filter(badge => badge.type === 'streak')
+    .sort((a, b) => a.threshold - b.threshold);
+
   const achievements = {
     current: [],
     upcoming: null,
   };
 
   // Current achievements
-  milestones.forEach(milestone => {
-    if (currentStreak >= milestone) {
+  streakBadges.forEach(badge => {
+    if (currentStreak >= badge.threshold) {
       achievements.current.push({
-        milestone,
-        title: getAchievementTitle(milestone),
+        milestone: badge.threshold,
+        title: `${badge.icon} ${badge.title}`,
         achieved: true,
       });
     }
   });
 
   // Upcoming achievement
-  const nextMilestone = milestones.find(m => m > currentStreak);
-  if (nextMilestone) {
+  const next = streakBadges.find(badge => badge.threshold > currentStreak);
+  if (next) {
     achievements.upcoming = {
-      milestone: nextMilestone,
-      title: getAchievementTitle(nextMilestone),
-      daysRemaining: nextMilestone - currentStreak,
+      milestone: next.threshold,
+      title: `${next.icon} ${next.title}`,
+      daysRemaining: next.threshold - currentStreak,
     };
   }
 
   return achievements;
 };
-
-/**
- * Helper to get achievement title
- */
-const getAchievementTitle = (days) => {
-  const titles = {
-    7: '🔥 Week Warrior',
-    14: '⚡ Two-Week Thunder',
-    30: '🌟 Month Master',
-    60: '💪 60-Day Champion',
-    90: '🏆 Quarter Conqueror',
-    180: '👑 Half-Year Hero',
-    365: '🎖️ Year-Long Legend',
-  };
-
-  return titles[days] || `${days}-Day Streak`;
-};
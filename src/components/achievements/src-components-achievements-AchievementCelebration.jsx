@@ -0,0 +1,45 @@
+// src/components/achievements/AchievementCelebration.jsx
+import React from 'react';
+
+// Shown once for badges earned since the student's last visit
+const AchievementCelebration = ({ achievements, onClose, onViewAll }) => {
+  if (!achievements || achievements.length === 0) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 px-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 text-center">
+        <p className="text-5xl">🎉</p>
+        <h2 className="mt-2 text-2xl font-bold text-gray-900">
+          {achievements.length === 1 ? 'New badge earned!' : `${achievements.length} new badges earned!`}
+        </h2>
+        <ul className="mt-4 space-y-3">
+          {achievements.map(badge => (
+            <li key={badge.id} className="flex items-center gap-3 bg-yellow-50 rounded-lg p-3 text-left">
+              <span className="text-3xl">{badge.icon}</span>
+              <span>
+                <span className="block font-medium text-gray-900">{badge.title}</span>
+                <span className="block text-sm text-gray-600">{badge.description}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+        <div className="mt-6 flex justify-center gap-2">
+          <button
+            onClick={onViewAll}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+          >
+            See all badges
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+          >
+            Nice!
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementCelebration;
@@ -0,0 +1,58 @@
+// src/components/achievements/BadgeGallery.jsx
+import React from 'react';
+import { format } from 'date-fns';
+
+const TYPE_LABELS = {
+  streak: 'Streaks',
+  checkins: 'Mood Check-ins',
+  assessments: 'Assessments',
+  retakes: 'Progress',
+};
+
+// Earned badges in full colour with the date earned; locked ones show progress
+const BadgeGallery = ({ gallery }) => {
+  const groups = Object.keys(TYPE_LABELS)
+    .map(type => ({ type, badges: gallery.filter(badge => badge.type === type) }))
+    .filter(group => group.badges.length > 0);
+
+  return (
+    <div className="space-y-8">
+      {groups.map(group => (
+        <section key={group.type}>
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">{TYPE_LABELS[group.type]}</h2>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+            {group.badges.map(badge => (
+              <div
+                key={badge.id}
+                className={`rounded-lg border p-4 text-center ${
+                  badge.earned ? 'bg-yellow-50 border-yellow-300' : 'bg-gray-50 border-gray-200'
+                }`}
+              >
+                <span className={`text-4xl ${badge.earned ? '' : 'grayscale opacity-40'}`}>{badge.icon}</span>
+                <p className="mt-2 font-medium text-gray-900">{badge.title}</p>
+                <p className="text-xs text-gray-600">{badge.description}</p>
+                {badge.earned ? (
+                  <p className="mt-2 text-xs text-yellow-800">
+                    Earned {format(new Date(badge.earnedAt), 'MMM d, yyyy')}
+                  </p>
+                ) : (
+                  <div className="mt-2">
+                    <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-blue-500"
+                        style={{ width: `${(badge.progress / badge.threshold) * 100}%` }}
+                      />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">{badge.progress} / {badge.threshold}</p>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default BadgeGallery;
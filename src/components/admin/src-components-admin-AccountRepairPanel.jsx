@@ -0,0 +1,95 @@
+// src/components/admin/AccountRepairPanel.jsx
+import React, { useState } from 'react';
+import { findIncompleteAccounts, repairIncompleteAccounts } from '../../api/accountRepair';
+
+const PROBLEM_LABELS = {
+  missing_student_profile: 'No student profile',
+  missing_streak: 'No streak record',
+  assessment_flag_not_set: 'Assessment done but not marked complete',
+  orphaned_responses: 'Responses without a summary',
+};
+
+// Finds student accounts left half-created and repairs them on request
+const AccountRepairPanel = () => {
+  const [accounts, setAccounts] = useState(null);
+  const [results, setResults] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCheck = async () => {
+    setWorking(true);
+    setResults(null);
+    const { accounts: found, error: findError } = await findIncompleteAccounts();
+    setError(findError ? findError.message : null);
+    setAccounts(found);
+    setWorking(false);
+  };
+
+  const handleRepair = async () => {
+    setWorking(true);
+    const { results: repaired, error: repairError } = await repairIncompleteAccounts();
+    setError(repairError ? repairError.message : null);
+    setResults(repaired);
+    setAccounts(null);
+    setWorking(false);
+  };
+
+  const failed = (results || []).filter(result => result.error);
+
+  return (
+    <section className="mt-6 bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Incomplete accounts</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Student accounts left half-created by a signup or assessment that failed partway.
+          </p>
+        </div>
+        <button
+          onClick={handleCheck}
+          disabled={working}
+          className="px-4 py-2 text-sm font-medium text-purple-700 bg-purple-50 rounded-md hover:bg-purple-100 disabled:opacity-50"
+        >
+          Check accounts
+        </button>
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+      {accounts && accounts.length === 0 && (
+        <p className="mt-4 text-sm text-gray-700">Every student account is complete.</p>
+      )}
+
+      {accounts && accounts.length > 0 && (
+        <>
+          <ul className="mt-4 divide-y divide-gray-100">
+            {accounts.map(account => (
+              <li key={account.studentId} className="py-2 text-sm">
+                <span className="font-mono text-gray-500">{account.studentId}</span>
+                <span className="ml-2 text-gray-900">
+                  {account.problems.map(problem => PROBLEM_LABELS[problem] || problem).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={handleRepair}
+            disabled={working}
+            className="mt-4 px-4 py-2 text-sm font-medium text-white bg-purple-600 rounded-md hover:bg-purple-700 disabled:opacity-50"
+          >
+            Repair {accounts.length} {accounts.length === 1 ? 'account' : 'accounts'}
+          </button>
+        </>
+      )}
+
+      {results && (
+        <p className="mt-4 text-sm text-gray-700">
+          Repaired {results.length - failed.length} of {results.length}.
+          {failed.length > 0 && ` Couldn't repair: ${failed.map(result => result.studentId).join(', ')}.`}
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default AccountRepairPanel;
@@ -0,0 +1,69 @@
+// src/components/admin/AssessmentPreview.jsx
+import React, { useState } from 'react';
+import { toPreviewQuestions } from '../../utils/questionEditor';
+
+// The assessment as a student would take it, one question at a time; answers aren't saved
+const AssessmentPreview = ({ questions }) => {
+  const preview = toPreviewQuestions(questions);
+  const [index, setIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+
+  if (preview.length === 0) {
+    return <p className="text-gray-600">No questions are active, so students would see an empty assessment.</p>;
+  }
+
+  const current = preview[Math.min(index, preview.length - 1)];
+  const progress = ((Math.min(index, preview.length - 1) + 1) / preview.length) * 100;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 max-w-2xl mx-auto">
+      <p className="text-xs font-medium text-orange-700 uppercase">Preview, answers are not saved</p>
+      <div className="mt-3 h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500" style={{ width: `${progress}%` }} />
+      </div>
+      <p className="mt-4 text-sm text-gray-500">
+        Question {Math.min(index, preview.length - 1) + 1} of {preview.length}
+      </p>
+      <h2 className="mt-1 text-xl font-medium text-gray-900">{current.question_text}</h2>
+
+      <div className="mt-4 space-y-2">
+        {current.initial_assessment_options.map(option => (
+          <label
+            key={option.id}
+            className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+              answers[current.id] === option.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+            }`}
+          >
+            <input
+              type="radio"
+              name={`preview-${current.id}`}
+              checked={answers[current.id] === option.id}
+              onChange={() => setAnswers({ ...answers, [current.id]: option.id })}
+              className="mr-3"
+            />
+            {option.option_text}
+          </label>
+        ))}
+      </div>
+
+      <div className="mt-6 flex justify-between">
+        <button
+          onClick={() => setIndex(index - 1)}
+          disabled={index === 0}
+          className="px-4 py-2 text-gray-700 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+        >
+          Back
+        </button>
+        <button
+          onClick={() => setIndex(index + 1)}
+          disabled={index >= preview.length - 1}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AssessmentPreview;
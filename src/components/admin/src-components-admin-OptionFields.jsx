@@ -0,0 +1,42 @@
+// src/components/admin/OptionFields.jsx
+import React from 'react';
+import editorConfig from '../../config/questionEditor.json';
+
+const SEVERITY_SCORES = Array.from(
+  { length: editorConfig.severityMax - editorConfig.severityMin + 1 },
+  (_, index) => editorConfig.severityMin + index
+);
+
+// Text, remark and severity inputs for one answer option
+const OptionFields = ({ option, onChange }) => (
+  <div className="flex-1 grid grid-cols-1 sm:grid-cols-6 gap-2">
+    <input
+      type="text"
+      value={option.option_text}
+      onChange={(e) => onChange({ ...option, option_text: e.target.value })}
+      placeholder="Option text"
+      className="sm:col-span-2 border border-gray-300 rounded-md px-3 py-2 text-sm"
+      aria-label="Option text"
+    />
+    <input
+      type="text"
+      value={option.remark || ''}
+      onChange={(e) => onChange({ ...option, remark: e.target.value })}
+      placeholder="Remark shown to counselors"
+      className="sm:col-span-3 border border-gray-300 rounded-md px-3 py-2 text-sm"
+      aria-label="Remark"
+    />
+    <select
+      value={option.severity_score}
+      onChange={(e) => onChange({ ...option, severity_score: Number(e.target.value) })}
+      className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+      aria-label="Severity score"
+    >
+      {SEVERITY_SCORES.map(score => (
+        <option key={score} value={score}>Severity {score}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default OptionFields;
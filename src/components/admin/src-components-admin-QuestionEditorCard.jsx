@@ -0,0 +1,143 @@
+// src/components/admin/QuestionEditorCard.jsx
+import React, { useState } from 'react';
+import OptionFields from './OptionFields';
+
+// One question in the editor: text, category, visibility, order and options
+const QuestionEditorCard = ({
+  question,
+  isFirst,
+  isLast,
+  onMove,
+  onToggleActive,
+  onSaveQuestion,
+  onSaveOption,
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({ question_text: question.question_text, category: question.category });
+  const [options, setOptions] = useState(question.initial_assessment_options);
+  const [error, setError] = useState(null);
+
+  const saveQuestion = async () => {
+    const { error: saveError } = await onSaveQuestion(question.id, draft);
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+    setError(null);
+    setEditing(false);
+  };
+
+  const saveOption = async (option) => {
+    const { error: saveError } = await onSaveOption(option.id, option);
+    setError(saveError ? saveError.message : null);
+  };
+
+  const changed = (option) => {
+    const original = question.initial_assessment_options.find(o => o.id === option.id);
+    return original.option_text !== option.option_text
+      || (original.remark || '') !== (option.remark || '')
+      || original.severity_score !== option.severity_score;
+  };
+
+  return (
+    <div className={`bg-white shadow rounded-lg p-5 ${question.is_active ? '' : 'opacity-70'}`}>
+      <div className="flex items-start gap-4">
+        <div className="flex flex-col items-center">
+          <button
+            onClick={() => onMove(question.id, -1)}
+            disabled={isFirst}
+            className="px-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+            aria-label="Move up"
+          >
+            ▲
+          </button>
+          <span className="text-sm font-medium text-gray-700">{question.question_number}</span>
+          <button
+            onClick={() => onMove(question.id, 1)}
+            disabled={isLast}
+            className="px-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+            aria-label="Move down"
+          >
+            ▼
+          </button>
+        </div>
+
+        <div className="flex-1">
+          {editing ? (
+            <div className="space-y-2">
+              <textarea
+                value={draft.question_text}
+                onChange={(e) => setDraft({ ...draft, question_text: e.target.value })}
+                rows={2}
+                className="w-full border border-gray-300 rounded-md px-3 py-2"
+                aria-label="Question"
+              />
+              <input
+                type="text"
+                value={draft.category}
+                onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+                aria-label="Category"
+              />
+              <div className="flex gap-2">
+                <button onClick={saveQuestion} className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg">
+                  Save
+                </button>
+                <button onClick={() => setEditing(false)} className="px-3 py-1 text-sm text-gray-700">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <p className="font-medium text-gray-900">{question.question_text}</p>
+                <p className="text-xs text-gray-500">{question.category.replace(/_/g, ' ')}</p>
+              </div>
+              <button
+                onClick={() => {
+                  setDraft({ question_text: question.question_text, category: question.category });
+                  setEditing(true);
+                }}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                Edit
+              </button>
+            </div>
+          )}
+
+          {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+
+          <div className="mt-4 space-y-2">
+            {options.map((option, index) => (
+              <div key={option.id} className="flex items-start gap-2">
+                <OptionFields
+                  option={option}
+                  onChange={(updated) => setOptions(current => current.map((o, i) => (i === index ? updated : o)))}
+                />
+                <button
+                  onClick={() => saveOption(option)}
+                  disabled={!changed(option)}
+                  className="mt-1 px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:opacity-40"
+                >
+                  Save
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={question.is_active}
+            onChange={(e) => onToggleActive(question.id, e.target.checked)}
+          />
+          {question.is_active ? 'Active' : 'Hidden'}
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionEditorCard;
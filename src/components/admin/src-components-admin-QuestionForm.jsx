@@ -0,0 +1,114 @@
+// src/components/admin/QuestionForm.jsx
+import React, { useState } from 'react';
+import { getKnownCategories } from '../../utils/questionEditor';
+import editorConfig from '../../config/questionEditor.json';
+import OptionFields from './OptionFields';
+
+const EMPTY_OPTION = { option_text: '', remark: '', severity_score: 0 };
+
+// Form for a new question and its options
+const QuestionForm = ({ onCreate, onCancel }) => {
+  const [questionText, setQuestionText] = useState('');
+  const [category, setCategory] = useState('');
+  const [options, setOptions] = useState([
+    { ...EMPTY_OPTION },
+    { ...EMPTY_OPTION, severity_score: editorConfig.severityMax },
+  ]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateOptionAt = (index, option) => {
+    setOptions(current => current.map((existing, i) => (i === index ? option : existing)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const { error: createError } = await onCreate({ question_text: questionText, category, options });
+    setSaving(false);
+    if (createError) {
+      setError(createError.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 space-y-4">
+      <h2 className="text-lg font-medium text-gray-900">New question</h2>
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      <label className="block text-sm font-medium text-gray-700">
+        Question
+        <textarea
+          value={questionText}
+          onChange={(e) => setQuestionText(e.target.value)}
+          rows={2}
+          className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+          required
+        />
+      </label>
+
+      <label className="block text-sm font-medium text-gray-700">
+        Category
+        <input
+          type="text"
+          list="question-categories"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+          required
+        />
+        <datalist id="question-categories">
+          {getKnownCategories().map(known => <option key={known} value={known} />)}
+        </datalist>
+      </label>
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-gray-700">Options</p>
+        {options.map((option, index) => (
+          <div key={index} className="flex items-start gap-2">
+            <OptionFields option={option} onChange={(updated) => updateOptionAt(index, updated)} />
+            {options.length > editorConfig.minOptions && (
+              <button
+                type="button"
+                onClick={() => setOptions(current => current.filter((_, i) => i !== index))}
+                className="mt-2 text-sm text-red-600 hover:underline"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        {options.length < editorConfig.maxOptions && (
+          <button
+            type="button"
+            onClick={() => setOptions(current => [...current, { ...EMPTY_OPTION }])}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            + Add option
+          </button>
+        )}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-gray-700 rounded-lg hover:bg-gray-100"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Create question'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default QuestionForm;
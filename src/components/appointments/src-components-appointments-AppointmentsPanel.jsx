@@ -0,0 +1,150 @@
+// src/components/appointments/AppointmentsPanel.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import {
+  getUpcomingAppointments,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  getAppointmentIcs,
+  getAppointmentIcsFilename,
+} from '../../api/appointments';
+import { getActiveAssignment } from '../../api/assignments';
+import { downloadIcs } from '../../utils/ics';
+import SlotPicker from './SlotPicker';
+
+// Upcoming appointments for the signed-in user; students can also book and reschedule
+const AppointmentsPanel = ({ userId, role = 'student' }) => {
+  const [appointments, setAppointments] = useState([]);
+  const [counselorId, setCounselorId] = useState(null);
+  const [picking, setPicking] = useState(null); // 'new' or the appointment being rescheduled
+  const [error, setError] = useState(null);
+
+  const loadAppointments = useCallback(async () => {
+    const { appointments: upcoming, error: loadError } = await getUpcomingAppointments(userId, role);
+    if (loadError) {
+      setError(loadError.message);
+      return;
+    }
+    setAppointments(upcoming);
+  }, [userId, role]);
+
+  useEffect(() => {
+    loadAppointments();
+
+    if (role === 'student') {
+      getActiveAssignment(userId).then(({ assignment }) => {
+        setCounselorId(assignment?.counselor_id || null);
+      });
+    }
+  }, [userId, role, loadAppointments]);
+
+  const handleSelectSlot = async (slot) => {
+    setError(null);
+
+    const { error: saveError } = picking === 'new'
+      ? await bookAppointment(userId, counselorId, slot)
+      : await rescheduleAppointment(picking.id, slot);
+
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+
+    setPicking(null);
+    loadAppointments();
+  };
+
+  const handleCancel = async (appointment) => {
+    if (!window.confirm('Cancel this appointment?')) return;
+
+    const { error: cancelError } = await cancelAppointment(appointment.id);
+    if (cancelError) {
+      setError(cancelError.message);
+      return;
+    }
+    loadAppointments();
+  };
+
+  const pickerCounselorId = picking === 'new' ? counselorId : picking?.counselor_id;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mt-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-gray-900">
+          📅 Upcoming Appointments
+        </h2>
+        {role === 'student' && counselorId && !picking && (
+          <button
+            onClick={() => setPicking('new')}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+          >
+            Book a Session
+          </button>
+        )}
+      </div>
+
+      {role === 'student' && !counselorId && (
+        <p className="mt-2 text-sm text-gray-500">
+          You'll be able to book a session once a counselor is assigned to you.
+        </p>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+
+      {picking && pickerCounselorId && (
+        <SlotPicker
+          counselorId={pickerCounselorId}
+          onSelect={handleSelectSlot}
+          onCancel={() => setPicking(null)}
+        />
+      )}
+
+      {appointments.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">No upcoming appointments.</p>
+      ) : (
+        <ul className="mt-4 divide-y divide-gray-100">
+          {appointments.map(appointment => (
+            <li key={appointment.id} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {format(new Date(appointment.starts_at), 'EEEE, MMM d · h:mm a')}
+                </p>
+                <p className="text-xs text-gray-500">
+                  with {role === 'counselor' ? appointment.student?.full_name : appointment.counselor?.full_name}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => downloadIcs(
+                    getAppointmentIcsFilename(appointment),
+                    getAppointmentIcs(appointment, role)
+                  )}
+                  className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 transition"
+                >
+                  Add to Calendar
+                </button>
+                {role === 'student' && (
+                  <button
+                    onClick={() => setPicking(appointment)}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 transition"
+                  >
+                    Reschedule
+                  </button>
+                )}
+                <button
+                  onClick={() => handleCancel(appointment)}
+                  className="px-3 py-1 text-sm bg-red-50 text-red-700 rounded hover:bg-red-100 transition"
+                >
+                  Cancel
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AppointmentsPanel;
@@ -0,0 +1,134 @@
+// src/components/appointments/AvailabilityEditor.jsx
+import React, { useEffect, useState } from 'react';
+import { getAvailability, saveAvailability } from '../../api/appointments';
+import { getDatePreferences } from '../../api/preferences';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptyBlock = () => ({ weekday: 1, startTime: '09:00', endTime: '12:00', slotMinutes: 50 });
+
+const AvailabilityEditor = ({ counselorId }) => {
+  const [blocks, setBlocks] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [timeZone, setTimeZone] = useState(null);
+
+  useEffect(() => {
+    const loadAvailability = async () => {
+      const { preferences } = await getDatePreferences(counselorId);
+      setTimeZone(preferences?.timeZone || null);
+
+      const { availability, error } = await getAvailability(counselorId);
+      if (error) {
+        setMessage({ type: 'error', text: error.message });
+        return;
+      }
+      setBlocks(availability.map(row => ({
+        weekday: row.weekday,
+        startTime: row.start_time.slice(0, 5),
+        endTime: row.end_time.slice(0, 5),
+        slotMinutes: row.slot_minutes,
+      })));
+    };
+
+    loadAvailability();
+  }, [counselorId]);
+
+  const updateBlock = (index, field, value) => {
+    setBlocks(current => current.map((block, i) => (i === index ? { ...block, [field]: value } : block)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    const { error } = await saveAvailability(counselorId, blocks);
+    setMessage(error
+      ? { type: 'error', text: error.message }
+      : { type: 'success', text: 'Availability saved.' });
+
+    setSaving(false);
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-900">Weekly Availability</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Students can book sessions in these hours. Changes apply to future weeks.
+      </p>
+      {timeZone && (
+        <p className="mt-1 text-sm text-gray-500">
+          Times are in your timezone ({timeZone}); students see them in theirs.
+        </p>
+      )}
+
+      <ul className="mt-4 space-y-2">
+        {blocks.map((block, index) => (
+          <li key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              value={block.weekday}
+              onChange={e => updateBlock(index, 'weekday', Number(e.target.value))}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {WEEKDAYS.map((day, dayIndex) => (
+                <option key={day} value={dayIndex}>{day}</option>
+              ))}
+            </select>
+            <input
+              type="time"
+              value={block.startTime}
+              onChange={e => updateBlock(index, 'startTime', e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <span className="text-sm text-gray-500">to</span>
+            <input
+              type="time"
+              value={block.endTime}
+              onChange={e => updateBlock(index, 'endTime', e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <select
+              value={block.slotMinutes}
+              onChange={e => updateBlock(index, 'slotMinutes', Number(e.target.value))}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {[30, 45, 50, 60].map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} min sessions</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setBlocks(current => current.filter((_, i) => i !== index))}
+              className="text-sm text-red-600 hover:underline"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex gap-2">
+        <button
+          onClick={() => setBlocks(current => [...current, emptyBlock()])}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+        >
+          Add Hours
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Availability'}
+        </button>
+      </div>
+
+      {message && (
+        <p className={`mt-2 text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityEditor;
@@ -0,0 +1,66 @@
+// src/components/appointments/SlotPicker.jsx
+import React, { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { getOpenSlots } from '../../api/appointments';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const SlotPicker = ({ counselorId, onSelect, onCancel }) => {
+  const [loading, setLoading] = useState(true);
+  const [slots, setSlots] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSlots = async () => {
+      const { slots: openSlots, error: slotsError } = await getOpenSlots(counselorId);
+      if (slotsError) {
+        setError(slotsError.message);
+      } else {
+        setSlots(openSlots);
+      }
+      setLoading(false);
+    };
+
+    loadSlots();
+  }, [counselorId]);
+
+  if (loading) {
+    return <LoadingSpinner size="sm" message="Finding open times..." />;
+  }
+
+  // Group slots by calendar day for display
+  const slotsByDay = slots.reduce((days, slot) => {
+    const day = format(new Date(slot.startsAt), 'EEEE, MMM d');
+    (days[day] = days[day] || []).push(slot);
+    return days;
+  }, {});
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg p-4">
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      {!error && slots.length === 0 && (
+        <p className="text-sm text-gray-500">No open times in the next two weeks.</p>
+      )}
+      {Object.entries(slotsByDay).map(([day, daySlots]) => (
+        <div key={day} className="mb-3">
+          <p className="text-sm font-medium text-gray-700">{day}</p>
+          <div className="mt-1 flex flex-wrap gap-2">
+            {daySlots.map(slot => (
+              <button
+                key={slot.startsAt}
+                onClick={() => onSelect(slot)}
+                className="px-3 py-1 text-sm bg-blue-50 text-blue-800 rounded hover:bg-blue-100 transition"
+              >
+                {format(new Date(slot.startsAt), 'h:mm a')}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button onClick={onCancel} className="mt-2 text-sm text-gray-500 hover:underline">
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default SlotPicker;
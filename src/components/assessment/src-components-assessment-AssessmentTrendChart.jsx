@@ -0,0 +1,47 @@
+// src/components/assessment/AssessmentTrendChart.jsx
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getAssessmentTrend } from '../../api/assessment';
+
+const COLORS = ['#8b5cf6', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#ec4899', '#14b8a6'];
+
+// Overall score (bold) and each category across assessment sessions
+const AssessmentTrendChart = ({ sessions }) => {
+  if (!sessions || sessions.length < 2) {
+    return (
+      <p className="text-sm text-gray-500">
+        A trend appears once there are at least two assessment sessions.
+      </p>
+    );
+  }
+
+  const data = getAssessmentTrend(sessions);
+  const categories = [...new Set(sessions.flatMap(s => Object.keys(s.category_scores || {})))].sort();
+
+  return (
+    <div className="h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          <Line type="monotone" dataKey="overall" name="Overall" stroke="#111827" strokeWidth={3} />
+          {categories.map((category, index) => (
+            <Line
+              key={category}
+              type="monotone"
+              dataKey={category}
+              name={category.replace(/_/g, ' ')}
+              stroke={COLORS[index % COLORS.length]}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default AssessmentTrendChart;
@@ -0,0 +1,82 @@
+// src/components/assessment/SessionComparison.jsx
+import React, { useState } from 'react';
+import { compareAssessmentSessions } from '../../api/assessment';
+
+const TREND_STYLES = {
+  improved: 'text-green-700',
+  worsened: 'text-red-700',
+  unchanged: 'text-gray-600',
+};
+
+const sessionLabel = (session, index) =>
+  `#${index + 1} · ${session.completed_at ? session.completed_at.slice(0, 10) : 'unknown date'}`;
+
+// Pick any two sessions and see how each score moved (lower is better)
+const SessionComparison = ({ sessions }) => {
+  const [baseIndex, setBaseIndex] = useState(0);
+  const [compareIndex, setCompareIndex] = useState(sessions.length - 1);
+
+  if (sessions.length < 2) return null;
+
+  const comparison = compareAssessmentSessions(sessions[baseIndex], sessions[compareIndex]);
+
+  const formatDelta = (delta) => {
+    if (delta === null) return '—';
+    return delta > 0 ? `+${delta}` : `${delta}`;
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={baseIndex}
+          onChange={e => setBaseIndex(Number(e.target.value))}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          {sessions.map((session, index) => (
+            <option key={session.assessment_session_id} value={index}>{sessionLabel(session, index)}</option>
+          ))}
+        </select>
+        <span className="text-gray-500">compared with</span>
+        <select
+          value={compareIndex}
+          onChange={e => setCompareIndex(Number(e.target.value))}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          {sessions.map((session, index) => (
+            <option key={session.assessment_session_id} value={index}>{sessionLabel(session, index)}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className={`mt-4 text-sm font-medium ${TREND_STYLES[comparison.trend]}`}>
+        Overall: {comparison.overall.before} → {comparison.overall.after} ({formatDelta(comparison.overall.delta)}, {comparison.trend})
+      </p>
+
+      <table className="mt-2 min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Category</th>
+            <th>Before</th>
+            <th>After</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(comparison.categories).map(([category, { before, after, delta }]) => (
+            <tr key={category} className="border-t border-gray-100">
+              <td className="py-1 capitalize">{category.replace(/_/g, ' ')}</td>
+              <td>{before ?? '—'}</td>
+              <td>{after ?? '—'}</td>
+              <td className={delta < 0 ? 'text-green-700' : delta > 0 ? 'text-red-700' : 'text-gray-600'}>
+                {formatDelta(delta)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SessionComparison;
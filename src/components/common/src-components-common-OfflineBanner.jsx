@@ -0,0 +1,33 @@
+// src/components/common/OfflineBanner.jsx
+import React, { useEffect, useState } from 'react';
+
+// Tells the student they're looking at saved data while the connection is down
+const OfflineBanner = () => {
+  const [offline, setOffline] = useState(() => !navigator.onLine);
+
+  useEffect(() => {
+    const goOffline = () => setOffline(true);
+    const goOnline = () => setOffline(false);
+
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', goOnline);
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', goOnline);
+    };
+  }, []);
+
+  if (!offline) return null;
+
+  return (
+    <div className="bg-gray-800 text-white text-sm px-4 py-2 text-center">
+      You're offline and seeing your last saved data. Mood check-ins will sync when you reconnect;
+      other changes need a connection.{' '}
+      <a href={`${process.env.PUBLIC_URL}/offline.html`} className="underline font-medium">
+        Crisis resources
+      </a>
+    </div>
+  );
+};
+
+export default OfflineBanner;
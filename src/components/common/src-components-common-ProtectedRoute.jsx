@@ -25,6 +25,8 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
         return <Navigate to="/student/dashboard" replace />;
       } else if (profile.role === 'counselor') {
         return <Navigate to="/counselor/dashboard" replace />;
+      } else if (profile.role === 'admin') {
+        return <Navigate to="/admin/dashboard" replace />;
       }
       // Fallback
       return <Navigate to="/" replace />;
@@ -0,0 +1,65 @@
+// src/components/common/SafetyScreen.jsx
+import React from 'react';
+import { getCrisisResources } from '../../utils/riskEvaluation';
+
+const ResourceList = ({ title, items }) => (
+  <div className="mt-6">
+    <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+    <ul className="mt-3 space-y-3">
+      {items.map(item => (
+        <li key={item.name} className="bg-white border border-gray-200 rounded-lg p-4">
+          <p className="font-medium text-gray-900">{item.name}</p>
+          {item.phone && (
+            <p className="text-xl font-bold text-red-700">{item.phone}</p>
+          )}
+          <p className="text-sm text-gray-600">{item.description}</p>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const SafetyScreen = ({ level = 'elevated', counselorNotified = false, alertQueued = false, onContinue }) => {
+  const { hotlines, campus } = getCrisisResources();
+
+  return (
+    <div className="min-h-screen bg-red-50 py-10 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-white border-l-4 border-red-500 shadow rounded-lg p-6">
+          <h1 className="text-2xl font-bold text-gray-900">
+            💙 You don't have to go through this alone
+          </h1>
+          <p className="mt-2 text-gray-700">
+            {level === 'high'
+              ? 'Some of what you shared tells us you may be in crisis. Please reach out to one of the services below right now.'
+              : 'Your recent answers suggest things have been really hard lately. Talking to someone can help.'}
+          </p>
+          {counselorNotified && (
+            <p className="mt-2 text-sm text-gray-600">
+              A campus counselor has been notified and will follow up with you.
+            </p>
+          )}
+          {!counselorNotified && alertQueued && (
+            <p className="mt-2 text-sm text-gray-600">
+              We'll let a campus counselor know as soon as you're back online. Please don't wait for them if you need help now.
+            </p>
+          )}
+        </div>
+
+        <ResourceList title="Talk to someone now" items={hotlines} />
+        <ResourceList title="On campus" items={campus} />
+
+        {onContinue && (
+          <button
+            onClick={onContinue}
+            className="mt-8 w-full px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+          >
+            Continue to my dashboard
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SafetyScreen;
@@ -0,0 +1,37 @@
+// src/components/common/UpdatePrompt.jsx
+import React, { useEffect, useState } from 'react';
+import { applyUpdate, onUpdateAvailable } from '../../utils/serviceWorker';
+
+// Offers to reload when a new version of the app has been downloaded
+const UpdatePrompt = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => onUpdateAvailable(setWaitingWorker), []);
+
+  if (!waitingWorker) return null;
+
+  return (
+    <div className="fixed bottom-4 inset-x-4 sm:left-auto sm:right-4 sm:w-96 z-50 bg-white shadow-lg rounded-lg border border-gray-200 p-4">
+      <p className="text-sm font-medium text-gray-900">A new version is available</p>
+      <p className="mt-1 text-sm text-gray-600">
+        Reload to get the latest updates. Anything you haven't saved on this page will be lost.
+      </p>
+      <div className="mt-3 flex justify-end gap-2">
+        <button
+          onClick={() => setWaitingWorker(null)}
+          className="px-3 py-2 text-sm text-gray-700 hover:underline"
+        >
+          Later
+        </button>
+        <button
+          onClick={() => applyUpdate(waitingWorker)}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+        >
+          Reload
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,37 @@
+// src/components/coping/CopingSuggestions.jsx
+import React from 'react';
+import { getDimension } from '../../utils/moodScale';
+
+// Activities suggested by today's check-in
+const CopingSuggestions = ({ suggestions, onStart }) => {
+  if (!suggestions || suggestions.length === 0) return null;
+
+  return (
+    <div className="mt-4">
+      <p className="text-sm text-green-800">
+        Today sounds like a lot. Something short might help:
+      </p>
+      <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {suggestions.map(({ activity, reasons }) => (
+          <button
+            key={activity.id}
+            onClick={() => onStart(activity.id)}
+            className="flex items-start text-left p-3 bg-white rounded-lg shadow-sm hover:shadow transition"
+          >
+            <span className="text-2xl mr-3">{activity.icon}</span>
+            <span>
+              <span className="block text-sm font-medium text-gray-900">
+                {activity.title} · {activity.minutes} min
+              </span>
+              <span className="block text-xs text-gray-600">
+                For {reasons.map(reason => getDimension(reason).label.toLowerCase()).join(' and ')}
+              </span>
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CopingSuggestions;
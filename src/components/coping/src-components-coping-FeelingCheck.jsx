@@ -0,0 +1,28 @@
+// src/components/coping/FeelingCheck.jsx
+import React from 'react';
+import { getFeelings } from '../../utils/copingActivities';
+
+// The follow-up asked after every activity
+const FeelingCheck = ({ onAnswer, disabled }) => (
+  <div className="text-center py-6">
+    <h2 className="text-xl font-medium text-gray-900">Do you feel any better?</h2>
+    <p className="mt-1 text-sm text-gray-600">
+      Your answer helps us suggest what works for you next time.
+    </p>
+    <div className="mt-6 flex justify-center gap-3">
+      {getFeelings().map(feeling => (
+        <button
+          key={feeling.id}
+          onClick={() => onAnswer(feeling.id)}
+          disabled={disabled}
+          className="flex flex-col items-center px-5 py-3 bg-gray-50 hover:bg-gray-100 rounded-lg transition disabled:opacity-50"
+        >
+          <span className="text-3xl">{feeling.icon}</span>
+          <span className="mt-1 text-sm text-gray-800">{feeling.label}</span>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default FeelingCheck;
@@ -0,0 +1,91 @@
+// src/components/coping/PromptActivity.jsx
+import React, { useState } from 'react';
+
+// One written prompt at a time (grounding, thought record); answers go to onComplete
+const PromptActivity = ({ activity, onComplete, saving }) => {
+  const [index, setIndex] = useState(0);
+  const [responses, setResponses] = useState(() =>
+    Object.fromEntries(activity.prompts.map(prompt => [
+      prompt.id,
+      prompt.answers ? Array(prompt.answers).fill('') : '',
+    ]))
+  );
+
+  const prompt = activity.prompts[index];
+  const isLast = index === activity.prompts.length - 1;
+
+  const setAnswer = (value, position) => {
+    setResponses(current => ({
+      ...current,
+      [prompt.id]: prompt.answers
+        ? current[prompt.id].map((answer, i) => (i === position ? value : answer))
+        : value,
+    }));
+  };
+
+  const handleFinish = () => {
+    const cleaned = Object.fromEntries(Object.entries(responses).map(([id, value]) => [
+      id,
+      Array.isArray(value) ? value.map(answer => answer.trim()).filter(Boolean) : value.trim(),
+    ]));
+    onComplete(cleaned);
+  };
+
+  return (
+    <div className="py-4">
+      <p className="text-sm text-gray-500">Step {index + 1} of {activity.prompts.length}</p>
+      <h2 className="mt-2 text-xl font-medium text-gray-900">{prompt.text}</h2>
+
+      <div className="mt-4 space-y-2">
+        {prompt.answers ? (
+          responses[prompt.id].map((answer, position) => (
+            <input
+              key={position}
+              type="text"
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value, position)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2"
+              aria-label={`${prompt.text}, ${position + 1}`}
+            />
+          ))
+        ) : (
+          <textarea
+            value={responses[prompt.id]}
+            onChange={(e) => setAnswer(e.target.value)}
+            rows={4}
+            className="w-full border border-gray-300 rounded-md px-3 py-2"
+            aria-label={prompt.text}
+          />
+        )}
+      </div>
+
+      <div className="mt-6 flex justify-between">
+        <button
+          onClick={() => setIndex(index - 1)}
+          disabled={index === 0}
+          className="px-4 py-2 text-gray-700 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+        >
+          Back
+        </button>
+        {isLast ? (
+          <button
+            onClick={handleFinish}
+            disabled={saving}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Finish'}
+          </button>
+        ) : (
+          <button
+            onClick={() => setIndex(index + 1)}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+          >
+            Next
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PromptActivity;
@@ -0,0 +1,86 @@
+// src/components/coping/TimedActivity.jsx
+import React, { useEffect, useState } from 'react';
+import { getActivityDuration } from '../../utils/copingActivities';
+
+// Walks through an activity's timed steps (box breathing, muscle relaxation)
+const TimedActivity = ({ activity, onComplete }) => {
+  const rounds = activity.rounds || 1;
+  const [running, setRunning] = useState(false);
+  const [round, setRound] = useState(0);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [remaining, setRemaining] = useState(activity.steps[0].seconds);
+  const [elapsed, setElapsed] = useState(0);
+  const [finished, setFinished] = useState(false);
+
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const timer = setInterval(() => {
+      setElapsed(seconds => seconds + 1);
+      setRemaining(seconds => seconds - 1);
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [running]);
+
+  // Move to the next step (and round) when the current one runs out
+  useEffect(() => {
+    if (remaining > 0) return;
+
+    const lastStep = stepIndex === activity.steps.length - 1;
+    if (lastStep && round === rounds - 1) {
+      setRunning(false);
+      setFinished(true);
+      return;
+    }
+
+    const nextStep = lastStep ? 0 : stepIndex + 1;
+    setStepIndex(nextStep);
+    if (lastStep) setRound(round + 1);
+    setRemaining(activity.steps[nextStep].seconds);
+  }, [remaining, stepIndex, round, rounds, activity]);
+
+  const step = activity.steps[stepIndex];
+  const total = getActivityDuration(activity);
+
+  if (finished) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-2xl font-medium text-gray-900">Nicely done.</p>
+        <p className="mt-2 text-gray-600">Take a moment before you move on.</p>
+        <button
+          onClick={onComplete}
+          className="mt-6 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+        >
+          Finish
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center py-8">
+      {rounds > 1 && (
+        <p className="text-sm text-gray-500">Round {round + 1} of {rounds}</p>
+      )}
+      <p className="mt-4 text-2xl font-medium text-gray-900" aria-live="polite">{step.text}</p>
+      <p className="mt-4 text-6xl font-bold text-blue-600">{remaining}</p>
+
+      <div className="mt-6 h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-blue-500 transition-all"
+          style={{ width: `${Math.min(100, (elapsed / total) * 100)}%` }}
+        />
+      </div>
+
+      <button
+        onClick={() => setRunning(!running)}
+        className="mt-6 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+      >
+        {running ? 'Pause' : elapsed > 0 ? 'Resume' : 'Start'}
+      </button>
+    </div>
+  );
+};
+
+export default TimedActivity;
@@ -0,0 +1,89 @@
+// src/components/journal/JournalEntryCard.jsx
+import React, { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import TagPicker from './TagPicker';
+
+// One day of the journal, with its check-in, note and tags; editable in place
+const JournalEntryCard = ({ entry, suggested, used, onSave, onTagClick }) => {
+  const [editing, setEditing] = useState(false);
+  const [notes, setNotes] = useState(entry.notes || '');
+  const [tags, setTags] = useState(entry.tags || []);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const { error: saveError } = await onSave(entry.entry_date, { notes, tags });
+    if (saveError) {
+      setError(saveError.message);
+    } else {
+      setEditing(false);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <article className="bg-white shadow rounded-lg p-5">
+      <header className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium text-gray-900">{format(parseISO(entry.entry_date), 'EEEE, MMM d, yyyy')}</h3>
+          <p className="text-lg">
+            {entry.mood_emoji} {entry.stress_emoji} {entry.anxiety_emoji} {entry.sleep_quality_emoji} {entry.energy_level_emoji}
+          </p>
+        </div>
+        {!editing && (
+          <button onClick={() => setEditing(true)} className="text-sm text-blue-600 hover:underline">
+            Edit
+          </button>
+        )}
+      </header>
+
+      {editing ? (
+        <div className="mt-3 space-y-3">
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={8}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            placeholder="What was going on today?"
+          />
+          <TagPicker selected={tags} suggested={suggested} used={used} onChange={setTags} />
+          {error && <p className="text-sm text-red-700">{error}</p>}
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setEditing(false)} className="px-3 py-2 text-sm text-gray-700 hover:underline">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {entry.notes && <p className="mt-3 text-sm text-gray-800 whitespace-pre-line">{entry.notes}</p>}
+          {(entry.tags || []).length > 0 && (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {entry.tags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => onTagClick(tag)}
+                  className="px-2 py-0.5 text-xs bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200"
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </article>
+  );
+};
+
+export default JournalEntryCard;
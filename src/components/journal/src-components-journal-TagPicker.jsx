@@ -0,0 +1,73 @@
+// src/components/journal/TagPicker.jsx
+import React, { useState } from 'react';
+import { normalizeTag } from '../../utils/journal';
+
+// Toggle suggested and past tags on an entry, or type a new one
+const TagPicker = ({ selected, suggested, used, onChange }) => {
+  const [draft, setDraft] = useState('');
+
+  const options = [
+    ...suggested.map(({ tag, label, icon }) => ({ tag, label: `${icon} ${label}` })),
+    ...used
+      .filter(({ tag }) => !suggested.some(s => s.tag === tag))
+      .map(({ tag }) => ({ tag, label: `#${tag}` })),
+  ];
+
+  const toggle = (tag) => {
+    onChange(selected.includes(tag) ? selected.filter(t => t !== tag) : [...selected, tag]);
+  };
+
+  const addDraft = (e) => {
+    e.preventDefault();
+    const tag = normalizeTag(draft);
+    if (tag && !selected.includes(tag)) onChange([...selected, tag]);
+    setDraft('');
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {options.map(({ tag, label }) => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => toggle(tag)}
+            className={`px-3 py-1 text-sm rounded-full border transition ${
+              selected.includes(tag)
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        {selected
+          .filter(tag => !options.some(option => option.tag === tag))
+          .map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => toggle(tag)}
+              className="px-3 py-1 text-sm rounded-full border bg-blue-600 border-blue-600 text-white"
+            >
+              #{tag}
+            </button>
+          ))}
+      </div>
+      <form onSubmit={addDraft} className="mt-2 flex gap-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Add your own tag"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-1 text-sm"
+        />
+        <button type="submit" className="px-3 py-1 text-sm bg-gray-100 rounded-md hover:bg-gray-200">
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TagPicker;
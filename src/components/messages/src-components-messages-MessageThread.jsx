@@ -0,0 +1,160 @@
+// src/components/messages/MessageThread.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { format } from 'date-fns';
+import {
+  getMessages,
+  sendMessage,
+  markThreadRead,
+  subscribeToThread,
+  getAttachmentUrl,
+  validateAttachment,
+  ALLOWED_ATTACHMENT_TYPES,
+} from '../../api/messages';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ACCEPT = Object.values(ALLOWED_ATTACHMENT_TYPES).flat().map(ext => `.${ext}`).join(',');
+
+const MessageThread = ({ threadId, userId }) => {
+  const [loading, setLoading] = useState(true);
+  const [messages, setMessages] = useState([]);
+  const [body, setBody] = useState('');
+  const [file, setFile] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    const loadMessages = async () => {
+      const { messages: data, error: loadError } = await getMessages(threadId, userId);
+      if (loadError) {
+        setError(loadError.message);
+      } else {
+        setMessages(data);
+        await markThreadRead(threadId, userId);
+      }
+      setLoading(false);
+    };
+
+    loadMessages();
+
+    return subscribeToThread(threadId, (eventType, message) => {
+      setMessages(current => {
+        if (eventType === 'INSERT' && !current.some(m => m.id === message.id)) {
+          return [...current, message];
+        }
+        // UPDATE carries read receipts
+        return current.map(m => (m.id === message.id ? message : m));
+      });
+
+      if (eventType === 'INSERT' && message.sender_id !== userId) {
+        markThreadRead(threadId, userId);
+      }
+    });
+  }, [threadId, userId]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    const { error: fileError } = validateAttachment(selected);
+    if (fileError) {
+      setError(fileError.message);
+      e.target.value = '';
+      return;
+    }
+    setError(null);
+    setFile(selected);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+
+    const { message, error: sendError } = await sendMessage(threadId, userId, body, file);
+    if (sendError) {
+      setError(sendError.message);
+    } else {
+      setMessages(current => (current.some(m => m.id === message.id) ? current : [...current, message]));
+      setBody('');
+      setFile(null);
+    }
+
+    setSending(false);
+  };
+
+  const openAttachment = async (path) => {
+    const { url, error: urlError } = await getAttachmentUrl(path);
+    if (urlError) {
+      setError(urlError.message);
+      return;
+    }
+    window.open(url, '_blank', 'noopener,noreferrer');
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading messages..." />;
+  }
+
+  const lastOwnMessage = [...messages].reverse().find(m => m.sender_id === userId);
+
+  return (
+    <div className="bg-white shadow rounded-lg flex flex-col h-[70vh]">
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {messages.length === 0 && (
+          <p className="text-center text-sm text-gray-500">No messages yet. Say hello!</p>
+        )}
+        {messages.map(message => {
+          const own = message.sender_id === userId;
+          return (
+            <div key={message.id} className={`flex ${own ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-md rounded-lg px-4 py-2 ${own ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                {message.body && <p className="whitespace-pre-line text-sm">{message.body}</p>}
+                {message.attachment_path && (
+                  <button
+                    onClick={() => openAttachment(message.attachment_path)}
+                    className="mt-1 text-xs underline"
+                  >
+                    📎 {message.attachment_name}
+                  </button>
+                )}
+                <p className={`mt-1 text-xs ${own ? 'text-blue-100' : 'text-gray-500'}`}>
+                  {format(new Date(message.created_at), 'MMM d, h:mm a')}
+                  {own && message.id === lastOwnMessage?.id && message.read_at && ' · Seen'}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+        <div ref={bottomRef} />
+      </div>
+
+      {error && <p className="px-4 text-sm text-red-700">{error}</p>}
+
+      <form onSubmit={handleSend} className="border-t border-gray-200 p-4 flex items-center gap-2">
+        <label className="px-3 py-2 bg-gray-100 rounded-lg cursor-pointer hover:bg-gray-200 transition text-sm">
+          📎
+          <input type="file" accept={ACCEPT} onChange={handleFileChange} className="hidden" />
+        </label>
+        <input
+          type="text"
+          value={body}
+          onChange={e => setBody(e.target.value)}
+          placeholder={file ? `Attached: ${file.name}` : 'Write a message...'}
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={sending || (!body.trim() && !file)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default MessageThread;
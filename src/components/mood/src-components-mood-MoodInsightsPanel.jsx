@@ -0,0 +1,143 @@
+// src/components/mood/MoodInsightsPanel.jsx
+import React, { useEffect, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getMoodAnalytics } from '../../api/moodTracker';
+import { getDimension, MOOD_DIMENSIONS, SCALE_MIN, SCALE_MAX } from '../../utils/moodScale';
+
+const TONE_STYLES = {
+  positive: 'bg-green-50 text-green-800',
+  concern: 'bg-orange-50 text-orange-800',
+  neutral: 'bg-blue-50 text-blue-800',
+};
+
+const PERIODS = [
+  { id: 'week', label: 'Week' },
+  { id: 'month', label: 'Month' },
+  { id: 'semester', label: 'Semester' },
+  { id: 'custom', label: 'Custom' },
+];
+
+// Mood over a chosen period with rolling averages, weekly changes and insights
+const MoodInsightsPanel = ({ userId }) => {
+  const [period, setPeriod] = useState('month');
+  const [customRange, setCustomRange] = useState({ start: '', end: '' });
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadAnalytics = async () => {
+      if (period === 'custom' && (!customRange.start || !customRange.end)) return;
+
+      const result = await getMoodAnalytics(userId, period === 'custom' ? customRange : period);
+      if (result.error) {
+        setError(result.error.message);
+      } else {
+        setError(null);
+        setAnalytics(result);
+      }
+    };
+
+    loadAnalytics();
+  }, [userId, period, customRange]);
+
+  if (!analytics) return null;
+
+  const weekly = analytics.granularity === 'week';
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-medium text-gray-900">Your mood</h2>
+        <div className="flex gap-1">
+          {PERIODS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setPeriod(option.id)}
+              className={`px-3 py-1 text-sm rounded-lg transition ${
+                period === option.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {period === 'custom' && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+          <input
+            type="date"
+            value={customRange.start}
+            onChange={(e) => setCustomRange(prev => ({ ...prev, start: e.target.value }))}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          />
+          to
+          <input
+            type="date"
+            value={customRange.end}
+            onChange={(e) => setCustomRange(prev => ({ ...prev, end: e.target.value }))}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          />
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500">
+        {analytics.range.start} to {analytics.range.end}
+        {weekly && ' · weekly averages'}
+      </p>
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+
+      {analytics.chartData.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">No check-ins in this period yet.</p>
+      ) : (
+        <div className="mt-4 h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={analytics.chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+              <YAxis domain={[SCALE_MIN, SCALE_MAX]} allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="mood" name={weekly ? 'Weekly mood' : 'Mood'} stroke="#93c5fd" dot connectNulls />
+              {!weekly && (
+                <Line type="monotone" dataKey="moodAvg7" name="7-day average" stroke="#2563eb" dot={false} strokeWidth={2} connectNulls />
+              )}
+              {!weekly && (
+                <Line type="monotone" dataKey="moodAvg30" name="30-day average" stroke="#1e3a8a" dot={false} strokeDasharray="5 5" connectNulls />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <dl className="mt-4 grid grid-cols-2 sm:grid-cols-5 gap-3">
+        {MOOD_DIMENSIONS.map(dimension => {
+          const { change, current } = analytics.weekOverWeek[dimension];
+          return (
+            <div key={dimension} className="bg-gray-50 rounded-lg p-3">
+              <dt className="text-xs text-gray-500">{getDimension(dimension).label}</dt>
+              <dd className="text-lg font-semibold text-gray-900">{current ?? '–'}</dd>
+              {change !== null && (
+                <dd className="text-xs text-gray-600">
+                  {change > 0 ? '▲' : change < 0 ? '▼' : '•'} {Math.abs(change)} vs last week
+                </dd>
+              )}
+            </div>
+          );
+        })}
+      </dl>
+
+      {analytics.insights.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {analytics.insights.map(insight => (
+            <li key={insight.id} className={`text-sm rounded-lg px-3 py-2 ${TONE_STYLES[insight.tone]}`}>
+              💡 {insight.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MoodInsightsPanel;
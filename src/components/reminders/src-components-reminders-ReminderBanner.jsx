@@ -0,0 +1,32 @@
+// src/components/reminders/ReminderBanner.jsx
+import React from 'react';
+
+// In-app reminder, shown when push notifications aren't available
+const ReminderBanner = ({ reminder, onCheckIn, onDismiss }) => {
+  if (!reminder) return null;
+
+  return (
+    <div className="mb-6 bg-orange-50 border-l-4 border-orange-500 p-4 rounded flex items-center justify-between">
+      <div>
+        <h3 className="text-lg font-medium text-orange-900">{reminder.title}</h3>
+        <p className="mt-1 text-sm text-orange-800">{reminder.body}</p>
+      </div>
+      <div className="ml-4 flex gap-2">
+        <button
+          onClick={onDismiss}
+          className="px-3 py-2 text-sm text-orange-800 hover:underline"
+        >
+          Later
+        </button>
+        <button
+          onClick={onCheckIn}
+          className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition"
+        >
+          Check in
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReminderBanner;
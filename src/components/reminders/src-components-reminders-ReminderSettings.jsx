@@ -0,0 +1,175 @@
+// src/components/reminders/ReminderSettings.jsx
+import React, { useEffect, useState } from 'react';
+import {
+  getReminderSettings,
+  saveReminderSettings,
+  enablePushReminders,
+  disablePushReminders,
+  sendTestReminder,
+} from '../../api/reminders';
+import { isPushSupported } from '../../utils/serviceWorker';
+
+// Reminder time, quiet hours and push opt-in for one student
+const ReminderSettings = ({ userId, onInApp }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const { settings: data, error: loadError } = await getReminderSettings(userId);
+      if (loadError) {
+        setError(loadError.message);
+      } else {
+        setSettings(data);
+      }
+    };
+
+    loadSettings();
+  }, [userId]);
+
+  if (!settings) {
+    return error ? <p className="text-sm text-red-700">{error}</p> : null;
+  }
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+  const updateQuietHours = (changes) => update({ quietHours: { ...settings.quietHours, ...changes } });
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setStatus(null);
+
+    const { settings: saved, error: saveError } = await saveReminderSettings(userId, settings);
+    if (saveError) {
+      setError(saveError.message);
+    } else {
+      setSettings(prev => ({ ...prev, ...saved }));
+      setStatus('Reminder settings saved.');
+    }
+    setSaving(false);
+  };
+
+  const handleTogglePush = async () => {
+    setError(null);
+    setStatus(null);
+
+    if (settings.pushSubscription) {
+      const { error: pushError } = await disablePushReminders(userId);
+      if (pushError) {
+        setError(pushError.message);
+      } else {
+        update({ pushSubscription: null });
+        setStatus('Push notifications are off. You\'ll see reminders in the app instead.');
+      }
+      return;
+    }
+
+    const { channel, error: pushError } = await enablePushReminders(userId);
+    if (pushError) {
+      setError(pushError.message);
+    } else if (channel === 'push') {
+      const { settings: refreshed } = await getReminderSettings(userId);
+      if (refreshed) setSettings(refreshed);
+      setStatus('Push notifications are on for this device.');
+    } else {
+      setStatus('Notifications aren\'t allowed here, so reminders will appear in the app.');
+    }
+  };
+
+  const handleTest = async () => {
+    setError(null);
+    const { channel, error: testError } = await sendTestReminder(userId, onInApp);
+    if (testError) {
+      setError(testError.message);
+    } else {
+      setStatus(channel === 'push' ? 'Test notification sent.' : 'Test reminder shown in the app.');
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900">Daily check-in reminders</h2>
+      <p className="mt-1 text-sm text-gray-600">
+        We'll nudge you once a day if you haven't checked in yet, never during quiet hours.
+      </p>
+
+      <label className="mt-4 flex items-center gap-2 text-sm text-gray-800">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Send me reminders
+      </label>
+
+      <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <label className="block text-sm text-gray-700">
+          Remind me at
+          <input
+            type="time"
+            value={settings.reminderTime}
+            onChange={(e) => update({ reminderTime: e.target.value })}
+            disabled={!settings.enabled}
+            className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+          />
+        </label>
+        <label className="block text-sm text-gray-700">
+          Quiet hours from
+          <input
+            type="time"
+            value={settings.quietHours.start}
+            onChange={(e) => updateQuietHours({ start: e.target.value })}
+            disabled={!settings.enabled}
+            className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+          />
+        </label>
+        <label className="block text-sm text-gray-700">
+          until
+          <input
+            type="time"
+            value={settings.quietHours.end}
+            onChange={(e) => updateQuietHours({ end: e.target.value })}
+            disabled={!settings.enabled}
+            className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+          />
+        </label>
+      </div>
+
+      <div className="mt-6 flex flex-wrap gap-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save reminders'}
+        </button>
+        {isPushSupported() && (
+          <button
+            onClick={handleTogglePush}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+          >
+            {settings.pushSubscription ? 'Turn off push notifications' : 'Turn on push notifications'}
+          </button>
+        )}
+        <button
+          onClick={handleTest}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+        >
+          Send a test reminder
+        </button>
+      </div>
+
+      {!isPushSupported() && (
+        <p className="mt-3 text-xs text-gray-500">
+          This browser can't show push notifications, so reminders will appear when you open the app.
+        </p>
+      )}
+      {status && <p className="mt-3 text-sm text-green-700">{status}</p>}
+      {error && <p className="mt-3 text-sm text-red-700">{error}</p>}
+    </section>
+  );
+};
+
+export default ReminderSettings;
@@ -0,0 +1,56 @@
+// src/components/resources/ResourceCard.jsx
+import React from 'react';
+import { describeReason, getResourceType } from '../../utils/resources';
+
+// One resource, with why it was suggested and bookmark/dismiss actions
+const ResourceCard = ({ resource, reasons = [], bookmarked, onBookmark, onDismiss }) => {
+  const type = getResourceType(resource.type);
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 flex flex-col">
+      <div className="flex items-start justify-between">
+        <p className="text-xs font-medium text-gray-500 uppercase">
+          {type.icon} {type.label}
+        </p>
+        <button
+          onClick={() => onBookmark(!bookmarked)}
+          className="text-lg leading-none"
+          aria-label={bookmarked ? 'Remove bookmark' : 'Bookmark'}
+          title={bookmarked ? 'Remove bookmark' : 'Bookmark'}
+        >
+          {bookmarked ? '★' : '☆'}
+        </button>
+      </div>
+
+      <h3 className="mt-1 font-medium text-gray-900">
+        {resource.url ? (
+          <a href={resource.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+            {resource.title}
+          </a>
+        ) : resource.title}
+      </h3>
+      <p className="mt-1 text-sm text-gray-700 flex-1">{resource.description}</p>
+
+      {(resource.contact || resource.location || resource.schedule) && (
+        <p className="mt-2 text-xs text-gray-600">
+          {[resource.contact, resource.location, resource.schedule].filter(Boolean).join(' · ')}
+        </p>
+      )}
+
+      <div className="mt-3 flex items-end justify-between">
+        {reasons.length > 0 ? (
+          <p className="text-xs text-gray-500">
+            Suggested because of {describeReason(reasons[0])}
+          </p>
+        ) : <span />}
+        {onDismiss && (
+          <button onClick={onDismiss} className="ml-2 text-xs text-gray-500 hover:underline">
+            Not for me
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResourceCard;
@@ -0,0 +1,96 @@
+// src/components/resources/ResourceRecommendations.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { getRecommendedResources, setResourceStatus } from '../../api/resources';
+import { subscribeToAssessmentSessions } from '../../api/assessment';
+import ResourceCard from './ResourceCard';
+
+// Dashboard section of resources picked for the student; reloads after a retake
+const ResourceRecommendations = ({ userId }) => {
+  const [recommendations, setRecommendations] = useState([]);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [dismissed, setDismissed] = useState(null); // last dismissed resource, for undo
+  const [error, setError] = useState(null);
+
+  const loadResources = useCallback(async () => {
+    const result = await getRecommendedResources(userId);
+    if (result.error) {
+      setError(result.error.message);
+      return;
+    }
+    setError(null);
+    setRecommendations(result.recommendations);
+    setBookmarks(result.bookmarks);
+  }, [userId]);
+
+  useEffect(() => {
+    loadResources();
+    return subscribeToAssessmentSessions(userId, loadResources);
+  }, [userId, loadResources]);
+
+  const updateStatus = async (resource, status) => {
+    const { error: saveError } = await setResourceStatus(userId, resource.id, status);
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+
+    setDismissed(status === 'dismissed' ? resource : null);
+    loadResources();
+  };
+
+  const recommendedIds = recommendations.map(({ resource }) => resource.id);
+  const otherBookmarks = bookmarks.filter(resource => !recommendedIds.includes(resource.id));
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mt-6">
+      <h2 className="text-xl font-semibold text-gray-900">
+        🧭 Recommended for You
+      </h2>
+      <p className="mt-1 text-sm text-gray-600">
+        Based on your latest assessment and recent check-ins.
+      </p>
+
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+
+      {dismissed && (
+        <p className="mt-3 text-sm text-gray-600">
+          Hid "{dismissed.title}".{' '}
+          <button onClick={() => updateStatus(dismissed, null)} className="text-blue-600 hover:underline">
+            Undo
+          </button>
+        </p>
+      )}
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {recommendations.map(({ resource, reasons, bookmarked }) => (
+          <ResourceCard
+            key={resource.id}
+            resource={resource}
+            reasons={reasons}
+            bookmarked={bookmarked}
+            onBookmark={(save) => updateStatus(resource, save ? 'bookmarked' : null)}
+            onDismiss={() => updateStatus(resource, 'dismissed')}
+          />
+        ))}
+      </div>
+
+      {otherBookmarks.length > 0 && (
+        <>
+          <h3 className="mt-6 font-medium text-gray-900">★ Saved</h3>
+          <div className="mt-2 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {otherBookmarks.map(resource => (
+              <ResourceCard
+                key={resource.id}
+                resource={resource}
+                bookmarked
+                onBookmark={() => updateStatus(resource, null)}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ResourceRecommendations;
@@ -3,6 +3,7 @@ import React, { createContext, useState, useEffect, useContext } from 'react';
 import { supabase } from '../utils/supabase';
 import { getCurrentUserProfile } from '../api/auth';
 import { recordLogin } from '../api/streaks';
+import { clearOfflineData } from '../utils/serviceWorker';
 
 const AuthContext = createContext({});
 
@@ -39,6 +40,7 @@ export const AuthProvider = ({ children }) => {
         setUser(null);
         setProfile(null);
         setRoleProfile(null);
+        clearOfflineData();
       }
     });
 
@@ -80,6 +82,10 @@ export const AuthProvider = ({ children }) => {
     refreshProfile,
     isStudent: profile?.role === 'student',
     isCounselor: profile?.role === 'counselor',
+    isAdmin: profile?.role === 'admin',
+    // Counseling center leadership (directors) and admins can see campus-wide trends
+    canViewCohortAnalytics: profile?.role === 'admin'
+      || (profile?.role === 'counselor' && !!roleProfile?.is_director),
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,53 @@
+// src/pages/admin/AdminDashboard.jsx
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import AccountRepairPanel from '../../components/admin/AccountRepairPanel';
+
+const AdminDashboard = () => {
+  const { profile } = useAuth();
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-5xl mx-auto py-6 px-4">
+          <h1 className="text-3xl font-bold text-gray-900">
+            Welcome back, {profile?.full_name}!
+          </h1>
+          <p className="mt-1 text-sm text-gray-600">Administration</p>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto py-6 px-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <button
+            onClick={() => navigate('/admin/questions')}
+            className="flex flex-col items-start p-6 bg-white shadow rounded-lg hover:shadow-md transition text-left"
+          >
+            <span className="text-4xl mb-2">📝</span>
+            <span className="font-medium text-gray-900">Assessment questions</span>
+            <span className="mt-1 text-sm text-gray-600">
+              Add, reorder and hide questions, and edit answer options and severity scores.
+            </span>
+          </button>
+
+          <button
+            onClick={() => navigate('/admin/analytics')}
+            className="flex flex-col items-start p-6 bg-white shadow rounded-lg hover:shadow-md transition text-left"
+          >
+            <span className="text-4xl mb-2">📈</span>
+            <span className="font-medium text-gray-900">Campus trends</span>
+            <span className="mt-1 text-sm text-gray-600">
+              Anonymized mood and assessment trends across the student body.
+            </span>
+          </button>
+        </div>
+
+        <AccountRepairPanel />
+      </main>
+    </div>
+  );
+};
+
+export default AdminDashboard;
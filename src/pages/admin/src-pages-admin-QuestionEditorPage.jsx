@@ -0,0 +1,144 @@
+// src/pages/admin/QuestionEditorPage.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  createQuestion,
+  getAllQuestions,
+  reorderQuestions,
+  setQuestionActive,
+  updateOption,
+  updateQuestion,
+} from '../../api/assessmentQuestions';
+import { moveQuestion } from '../../utils/questionEditor';
+import QuestionEditorCard from '../../components/admin/QuestionEditorCard';
+import QuestionForm from '../../components/admin/QuestionForm';
+import AssessmentPreview from '../../components/admin/AssessmentPreview';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const QuestionEditorPage = () => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [questions, setQuestions] = useState([]);
+  const [view, setView] = useState('edit'); // 'edit' or 'preview'
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadQuestions = useCallback(async () => {
+    const { questions: data, error: loadError } = await getAllQuestions();
+    if (loadError) {
+      setError(loadError.message);
+    } else {
+      setError(null);
+      setQuestions(data);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [loadQuestions]);
+
+  // Run a change, then reload so numbering and options match the database
+  const withReload = (change) => async (...args) => {
+    const result = await change(...args);
+    if (!result.error) await loadQuestions();
+    return result;
+  };
+
+  const handleCreate = withReload(async (question) => {
+    const result = await createQuestion(question);
+    if (!result.error) setAdding(false);
+    return result;
+  });
+
+  const handleMove = withReload(async (questionId, direction) => {
+    const result = await reorderQuestions(moveQuestion(questions, questionId, direction));
+    if (result.error) setError(result.error.message);
+    return result;
+  });
+
+  const handleToggleActive = withReload(async (questionId, isActive) => {
+    const result = await setQuestionActive(questionId, isActive);
+    if (result.error) setError(result.error.message);
+    return result;
+  });
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading questions..." />;
+  }
+
+  const activeCount = questions.filter(question => question.is_active).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-5xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/admin/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Assessment Questions</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            {activeCount} of {questions.length} questions are shown to students.
+          </p>
+
+          <div className="mt-4 flex gap-1">
+            {['edit', 'preview'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-4 py-2 text-sm rounded-lg transition ${
+                  view === option ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {option === 'edit' ? 'Edit' : 'Preview as student'}
+              </button>
+            ))}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto py-6 px-4 space-y-4">
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {view === 'preview' ? (
+          <AssessmentPreview questions={questions} />
+        ) : (
+          <>
+            {adding ? (
+              <QuestionForm onCreate={handleCreate} onCancel={() => setAdding(false)} />
+            ) : (
+              <button
+                onClick={() => setAdding(true)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+              >
+                + New question
+              </button>
+            )}
+
+            {questions.map((question, index) => (
+              <QuestionEditorCard
+                key={question.id}
+                question={question}
+                isFirst={index === 0}
+                isLast={index === questions.length - 1}
+                onMove={handleMove}
+                onToggleActive={handleToggleActive}
+                onSaveQuestion={withReload(updateQuestion)}
+                onSaveOption={withReload(updateOption)}
+              />
+            ))}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default QuestionEditorPage;
@@ -0,0 +1,273 @@
+// src/pages/counselor/CohortAnalyticsPage.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getCohortAssessmentTrends,
+  getCohortMinGroupSize,
+  getCohortMoodTrends,
+} from '../../api/cohortAnalytics';
+import {
+  getCellGroups,
+  getGroupingOptions,
+  getRecentTerms,
+  toChartRows,
+  toExportRows,
+} from '../../utils/cohortAnalytics';
+import { getDayKey } from '../../utils/dateService';
+import { getDimension, MOOD_DIMENSIONS, SCALE_MIN, SCALE_MAX } from '../../utils/moodScale';
+import { toCsv } from '../../utils/csv';
+import { downloadFile } from '../../utils/download';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const COLORS = ['#8b5cf6', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#ec4899', '#14b8a6'];
+
+const CohortAnalyticsPage = () => {
+  const { canViewCohortAnalytics } = useAuth();
+  const navigate = useNavigate();
+  const terms = useMemo(() => getRecentTerms(getDayKey()), []);
+  const [termId, setTermId] = useState(0);
+  const [groupBy, setGroupBy] = useState('all');
+  const [dimension, setDimension] = useState('stress');
+  const [category, setCategory] = useState(null);
+  const [moodCells, setMoodCells] = useState([]);
+  const [assessmentCells, setAssessmentCells] = useState([]);
+  const [minGroupSize, setMinGroupSize] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const term = terms[termId];
+
+  useEffect(() => {
+    const loadTrends = async () => {
+      if (!canViewCohortAnalytics) return;
+
+      setLoading(true);
+      const { minGroupSize: minimum, error: minimumError } = await getCohortMinGroupSize();
+      if (minimumError) {
+        setError(minimumError.message);
+        setLoading(false);
+        return;
+      }
+
+      const [mood, assessments] = await Promise.all([
+        getCohortMoodTrends({ term, groupBy, minGroupSize: minimum }),
+        getCohortAssessmentTrends({ start: term.start, end: term.end, groupBy, minGroupSize: minimum }),
+      ]);
+
+      setError(mood.error?.message || assessments.error?.message || null);
+      setMinGroupSize(minimum);
+      setMoodCells(mood.cells);
+      setAssessmentCells(assessments.cells);
+      setLoading(false);
+    };
+
+    loadTrends();
+  }, [canViewCohortAnalytics, term, groupBy]);
+
+  const categories = useMemo(
+    () => [...new Set(assessmentCells.map(cell => cell.category))].sort(),
+    [assessmentCells]
+  );
+  const activeCategory = categories.includes(category) ? category : categories[0];
+  const categoryCells = assessmentCells.filter(cell => cell.category === activeCategory);
+
+  const exportCsv = (name, cells) => {
+    downloadFile(
+      `cohort-${name}-${term.id}-${term.start.slice(0, 4)}-${groupBy}.csv`,
+      toCsv(toExportRows(cells)),
+      'text/csv;charset=utf-8'
+    );
+  };
+
+  if (!canViewCohortAnalytics) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-50">
+        <p className="text-gray-700">Cohort analytics are available to counseling center leadership.</p>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="mt-4 text-blue-600 hover:underline"
+        >
+          Back to dashboard
+        </button>
+      </div>
+    );
+  }
+
+  const hiddenCount = [...moodCells, ...assessmentCells].filter(cell => cell.suppressed).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Campus Trends</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Aggregates only. Small groups are hidden
+            {minGroupSize && ` (fewer than ${minGroupSize} students)`}, along with the next smallest group
+            when only one would be.
+          </p>
+
+          <div className="mt-4 flex flex-wrap gap-4">
+            <label className="text-sm text-gray-700">
+              Term{' '}
+              <select
+                value={termId}
+                onChange={(e) => setTermId(Number(e.target.value))}
+                className="ml-1 border border-gray-300 rounded-md px-2 py-1"
+              >
+                {terms.map((option, index) => (
+                  <option key={option.start} value={index}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Split by{' '}
+              <select
+                value={groupBy}
+                onChange={(e) => setGroupBy(e.target.value)}
+                className="ml-1 border border-gray-300 rounded-md px-2 py-1"
+              >
+                {getGroupingOptions().map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8 space-y-6">
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <LoadingSpinner message="Loading trends..." />
+        ) : (
+          <>
+            <section className="bg-white shadow rounded-lg p-6">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h2 className="text-lg font-medium text-gray-900">Average by week of term</h2>
+                <div className="flex gap-2">
+                  <select
+                    value={dimension}
+                    onChange={(e) => setDimension(e.target.value)}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  >
+                    {MOOD_DIMENSIONS.map(option => (
+                      <option key={option} value={option}>{getDimension(option).label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => exportCsv('mood', moodCells)}
+                    disabled={moodCells.length === 0}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Export CSV
+                  </button>
+                </div>
+              </div>
+
+              {moodCells.length === 0 ? (
+                <p className="mt-4 text-sm text-gray-500">No check-ins in this term yet.</p>
+              ) : (
+                <TrendChart
+                  data={toChartRows(moodCells, { x: 'weekOfTerm', value: cell => cell.averages[dimension] })}
+                  x="weekOfTerm"
+                  xLabel="Week"
+                  groups={getCellGroups(moodCells)}
+                  domain={[SCALE_MIN, SCALE_MAX]}
+                />
+              )}
+            </section>
+
+            <section className="bg-white shadow rounded-lg p-6">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <h2 className="text-lg font-medium text-gray-900">
+                  Students at moderate severity or above, by month
+                </h2>
+                <div className="flex gap-2">
+                  {categories.length > 0 && (
+                    <select
+                      value={activeCategory}
+                      onChange={(e) => setCategory(e.target.value)}
+                      className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    >
+                      {categories.map(option => (
+                        <option key={option} value={option}>{option.replace(/_/g, ' ')}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    onClick={() => exportCsv('assessments', assessmentCells)}
+                    disabled={assessmentCells.length === 0}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Export CSV
+                  </button>
+                </div>
+              </div>
+
+              {categoryCells.length === 0 ? (
+                <p className="mt-4 text-sm text-gray-500">No assessments in this term yet.</p>
+              ) : (
+                <TrendChart
+                  data={toChartRows(categoryCells, {
+                    x: 'period',
+                    value: cell => Math.round(cell.elevatedShare * 100),
+                  })}
+                  x="period"
+                  groups={getCellGroups(categoryCells)}
+                  domain={[0, 100]}
+                  unit="%"
+                />
+              )}
+            </section>
+
+            {hiddenCount > 0 && (
+              <p className="text-xs text-gray-500">
+                {hiddenCount} {hiddenCount === 1 ? 'value is' : 'values are'} hidden to protect
+                small groups; gaps in the charts are hidden values, not zeros.
+              </p>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+// One line per group; hidden values are left as gaps
+const TrendChart = ({ data, x, xLabel, groups, domain, unit }) => (
+  <div className="mt-4 h-72">
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey={x} tickFormatter={value => (xLabel ? `${xLabel} ${value}` : value)} />
+        <YAxis domain={domain} unit={unit} />
+        <Tooltip />
+        <Legend />
+        {groups.map((group, index) => (
+          <Line
+            key={group}
+            type="monotone"
+            dataKey={group}
+            stroke={COLORS[index % COLORS.length]}
+            unit={unit}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+export default CohortAnalyticsPage;
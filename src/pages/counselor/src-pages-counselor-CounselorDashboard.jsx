@@ -0,0 +1,325 @@
+// src/pages/counselor/CounselorDashboard.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getCaseload, filterCaseload, sortCaseload } from '../../api/counselor';
+import { getRiskAlerts, acknowledgeRiskAlert } from '../../api/riskAlerts';
+import { claimUnassignedStudent } from '../../api/assignments';
+import { getUnreadCount, subscribeToMessageChanges } from '../../api/messages';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import AppointmentsPanel from '../../components/appointments/AppointmentsPanel';
+
+const RISK_BADGES = {
+  high: 'bg-red-100 text-red-800',
+  elevated: 'bg-yellow-100 text-yellow-800',
+  none: 'bg-gray-100 text-gray-600',
+};
+
+const COLUMNS = [
+  { key: 'name', label: 'Student' },
+  { key: 'risk', label: 'Risk' },
+  { key: 'overallScore', label: 'Overall Score' },
+  { key: 'lastCheckIn', label: 'Recent Mood' },
+  { key: 'streak', label: 'Streak' },
+];
+
+const CounselorDashboard = () => {
+  const { user, profile, canViewCohortAnalytics } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [caseload, setCaseload] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [unread, setUnread] = useState({ total: 0, byStudent: {} });
+  const [filters, setFilters] = useState({ search: '', major: '', yearOfStudy: '', riskLevel: '' });
+  const [sort, setSort] = useState({ by: 'risk', direction: 'desc' });
+
+  useEffect(() => {
+    const loadCaseload = async () => {
+      if (!user) return;
+
+      try {
+        const { caseload: students, error: caseloadError } = await getCaseload(user.id);
+        if (caseloadError) throw caseloadError;
+        setCaseload(students);
+
+        const { alerts: openAlerts, error: alertsError } = await getRiskAlerts(user.id);
+        if (alertsError) throw alertsError;
+        setAlerts(openAlerts);
+      } catch (err) {
+        console.error('Error loading caseload:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCaseload();
+  }, [user]);
+
+  // Keep unread message badges live
+  useEffect(() => {
+    if (!user) return;
+
+    const refreshUnread = async () => {
+      const { total, byStudent } = await getUnreadCount(user.id);
+      setUnread({ total, byStudent });
+    };
+
+    refreshUnread();
+    return subscribeToMessageChanges(user.id, refreshUnread);
+  }, [user]);
+
+  const majors = useMemo(
+    () => [...new Set(caseload.map(s => s.major).filter(Boolean))].sort(),
+    [caseload]
+  );
+
+  const visibleStudents = useMemo(
+    () => sortCaseload(filterCaseload(caseload, filters), sort.by, sort.direction),
+    [caseload, filters, sort]
+  );
+
+  const handleSort = (key) => {
+    setSort(current => ({
+      by: key,
+      direction: current.by === key && current.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  const handleAcknowledge = async (alertId) => {
+    const { error: ackError } = await acknowledgeRiskAlert(alertId, user.id);
+    if (ackError) {
+      console.error('Error acknowledging alert:', ackError);
+      return;
+    }
+    setAlerts(current => current.filter(a => a.id !== alertId));
+  };
+
+  // Taking on a student from the shared queue moves them into this caseload
+  const handleClaim = async (studentId) => {
+    const { error: claimError } = await claimUnassignedStudent(studentId);
+    if (claimError) {
+      // Most likely another counselor took them on first; the refresh below shows who is left
+      setError(claimError.message);
+    }
+
+    const { caseload: students } = await getCaseload(user.id);
+    if (students) setCaseload(students);
+
+    const { alerts: openAlerts } = await getRiskAlerts(user.id);
+    if (openAlerts) setAlerts(openAlerts);
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading caseload..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex items-center justify-between">
+          <h1 className="text-3xl font-bold text-gray-900">
+            Welcome back, {profile?.full_name}!
+          </h1>
+          {unread.total > 0 && (
+            <span className="ml-auto mr-4 text-sm text-gray-700">
+              💬 {unread.total} unread {unread.total === 1 ? 'message' : 'messages'}
+            </span>
+          )}
+          {canViewCohortAnalytics && (
+            <button
+              onClick={() => navigate('/counselor/analytics')}
+              className="mr-2 px-4 py-2 bg-blue-50 text-blue-800 rounded-lg hover:bg-blue-100 transition"
+            >
+              Campus Trends
+            </button>
+          )}
+          <button
+            onClick={() => navigate('/counselor/profile')}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+          >
+            My Profile
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {error && (
+          <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {/* Open risk alerts */}
+        {alerts.length > 0 && (
+          <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded">
+            <h2 className="text-lg font-medium text-red-900">
+              🚨 {alerts.length} open risk {alerts.length === 1 ? 'alert' : 'alerts'}
+            </h2>
+            <ul className="mt-3 space-y-2">
+              {alerts.map(alert => (
+                <li key={alert.id} className="flex items-center justify-between bg-white rounded p-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {alert.profiles?.full_name || 'Student'}{' '}
+                      <span className={`ml-2 px-2 py-0.5 rounded text-xs ${RISK_BADGES[alert.risk_level]}`}>
+                        {alert.risk_level}
+                      </span>
+                      {alert.unassigned && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs bg-gray-200 text-gray-800">
+                          no counselor yet
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      {alert.reasons.map(r => r.message).join(' · ')}
+                    </p>
+                  </div>
+                  {alert.unassigned ? (
+                    <button
+                      onClick={() => handleClaim(alert.student_id)}
+                      className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 transition"
+                    >
+                      Take on student
+                    </button>
+                  ) : (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => navigate(`/counselor/student/${alert.student_id}`)}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition"
+                      >
+                        View
+                      </button>
+                      <button
+                        onClick={() => handleAcknowledge(alert.id)}
+                        className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 transition"
+                      >
+                        Acknowledge
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="bg-white shadow rounded-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            type="text"
+            placeholder="Search name, email or ID"
+            value={filters.search}
+            onChange={e => setFilters({ ...filters, search: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <select
+            value={filters.major}
+            onChange={e => setFilters({ ...filters, major: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">All majors</option>
+            {majors.map(major => (
+              <option key={major} value={major}>{major}</option>
+            ))}
+          </select>
+          <select
+            value={filters.yearOfStudy}
+            onChange={e => setFilters({ ...filters, yearOfStudy: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">All years</option>
+            {[1, 2, 3, 4, 5].map(year => (
+              <option key={year} value={year}>Year {year}</option>
+            ))}
+          </select>
+          <select
+            value={filters.riskLevel}
+            onChange={e => setFilters({ ...filters, riskLevel: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">All risk levels</option>
+            <option value="high">High</option>
+            <option value="elevated">Elevated</option>
+            <option value="none">No open alerts</option>
+          </select>
+        </div>
+
+        {/* Caseload */}
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    onClick={() => handleSort(column.key)}
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none"
+                  >
+                    {column.label}
+                    {sort.by === column.key && (sort.direction === 'desc' ? ' ▼' : ' ▲')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleStudents.map(student => (
+                <tr
+                  key={student.id}
+                  onClick={() => navigate(`/counselor/student/${student.id}`)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-6 py-4">
+                    <p className="text-sm font-medium text-gray-900">
+                      {student.fullName}
+                      {unread.byStudent[student.id] > 0 && (
+                        <span className="ml-2 px-2 py-0.5 bg-red-600 text-white text-xs rounded-full">
+                          💬 {unread.byStudent[student.id]}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {[student.major, student.yearOfStudy && `Year ${student.yearOfStudy}`]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-0.5 rounded text-xs ${RISK_BADGES[student.riskLevel]}`}>
+                      {student.riskLevel}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {student.overallScore ?? (student.hasCompletedAssessment ? '—' : 'Not assessed')}
+                  </td>
+                  <td className="px-6 py-4 text-lg">
+                    {student.recentMoods.length > 0
+                      ? student.recentMoods.map(m => m.mood_emoji).join(' ')
+                      : <span className="text-sm text-gray-400">No check-ins</span>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    🔥 {student.currentStreak} days
+                  </td>
+                </tr>
+              ))}
+              {visibleStudents.length === 0 && (
+                <tr>
+                  <td colSpan={COLUMNS.length} className="px-6 py-8 text-center text-sm text-gray-500">
+                    No students match these filters.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Appointments */}
+        <AppointmentsPanel userId={user.id} role="counselor" />
+      </main>
+    </div>
+  );
+};
+
+export default CounselorDashboard;
@@ -0,0 +1,54 @@
+// src/pages/counselor/CounselorProfilePage.jsx
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import AvailabilityEditor from '../../components/appointments/AvailabilityEditor';
+
+const CounselorProfilePage = () => {
+  const { user, profile, roleProfile } = useAuth();
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <button
+            onClick={() => navigate('/counselor/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">My Profile</h1>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8 space-y-6">
+        <div className="bg-white shadow rounded-lg p-6">
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Name</dt>
+              <dd className="text-gray-900">{profile?.full_name}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Email</dt>
+              <dd className="text-gray-900">{profile?.email}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Specialization</dt>
+              <dd className="text-gray-900">{roleProfile?.specialization || '—'}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Years of Experience</dt>
+              <dd className="text-gray-900">{roleProfile?.years_of_experience ?? '—'}</dd>
+            </div>
+          </dl>
+        </div>
+
+        {user && <AvailabilityEditor counselorId={user.id} />}
+      </main>
+    </div>
+  );
+};
+
+export default CounselorProfilePage;
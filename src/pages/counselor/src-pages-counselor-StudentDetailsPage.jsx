@@ -0,0 +1,298 @@
+// src/pages/counselor/StudentDetailsPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getStudentOverview } from '../../api/counselor';
+import { getAssignmentHistory, getCounselorLoads, reassignStudent } from '../../api/assignments';
+import { getInstrumentName } from '../../utils/instruments';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import AssessmentTrendChart from '../../components/assessment/AssessmentTrendChart';
+import SessionComparison from '../../components/assessment/SessionComparison';
+
+const StudentDetailsPage = () => {
+  const { studentId } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [overview, setOverview] = useState(null);
+  const [assignmentHistory, setAssignmentHistory] = useState([]);
+  const [counselors, setCounselors] = useState([]);
+  const [transferTo, setTransferTo] = useState('');
+  const [transferReason, setTransferReason] = useState('');
+
+  useEffect(() => {
+    const loadOverview = async () => {
+      if (!user) return;
+
+      try {
+        const { overview: data, error: overviewError } = await getStudentOverview(studentId, user.id);
+        if (overviewError) throw overviewError;
+        setOverview(data);
+
+        const { history, error: historyError } = await getAssignmentHistory(studentId);
+        if (historyError) throw historyError;
+        setAssignmentHistory(history);
+
+        const { counselors: loads, error: loadsError } = await getCounselorLoads();
+        if (loadsError) throw loadsError;
+        setCounselors(loads.filter(c => c.id !== user.id));
+      } catch (err) {
+        console.error('Error loading student:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOverview();
+  }, [studentId, user]);
+
+  const handleTransfer = async () => {
+    if (!transferTo) return;
+
+    const { error: transferError } = await reassignStudent(studentId, transferTo, {
+      reason: transferReason || null,
+    });
+
+    if (transferError) {
+      setError(transferError.message);
+      return;
+    }
+
+    // The student now belongs to another counselor's caseload
+    navigate('/counselor/dashboard');
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading student..." />;
+  }
+
+  if (error || !overview) {
+    return (
+      <div className="max-w-3xl mx-auto py-10 px-4">
+        <p className="text-red-700">{error || 'Student not found.'}</p>
+        <button
+          onClick={() => navigate('/counselor/dashboard')}
+          className="mt-4 px-4 py-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+        >
+          Back to caseload
+        </button>
+      </div>
+    );
+  }
+
+  const { student, summary, responses, moodHistory, streakStats, sessions } = overview;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <button
+            onClick={() => navigate('/counselor/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to caseload
+          </button>
+          <div className="mt-2 flex items-center justify-between">
+            <h1 className="text-3xl font-bold text-gray-900">
+              {student.profiles?.full_name}
+            </h1>
+            <button
+              onClick={() => navigate(`/counselor/messages/${studentId}`)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+            >
+              💬 Message
+            </button>
+          </div>
+          <p className="text-sm text-gray-500">
+            {[student.profiles?.email, student.student_id, student.major, student.year_of_study && `Year ${student.year_of_study}`]
+              .filter(Boolean)
+              .join(' · ')}
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Assessment summary */}
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Assessment Summary</h2>
+          {summary ? (
+            <>
+              <p className="text-sm text-gray-500">
+                Overall score <span className="text-2xl font-semibold text-gray-900">{summary.overall_score}</span>
+              </p>
+              {summary.instrument_id && (
+                <p className="text-sm text-gray-500">
+                  {getInstrumentName(summary.instrument_id)} score {summary.raw_score}
+                  {summary.severity_band && (
+                    <span className="capitalize"> · {summary.severity_band.replace(/_/g, ' ')}</span>
+                  )}
+                </p>
+              )}
+              <ul className="mt-4 space-y-2">
+                {Object.entries(summary.category_scores || {}).map(([category, score]) => (
+                  <li key={category}>
+                    <div className="flex justify-between text-sm">
+                      <span className="capitalize text-gray-700">{category.replace(/_/g, ' ')}</span>
+                      <span className="text-gray-900">{score}</span>
+                    </div>
+                    <div className="h-2 bg-gray-100 rounded">
+                      <div
+                        className="h-2 bg-purple-500 rounded"
+                        style={{ width: `${Math.min(100, (score / 4) * 100)}%` }}
+                      ></div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              {summary.ai_diagnosis && (
+                <p className="mt-4 text-sm text-gray-700">{summary.ai_diagnosis}</p>
+              )}
+              {summary.ai_recommendations && (
+                <p className="mt-2 text-sm text-gray-600 whitespace-pre-line">{summary.ai_recommendations}</p>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">This student hasn't completed the assessment yet.</p>
+          )}
+        </section>
+
+        {/* Assessment history */}
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+            Assessment History ({sessions.length} sessions)
+          </h2>
+          <AssessmentTrendChart sessions={sessions} />
+          {sessions.length >= 2 && (
+            <div className="mt-6">
+              <SessionComparison sessions={sessions} />
+            </div>
+          )}
+        </section>
+
+        {/* Streak */}
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Engagement</h2>
+          <dl className="grid grid-cols-3 gap-4 text-center">
+            <div>
+              <dt className="text-sm text-gray-500">Current Streak</dt>
+              <dd className="text-2xl font-semibold text-gray-900">{streakStats.currentStreak} days</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Longest Streak</dt>
+              <dd className="text-2xl font-semibold text-gray-900">{streakStats.longestStreak} days</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Last Login</dt>
+              <dd className="text-lg font-semibold text-gray-900">{streakStats.lastLoginDate || '—'}</dd>
+            </div>
+          </dl>
+        </section>
+
+        {/* Assignment */}
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Counselor Assignment</h2>
+          <ul className="space-y-2 text-sm">
+            {assignmentHistory.map(assignment => (
+              <li key={assignment.id} className="flex justify-between">
+                <span className="text-gray-900">
+                  {assignment.profiles?.full_name}
+                  {!assignment.ended_at && <span className="ml-2 text-xs text-green-700">current</span>}
+                </span>
+                <span className="text-gray-500">
+                  {assignment.assigned_at?.slice(0, 10)} – {assignment.ended_at?.slice(0, 10) || 'now'}
+                  {assignment.reason && ` · ${assignment.reason}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-2">
+            <select
+              value={transferTo}
+              onChange={e => setTransferTo(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">Transfer to...</option>
+              {counselors.map(counselor => (
+                <option key={counselor.id} value={counselor.id}>
+                  {counselor.fullName} ({counselor.specialization || 'General'}, {counselor.load} students)
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Reason (optional)"
+              value={transferReason}
+              onChange={e => setTransferReason(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              onClick={handleTransfer}
+              disabled={!transferTo}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              Transfer
+            </button>
+          </div>
+        </section>
+
+        {/* Mood history */}
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Recent Mood (30 days)</h2>
+          {moodHistory.length > 0 ? (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1">Date</th>
+                  <th>Mood</th>
+                  <th>Stress</th>
+                  <th>Anxiety</th>
+                  <th>Sleep</th>
+                  <th>Energy</th>
+                </tr>
+              </thead>
+              <tbody>
+                {moodHistory.map(entry => (
+                  <tr key={entry.id} className="border-t border-gray-100">
+                    <td className="py-1 text-gray-700">{entry.entry_date}</td>
+                    <td>{entry.mood_emoji}</td>
+                    <td>{entry.stress_emoji}</td>
+                    <td>{entry.anxiety_emoji}</td>
+                    <td>{entry.sleep_quality_emoji}</td>
+                    <td>{entry.energy_level_emoji}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-500">No mood check-ins yet.</p>
+          )}
+        </section>
+
+        {/* Responses */}
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Assessment Responses</h2>
+          {responses.length > 0 ? (
+            <ul className="space-y-3">
+              {responses.map(response => (
+                <li key={response.id} className="text-sm">
+                  <p className="text-gray-900">{response.initial_assessment_questions?.question_text}</p>
+                  <p className="text-gray-600">
+                    {response.initial_assessment_options?.option_text}
+                    <span className="ml-2 text-xs text-gray-400">severity {response.severity_score}</span>
+                  </p>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No responses recorded.</p>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default StudentDetailsPage;
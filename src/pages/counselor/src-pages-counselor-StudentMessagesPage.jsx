@@ -0,0 +1,59 @@
+// src/pages/counselor/StudentMessagesPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getOrCreateThread } from '../../api/messages';
+import MessageThread from '../../components/messages/MessageThread';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const StudentMessagesPage = () => {
+  const { studentId } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [thread, setThread] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadThread = async () => {
+      if (!user) return;
+
+      const { thread: data, error: threadError } = await getOrCreateThread(studentId, user.id);
+      if (threadError) {
+        setError(threadError.message);
+      } else {
+        setThread(data);
+      }
+      setLoading(false);
+    };
+
+    loadThread();
+  }, [studentId, user]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading messages..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-3xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate(`/counselor/student/${studentId}`)}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to student
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Messages</h1>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 px-4">
+        {error && <p className="text-sm text-red-700">{error}</p>}
+        {thread && <MessageThread threadId={thread.id} userId={user.id} />}
+      </main>
+    </div>
+  );
+};
+
+export default StudentMessagesPage;
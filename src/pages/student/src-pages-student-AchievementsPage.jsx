@@ -0,0 +1,66 @@
+// src/pages/student/AchievementsPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { evaluateAchievements, getAchievementGallery } from '../../api/achievements';
+import BadgeGallery from '../../components/achievements/BadgeGallery';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const AchievementsPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [gallery, setGallery] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadGallery = async () => {
+      if (!user) return;
+
+      // Catch up on anything earned before badges were stored
+      await evaluateAchievements(user.id);
+
+      const { gallery: data, error: loadError } = await getAchievementGallery(user.id);
+      if (loadError) {
+        setError(loadError.message);
+      } else {
+        setGallery(data);
+      }
+      setLoading(false);
+    };
+
+    loadGallery();
+  }, [user]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading your badges..." />;
+  }
+
+  const earnedCount = gallery.filter(badge => badge.earned).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-5xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">My Badges</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            {earnedCount} of {gallery.length} earned. Badges are yours to keep, even if a streak ends.
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto py-6 px-4">
+        {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+        <BadgeGallery gallery={gallery} />
+      </main>
+    </div>
+  );
+};
+
+export default AchievementsPage;
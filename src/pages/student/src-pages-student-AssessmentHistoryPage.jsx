@@ -0,0 +1,73 @@
+// src/pages/student/AssessmentHistoryPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getAssessmentSessions } from '../../api/assessment';
+import AssessmentTrendChart from '../../components/assessment/AssessmentTrendChart';
+import SessionComparison from '../../components/assessment/SessionComparison';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const AssessmentHistoryPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      if (!user) return;
+
+      const { sessions: data, error: loadError } = await getAssessmentSessions(user.id);
+      if (loadError) {
+        setError(loadError.message);
+      } else {
+        setSessions(data);
+      }
+      setLoading(false);
+    };
+
+    loadSessions();
+  }, [user]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading your assessments..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-5xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">My Assessment History</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Lower scores mean fewer difficulties. {sessions.length} sessions so far.
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto py-6 px-4 space-y-6">
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        <section className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Scores Over Time</h2>
+          <AssessmentTrendChart sessions={sessions} />
+        </section>
+
+        {sessions.length >= 2 && (
+          <section className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Compare Sessions</h2>
+            <SessionComparison sessions={sessions} />
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AssessmentHistoryPage;
@@ -0,0 +1,128 @@
+// src/pages/student/CopingActivityPage.jsx
+import React, { useState } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { logActivityCompletion, recordActivityFeeling } from '../../api/copingActivities';
+import { getActivity } from '../../utils/copingActivities';
+import TimedActivity from '../../components/coping/TimedActivity';
+import PromptActivity from '../../components/coping/PromptActivity';
+import FeelingCheck from '../../components/coping/FeelingCheck';
+
+const CopingActivityPage = () => {
+  const { activityId } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const activity = getActivity(activityId);
+  const [startedAt] = useState(() => new Date().toISOString());
+  const [log, setLog] = useState(null);
+  const [feeling, setFeeling] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleComplete = async (responses = null) => {
+    setSaving(true);
+    setError(null);
+
+    const { log: saved, risk, error: saveError } = await logActivityCompletion(user.id, activity.id, {
+      startedAt,
+      moodEntryId: location.state?.moodEntryId || null,
+      responses,
+    });
+
+    setSaving(false);
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+
+    if (risk?.triggered) {
+      navigate('/student/safety', { state: { risk } });
+      return;
+    }
+    setLog(saved);
+  };
+
+  const handleFeeling = async (answer) => {
+    setSaving(true);
+    const { error: saveError } = await recordActivityFeeling(user.id, log.id, answer);
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError.message);
+    } else {
+      setFeeling(answer);
+    }
+  };
+
+  if (!activity) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-50">
+        <p className="text-gray-700">That activity doesn't exist.</p>
+        <button
+          onClick={() => navigate('/student/coping')}
+          className="mt-4 text-blue-600 hover:underline"
+        >
+          See all activities
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-2xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/coping')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← All activities
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">
+            {activity.icon} {activity.title}
+          </h1>
+          <p className="mt-1 text-sm text-gray-600">{activity.description}</p>
+        </div>
+      </header>
+
+      <main className="max-w-2xl mx-auto py-6 px-4">
+        {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+        <div className="bg-white rounded-lg shadow p-6">
+          {feeling ? (
+            <div className="text-center py-6">
+              <p className="text-xl font-medium text-gray-900">
+                {feeling === 'better'
+                  ? "Glad it helped. It's here whenever you need it."
+                  : 'Thanks for trying. A different activity, or a chat with your counselor, might help more.'}
+              </p>
+              <div className="mt-6 flex justify-center gap-3">
+                <button
+                  onClick={() => navigate('/student/coping')}
+                  className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+                >
+                  Try another
+                </button>
+                <button
+                  onClick={() => navigate('/student/dashboard')}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                  Back to dashboard
+                </button>
+              </div>
+            </div>
+          ) : log ? (
+            <FeelingCheck onAnswer={handleFeeling} disabled={saving} />
+          ) : activity.kind === 'timed' ? (
+            <TimedActivity activity={activity} onComplete={() => handleComplete()} />
+          ) : (
+            <PromptActivity activity={activity} onComplete={handleComplete} saving={saving} />
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default CopingActivityPage;
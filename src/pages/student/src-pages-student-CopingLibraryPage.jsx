@@ -0,0 +1,114 @@
+// src/pages/student/CopingLibraryPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getActivityEffects, getSuggestedActivities } from '../../api/copingActivities';
+import { getActivities } from '../../utils/copingActivities';
+import CopingSuggestions from '../../components/coping/CopingSuggestions';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const CopingLibraryPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [effects, setEffects] = useState([]);
+  const [suggested, setSuggested] = useState({ entry: null, suggestions: [] });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadLibrary = async () => {
+      if (!user) return;
+
+      const [effectsResult, suggestedResult] = await Promise.all([
+        getActivityEffects(user.id),
+        getSuggestedActivities(user.id),
+      ]);
+
+      if (effectsResult.error) {
+        setError(effectsResult.error.message);
+      } else {
+        setEffects(effectsResult.effects);
+      }
+      setSuggested(suggestedResult);
+      setLoading(false);
+    };
+
+    loadLibrary();
+  }, [user]);
+
+  const startActivity = (activityId) => {
+    navigate(`/student/coping/${activityId}`, {
+      state: { moodEntryId: suggested.entry?.id || null },
+    });
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading activities..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-4xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Coping Activities</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Short exercises for when stress or worry is building up.
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto py-6 px-4">
+        {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+        {suggested.suggestions.length > 0 && (
+          <div className="mb-6 bg-green-50 rounded-lg p-4">
+            <CopingSuggestions suggestions={suggested.suggestions} onStart={startActivity} />
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {getActivities().map(activity => {
+            const effect = effects.find(e => e.activityId === activity.id);
+
+            return (
+              <div key={activity.id} className="bg-white rounded-lg shadow p-5 flex flex-col">
+                <div className="flex items-center">
+                  <span className="text-3xl mr-3">{activity.icon}</span>
+                  <div>
+                    <h2 className="font-medium text-gray-900">{activity.title}</h2>
+                    <p className="text-xs text-gray-500">About {activity.minutes} minutes</p>
+                  </div>
+                </div>
+                <p className="mt-3 text-sm text-gray-700 flex-1">{activity.description}</p>
+
+                {effect && effect.completed > 0 && (
+                  <p className="mt-3 text-xs text-gray-600">
+                    Done {effect.completed} {effect.completed === 1 ? 'time' : 'times'}
+                    {effect.betterRate !== null && (
+                      <> · helped {Math.round(effect.betterRate * 100)}% of the time</>
+                    )}
+                  </p>
+                )}
+
+                <button
+                  onClick={() => startActivity(activity.id)}
+                  className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                  Start
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default CopingLibraryPage;
@@ -0,0 +1,215 @@
+// src/pages/student/DataExportPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useAuth } from '../../contexts/AuthContext';
+import { collectStudentData, toExportJson, toExportCsvFiles } from '../../api/dataExport';
+import { downloadFile } from '../../utils/download';
+import { scoreEntry, getDimension, MOOD_DIMENSIONS, SCALE_MIN, SCALE_MAX } from '../../utils/moodScale';
+import { getInstrumentName } from '../../utils/instruments';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const LINE_COLORS = {
+  mood: '#3b82f6',
+  stress: '#ef4444',
+  anxiety: '#f59e0b',
+  sleep: '#8b5cf6',
+  energy: '#10b981',
+};
+
+const DataExportPage = () => {
+  const { user, profile } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [exportData, setExportData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadData = async () => {
+      if (!user) return;
+
+      const { data, error: collectError } = await collectStudentData(user.id);
+      if (collectError) {
+        setError(collectError.message);
+      } else {
+        setExportData(data);
+      }
+      setLoading(false);
+    };
+
+    loadData();
+  }, [user]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Gathering your data..." />;
+  }
+
+  if (error || !exportData) {
+    return (
+      <div className="max-w-3xl mx-auto py-10 px-4">
+        <p className="text-red-700">{error || 'Could not load your data.'}</p>
+      </div>
+    );
+  }
+
+  const datePrefix = exportData.exportedAt.slice(0, 10);
+  const csvFiles = toExportCsvFiles(exportData);
+  const chartData = exportData.moodEntries.map(scoreEntry);
+  const latestSummary = exportData.assessmentSummaries[exportData.assessmentSummaries.length - 1];
+
+  return (
+    <div className="min-h-screen bg-gray-50 print:bg-white">
+      {/* Download controls (hidden when printing) */}
+      <header className="bg-white shadow print:hidden">
+        <div className="max-w-5xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Download My Data</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Everything we store about you, ready to keep or share with another therapist.
+          </p>
+          <div className="mt-4 flex flex-wrap gap-2">
+            <button
+              onClick={() => downloadFile(
+                `my-data-${datePrefix}.json`,
+                toExportJson(exportData),
+                'application/json;charset=utf-8'
+              )}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+            >
+              JSON (everything)
+            </button>
+            {Object.entries(csvFiles).map(([filename, content]) => (
+              <button
+                key={filename}
+                onClick={() => downloadFile(`${datePrefix}-${filename}`, content, 'text/csv;charset=utf-8')}
+                disabled={!content}
+                className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition disabled:opacity-50"
+              >
+                {filename}
+              </button>
+            ))}
+            <button
+              onClick={() => window.print()}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition"
+            >
+              Print Report
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Printable report */}
+      <main className="max-w-5xl mx-auto py-6 px-4 space-y-6">
+        <section>
+          <h2 className="text-2xl font-bold text-gray-900">Personal Well-being Report</h2>
+          <p className="text-sm text-gray-600">
+            {profile?.full_name} · {exportData.profile.email} · generated {datePrefix}
+          </p>
+        </section>
+
+        <section className="bg-white shadow rounded-lg p-6 print:shadow-none print:border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Mood Over Time</h3>
+          {chartData.length > 0 ? (
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis domain={[SCALE_MIN, SCALE_MAX]} allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  {MOOD_DIMENSIONS.map(dimension => (
+                    <Line
+                      key={dimension}
+                      type="monotone"
+                      dataKey={dimension}
+                      name={getDimension(dimension).label}
+                      stroke={LINE_COLORS[dimension]}
+                      connectNulls
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No mood check-ins recorded.</p>
+          )}
+        </section>
+
+        <section className="bg-white shadow rounded-lg p-6 print:shadow-none print:border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Engagement</h3>
+          <p className="text-sm text-gray-700">
+            {exportData.moodEntries.length} mood check-ins · {exportData.loginHistory.length} days active ·
+            longest streak {exportData.streak?.longest_streak || 0} days
+          </p>
+        </section>
+
+        <section className="bg-white shadow rounded-lg p-6 print:shadow-none print:border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Assessments</h3>
+          <p className="text-sm text-gray-700 mb-2">
+            {exportData.assessmentSessions.length} assessment sessions completed.
+          </p>
+          {latestSummary && (
+            <>
+              <p className="text-sm text-gray-700">
+                Latest overall score: <strong>{latestSummary.overall_score}</strong>
+              </p>
+              {latestSummary.instrument_id && (
+                <p className="text-sm text-gray-700">
+                  {getInstrumentName(latestSummary.instrument_id)} score: <strong>{latestSummary.raw_score}</strong>
+                </p>
+              )}
+              <ul className="mt-2 text-sm text-gray-700 list-disc list-inside">
+                {Object.entries(latestSummary.category_scores || {}).map(([category, score]) => (
+                  <li key={category} className="capitalize">{category.replace(/_/g, ' ')}: {score}</li>
+                ))}
+              </ul>
+              {latestSummary.ai_insights && (
+                <p className="mt-2 text-sm text-gray-600 whitespace-pre-line">{latestSummary.ai_insights}</p>
+              )}
+            </>
+          )}
+        </section>
+
+        <section className="bg-white shadow rounded-lg p-6 print:shadow-none print:border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Mood Journal</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1">Date</th>
+                <th>Mood</th>
+                <th>Stress</th>
+                <th>Anxiety</th>
+                <th>Sleep</th>
+                <th>Energy</th>
+                <th>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {exportData.moodEntries.map(entry => (
+                <tr key={entry.id} className="border-t border-gray-100 align-top">
+                  <td className="py-1 whitespace-nowrap">{entry.entry_date}</td>
+                  <td>{entry.mood_emoji}</td>
+                  <td>{entry.stress_emoji}</td>
+                  <td>{entry.anxiety_emoji}</td>
+                  <td>{entry.sleep_quality_emoji}</td>
+                  <td>{entry.energy_level_emoji}</td>
+                  <td className="text-gray-700">{entry.notes}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default DataExportPage;
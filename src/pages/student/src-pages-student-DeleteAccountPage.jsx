@@ -0,0 +1,157 @@
+// src/pages/student/DeleteAccountPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getPendingDeletionRequest,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getGracePeriodDays,
+  getClinicalRetention,
+} from '../../api/accountDeletion';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const clinicalRetention = getClinicalRetention();
+
+const DeleteAccountPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [request, setRequest] = useState(null);
+  const [reason, setReason] = useState('');
+  const [confirmText, setConfirmText] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadRequest = async () => {
+      if (!user) return;
+
+      const { request: pending, error: loadError } = await getPendingDeletionRequest(user.id);
+      if (loadError) setError(loadError.message);
+      setRequest(pending);
+      setLoading(false);
+    };
+
+    loadRequest();
+  }, [user]);
+
+  const handleRequest = async () => {
+    setError(null);
+    const { request: created, error: requestError } = await requestAccountDeletion(user.id, reason || null);
+    if (requestError) {
+      setError(requestError.message);
+      return;
+    }
+    setRequest(created);
+  };
+
+  const handleCancel = async () => {
+    setError(null);
+    const { error: cancelError } = await cancelAccountDeletion(user.id);
+    if (cancelError) {
+      setError(cancelError.message);
+      return;
+    }
+    setRequest(null);
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-3xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Delete My Account</h1>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 px-4">
+        {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+        {request ? (
+          // Confirmation of a scheduled deletion
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-900">✅ Deletion scheduled</h2>
+            <p className="mt-2 text-sm text-gray-700">
+              We received your request on {format(new Date(request.requested_at), 'MMMM d, yyyy')}.
+              Your account and data will be permanently deleted on{' '}
+              <strong>{format(new Date(request.scheduled_for), 'MMMM d, yyyy')}</strong>.
+            </p>
+            <p className="mt-2 text-sm text-gray-600">
+              Changed your mind? You can cancel any time before then.
+            </p>
+            <p className="mt-2 text-xs text-gray-500">Reference: {request.id}</p>
+            <button
+              onClick={handleCancel}
+              className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+            >
+              Keep My Account
+            </button>
+          </div>
+        ) : (
+          <div className="bg-white shadow rounded-lg p-6">
+            <p className="text-sm text-gray-700">
+              Deleting your account removes your profile, assessments, mood check-ins, streaks, badges,
+              messages and login history. You'll have {getGracePeriodDays()} days to change your mind.
+            </p>
+            {clinicalRetention.enabled && (
+              <p className="mt-2 text-sm text-gray-600">
+                Where the law requires it, counselors keep clinical records such as safety alerts and
+                appointment history for {clinicalRetention.years} years, no longer linked to your name.
+                Those records are not used for anything else.
+              </p>
+            )}
+            <p className="mt-2 text-sm text-gray-600">
+              Want a copy first?{' '}
+              <button
+                onClick={() => navigate('/student/data-export')}
+                className="text-blue-600 hover:underline"
+              >
+                Download my data
+              </button>
+            </p>
+
+            <label className="block mt-6 text-sm font-medium text-gray-700">
+              Anything you'd like to tell us? (optional)
+            </label>
+            <textarea
+              value={reason}
+              onChange={e => setReason(e.target.value)}
+              rows={3}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+
+            <label className="block mt-4 text-sm font-medium text-gray-700">
+              Type DELETE to confirm
+            </label>
+            <input
+              type="text"
+              value={confirmText}
+              onChange={e => setConfirmText(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+
+            <button
+              onClick={handleRequest}
+              disabled={confirmText !== 'DELETE'}
+              className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+            >
+              Delete My Account
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default DeleteAccountPage;
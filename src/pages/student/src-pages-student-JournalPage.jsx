@@ -0,0 +1,198 @@
+// src/pages/student/JournalPage.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { compareTag, getJournalEntries, getJournalTags, updateJournalEntry } from '../../api/journal';
+import { getDimension, MOOD_DIMENSIONS } from '../../utils/moodScale';
+import JournalEntryCard from '../../components/journal/JournalEntryCard';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const JournalPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [entries, setEntries] = useState([]);
+  const [tags, setTags] = useState({ suggested: [], used: [] });
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    if (!user) return;
+
+    const { entries: data, error: loadError } = await getJournalEntries(user.id, { search, tag });
+    if (loadError) {
+      setError(loadError.message);
+    } else {
+      setError(null);
+      setEntries(data);
+    }
+    setLoading(false);
+  }, [user, search, tag]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  useEffect(() => {
+    const loadTags = async () => {
+      if (!user) return;
+      const { suggested, used } = await getJournalTags(user.id);
+      setTags({ suggested, used });
+    };
+
+    loadTags();
+  }, [user]);
+
+  // How days with the selected tag compare with the rest
+  useEffect(() => {
+    const loadComparison = async () => {
+      if (!user || !tag) {
+        setComparison(null);
+        return;
+      }
+      const { comparison: data } = await compareTag(user.id, tag);
+      setComparison(data);
+    };
+
+    loadComparison();
+  }, [user, tag]);
+
+  const handleSave = async (entryDate, changes) => {
+    const result = await updateJournalEntry(user.id, entryDate, changes);
+    if (result.error) return result;
+
+    if (result.risk?.triggered) {
+      navigate('/student/safety', { state: { risk: result.risk } });
+      return result;
+    }
+
+    await loadEntries();
+    const { suggested, used } = await getJournalTags(user.id);
+    setTags({ suggested, used });
+    return result;
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Opening your journal..." />;
+  }
+
+  const tagOptions = [
+    ...tags.suggested.map(({ tag: value, icon, label }) => ({ value, label: `${icon} ${label}` })),
+    ...tags.used
+      .filter(({ tag: value }) => !tags.suggested.some(s => s.tag === value))
+      .map(({ tag: value }) => ({ value, label: `#${value}` })),
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-4xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">My Journal</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Your check-in notes, searchable and tagged with what was going on.
+          </p>
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setSearch(searchInput);
+            }}
+            className="mt-4 flex gap-2"
+          >
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder='Search your notes, e.g. "study group" -chemistry'
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2"
+            />
+            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition">
+              Search
+            </button>
+          </form>
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              onClick={() => setTag(null)}
+              className={`px-3 py-1 text-sm rounded-full ${!tag ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            >
+              All days
+            </button>
+            {tagOptions.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setTag(option.value)}
+                className={`px-3 py-1 text-sm rounded-full ${tag === option.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto py-6 px-4 space-y-4">
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        {comparison && comparison.tagged.days > 0 && (
+          <section className="bg-indigo-50 rounded-lg p-5">
+            <h2 className="font-medium text-indigo-900">
+              #{comparison.tag} days compared with other days
+            </h2>
+            <p className="text-xs text-indigo-700">
+              {comparison.tagged.days} tagged days and {comparison.others.days} others in the last six months
+            </p>
+            <dl className="mt-3 grid grid-cols-2 sm:grid-cols-5 gap-3">
+              {MOOD_DIMENSIONS.map(dimension => {
+                const difference = comparison.difference[dimension];
+                return (
+                  <div key={dimension} className="bg-white rounded-lg p-3">
+                    <dt className="text-xs text-gray-500">{getDimension(dimension).label}</dt>
+                    <dd className="text-lg font-semibold text-gray-900">
+                      {comparison.tagged.averages[dimension] ?? '–'}
+                    </dd>
+                    {difference !== null && (
+                      <dd className="text-xs text-gray-600">
+                        {difference > 0 ? '▲' : difference < 0 ? '▼' : '•'} {Math.abs(difference)} vs other days
+                      </dd>
+                    )}
+                  </div>
+                );
+              })}
+            </dl>
+          </section>
+        )}
+
+        {entries.length === 0 ? (
+          <p className="text-gray-600">
+            {search || tag
+              ? 'No journal entries match.'
+              : 'Add a note when you check in and it will show up here.'}
+          </p>
+        ) : (
+          entries.map(entry => (
+            <JournalEntryCard
+              key={entry.entry_date}
+              entry={entry}
+              suggested={tags.suggested}
+              used={tags.used}
+              onSave={handleSave}
+              onTagClick={setTag}
+            />
+          ))
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default JournalPage;
@@ -0,0 +1,73 @@
+// src/pages/student/MessagesPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getActiveAssignment } from '../../api/assignments';
+import { getOrCreateThread } from '../../api/messages';
+import MessageThread from '../../components/messages/MessageThread';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const MessagesPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [thread, setThread] = useState(null);
+  const [counselorName, setCounselorName] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadThread = async () => {
+      if (!user) return;
+
+      try {
+        const { assignment, error: assignmentError } = await getActiveAssignment(user.id);
+        if (assignmentError) throw assignmentError;
+        if (!assignment) {
+          setError("You don't have an assigned counselor yet.");
+          return;
+        }
+        setCounselorName(assignment.profiles?.full_name || 'your counselor');
+
+        const { thread: data, error: threadError } = await getOrCreateThread(user.id, assignment.counselor_id);
+        if (threadError) throw threadError;
+        setThread(data);
+      } catch (err) {
+        console.error('Error loading messages:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadThread();
+  }, [user]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading messages..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-3xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">
+            {thread ? `Messages with ${counselorName}` : 'Messages'}
+          </h1>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 px-4">
+        {error && <p className="text-sm text-gray-600">{error}</p>}
+        {thread && <MessageThread threadId={thread.id} userId={user.id} />}
+      </main>
+    </div>
+  );
+};
+
+export default MessagesPage;
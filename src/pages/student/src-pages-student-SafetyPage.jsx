@@ -0,0 +1,23 @@
+// src/pages/student/SafetyPage.jsx
+import React from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import SafetyScreen from '../../components/common/SafetyScreen';
+
+// Shown right after an assessment or mood entry whose `risk` result was triggered:
+// navigate('/student/safety', { state: { risk } })
+const SafetyPage = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const risk = location.state?.risk;
+
+  return (
+    <SafetyScreen
+      level={risk?.level}
+      counselorNotified={risk?.counselorNotified}
+      alertQueued={risk?.alertQueued}
+      onContinue={() => navigate('/student/dashboard')}
+    />
+  );
+};
+
+export default SafetyPage;
@@ -3,8 +3,21 @@ import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { hasCompletedAssessment } from '../../api/assessment';
-import { hasTodayMoodEntry } from '../../api/moodTracker';
+import { getAssessmentDraft } from '../../api/assessmentDrafts';
+import { hasTodayMoodEntry, getPendingMoodEntries, startMoodSync } from '../../api/moodTracker';
 import { getStreakData } from '../../api/streaks';
+import { getUnreadCount, subscribeToMessageChanges } from '../../api/messages';
+import { getPendingDeletionRequest } from '../../api/accountDeletion';
+import { getUncelebratedAchievements, markAchievementsCelebrated } from '../../api/achievements';
+import { startReminderScheduler } from '../../api/reminders';
+import { getAvailableYearInReview } from '../../api/moodReports';
+import { getSuggestedActivities } from '../../api/copingActivities';
+import AppointmentsPanel from '../../components/appointments/AppointmentsPanel';
+import ResourceRecommendations from '../../components/resources/ResourceRecommendations';
+import AchievementCelebration from '../../components/achievements/AchievementCelebration';
+import ReminderBanner from '../../components/reminders/ReminderBanner';
+import MoodInsightsPanel from '../../components/mood/MoodInsightsPanel';
+import CopingSuggestions from '../../components/coping/CopingSuggestions';
 
 const StudentDashboard = () => {
   const { user, profile, roleProfile } = useAuth();
@@ -13,6 +26,16 @@ const StudentDashboard = () => {
   const [assessmentCompleted, setAssessmentCompleted] = useState(false);
   const [todayMoodSubmitted, setTodayMoodSubmitted] = useState(false);
   const [streakData, setStreakData] = useState(null);
+  const [pendingEntries, setPendingEntries] = useState([]);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [failedSyncDates, setFailedSyncDates] = useState([]);
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const [deletionRequest, setDeletionRequest] = useState(null);
+  const [assessmentDraft, setAssessmentDraft] = useState(null);
+  const [newBadges, setNewBadges] = useState([]);
+  const [reminder, setReminder] = useState(null);
+  const [yearInReview, setYearInReview] = useState(null);
+  const [coping, setCoping] = useState({ entry: null, suggestions: [] });
 
   useEffect(() => {
     const checkStatus = async () => {
@@ -29,14 +52,34 @@ const StudentDashboard = () => {
           return;
         }
 
+        // Check for an unfinished retake
+        const { draft } = await getAssessmentDraft(user.id);
+        setAssessmentDraft(draft);
+
         // Check if today's mood entry is submitted
         const { hasEntry } = await hasTodayMoodEntry(user.id);
         setTodayMoodSubmitted(hasEntry);
 
+        // A stressful or anxious check-in gets a coping activity or two
+        if (hasEntry) {
+          setCoping(await getSuggestedActivities(user.id));
+        }
+
         // Get streak data
         const { streakData: data } = await getStreakData(user.id);
         setStreakData(data);
 
+        // Badges earned since the last visit get a one-time celebration
+        const { achievements } = await getUncelebratedAchievements(user.id);
+        setNewBadges(achievements);
+
+        // A year in review is offered for a few weeks after each term
+        setYearInReview(await getAvailableYearInReview(user.id));
+
+        // Check for a scheduled account deletion
+        const { request } = await getPendingDeletionRequest(user.id);
+        setDeletionRequest(request);
+
       } catch (error) {
         console.error('Error checking status:', error);
       } finally {
@@ -47,6 +90,53 @@ const StudentDashboard = () => {
     checkStatus();
   }, [user, navigate]);
 
+  // Replay check-ins saved while offline, now and whenever the connection returns
+  useEffect(() => {
+    if (!user) return;
+
+    const refreshPending = async (syncResult) => {
+      const { entries } = await getPendingMoodEntries(user.id);
+      setPendingEntries(entries);
+
+      if (syncResult && !syncResult.error) {
+        // Entries replaced by a newer check-in from another device are gone from the queue
+        if (syncResult.conflicts.length > 0) {
+          setSyncConflicts(previous => [...previous, ...syncResult.conflicts]);
+        }
+        setFailedSyncDates(syncResult.failed.map(({ entry }) => entry.entry_date));
+      }
+    };
+
+    refreshPending();
+    return startMoodSync(user.id, refreshPending);
+  }, [user]);
+
+  // Keep the unread message badge live
+  useEffect(() => {
+    if (!user) return;
+
+    const refreshUnread = async () => {
+      const { total } = await getUnreadCount(user.id);
+      setUnreadMessages(total);
+    };
+
+    refreshUnread();
+    return subscribeToMessageChanges(user.id, refreshUnread);
+  }, [user]);
+
+  // Reminders without push show up here as a banner
+  useEffect(() => {
+    if (!user) return;
+    return startReminderScheduler(user.id, setReminder);
+  }, [user]);
+
+  const closeCelebration = async (nextPath = null) => {
+    const ids = newBadges.map(badge => badge.id);
+    setNewBadges([]);
+    await markAchievementsCelebrated(user.id, ids);
+    if (nextPath) navigate(nextPath);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -57,6 +147,12 @@ const StudentDashboard = () => {
 
   return (
     <div className="min-h-screen bg-gray-50">
+      <AchievementCelebration
+        achievements={newBadges}
+        onClose={() => closeCelebration()}
+        onViewAll={() => closeCelebration('/student/achievements')}
+      />
+
       {/* Header */}
       <header className="bg-white shadow">
         <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
@@ -68,8 +164,31 @@ const StudentDashboard = () => {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {/* Scheduled account deletion */}
+        {deletionRequest && (
+          <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded flex items-center justify-between">
+            <p className="text-sm text-red-800">
+              Your account is scheduled for deletion on{' '}
+              {new Date(deletionRequest.scheduled_for).toLocaleDateString()}.
+            </p>
+            <button
+              onClick={() => navigate('/student/delete-account')}
+              className="ml-4 px-4 py-2 bg-white text-red-700 border border-red-300 rounded-lg hover:bg-red-100 transition"
+            >
+              Manage
+            </button>
+          </div>
+        )}
+
+        {/* Check-in reminder */}
+        <ReminderBanner
+          reminder={reminder}
+          onCheckIn={() => navigate('/student/mood-tracker')}
+          onDismiss={() => setReminder(null)}
+        />
+
         {/* Daily Mood Tracker Prompt */}
-        {!todayMoodSubmitted && (
+        {!todayMoodSubmitted && !reminder && (
           <div className="mb-6 bg-blue-50 border-l-4 border-blue-500 p-4 rounded">
             <div className="flex items-center justify-between">
               <div>
@@ -90,6 +209,93 @@ const StudentDashboard = () => {
           </div>
         )}
 
+        {/* Year in review */}
+        {yearInReview && (
+          <div className="mb-6 bg-indigo-50 border-l-4 border-indigo-500 p-4 rounded flex items-center justify-between">
+            <p className="text-sm text-indigo-800">
+              🎓 {yearInReview.term.label} is over. Your year in review is ready!
+            </p>
+            <button
+              onClick={() => navigate('/student/year-in-review')}
+              className="ml-4 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+            >
+              View
+            </button>
+          </div>
+        )}
+
+        {/* Unfinished assessment */}
+        {assessmentDraft && (
+          <div className="mb-6 bg-purple-50 border-l-4 border-purple-500 p-4 rounded flex items-center justify-between">
+            <p className="text-sm text-purple-800">
+              You have an unfinished assessment ({Object.keys(assessmentDraft.answers || {}).length} answers saved).
+            </p>
+            <button
+              onClick={() => navigate('/student/initial-assessment')}
+              className="ml-4 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition"
+            >
+              Resume
+            </button>
+          </div>
+        )}
+
+        {/* Check-ins waiting to sync */}
+        {pendingEntries.length > 0 && (
+          <div className="mb-6 bg-yellow-50 border-l-4 border-yellow-500 p-4 rounded">
+            <h3 className="text-sm font-medium text-yellow-800">
+              ⏳ Waiting to sync
+            </h3>
+            <p className="mt-1 text-sm text-yellow-700">
+              These check-ins are saved on this device and will upload when you're back online.
+            </p>
+            <ul className="mt-2 space-y-1">
+              {pendingEntries.map(entry => (
+                <li key={entry.entry_date} className="text-sm text-yellow-900">
+                  {entry.entry_date}: {entry.mood_emoji} {entry.stress_emoji} {entry.anxiety_emoji}{' '}
+                  {entry.sleep_quality_emoji} {entry.energy_level_emoji}
+                  {failedSyncDates.includes(entry.entry_date) && (
+                    <span className="ml-2 text-red-700">
+                      (couldn't upload, we'll try again)
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Offline check-ins replaced by a newer one */}
+        {syncConflicts.length > 0 && (
+          <div className="mb-6 bg-orange-50 border-l-4 border-orange-500 p-4 rounded">
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="text-sm font-medium text-orange-800">
+                  Some offline check-ins weren't saved
+                </h3>
+                <p className="mt-1 text-sm text-orange-700">
+                  A newer check-in for the same day was already saved, so we kept that one instead.
+                </p>
+                <ul className="mt-2 space-y-1">
+                  {syncConflicts.map(({ local, server }) => (
+                    <li key={local.entry_date} className="text-sm text-orange-900">
+                      {local.entry_date}: kept {server.mood_emoji} {server.stress_emoji}{' '}
+                      {server.anxiety_emoji} {server.sleep_quality_emoji} {server.energy_level_emoji},
+                      discarded {local.mood_emoji} {local.stress_emoji} {local.anxiety_emoji}{' '}
+                      {local.sleep_quality_emoji} {local.energy_level_emoji}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                onClick={() => setSyncConflicts([])}
+                className="ml-4 text-sm text-orange-700 hover:text-orange-900"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Quick Stats Grid */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           {/* Current Streak */}
@@ -107,6 +313,11 @@ const StudentDashboard = () => {
                     <dd className="text-3xl font-semibold text-gray-900">
                       {streakData?.current_streak || 0} days
                     </dd>
+                    {streakData?.freezes_available > 0 && (
+                      <dd className="mt-1 text-xs text-blue-700">
+                        ❄️ {streakData.freezes_available} streak freeze{streakData.freezes_available > 1 ? 's' : ''} saved
+                      </dd>
+                    )}
                   </dl>
                 </div>
               </div>
@@ -156,6 +367,9 @@ const StudentDashboard = () => {
           </div>
         </div>
 
+        {/* Mood trends and insights */}
+        <MoodInsightsPanel userId={user.id} />
+
         {/* Quick Actions */}
         <div className="bg-white shadow rounded-lg p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">
@@ -188,7 +402,72 @@ const StudentDashboard = () => {
             >
               <span className="text-4xl mb-2">📋</span>
               <span className="text-sm font-medium text-gray-900">
-                Retake Assessment
+                {assessmentDraft ? 'Resume Assessment' : 'Retake Assessment'}
+              </span>
+            </button>
+
+            <button
+              onClick={() => navigate('/student/assessment-history')}
+              className="flex flex-col items-center justify-center p-6 bg-indigo-50 hover:bg-indigo-100 rounded-lg transition"
+            >
+              <span className="text-4xl mb-2">📈</span>
+              <span className="text-sm font-medium text-gray-900">
+                Assessment History
+              </span>
+            </button>
+
+            <button
+              onClick={() => navigate('/student/coping')}
+              className="flex flex-col items-center justify-center p-6 bg-teal-50 hover:bg-teal-100 rounded-lg transition"
+            >
+              <span className="text-4xl mb-2">🫁</span>
+              <span className="text-sm font-medium text-gray-900">
+                Coping Activities
+              </span>
+            </button>
+
+            <button
+              onClick={() => navigate('/student/journal')}
+              className="flex flex-col items-center justify-center p-6 bg-indigo-50 hover:bg-indigo-100 rounded-lg transition"
+            >
+              <span className="text-4xl mb-2">📓</span>
+              <span className="text-sm font-medium text-gray-900">
+                My Journal
+              </span>
+            </button>
+
+            <button
+              onClick={() => navigate('/student/achievements')}
+              className="flex flex-col items-center justify-center p-6 bg-amber-50 hover:bg-amber-100 rounded-lg transition"
+            >
+              <span className="text-4xl mb-2">🏅</span>
+              <span className="text-sm font-medium text-gray-900">
+                My Badges
+              </span>
+            </button>
+
+            <button
+              onClick={() => navigate('/student/messages')}
+              className="relative flex flex-col items-center justify-center p-6 bg-yellow-50 hover:bg-yellow-100 rounded-lg transition"
+            >
+              {unreadMessages > 0 && (
+                <span className="absolute top-2 right-2 px-2 py-0.5 bg-red-600 text-white text-xs font-semibold rounded-full">
+                  {unreadMessages}
+                </span>
+              )}
+              <span className="text-4xl mb-2">💬</span>
+              <span className="text-sm font-medium text-gray-900">
+                Messages
+              </span>
+            </button>
+
+            <button
+              onClick={() => navigate('/student/settings')}
+              className="flex flex-col items-center justify-center p-6 bg-gray-50 hover:bg-gray-100 rounded-lg transition"
+            >
+              <span className="text-4xl mb-2">⚙️</span>
+              <span className="text-sm font-medium text-gray-900">
+                Settings
               </span>
             </button>
 
@@ -204,6 +483,29 @@ const StudentDashboard = () => {
           </div>
         </div>
 
+        {/* Appointments */}
+        <AppointmentsPanel userId={user.id} role="student" />
+
+        {/* Resources matched to assessment results and recent mood */}
+        <ResourceRecommendations userId={user.id} />
+
+        <p className="mt-6 text-sm text-gray-500">
+          Need a copy of your records?{' '}
+          <button
+            onClick={() => navigate('/student/data-export')}
+            className="text-blue-600 hover:underline"
+          >
+            Download my data
+          </button>
+          {' · '}
+          <button
+            onClick={() => navigate('/student/delete-account')}
+            className="text-gray-500 hover:underline"
+          >
+            Delete my account
+          </button>
+        </p>
+
         {/* Mood Submitted Confirmation */}
         {todayMoodSubmitted && (
           <div className="mt-6 bg-green-50 border-l-4 border-green-500 p-4 rounded">
@@ -215,9 +517,18 @@ const StudentDashboard = () => {
                 <h3 className="text-sm font-medium text-green-800">
                   Today's mood tracked!
                 </h3>
-                <p className="mt-1 text-sm text-green-700">
-                  Great job maintaining your mental health awareness. See you tomorrow!
-                </p>
+                {coping.suggestions.length > 0 ? (
+                  <CopingSuggestions
+                    suggestions={coping.suggestions}
+                    onStart={(activityId) => navigate(`/student/coping/${activityId}`, {
+                      state: { moodEntryId: coping.entry?.id || null },
+                    })}
+                  />
+                ) : (
+                  <p className="mt-1 text-sm text-green-700">
+                    Great job maintaining your mental health awareness. See you tomorrow!
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,140 @@
+// src/pages/student/StudentSettingsPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getDatePreferences, updateDatePreferences, MAX_ROLLOVER_HOUR } from '../../api/preferences';
+import ReminderSettings from '../../components/reminders/ReminderSettings';
+import ReminderBanner from '../../components/reminders/ReminderBanner';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const ROLLOVER_HOURS = Array.from({ length: MAX_ROLLOVER_HOUR + 1 }, (_, hour) => hour);
+
+// Older browsers can't list timezones; they get a free-text field instead
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : null;
+
+const StudentSettingsPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [testReminder, setTestReminder] = useState(null);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      if (!user) return;
+
+      const { preferences: data } = await getDatePreferences(user.id);
+      setPreferences(data);
+      setLoading(false);
+    };
+
+    loadPreferences();
+  }, [user]);
+
+  const handleSaveDates = async () => {
+    setSaving(true);
+    setError(null);
+    setStatus(null);
+
+    const { preferences: saved, error: saveError } = await updateDatePreferences(user.id, preferences);
+    if (saveError) {
+      setError(saveError.message);
+    } else {
+      setPreferences(saved);
+      setStatus('Day settings saved.');
+    }
+    setSaving(false);
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Loading your settings..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-3xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Settings</h1>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 px-4 space-y-6">
+        <ReminderBanner
+          reminder={testReminder}
+          onCheckIn={() => navigate('/student/mood-tracker')}
+          onDismiss={() => setTestReminder(null)}
+        />
+
+        <ReminderSettings userId={user.id} onInApp={setTestReminder} />
+
+        <section className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-xl font-semibold text-gray-900">Your day</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Check-ins and streaks follow your timezone. If you're often up late, start your day a few hours after midnight.
+          </p>
+
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block text-sm text-gray-700">
+              Timezone
+              {TIME_ZONES ? (
+                <select
+                  value={preferences.timeZone}
+                  onChange={(e) => setPreferences(prev => ({ ...prev, timeZone: e.target.value }))}
+                  className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+                >
+                  {TIME_ZONES.map(zone => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={preferences.timeZone}
+                  onChange={(e) => setPreferences(prev => ({ ...prev, timeZone: e.target.value }))}
+                  className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+                />
+              )}
+            </label>
+            <label className="block text-sm text-gray-700">
+              My day starts at
+              <select
+                value={preferences.rolloverHour}
+                onChange={(e) => setPreferences(prev => ({ ...prev, rolloverHour: Number(e.target.value) }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2"
+              >
+                {ROLLOVER_HOURS.map(hour => (
+                  <option key={hour} value={hour}>
+                    {hour === 0 ? 'Midnight' : `${hour}:00 am`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <button
+            onClick={handleSaveDates}
+            disabled={saving}
+            className="mt-6 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save day settings'}
+          </button>
+          {status && <p className="mt-3 text-sm text-green-700">{status}</p>}
+          {error && <p className="mt-3 text-sm text-red-700">{error}</p>}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default StudentSettingsPage;
@@ -0,0 +1,150 @@
+// src/pages/student/YearInReviewPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useAuth } from '../../contexts/AuthContext';
+import { getYearInReview } from '../../api/moodReports';
+import { SCALE_MIN, SCALE_MAX } from '../../utils/moodScale';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const formatDay = (dayKey) => format(parseISO(dayKey), 'MMM d, yyyy');
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+
+const WeekCard = ({ title, week, tone }) => (
+  <div className={`rounded-lg p-4 ${tone}`}>
+    <p className="text-sm font-medium text-gray-700">{title}</p>
+    {week ? (
+      <>
+        <p className="mt-1 text-lg font-semibold text-gray-900">
+          {formatDay(week.weekStart)} – {formatDay(week.weekEnd)}
+        </p>
+        <p className="text-sm text-gray-600">
+          Wellbeing {week.wellbeing} / {SCALE_MAX} across {week.entries} check-ins
+        </p>
+      </>
+    ) : (
+      <p className="mt-1 text-sm text-gray-600">Not enough check-ins to say yet.</p>
+    )}
+  </div>
+);
+
+const YearInReviewPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadReport = async () => {
+      if (!user) return;
+
+      const { report: data, error: loadError } = await getYearInReview(user.id);
+      if (loadError) {
+        setError(loadError.message);
+      } else {
+        setReport(data);
+      }
+      setLoading(false);
+    };
+
+    loadReport();
+  }, [user]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen message="Putting your year together..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow">
+        <div className="max-w-5xl mx-auto py-6 px-4">
+          <button
+            onClick={() => navigate('/student/dashboard')}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            ← Back to dashboard
+          </button>
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">Your Year in Review</h1>
+          {report && (
+            <p className="mt-1 text-sm text-gray-600">
+              {formatDay(report.start)} to {formatDay(report.end)}, through the end of {report.term.label}
+            </p>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto py-6 px-4 space-y-6">
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        {!error && !report && (
+          <p className="text-gray-700">
+            Your year in review will be ready when this term ends. Check back then!
+          </p>
+        )}
+
+        {report && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="bg-white shadow rounded-lg p-4">
+                <p className="text-sm text-gray-500">Check-ins</p>
+                <p className="text-3xl font-semibold text-gray-900">{report.checkIns.days}</p>
+                <p className="text-sm text-gray-600">{formatPercent(report.checkIns.rate)} of days</p>
+              </div>
+              <div className="bg-white shadow rounded-lg p-4">
+                <p className="text-sm text-gray-500">Days you logged in</p>
+                <p className="text-3xl font-semibold text-gray-900">{report.logins.days}</p>
+                <p className="text-sm text-gray-600">{formatPercent(report.logins.rate)} of days</p>
+              </div>
+              <div className="bg-white shadow rounded-lg p-4">
+                <p className="text-sm text-gray-500">Longest streak</p>
+                <p className="text-3xl font-semibold text-gray-900">🔥 {report.longestStreak} days</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <WeekCard title="🌟 Your best week" week={report.bestWeek} tone="bg-green-50" />
+              <WeekCard title="🌧️ Your hardest week" week={report.hardestWeek} tone="bg-orange-50" />
+            </div>
+
+            <section className="bg-white shadow rounded-lg p-6">
+              <h2 className="text-lg font-medium text-gray-900">Your most common moods</h2>
+              {report.topMoods.length > 0 ? (
+                <ul className="mt-3 flex gap-6">
+                  {report.topMoods.map(({ emoji, count }) => (
+                    <li key={emoji} className="text-center">
+                      <span className="block text-4xl">{emoji}</span>
+                      <span className="text-sm text-gray-600">{count} days</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="mt-2 text-sm text-gray-600">No mood check-ins this year.</p>
+              )}
+            </section>
+
+            {report.weeks.length > 0 && (
+              <section className="bg-white shadow rounded-lg p-6">
+                <h2 className="text-lg font-medium text-gray-900">Week by week</h2>
+                <div className="mt-4 h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={report.weeks}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="weekStart" tick={{ fontSize: 12 }} />
+                      <YAxis domain={[SCALE_MIN, SCALE_MAX]} />
+                      <Tooltip />
+                      <Bar dataKey="wellbeing" name="Wellbeing" fill="#3b82f6" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </section>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default YearInReviewPage;
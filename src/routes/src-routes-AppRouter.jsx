@@ -6,6 +6,8 @@ import { useAuth } from '../contexts/AuthContext';
 // Common Components
 import ProtectedRoute from '../components/common/ProtectedRoute';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import OfflineBanner from '../components/common/OfflineBanner';
+import UpdatePrompt from '../components/common/UpdatePrompt';
 
 // Public Pages
 import Landing from '../pages/Landing';
@@ -18,15 +20,32 @@ import InitialAssessmentPage from '../pages/student/InitialAssessmentPage';
 import DailyMoodPage from '../pages/student/DailyMoodPage';
 import StreaksPage from '../pages/student/StreaksPage';
 import StudentProfilePage from '../pages/student/StudentProfilePage';
+import SafetyPage from '../pages/student/SafetyPage';
+import MessagesPage from '../pages/student/MessagesPage';
+import DataExportPage from '../pages/student/DataExportPage';
+import DeleteAccountPage from '../pages/student/DeleteAccountPage';
+import AssessmentHistoryPage from '../pages/student/AssessmentHistoryPage';
+import AchievementsPage from '../pages/student/AchievementsPage';
+import StudentSettingsPage from '../pages/student/StudentSettingsPage';
+import YearInReviewPage from '../pages/student/YearInReviewPage';
+import JournalPage from '../pages/student/JournalPage';
+import CopingLibraryPage from '../pages/student/CopingLibraryPage';
+import CopingActivityPage from '../pages/student/CopingActivityPage';
 
 // Counselor Pages
 import CounselorDashboard from '../pages/counselor/CounselorDashboard';
 import StudentDetailsPage from '../pages/counselor/StudentDetailsPage';
 import CounselorProfilePage from '../pages/counselor/CounselorProfilePage';
+import CohortAnalyticsPage from '../pages/counselor/CohortAnalyticsPage';
+import AdminDashboard from '../pages/admin/AdminDashboard';
+import QuestionEditorPage from '../pages/admin/QuestionEditorPage';
+import StudentMessagesPage from '../pages/counselor/StudentMessagesPage';
 
 const AppRouter = () => {
   return (
     <BrowserRouter>
+      <OfflineBanner />
+      <UpdatePrompt />
       <Routes>
         {/* Public Routes */}
         <Route path="/" element={<Landing />} />
@@ -74,6 +93,94 @@ const AppRouter = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/student/safety"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <SafetyPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/messages"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <MessagesPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/data-export"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <DataExportPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/delete-account"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <DeleteAccountPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/assessment-history"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <AssessmentHistoryPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/achievements"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <AchievementsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/settings"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <StudentSettingsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/year-in-review"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <YearInReviewPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/journal"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <JournalPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/coping"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <CopingLibraryPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/student/coping/:activityId"
+          element={
+            <ProtectedRoute allowedRoles={['student']}>
+              <CopingActivityPage />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Counselor Routes */}
         <Route
@@ -92,6 +199,14 @@ const AppRouter = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/counselor/messages/:studentId"
+          element={
+            <ProtectedRoute allowedRoles={['counselor']}>
+              <StudentMessagesPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/counselor/profile"
           element={
@@ -100,6 +215,40 @@ const AppRouter = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/counselor/analytics"
+          element={
+            <ProtectedRoute allowedRoles={['counselor']}>
+              <CohortAnalyticsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Admin Routes */}
+        <Route
+          path="/admin/dashboard"
+          element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <AdminDashboard />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/questions"
+          element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <QuestionEditorPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/analytics"
+          element={
+            <ProtectedRoute allowedRoles={['admin']}>
+              <CohortAnalyticsPage />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Redirect based on role */}
         <Route path="/dashboard" element={<RoleBasedRedirect />} />
@@ -127,6 +276,8 @@ const RoleBasedRedirect = () => {
     return <Navigate to="/student/dashboard" replace />;
   } else if (profile.role === 'counselor') {
     return <Navigate to="/counselor/dashboard" replace />;
+  } else if (profile.role === 'admin') {
+    return <Navigate to="/admin/dashboard" replace />;
   }
 
   return <Navigate to="/" replace />;
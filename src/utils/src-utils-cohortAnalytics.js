@@ -0,0 +1,229 @@
+// src/utils/cohortAnalytics.js
+// Campus-wide mood and assessment trends for counseling center leadership.
+// Rows arrive already aggregated by the database; this module turns them into
+// per-group cells and hides any group smaller than the k-anonymity minimum.
+// Groupings live in src/config/cohortAnalytics.json; the minimum group size is
+// set in the database, with the config holding its default.
+import defaultConfig from '../config/cohortAnalytics.json';
+import interpretationRules from '../config/interpretationRules.json';
+import { MOOD_DIMENSIONS, toScore } from './moodScale';
+import { addDaysToKey, daysBetweenKeys, getWeekRange } from './dateService';
+import { getTermForDay } from './moodReports';
+
+/**
+ * The ways a cohort can be split (all students, major, year of study)
+ */
+export const getGroupingOptions = (config = defaultConfig) => config.groupBy;
+
+/**
+ * Throw unless `groupBy` is one of the configured groupings
+ */
+export const validateGroupBy = (groupBy, config = defaultConfig) => {
+  if (!config.groupBy.some(option => option.id === groupBy)) {
+    throw new Error(`Cannot group cohort analytics by "${groupBy}"`);
+  }
+  return groupBy;
+};
+
+/**
+ * The current term and the ones before it, newest first
+ */
+export const getRecentTerms = (today, config = defaultConfig) => {
+  const terms = [getTermForDay(today)];
+  while (terms.length < config.recentTerms) {
+    terms.push(getTermForDay(addDaysToKey(terms[terms.length - 1].start, -1)));
+  }
+  return terms;
+};
+
+/**
+ * Week number within a term, counting the week the term starts in as week 1
+ */
+export const getWeekOfTerm = (weekStart, termStart) =>
+  Math.floor(daysBetweenKeys(weekStart, getWeekRange(termStart).start) / 7) + 1;
+
+/**
+ * Hide cells for groups smaller than `minGroupSize`
+ *
+ * Cells are compared within a partition (the same week, or the same month and
+ * category). When exactly one cell in a partition is hidden, the next smallest
+ * is hidden too, so the hidden group can't be worked out by subtracting the
+ * others from the all-students figure. Hidden cells keep only their period and
+ * group; counts and values are removed.
+ */
+export const applySuppression = (cells, minGroupSize, partitionOf) => {
+  const hidden = new Set(cells.filter(cell => cell.suppressed || !(cell.students >= minGroupSize)));
+
+  const partitions = new Map();
+  cells.forEach(cell => {
+    const key = partitionOf(cell);
+    if (!partitions.has(key)) partitions.set(key, []);
+    partitions.get(key).push(cell);
+  });
+
+  partitions.forEach(partition => {
+    const hiddenCount = partition.filter(cell => hidden.has(cell)).length;
+    if (hiddenCount !== 1 || partition.length < 2) return;
+
+    const [smallest] = partition
+      .filter(cell => !hidden.has(cell))
+      .sort((a, b) => a.students - b.students);
+    if (smallest) hidden.add(smallest);
+  });
+
+  return cells.map(cell => (hidden.has(cell) ? toSuppressedCell(cell) : { ...cell, suppressed: false }));
+};
+
+/**
+ * Average mood per group and week of term
+ *
+ * `rows` are { week_start, group_value, students, dimension, emoji, entries }
+ * from get_cohort_mood_weeks; groups the database already withheld come back
+ * as { week_start, group_value, suppressed: true }. Each cell has the week,
+ * the group, how many students it covers and the 1-5 average per dimension.
+ */
+export const summarizeCohortMood = (rows, { term, minGroupSize = defaultConfig.minGroupSize }, config = defaultConfig) => {
+  const cells = new Map();
+
+  rows.forEach(row => {
+    const group = row.group_value ?? config.notSpecifiedLabel;
+    const key = `${row.week_start}|${group}`;
+    if (!cells.has(key)) {
+      cells.set(key, {
+        period: row.week_start,
+        weekOfTerm: getWeekOfTerm(row.week_start, term.start),
+        group,
+        students: 0,
+        suppressed: false,
+        totals: Object.fromEntries(MOOD_DIMENSIONS.map(dimension => [dimension, { total: 0, count: 0 }])),
+      });
+    }
+
+    const cell = cells.get(key);
+    if (row.suppressed) {
+      cell.suppressed = true;
+      return;
+    }
+
+    cell.students = Math.max(cell.students, row.students);
+    const score = toScore(row.dimension, row.emoji);
+    if (score === null) return;
+    cell.totals[row.dimension].total += score * row.entries;
+    cell.totals[row.dimension].count += row.entries;
+  });
+
+  const summarized = [...cells.values()]
+    .sort((a, b) => a.period.localeCompare(b.period) || a.group.localeCompare(b.group))
+    .map(({ totals, ...cell }) => ({
+      ...cell,
+      averages: Object.fromEntries(MOOD_DIMENSIONS.map(dimension => [
+        dimension,
+        totals[dimension].count > 0 ? round(totals[dimension].total / totals[dimension].count) : null,
+      ])),
+    }));
+
+  return applySuppression(summarized, minGroupSize, cell => cell.period);
+};
+
+/**
+ * Share of students at moderate severity or worse, per group, month and category
+ *
+ * `rows` are { month, group_value, category, band, students } from
+ * get_cohort_assessment_months, counting each student's latest session in the
+ * month, with `band` one of the general severity bands. Groups the database
+ * withheld come back as { month, group_value, category, suppressed: true }.
+ */
+export const summarizeCohortAssessments = (
+  rows,
+  { minGroupSize = defaultConfig.minGroupSize } = {},
+  config = defaultConfig,
+  rules = interpretationRules
+) => {
+  const ranks = Object.fromEntries(rules.bands.map(band => [band.id, band.rank]));
+  const cells = new Map();
+
+  rows.forEach(row => {
+    const group = row.group_value ?? config.notSpecifiedLabel;
+    const key = `${row.month}|${row.category}|${group}`;
+    if (!cells.has(key)) {
+      cells.set(key, {
+        period: row.month,
+        category: row.category,
+        group,
+        students: 0,
+        elevated: 0,
+        suppressed: false,
+      });
+    }
+
+    const cell = cells.get(key);
+    if (row.suppressed) {
+      cell.suppressed = true;
+      return;
+    }
+
+    cell.students += row.students;
+    if ((ranks[row.band] ?? 0) >= config.elevatedBandRank) {
+      cell.elevated += row.students;
+    }
+  });
+
+  const summarized = [...cells.values()]
+    .sort((a, b) => a.period.localeCompare(b.period)
+      || a.category.localeCompare(b.category)
+      || a.group.localeCompare(b.group))
+    .map(({ elevated, ...cell }) => ({
+      ...cell,
+      elevatedShare: cell.students > 0 ? round(elevated / cell.students) : null,
+    }));
+
+  return applySuppression(summarized, minGroupSize, cell => `${cell.period}|${cell.category}`);
+};
+
+/**
+ * Pivot cells into chart rows: one row per x value, one key per group
+ * Hidden cells become gaps (null), never zeros.
+ */
+export const toChartRows = (cells, { x, value }) => {
+  const rows = new Map();
+
+  cells.forEach(cell => {
+    const key = cell[x];
+    if (!rows.has(key)) rows.set(key, { [x]: key });
+    rows.get(key)[cell.group] = cell.suppressed ? null : value(cell);
+  });
+
+  return [...rows.values()];
+};
+
+/**
+ * Flatten cells into rows for a CSV export
+ * Hidden cells are exported as hidden, with no counts or values.
+ */
+export const toExportRows = (cells) =>
+  cells.map(({ averages, ...cell }) => ({
+    ...cell,
+    ...(averages && Object.fromEntries(
+      Object.entries(averages).map(([dimension, average]) => [`${dimension}_average`, average])
+    )),
+  }));
+
+/**
+ * Groups present in a set of cells, sorted by name
+ */
+export const getCellGroups = (cells) => [...new Set(cells.map(cell => cell.group))].sort();
+
+/**
+ * Helper to strip counts and values from a hidden cell
+ */
+const toSuppressedCell = (cell) => {
+  const kept = { period: cell.period, group: cell.group, suppressed: true };
+  if (cell.weekOfTerm !== undefined) kept.weekOfTerm = cell.weekOfTerm;
+  if (cell.category !== undefined) kept.category = cell.category;
+  return kept;
+};
+
+/**
+ * Helper to round to two decimal places
+ */
+const round = (value) => Math.round(value * 100) / 100;
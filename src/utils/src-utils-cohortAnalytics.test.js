@@ -0,0 +1,111 @@
+// src/utils/cohortAnalytics.test.js
+import {
+  applySuppression,
+  getRecentTerms,
+  getWeekOfTerm,
+  summarizeCohortAssessments,
+  summarizeCohortMood,
+  toChartRows,
+  toExportRows,
+  validateGroupBy,
+} from './cohortAnalytics';
+
+const TERM = { start: '2026-08-15', end: '2026-12-20' };
+
+describe('term helpers', () => {
+  it('counts the week a term starts in as week 1', () => {
+    expect(getWeekOfTerm('2026-08-10', TERM.start)).toBe(1);
+    expect(getWeekOfTerm('2026-08-17', TERM.start)).toBe(2);
+  });
+
+  it('lists the current term and the ones before it', () => {
+    expect(getRecentTerms('2026-10-18').map(term => term.label))
+      .toEqual(['Fall semester 2026', 'Summer term 2026', 'Spring semester 2026', 'Fall semester 2025']);
+  });
+
+  it('only groups by configured columns', () => {
+    expect(validateGroupBy('major')).toBe('major');
+    expect(() => validateGroupBy('student_id')).toThrow('Cannot group');
+  });
+});
+
+describe('applySuppression', () => {
+  it('hides small groups and strips their numbers', () => {
+    const cells = [
+      { period: 'w1', group: 'A', students: 12, value: 3 },
+      { period: 'w1', group: 'B', students: 4, value: 5 },
+      { period: 'w1', group: 'C', students: 30, value: 2 },
+    ];
+    const result = applySuppression(cells, 10, cell => cell.period);
+
+    expect(result[1]).toEqual({ period: 'w1', group: 'B', suppressed: true });
+    // A is hidden as well, so B can't be derived from the all-students total
+    expect(result[0].suppressed).toBe(true);
+    expect(result[0].students).toBeUndefined();
+    expect(result[2]).toMatchObject({ students: 30, value: 2, suppressed: false });
+  });
+
+  it('leaves partitions with two or more hidden cells alone', () => {
+    const cells = [
+      { period: 'w1', group: 'A', students: 3 },
+      { period: 'w1', group: 'B', students: 4 },
+      { period: 'w1', group: 'C', students: 30 },
+    ];
+    expect(applySuppression(cells, 10, cell => cell.period).map(cell => cell.suppressed))
+      .toEqual([true, true, false]);
+  });
+});
+
+describe('summarizeCohortMood', () => {
+  it('averages each group per week and hides groups below k', () => {
+    const rows = [
+      { week_start: '2026-08-17', group_value: 'Biology', students: 12, dimension: 'stress', emoji: '😫', entries: 10 },
+      { week_start: '2026-08-17', group_value: 'Biology', students: 12, dimension: 'stress', emoji: '😌', entries: 10 },
+      { week_start: '2026-08-17', group_value: 'History', students: 15, dimension: 'stress', emoji: '😐', entries: 20 },
+      { week_start: '2026-08-17', group_value: 'Physics', suppressed: true },
+      { week_start: '2026-08-17', group_value: null, students: 40, dimension: 'stress', emoji: '🙂', entries: 40 },
+    ];
+    const cells = summarizeCohortMood(rows, { term: TERM, minGroupSize: 10 });
+
+    expect(cells.map(cell => cell.group)).toEqual(['Biology', 'History', 'Not specified', 'Physics']);
+    // Biology is the smallest visible group, so it is hidden along with Physics
+    expect(cells[0]).toEqual({ period: '2026-08-17', weekOfTerm: 2, group: 'Biology', suppressed: true });
+    expect(cells[1].averages.stress).toBe(3);
+    expect(cells[2].averages.stress).toBe(2);
+    expect(cells[3]).toEqual({ period: '2026-08-17', weekOfTerm: 2, group: 'Physics', suppressed: true });
+  });
+});
+
+describe('summarizeCohortAssessments', () => {
+  it('reports the share at moderate or worse', () => {
+    const rows = [
+      { month: '2026-09', group_value: '1', category: 'stress', band: 'mild', students: 8 },
+      { month: '2026-09', group_value: '1', category: 'stress', band: 'moderate', students: 3 },
+      { month: '2026-09', group_value: '1', category: 'stress', band: 'severe', students: 1 },
+      { month: '2026-09', group_value: '2', category: 'stress', band: 'minimal', students: 20 },
+    ];
+    const cells = summarizeCohortAssessments(rows, { minGroupSize: 10 });
+
+    expect(cells[0]).toMatchObject({ group: '1', students: 12, elevatedShare: 0.33, suppressed: false });
+    expect(cells[1]).toMatchObject({ group: '2', students: 20, elevatedShare: 0 });
+  });
+});
+
+describe('output helpers', () => {
+  const cells = [
+    { period: 'w1', weekOfTerm: 1, group: 'A', students: 20, averages: { stress: 3.5 }, suppressed: false },
+    { period: 'w1', weekOfTerm: 1, group: 'B', suppressed: true },
+  ];
+
+  it('charts hidden cells as gaps', () => {
+    expect(toChartRows(cells, { x: 'weekOfTerm', value: cell => cell.averages.stress }))
+      .toEqual([{ weekOfTerm: 1, A: 3.5, B: null }]);
+  });
+
+  it('exports flat rows with no numbers for hidden cells', () => {
+    expect(toExportRows(cells)).toEqual([
+      { period: 'w1', weekOfTerm: 1, group: 'A', students: 20, stress_average: 3.5, suppressed: false },
+      { period: 'w1', weekOfTerm: 1, group: 'B', suppressed: true },
+    ]);
+  });
+});
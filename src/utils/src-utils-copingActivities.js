@@ -0,0 +1,122 @@
+// src/utils/copingActivities.js
+// The coping activity library: which activities to suggest after a check-in,
+// and how often each one has left a student feeling better.
+// Activity content and suggestion triggers live in src/config/copingActivities.json.
+import defaultConfig from '../config/copingActivities.json';
+import { scoreEntry } from './moodScale';
+
+/**
+ * Every activity in the library, in display order
+ */
+export const getActivities = (config = defaultConfig) => config.activities;
+
+/**
+ * One activity by id (undefined if there is no such activity)
+ */
+export const getActivity = (activityId, config = defaultConfig) =>
+  config.activities.find(activity => activity.id === activityId);
+
+/**
+ * The answers offered by the "do you feel better?" follow-up
+ */
+export const getFeelings = (config = defaultConfig) => config.feelings;
+
+/**
+ * Throw unless `feeling` is one of the follow-up answers
+ */
+export const validateFeeling = (feeling, config = defaultConfig) => {
+  if (!config.feelings.some(option => option.id === feeling)) {
+    throw new Error(`Unknown feeling "${feeling}"`);
+  }
+  return feeling;
+};
+
+/**
+ * Total length of a timed activity in seconds, all rounds included
+ */
+export const getActivityDuration = (activity) => {
+  if (activity.kind !== 'timed') return activity.minutes * 60;
+
+  const roundSeconds = activity.steps.reduce((sum, step) => sum + step.seconds, 0);
+  return roundSeconds * (activity.rounds || 1);
+};
+
+/**
+ * The dimensions of a mood entry that call for a coping activity, worst first
+ * e.g. stress of 4 or more, or mood of 2 or less.
+ */
+export const getTriggeredDimensions = (entry, config = defaultConfig) => {
+  if (!entry) return [];
+
+  const scores = scoreEntry(entry);
+  return Object.entries(config.triggers)
+    .map(([dimension, trigger]) => {
+      const score = scores[dimension];
+      if (score === null || score === undefined) return null;
+      if (trigger.atLeast !== undefined && score >= trigger.atLeast) {
+        return { dimension, severity: score - trigger.atLeast };
+      }
+      if (trigger.atMost !== undefined && score <= trigger.atMost) {
+        return { dimension, severity: trigger.atMost - score };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.severity - a.severity)
+    .map(({ dimension }) => dimension);
+};
+
+/**
+ * Activities to suggest after a mood entry, best match first
+ *
+ * Activities that help with more of the entry's triggered dimensions come
+ * first. Between equal matches, the ones that have worked for this student
+ * before (from summarizeActivityEffects) win. Entries that trigger nothing
+ * get no suggestions.
+ */
+export const suggestActivities = (entry, { effects = [] } = {}, config = defaultConfig) => {
+  const triggered = getTriggeredDimensions(entry, config);
+  if (triggered.length === 0) return [];
+
+  const betterRates = new Map(effects.map(effect => [effect.activityId, effect.betterRate]));
+
+  return config.activities
+    .map((activity, order) => ({
+      activity,
+      reasons: triggered.filter(dimension => activity.helpsWith.includes(dimension)),
+      betterRate: betterRates.get(activity.id) ?? null,
+      order,
+    }))
+    .filter(suggestion => suggestion.reasons.length > 0)
+    .sort((a, b) =>
+      b.reasons.length - a.reasons.length
+      || (b.betterRate ?? -1) - (a.betterRate ?? -1)
+      || a.order - b.order)
+    .slice(0, config.maxSuggestions)
+    .map(({ activity, reasons }) => ({ activity, reasons }));
+};
+
+/**
+ * How each activity has gone, from coping_activity_logs rows
+ * `betterRate` is the share of rated completions answered "better", and stays
+ * null until there are enough ratings to mean anything.
+ */
+export const summarizeActivityEffects = (logs, config = defaultConfig) =>
+  config.activities.map(activity => {
+    const completed = logs.filter(log => log.activity_id === activity.id && log.completed_at);
+    const rated = completed.filter(log => log.feeling_after);
+    const counts = Object.fromEntries(config.feelings.map(option => [option.id, 0]));
+    rated.forEach(log => {
+      if (counts[log.feeling_after] !== undefined) counts[log.feeling_after]++;
+    });
+
+    return {
+      activityId: activity.id,
+      completed: completed.length,
+      rated: rated.length,
+      feelings: counts,
+      betterRate: rated.length >= config.minRatingsForEffect
+        ? Math.round((counts.better / rated.length) * 100) / 100
+        : null,
+    };
+  });
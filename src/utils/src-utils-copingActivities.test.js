@@ -0,0 +1,91 @@
+// src/utils/copingActivities.test.js
+import {
+  getActivity,
+  getActivityDuration,
+  getTriggeredDimensions,
+  suggestActivities,
+  summarizeActivityEffects,
+  validateFeeling,
+} from './copingActivities';
+
+const CALM = {
+  entry_date: '2026-03-02',
+  mood_emoji: '😊',
+  stress_emoji: '🙂',
+  anxiety_emoji: '🙂',
+  sleep_quality_emoji: '😊',
+  energy_level_emoji: '💪',
+};
+
+describe('getTriggeredDimensions', () => {
+  it('finds nothing on a calm day', () => {
+    expect(getTriggeredDimensions(CALM)).toEqual([]);
+    expect(getTriggeredDimensions(null)).toEqual([]);
+  });
+
+  it('lists high stress and anxiety and low mood, worst first', () => {
+    const entry = { ...CALM, stress_emoji: '😣', anxiety_emoji: '😱', mood_emoji: '😔' };
+    expect(getTriggeredDimensions(entry)).toEqual(['anxiety', 'stress', 'mood']);
+  });
+});
+
+describe('suggestActivities', () => {
+  it('suggests nothing when no dimension is triggered', () => {
+    expect(suggestActivities(CALM)).toEqual([]);
+  });
+
+  it('prefers activities that cover more of what was triggered', () => {
+    const entry = { ...CALM, stress_emoji: '😫', anxiety_emoji: '😰' };
+    const ids = suggestActivities(entry).map(suggestion => suggestion.activity.id);
+    expect(ids).toEqual(['box_breathing', 'thought_record']);
+  });
+
+  it('breaks ties with what has helped this student before', () => {
+    const entry = { ...CALM, stress_emoji: '😫', anxiety_emoji: '😰' };
+    const effects = [
+      { activityId: 'box_breathing', betterRate: 0.2 },
+      { activityId: 'thought_record', betterRate: 0.9 },
+    ];
+    const [first] = suggestActivities(entry, { effects });
+    expect(first.activity.id).toBe('thought_record');
+    expect(first.reasons).toEqual(['stress', 'anxiety']);
+  });
+
+  it('suggests relaxation for a bad night', () => {
+    const ids = suggestActivities({ ...CALM, sleep_quality_emoji: '😩' })
+      .map(suggestion => suggestion.activity.id);
+    expect(ids).toEqual(['muscle_relaxation']);
+  });
+});
+
+describe('summarizeActivityEffects', () => {
+  it('counts completions and feelings, with a rate once there are enough ratings', () => {
+    const logs = [
+      { activity_id: 'box_breathing', completed_at: 'x', feeling_after: 'better' },
+      { activity_id: 'box_breathing', completed_at: 'x', feeling_after: 'better' },
+      { activity_id: 'box_breathing', completed_at: 'x', feeling_after: 'same' },
+      { activity_id: 'box_breathing', completed_at: 'x', feeling_after: null },
+      { activity_id: 'box_breathing', completed_at: null, feeling_after: null },
+      { activity_id: 'grounding_54321', completed_at: 'x', feeling_after: 'better' },
+    ];
+    const effects = summarizeActivityEffects(logs);
+    const breathing = effects.find(effect => effect.activityId === 'box_breathing');
+    const grounding = effects.find(effect => effect.activityId === 'grounding_54321');
+
+    expect(breathing).toMatchObject({ completed: 4, rated: 3, betterRate: 0.67 });
+    expect(breathing.feelings).toEqual({ better: 2, same: 1, worse: 0 });
+    expect(grounding.betterRate).toBeNull();
+  });
+});
+
+describe('activity helpers', () => {
+  it('adds up the length of a timed activity across rounds', () => {
+    expect(getActivityDuration(getActivity('box_breathing'))).toBe(64);
+    expect(getActivityDuration(getActivity('thought_record'))).toBe(600);
+  });
+
+  it('rejects an unknown follow-up answer', () => {
+    expect(validateFeeling('better')).toBe('better');
+    expect(() => validateFeeling('great')).toThrow('Unknown feeling');
+  });
+});
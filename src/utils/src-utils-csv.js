@@ -0,0 +1,33 @@
+// src/utils/csv.js
+
+/**
+ * Quote a single CSV value (RFC 4180); objects and arrays are written as JSON
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert an array of flat objects to CSV
+ * Columns are the union of all keys, in first-seen order.
+ */
+export const toCsv = (rows) => {
+  if (!rows || rows.length === 0) return '';
+
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [
+    columns.map(formatCell).join(','),
+    ...rows.map(row => columns.map(column => formatCell(row[column])).join(',')),
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,189 @@
+// src/utils/dateService.js
+// The single place that turns instants into calendar days.
+//
+// A "day key" is a 'yyyy-MM-dd' string for a day in the user's own timezone,
+// shifted by their rollover hour (a 3am rollover means 1:30am still counts
+// as the previous day). Day keys are plain calendar dates, so arithmetic on
+// them is done in UTC and never sees a DST transition; only the conversion
+// between instants and wall-clock time looks at the timezone.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_ROLLOVER_HOUR = 0;
+
+/**
+ * The browser's timezone, or UTC if it can't be determined
+ */
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Whether a string is an IANA timezone this runtime knows (e.g. 'Europe/Berlin')
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+export const getZonedParts = (instant, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(instant));
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    // Some engines report midnight as hour 24
+    hour: value('hour') % 24,
+    minute: value('minute'),
+    second: value('second'),
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (east is positive)
+ */
+export const getTimeZoneOffsetMinutes = (instant, timeZone) => {
+  const date = new Date(instant);
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const truncated = date.getTime() - date.getUTCMilliseconds();
+
+  return Math.round((asUtc - truncated) / 60000);
+};
+
+/**
+ * The day key an instant belongs to for a user
+ */
+export const getDayKey = (instant = new Date(), { timeZone = getBrowserTimeZone(), rolloverHour = DEFAULT_ROLLOVER_HOUR } = {}) => {
+  const { year, month, day, hour } = getZonedParts(instant, timeZone);
+  const key = toDayKey(Date.UTC(year, month - 1, day));
+
+  return hour < rolloverHour ? addDaysToKey(key, -1) : key;
+};
+
+/**
+ * Shift a day key by whole days
+ */
+export const addDaysToKey = (dayKey, days) =>
+  toDayKey(parseDayKey(dayKey) + days * MS_PER_DAY);
+
+/**
+ * Whole days from one day key to another (positive when `later` is after `earlier`)
+ */
+export const daysBetweenKeys = (later, earlier) =>
+  Math.round((parseDayKey(later) - parseDayKey(earlier)) / MS_PER_DAY);
+
+/**
+ * First and last day keys of the week containing a day (Monday start by default)
+ */
+export const getWeekRange = (dayKey, weekStartsOn = 1) => {
+  const weekday = new Date(parseDayKey(dayKey)).getUTCDay();
+  const start = addDaysToKey(dayKey, -((weekday - weekStartsOn + 7) % 7));
+
+  return { start, end: addDaysToKey(start, 6) };
+};
+
+/**
+ * First and last day keys of the month containing a day
+ */
+export const getMonthRange = (dayKey) => {
+  const date = new Date(parseDayKey(dayKey));
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  return {
+    start: toDayKey(Date.UTC(year, month, 1)),
+    end: toDayKey(Date.UTC(year, month + 1, 0)),
+  };
+};
+
+/**
+ * The instant a wall-clock time happens in a timezone
+ *
+ * Times skipped by a spring-forward transition resolve to the same clock
+ * reading after the jump (02:30 becomes 03:30); times that happen twice
+ * when clocks fall back resolve to the first occurrence.
+ */
+export const zonedTimeToInstant = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Try the offsets in effect just before and just after the wall-clock time
+  const offsets = [
+    getTimeZoneOffsetMinutes(wallClock - MS_PER_DAY, timeZone),
+    getTimeZoneOffsetMinutes(wallClock + MS_PER_DAY, timeZone),
+  ];
+
+  const matches = offsets
+    .map(offset => wallClock - offset * 60000)
+    .filter(candidate => getTimeZoneOffsetMinutes(candidate, timeZone) * 60000 === wallClock - candidate)
+    .sort((a, b) => a - b);
+
+  if (matches.length > 0) {
+    return new Date(matches[0]);
+  }
+
+  // In a gap: keep the earlier offset, which lands after the jump
+  return new Date(wallClock - offsets[0] * 60000);
+};
+
+/**
+ * The instant a user's day begins (its rollover hour on that date)
+ */
+export const getDayStart = (dayKey, { timeZone = getBrowserTimeZone(), rolloverHour = DEFAULT_ROLLOVER_HOUR } = {}) => {
+  const date = new Date(parseDayKey(dayKey));
+
+  return zonedTimeToInstant({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: rolloverHour,
+  }, timeZone);
+};
+
+/**
+ * Helper to parse a day key into a UTC midnight timestamp
+ */
+const parseDayKey = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+/**
+ * Helper to format a UTC timestamp as a day key
+ */
+const toDayKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const formatters = {};
+
+/**
+ * Helper to get a cached 24-hour formatter for a timezone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+};
@@ -0,0 +1,133 @@
+// src/utils/dateService.test.js
+import {
+  getDayKey,
+  addDaysToKey,
+  daysBetweenKeys,
+  getWeekRange,
+  getMonthRange,
+  getTimeZoneOffsetMinutes,
+  zonedTimeToInstant,
+  getDayStart,
+  isValidTimeZone,
+} from './dateService';
+
+const NEW_YORK = { timeZone: 'America/New_York' };
+const LONDON = { timeZone: 'Europe/London' };
+const SYDNEY = { timeZone: 'Australia/Sydney' };
+
+describe('getDayKey', () => {
+  it('uses the user timezone, not UTC', () => {
+    // 03:30 UTC is still the previous evening in New York
+    expect(getDayKey(new Date('2026-06-15T03:30:00Z'), NEW_YORK)).toBe('2026-06-14');
+    expect(getDayKey(new Date('2026-06-15T03:30:00Z'), SYDNEY)).toBe('2026-06-15');
+  });
+
+  it('counts times before the rollover hour as the previous day', () => {
+    // 01:30 in New York (EDT)
+    const lateNight = new Date('2026-06-15T05:30:00Z');
+    expect(getDayKey(lateNight, NEW_YORK)).toBe('2026-06-15');
+    expect(getDayKey(lateNight, { ...NEW_YORK, rolloverHour: 3 })).toBe('2026-06-14');
+    // 03:00 exactly starts the new day
+    expect(getDayKey(new Date('2026-06-15T07:00:00Z'), { ...NEW_YORK, rolloverHour: 3 })).toBe('2026-06-15');
+  });
+
+  it('rolls back across month and year boundaries', () => {
+    // 00:30 on Jan 1 in London
+    expect(getDayKey(new Date('2026-01-01T00:30:00Z'), { ...LONDON, rolloverHour: 2 })).toBe('2025-12-31');
+  });
+
+  it('keeps the rollover hour on the spring-forward night', () => {
+    // New York skips 02:00-03:00 on 2026-03-08; 01:59 EST and 03:00 EDT are a minute apart
+    const beforeJump = new Date('2026-03-08T06:59:00Z');
+    const afterJump = new Date('2026-03-08T07:00:00Z');
+    const settings = { ...NEW_YORK, rolloverHour: 3 };
+
+    expect(getDayKey(beforeJump, settings)).toBe('2026-03-07');
+    expect(getDayKey(afterJump, settings)).toBe('2026-03-08');
+  });
+
+  it('puts both passes through the repeated hour on the same day when clocks fall back', () => {
+    // New York repeats 01:00-02:00 on 2026-11-01
+    const firstPass = new Date('2026-11-01T05:30:00Z'); // 01:30 EDT
+    const secondPass = new Date('2026-11-01T06:30:00Z'); // 01:30 EST
+
+    expect(getDayKey(firstPass, NEW_YORK)).toBe('2026-11-01');
+    expect(getDayKey(secondPass, NEW_YORK)).toBe('2026-11-01');
+    expect(getDayKey(firstPass, { ...NEW_YORK, rolloverHour: 2 })).toBe('2026-10-31');
+    expect(getDayKey(secondPass, { ...NEW_YORK, rolloverHour: 2 })).toBe('2026-10-31');
+  });
+
+  it('handles southern-hemisphere transitions', () => {
+    // Sydney falls back from 03:00 AEDT to 02:00 AEST on 2026-04-05
+    expect(getDayKey(new Date('2026-04-04T13:30:00Z'), SYDNEY)).toBe('2026-04-05');
+    expect(getDayKey(new Date('2026-04-04T16:30:00Z'), SYDNEY)).toBe('2026-04-05');
+  });
+});
+
+describe('day key arithmetic', () => {
+  it('counts calendar days across DST transitions', () => {
+    expect(daysBetweenKeys('2026-03-09', '2026-03-08')).toBe(1);
+    expect(daysBetweenKeys('2026-03-29', '2026-03-28')).toBe(1);
+    expect(daysBetweenKeys('2026-11-02', '2026-10-31')).toBe(2);
+    expect(daysBetweenKeys('2026-01-01', '2026-12-31')).toBe(-364);
+  });
+
+  it('adds days across month, year and leap-day boundaries', () => {
+    expect(addDaysToKey('2026-03-07', 1)).toBe('2026-03-08');
+    expect(addDaysToKey('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDaysToKey('2028-03-01', -1)).toBe('2028-02-29');
+  });
+
+  it('finds week and month ranges', () => {
+    // 2026-11-01 is a Sunday
+    expect(getWeekRange('2026-11-01')).toEqual({ start: '2026-10-26', end: '2026-11-01' });
+    expect(getWeekRange('2026-11-01', 0)).toEqual({ start: '2026-11-01', end: '2026-11-07' });
+    expect(getMonthRange('2028-02-10')).toEqual({ start: '2028-02-01', end: '2028-02-29' });
+  });
+});
+
+describe('timezone conversion', () => {
+  it('reports offsets on both sides of a transition', () => {
+    expect(getTimeZoneOffsetMinutes(new Date('2026-03-08T06:59:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-03-08T07:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-10-25T00:59:00Z'), 'Europe/London')).toBe(60);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-10-25T01:00:00Z'), 'Europe/London')).toBe(0);
+  });
+
+  it('moves skipped wall-clock times past the spring-forward gap', () => {
+    const instant = zonedTimeToInstant({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+    expect(instant.toISOString()).toBe('2026-03-08T07:30:00.000Z'); // 03:30 EDT
+  });
+
+  it('picks the first occurrence of a repeated wall-clock time', () => {
+    const instant = zonedTimeToInstant({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York');
+    expect(instant.toISOString()).toBe('2026-11-01T05:30:00.000Z'); // 01:30 EDT
+  });
+
+  it('starts each day at the rollover hour, so DST days are 23 or 25 hours long', () => {
+    const settings = { ...LONDON, rolloverHour: 4 };
+
+    // Clocks go forward at 01:00 GMT on 2026-03-29
+    const springStart = getDayStart('2026-03-28', settings);
+    expect(springStart.toISOString()).toBe('2026-03-28T04:00:00.000Z');
+    expect(getDayStart('2026-03-29', settings).toISOString()).toBe('2026-03-29T03:00:00.000Z');
+    expect((getDayStart('2026-03-29', settings) - springStart) / 3600000).toBe(23);
+
+    // Clocks go back at 01:00 GMT on 2026-10-25
+    const autumnStart = getDayStart('2026-10-24', settings);
+    expect((getDayStart('2026-10-25', settings) - autumnStart) / 3600000).toBe(25);
+  });
+
+  it('round-trips a day start back to the same day key', () => {
+    ['2026-03-08', '2026-11-01', '2026-07-04'].forEach(dayKey => {
+      const settings = { ...NEW_YORK, rolloverHour: 3 };
+      expect(getDayKey(getDayStart(dayKey, settings), settings)).toBe(dayKey);
+    });
+  });
+
+  it('validates timezone names', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+// src/utils/ics.js
+// Minimal iCalendar (RFC 5545) export for single events.
+import { downloadFile } from './download';
+
+/**
+ * Format a date as a UTC iCalendar timestamp (20250101T130000Z)
+ */
+const toIcsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape text values (commas, semicolons, backslashes and newlines)
+ */
+const escapeText = (text = '') =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold lines longer than 75 octets, as the spec requires
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+/**
+ * Build an .ics document for one event
+ */
+export const buildIcsEvent = ({ uid, start, end, summary, description = '', location = '', status = 'CONFIRMED' }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Student Mental Health App//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${toIcsDate(new Date())}`,
+    `DTSTART:${toIcsDate(start)}`,
+    `DTEND:${toIcsDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(location)}`,
+    `STATUS:${status}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Trigger a browser download of an .ics file
+ */
+export const downloadIcs = (filename, content) =>
+  downloadFile(
+    filename.endsWith('.ics') ? filename : `${filename}.ics`,
+    content,
+    'text/calendar;charset=utf-8'
+  );
@@ -0,0 +1,172 @@
+// src/utils/instruments.js
+// Standardized screening instruments (PHQ-9, GAD-7, PSS-10) and their scoring.
+// Item wording, reverse-scored items, subscales and published cutoffs live in
+// src/config/instruments.json and should only change with a new instrument version.
+import defaultConfig from '../config/instruments.json';
+
+/**
+ * Get one instrument definition by id (e.g. 'phq9')
+ */
+export const getInstrument = (instrumentId, config = defaultConfig) => {
+  const instrument = config.instruments[instrumentId];
+  if (!instrument) {
+    throw new Error(`Unknown assessment instrument: ${instrumentId}`);
+  }
+  return { id: instrumentId, ...instrument };
+};
+
+/**
+ * Display name for an instrument id; falls back to the id when the
+ * instrument is no longer configured, since stored sessions keep their id
+ */
+export const getInstrumentName = (instrumentId, config = defaultConfig) =>
+  config.instruments[instrumentId]?.name ?? instrumentId;
+
+/**
+ * List every available instrument (without item text)
+ */
+export const listInstruments = (config = defaultConfig) =>
+  Object.entries(config.instruments).map(([id, instrument]) => ({
+    id,
+    name: instrument.name,
+    fullName: instrument.fullName,
+    version: instrument.version,
+    category: instrument.category,
+    itemCount: instrument.items.length,
+  }));
+
+/**
+ * Turn an instrument into the question shape getAssessmentQuestions returns,
+ * so the same assessment screens can render it
+ */
+export const toAssessmentQuestions = (instrumentId, config = defaultConfig) => {
+  const instrument = getInstrument(instrumentId, config);
+
+  return instrument.items.map(item => ({
+    id: `${instrumentId}:${item.number}`,
+    instrument_id: instrumentId,
+    instrument_version: instrument.version,
+    question_number: item.number,
+    question_text: item.text,
+    prompt: instrument.prompt,
+    category: instrument.category,
+    is_active: true,
+    initial_assessment_options: instrument.options.map(option => ({
+      id: `${instrumentId}:${item.number}:${option.value}`,
+      option_text: option.label,
+      severity_score: option.value,
+      remark: null,
+    })),
+  }));
+};
+
+/**
+ * Score a completed instrument
+ *
+ * `answers` maps item number to the selected option value. Reverse-scored
+ * items are flipped before summing; subscales are summed from the flipped
+ * values. Throws if an item is missing or out of range, since partial
+ * scores can't be compared against the published cutoffs.
+ */
+export const scoreInstrument = (instrumentId, answers, config = defaultConfig) => {
+  const instrument = getInstrument(instrumentId, config);
+  const values = instrument.options.map(option => option.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const { reverseItems = [], subscales = {} } = instrument.scoring;
+
+  const itemScores = {};
+  const flaggedItems = [];
+
+  instrument.items.forEach(item => {
+    const value = answers[item.number];
+    if (!values.includes(value)) {
+      throw new Error(`${instrument.name} item ${item.number} needs an answer between ${minValue} and ${maxValue}`);
+    }
+
+    itemScores[item.number] = reverseItems.includes(item.number)
+      ? maxValue + minValue - value
+      : value;
+
+    // Flags look at the raw answer, not the reversed score
+    if (item.flag && value >= item.flag.minValue) {
+      flaggedItems.push({
+        item: item.number,
+        value,
+        reason: item.flag.reason,
+        riskLevel: item.flag.riskLevel,
+      });
+    }
+  });
+
+  const rawScore = sumItems(itemScores, instrument.items.map(item => item.number));
+
+  const subscaleScores = {};
+  Object.entries(subscales).forEach(([name, itemNumbers]) => {
+    subscaleScores[name] = sumItems(itemScores, itemNumbers);
+  });
+
+  const band = getInstrumentBand(instrument, rawScore);
+
+  return {
+    instrumentId,
+    instrumentVersion: instrument.version,
+    rawScore,
+    maxScore: instrument.items.length * maxValue,
+    itemScores,
+    subscaleScores,
+    severityBand: band.id,
+    band,
+    flaggedItems,
+  };
+};
+
+/**
+ * Put an instrument score on the scale general assessments use (0–3 per item)
+ *
+ * overall_score and category_scores have to be comparable across every
+ * session, so instrument sums are stored there as per-item averages rescaled
+ * from the instrument's option range; the raw sum and its published band are
+ * kept in their own columns.
+ */
+export const toGeneralScale = (instrumentScore, config = defaultConfig) => {
+  const instrument = getInstrument(instrumentScore.instrumentId, config);
+  const values = instrument.options.map(option => option.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const { min, max } = config.generalScale;
+  const { subscales = {} } = instrument.scoring;
+
+  const rescale = (score, itemCount) => {
+    const average = score / itemCount;
+    const scaled = min + ((average - minValue) / (maxValue - minValue)) * (max - min);
+    return parseFloat(scaled.toFixed(2));
+  };
+
+  const subscaleScores = {};
+  Object.entries(subscales).forEach(([name, itemNumbers]) => {
+    subscaleScores[name] = rescale(instrumentScore.subscaleScores[name], itemNumbers.length);
+  });
+
+  return {
+    overallScore: rescale(instrumentScore.rawScore, instrument.items.length),
+    subscaleScores,
+  };
+};
+
+/**
+ * Find the published severity band a raw score falls in
+ */
+export const getInstrumentBand = (instrument, rawScore) => {
+  const band = instrument.bands.find(b => rawScore >= b.min && rawScore <= b.max);
+  if (!band) {
+    throw new Error(`${instrument.name} score ${rawScore} is outside every severity band`);
+  }
+  return band;
+};
+
+/**
+ * Helper to add up the scores of the given items
+ */
+const sumItems = (itemScores, itemNumbers) =>
+  itemNumbers.reduce((total, number) => total + itemScores[number], 0);
@@ -0,0 +1,118 @@
+// src/utils/instruments.test.js
+import { getInstrument, getInstrumentBand, getInstrumentName, scoreInstrument, toGeneralScale } from './instruments';
+
+// Answers for every item of an instrument, all set to `value` unless overridden
+const answersFor = (instrumentId, value, overrides = {}) => {
+  const answers = {};
+  getInstrument(instrumentId).items.forEach(item => {
+    answers[item.number] = value;
+  });
+  return { ...answers, ...overrides };
+};
+
+describe('getInstrumentName', () => {
+  it('names configured instruments and falls back to the id for retired ones', () => {
+    expect(getInstrumentName('phq9')).toBe('PHQ-9');
+    expect(getInstrumentName('bdi2')).toBe('bdi2');
+  });
+});
+
+describe('getInstrumentBand', () => {
+  // [instrument, score, band] at both sides of every published cutoff
+  const cutoffs = [
+    ['phq9', 0, 'minimal'],
+    ['phq9', 4, 'minimal'],
+    ['phq9', 5, 'mild'],
+    ['phq9', 9, 'mild'],
+    ['phq9', 10, 'moderate'],
+    ['phq9', 14, 'moderate'],
+    ['phq9', 15, 'moderately_severe'],
+    ['phq9', 19, 'moderately_severe'],
+    ['phq9', 20, 'severe'],
+    ['phq9', 27, 'severe'],
+    ['gad7', 0, 'minimal'],
+    ['gad7', 4, 'minimal'],
+    ['gad7', 5, 'mild'],
+    ['gad7', 9, 'mild'],
+    ['gad7', 10, 'moderate'],
+    ['gad7', 14, 'moderate'],
+    ['gad7', 15, 'severe'],
+    ['gad7', 21, 'severe'],
+    ['pss10', 0, 'low'],
+    ['pss10', 13, 'low'],
+    ['pss10', 14, 'moderate'],
+    ['pss10', 26, 'moderate'],
+    ['pss10', 27, 'high'],
+    ['pss10', 40, 'high'],
+  ];
+
+  it.each(cutoffs)('puts a %s score of %i in the %s band', (instrumentId, score, bandId) => {
+    expect(getInstrumentBand(getInstrument(instrumentId), score).id).toBe(bandId);
+  });
+
+  it('throws for scores outside every band', () => {
+    expect(() => getInstrumentBand(getInstrument('phq9'), 28)).toThrow('outside every severity band');
+    expect(() => getInstrumentBand(getInstrument('gad7'), -1)).toThrow('outside every severity band');
+  });
+});
+
+describe('scoreInstrument', () => {
+  it('sums PHQ-9 answers and bands the total', () => {
+    const score = scoreInstrument('phq9', answersFor('phq9', 1, { 1: 3, 2: 2 }));
+
+    expect(score.rawScore).toBe(12);
+    expect(score.maxScore).toBe(27);
+    expect(score.severityBand).toBe('moderate');
+  });
+
+  it('flags PHQ-9 item 9 on any non-zero answer', () => {
+    expect(scoreInstrument('phq9', answersFor('phq9', 0)).flaggedItems).toEqual([]);
+    expect(scoreInstrument('phq9', answersFor('phq9', 0, { 9: 1 })).flaggedItems).toEqual([
+      expect.objectContaining({ item: 9, value: 1, riskLevel: 'high' }),
+    ]);
+  });
+
+  it('reverse-scores PSS-10 items 4, 5, 7 and 8', () => {
+    const score = scoreInstrument('pss10', answersFor('pss10', 0));
+
+    expect(score.itemScores).toMatchObject({ 1: 0, 4: 4, 5: 4, 7: 4, 8: 4 });
+    expect(score.rawScore).toBe(16);
+    expect(score.subscaleScores).toEqual({ perceived_helplessness: 0, perceived_self_efficacy: 16 });
+    expect(score.severityBand).toBe('moderate');
+  });
+
+  it('throws on a missing or out-of-range answer', () => {
+    const missing = answersFor('gad7', 1);
+    delete missing[7];
+
+    expect(() => scoreInstrument('gad7', missing)).toThrow('GAD-7 item 7 needs an answer between 0 and 3');
+    expect(() => scoreInstrument('gad7', answersFor('gad7', 1, { 3: 4 }))).toThrow('GAD-7 item 3');
+  });
+});
+
+describe('toGeneralScale', () => {
+  it('turns a PHQ-9 sum into its per-item average', () => {
+    const score = scoreInstrument('phq9', answersFor('phq9', 2));
+
+    expect(score.rawScore).toBe(18);
+    expect(toGeneralScale(score)).toEqual({ overallScore: 2, subscaleScores: {} });
+  });
+
+  it('rescales PSS-10 and its subscales from 0-4 answers', () => {
+    const score = scoreInstrument('pss10', answersFor('pss10', 4, { 4: 0, 5: 0, 7: 0, 8: 0 }));
+
+    expect(score.rawScore).toBe(40);
+    expect(toGeneralScale(score)).toEqual({
+      overallScore: 3,
+      subscaleScores: { perceived_helplessness: 3, perceived_self_efficacy: 3 },
+    });
+  });
+
+  it('keeps instrument and general scores comparable', () => {
+    const minimal = toGeneralScale(scoreInstrument('gad7', answersFor('gad7', 0)));
+    const severe = toGeneralScale(scoreInstrument('gad7', answersFor('gad7', 3)));
+
+    expect(minimal.overallScore).toBe(0);
+    expect(severe.overallScore).toBe(3);
+  });
+});
@@ -0,0 +1,206 @@
+// src/utils/interpretation.js
+// Deterministic, offline interpretation of assessment scores.
+// Thresholds and wording live in src/config/interpretationRules.json.
+import defaultRules from '../config/interpretationRules.json';
+
+/**
+ * Find the severity band for a score (highest band whose `min` is reached)
+ */
+export const getSeverityBand = (score, rules = defaultRules) => {
+  const bands = [...rules.bands].sort((a, b) => a.min - b.min);
+  let band = bands[0];
+
+  bands.forEach(candidate => {
+    if (score >= candidate.min) {
+      band = candidate;
+    }
+  });
+
+  return band;
+};
+
+/**
+ * Interpret category scores, overall score and remarks
+ *
+ * Returns severity bands per category, plain-language insights and a ranked
+ * list of recommendations. The same input and rules always give the same output.
+ */
+export const interpretAssessment = (
+  { categoryScores = {}, overallScore = 0, aggregatedRemarks = {} },
+  rules = defaultRules
+) => {
+  const overallBand = getSeverityBand(overallScore, rules);
+
+  // Most severe categories first; ties broken by name so ordering is stable
+  const categories = Object.keys(categoryScores).sort(
+    (a, b) => categoryScores[b] - categoryScores[a] || a.localeCompare(b)
+  );
+
+  const severityBands = {};
+  const insights = [];
+  const candidates = [];
+
+  categories.forEach(category => {
+    const score = categoryScores[category];
+    const band = getSeverityBand(score, rules);
+    const config = getCategoryRules(category, rules);
+    const label = config.label || formatCategoryName(category);
+
+    severityBands[category] = { score, band: band.id, label: band.label };
+
+    const insight = config.insights[band.id];
+    if (insight) {
+      insights.push(fillTemplate(insight, label));
+    }
+
+    (config.recommendations[band.id] || []).forEach(recommendation => {
+      candidates.push({
+        text: fillTemplate(recommendation.text, label),
+        category,
+        // Weight by band so severe categories outrank mild ones
+        weight: recommendation.priority * (band.rank + 1) + score,
+      });
+    });
+  });
+
+  // Keyword matches in the student's own remarks
+  const remarkText = Object.values(aggregatedRemarks)
+    .flat()
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  (rules.remarkKeywords || []).forEach(rule => {
+    const matched = rule.keywords.some(keyword => remarkText.includes(keyword.toLowerCase()));
+    if (!matched) return;
+
+    if (rule.insight) {
+      insights.push(rule.insight);
+    }
+    if (rule.recommendation) {
+      candidates.push({
+        text: rule.recommendation.text,
+        category: null,
+        weight: rule.recommendation.priority * (overallBand.rank + 1),
+      });
+    }
+  });
+
+  const recommendations = rankRecommendations(candidates, rules.maxRecommendations);
+
+  return {
+    overallBand: overallBand.id,
+    severityBands,
+    diagnosis: rules.overall[overallBand.id] || '',
+    insights,
+    recommendations,
+  };
+};
+
+/**
+ * Interpret a scored standardized instrument
+ *
+ * The published band decides the wording: each band in instruments.json
+ * names the general band (`interpretAs`) whose insights and recommendations
+ * apply. Returns the same shape as interpretAssessment.
+ */
+export const interpretInstrumentScore = (score, instrument, rules = defaultRules) => {
+  const { band } = score;
+  const config = getCategoryRules(instrument.category, rules);
+  const label = config.label || formatCategoryName(instrument.category);
+  const generalBand = rules.bands.find(b => b.id === band.interpretAs) || rules.bands[0];
+
+  const insights = [band.description];
+  if (config.insights[generalBand.id]) {
+    insights.push(fillTemplate(config.insights[generalBand.id], label));
+  }
+
+  const candidates = (config.recommendations[generalBand.id] || []).map(recommendation => ({
+    text: fillTemplate(recommendation.text, label),
+    category: instrument.category,
+    weight: recommendation.priority * (generalBand.rank + 1),
+  }));
+
+  return {
+    overallBand: generalBand.id,
+    severityBands: {
+      [instrument.category]: { score: score.rawScore, band: band.id, label: band.label },
+    },
+    diagnosis: `${instrument.name} score ${score.rawScore} of ${score.maxScore}. ${rules.overall[generalBand.id] || ''}`.trim(),
+    insights,
+    recommendations: rankRecommendations(candidates, rules.maxRecommendations),
+  };
+};
+
+/**
+ * Map an interpretation onto the ai_* columns of initial_assessment_summary
+ */
+export const toSummaryFields = (interpretation) => {
+  const bandSummary = Object.keys(interpretation.severityBands)
+    .map(category => {
+      const { label } = interpretation.severityBands[category];
+      return `${formatCategoryName(category)}: ${label}`;
+    })
+    .join('; ');
+
+  return {
+    ai_diagnosis: bandSummary
+      ? `${interpretation.diagnosis} (${bandSummary})`
+      : interpretation.diagnosis,
+    ai_insights: interpretation.insights.join('\n'),
+    ai_recommendations: interpretation.recommendations
+      .map((recommendation, index) => `${index + 1}. ${recommendation.text}`)
+      .join('\n'),
+  };
+};
+
+/**
+ * Helper to merge category-specific rules over the defaults
+ */
+const getCategoryRules = (category, rules) => {
+  const defaults = rules.categories.default || { insights: {}, recommendations: {} };
+  const specific = rules.categories[category.toLowerCase()] || {};
+
+  return {
+    label: specific.label || defaults.label,
+    insights: { ...defaults.insights, ...specific.insights },
+    recommendations: { ...defaults.recommendations, ...specific.recommendations },
+  };
+};
+
+/**
+ * Helper to sort by weight, drop duplicates and cap the list
+ */
+const rankRecommendations = (candidates, max = 5) => {
+  const seen = new Set();
+
+  return [...candidates]
+    .sort((a, b) => b.weight - a.weight || a.text.localeCompare(b.text))
+    .filter(candidate => {
+      if (seen.has(candidate.text)) return false;
+      seen.add(candidate.text);
+      return true;
+    })
+    .slice(0, max)
+    .map((candidate, index) => ({
+      rank: index + 1,
+      text: candidate.text,
+      category: candidate.category,
+    }));
+};
+
+/**
+ * Helper to turn a category key like "social_life" into "Social life"
+ */
+const formatCategoryName = (category) => {
+  const words = category.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Helper to fill {category} placeholders in rule wording
+ */
+const fillTemplate = (template, label) => {
+  const text = template.replace(/\{category\}/g, label.toLowerCase());
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
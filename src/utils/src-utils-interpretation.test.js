@@ -0,0 +1,146 @@
+// src/utils/interpretation.test.js
+import {
+  getSeverityBand,
+  interpretAssessment,
+  interpretInstrumentScore,
+  toSummaryFields,
+} from './interpretation';
+import { getInstrument, scoreInstrument } from './instruments';
+import rules from '../config/interpretationRules.json';
+
+// Answers that add up to `total` on a 0–3 scale, filled from the first item
+const answersTotalling = (count, total) => {
+  const answers = {};
+  for (let number = 1; number <= count; number++) {
+    const value = Math.min(3, Math.max(0, total - (number - 1) * 3));
+    answers[number] = value;
+  }
+  return answers;
+};
+
+describe('getSeverityBand', () => {
+  it('switches band exactly at each configured minimum', () => {
+    const bands = [...rules.bands].sort((a, b) => a.min - b.min);
+
+    bands.forEach(band => {
+      expect(getSeverityBand(band.min).id).toBe(band.id);
+    });
+    bands.slice(1).forEach((band, index) => {
+      expect(getSeverityBand(band.min - 0.01).id).toBe(bands[index].id);
+    });
+  });
+
+  it('keeps out-of-range scores in the first and last bands', () => {
+    expect(getSeverityBand(-1).id).toBe('minimal');
+    expect(getSeverityBand(5).id).toBe('severe');
+  });
+
+  it('does not depend on the order bands are listed in', () => {
+    const shuffled = { ...rules, bands: [...rules.bands].reverse() };
+    expect(getSeverityBand(1.5, shuffled).id).toBe('mild');
+  });
+});
+
+describe('interpretAssessment', () => {
+  it('uses the overall wording for the band the overall score falls in', () => {
+    expect(interpretAssessment({ overallScore: 1.99 }).diagnosis).toBe(rules.overall.mild);
+    expect(interpretAssessment({ overallScore: 2 }).diagnosis).toBe(rules.overall.moderate);
+    expect(interpretAssessment({ overallScore: 2 }).overallBand).toBe('moderate');
+  });
+
+  it('bands each category and words insights with the category label', () => {
+    const result = interpretAssessment({
+      categoryScores: { stress: 2, social_life: 1 },
+      overallScore: 1.5,
+    });
+
+    expect(result.severityBands).toEqual({
+      stress: { score: 2, band: 'moderate', label: 'Moderate' },
+      social_life: { score: 1, band: 'mild', label: 'Mild' },
+    });
+    expect(result.insights).toEqual([
+      'Stress is a noticeable source of difficulty for you.',
+      'Social life shows some mild strain.',
+    ]);
+  });
+
+  it('only recommends for categories past the minimal band', () => {
+    const result = interpretAssessment({ categoryScores: { sleep: 0.99 }, overallScore: 0.99 });
+    expect(result.recommendations).toEqual([]);
+  });
+
+  it('ranks severe categories first and caps the list', () => {
+    const result = interpretAssessment({
+      categoryScores: { sleep: 1, stress: 3, anxiety: 2, social: 2, mood: 1 },
+      overallScore: 2,
+    });
+
+    expect(result.recommendations).toHaveLength(rules.maxRecommendations);
+    expect(result.recommendations[0]).toEqual({
+      rank: 1,
+      text: 'Reach out to a campus counselor this week about stress.',
+      category: 'stress',
+    });
+    expect(result.recommendations.map(r => r.rank)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('matches remark keywords regardless of case and only once per rule', () => {
+    const result = interpretAssessment({
+      overallScore: 1,
+      aggregatedRemarks: { 3: ['My EXAM is next week', 'deadline too'], 4: [null] },
+    });
+
+    expect(result.insights).toEqual(['Academic pressure came up in your answers.']);
+    expect(result.recommendations).toEqual([
+      { rank: 1, text: 'Visit the academic success center for study planning support.', category: null },
+    ]);
+  });
+
+  it('gives the same output for the same input', () => {
+    const input = { categoryScores: { anxiety: 2.5, stress: 2.5 }, overallScore: 2.5 };
+    expect(interpretAssessment(input)).toEqual(interpretAssessment(input));
+    expect(Object.keys(interpretAssessment(input).severityBands)).toEqual(['anxiety', 'stress']);
+  });
+});
+
+describe('interpretInstrumentScore', () => {
+  const phq9 = getInstrument('phq9');
+
+  it('follows the published cutoff into the general band it maps to', () => {
+    const moderate = interpretInstrumentScore(scoreInstrument('phq9', answersTotalling(9, 14)), phq9);
+    const moderatelySevere = interpretInstrumentScore(scoreInstrument('phq9', answersTotalling(9, 15)), phq9);
+
+    expect(moderate.overallBand).toBe('moderate');
+    expect(moderate.severityBands.depression.band).toBe('moderate');
+    expect(moderatelySevere.overallBand).toBe('severe');
+    expect(moderatelySevere.severityBands.depression).toEqual({
+      score: 15,
+      band: 'moderately_severe',
+      label: phq9.bands.find(band => band.id === 'moderately_severe').label,
+    });
+    expect(moderatelySevere.diagnosis).toBe(`PHQ-9 score 15 of 27. ${rules.overall.severe}`);
+  });
+
+  it('leads with the published band description', () => {
+    const score = scoreInstrument('phq9', answersTotalling(9, 4));
+    const result = interpretInstrumentScore(score, phq9);
+
+    expect(result.insights[0]).toBe(score.band.description);
+    expect(result.overallBand).toBe('minimal');
+    expect(result.recommendations).toEqual([]);
+  });
+});
+
+describe('toSummaryFields', () => {
+  it('lists bands after the diagnosis and numbers the recommendations', () => {
+    const fields = toSummaryFields(
+      interpretAssessment({ categoryScores: { social_life: 2 }, overallScore: 2 })
+    );
+
+    expect(fields.ai_diagnosis).toBe(`${rules.overall.moderate} (Social life: Moderate)`);
+    expect(fields.ai_insights).toBe('Social life is a noticeable source of difficulty for you.');
+    expect(fields.ai_recommendations).toBe(
+      '1. Book a session with a campus counselor to talk about social life.'
+    );
+  });
+});
@@ -0,0 +1,116 @@
+// src/utils/journal.js
+// Journal notes and tags on daily mood entries: cleaning tags up, checking
+// note length, and comparing tagged days with the rest.
+// Limits and suggested tags live in src/config/journal.json.
+import defaultConfig from '../config/journal.json';
+import { MOOD_DIMENSIONS, scoreEntry } from './moodScale';
+
+/**
+ * Tags offered to every student, before they've made any of their own
+ */
+export const getSuggestedTags = (config = defaultConfig) => config.suggestedTags;
+
+/**
+ * Turn what a student typed into a tag: lowercase, no leading '#', single
+ * hyphens for spaces. Returns null when nothing usable is left.
+ */
+export const normalizeTag = (tag, config = defaultConfig) => {
+  const cleaned = String(tag || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, config.maxTagLength);
+
+  return cleaned || null;
+};
+
+/**
+ * Normalize a list of tags, dropping blanks and duplicates
+ */
+export const normalizeTags = (tags = [], config = defaultConfig) => {
+  const unique = [...new Set(tags.map(tag => normalizeTag(tag, config)).filter(Boolean))];
+
+  if (unique.length > config.maxTags) {
+    throw new Error(`An entry can have at most ${config.maxTags} tags`);
+  }
+
+  return unique;
+};
+
+/**
+ * Check a journal note fits, returning it trimmed (null when empty)
+ */
+export const validateNote = (notes, config = defaultConfig) => {
+  const trimmed = (notes || '').trim();
+
+  if (trimmed.length > config.maxNoteLength) {
+    throw new Error(`Journal entries can be up to ${config.maxNoteLength.toLocaleString()} characters`);
+  }
+
+  return trimmed || null;
+};
+
+/**
+ * Count how often each tag is used, most used first
+ */
+export const countTags = (entries) => {
+  const counts = new Map();
+  entries.forEach(entry => {
+    (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Average scores on days with a tag against all other days
+ * `difference` is tagged minus other, per dimension (null when either side
+ * has no data), so "exam" days with higher stress show a positive stress difference.
+ */
+export const compareTagDays = (entries, tag) => {
+  const tagged = entries.filter(entry => (entry.tags || []).includes(tag));
+  const others = entries.filter(entry => !(entry.tags || []).includes(tag));
+  const taggedAverages = averageScores(tagged);
+  const otherAverages = averageScores(others);
+
+  const difference = {};
+  MOOD_DIMENSIONS.forEach(dimension => {
+    const a = taggedAverages[dimension];
+    const b = otherAverages[dimension];
+    difference[dimension] = a === null || b === null ? null : round(a - b);
+  });
+
+  return {
+    tag,
+    tagged: { days: tagged.length, averages: taggedAverages },
+    others: { days: others.length, averages: otherAverages },
+    difference,
+  };
+};
+
+/**
+ * Helper to average each dimension's score over some entries
+ */
+const averageScores = (entries) => {
+  const scored = entries.map(scoreEntry);
+  const averages = {};
+
+  MOOD_DIMENSIONS.forEach(dimension => {
+    const values = scored.map(score => score[dimension]).filter(value => value !== null);
+    averages[dimension] = values.length > 0
+      ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  });
+
+  return averages;
+};
+
+/**
+ * Helper to round to two decimal places
+ */
+const round = (value) => Math.round(value * 100) / 100;
@@ -0,0 +1,78 @@
+// src/utils/journal.test.js
+import { compareTagDays, countTags, normalizeTag, normalizeTags, validateNote } from './journal';
+
+const entry = (date, tags, { mood = '😐', stress = '😐' } = {}) => ({
+  entry_date: date,
+  mood_emoji: mood,
+  stress_emoji: stress,
+  anxiety_emoji: '😐',
+  sleep_quality_emoji: '😐',
+  energy_level_emoji: '😐',
+  tags,
+});
+
+describe('normalizeTag', () => {
+  it('lowercases, strips # and joins words with hyphens', () => {
+    expect(normalizeTag('#Exams')).toBe('exams');
+    expect(normalizeTag('  Study   Group ')).toBe('study-group');
+    expect(normalizeTag('late_night')).toBe('late-night');
+    expect(normalizeTag('café!')).toBe('café');
+  });
+
+  it('returns null when nothing is left', () => {
+    expect(normalizeTag('   ')).toBeNull();
+    expect(normalizeTag('#!?')).toBeNull();
+  });
+});
+
+describe('normalizeTags', () => {
+  it('drops blanks and duplicates after normalizing', () => {
+    expect(normalizeTags(['Exams', '#exams', '', 'Family'])).toEqual(['exams', 'family']);
+  });
+
+  it('limits how many tags an entry can have', () => {
+    const tooMany = Array.from({ length: 11 }, (_, i) => `tag${i}`);
+    expect(() => normalizeTags(tooMany)).toThrow('at most 10 tags');
+  });
+});
+
+describe('validateNote', () => {
+  it('allows long entries up to the limit', () => {
+    expect(validateNote(`  ${'a'.repeat(10000)}  `)).toHaveLength(10000);
+    expect(() => validateNote('a'.repeat(10001))).toThrow('up to');
+  });
+
+  it('treats blank notes as none', () => {
+    expect(validateNote('   ')).toBeNull();
+    expect(validateNote(undefined)).toBeNull();
+  });
+});
+
+describe('countTags', () => {
+  it('ranks tags by how often they are used', () => {
+    const entries = [entry('2026-06-01', ['exams', 'sleep']), entry('2026-06-02', ['exams']), entry('2026-06-03', null)];
+    expect(countTags(entries)).toEqual([{ tag: 'exams', count: 2 }, { tag: 'sleep', count: 1 }]);
+  });
+});
+
+describe('compareTagDays', () => {
+  it('compares tagged days with the rest', () => {
+    const entries = [
+      entry('2026-06-01', ['exams'], { stress: '😫', mood: '😔' }),
+      entry('2026-06-02', ['exams'], { stress: '😣', mood: '😔' }),
+      entry('2026-06-03', [], { stress: '🙂', mood: '🙂' }),
+      entry('2026-06-04', null, { stress: '😌', mood: '😄' }),
+    ];
+
+    const result = compareTagDays(entries, 'exams');
+    expect(result.tagged).toMatchObject({ days: 2, averages: { stress: 4.5, mood: 2 } });
+    expect(result.others).toMatchObject({ days: 2, averages: { stress: 1.5, mood: 4.5 } });
+    expect(result.difference).toMatchObject({ stress: 3, mood: -2.5 });
+  });
+
+  it('has no difference when a tag was never used', () => {
+    const result = compareTagDays([entry('2026-06-01', [])], 'exams');
+    expect(result.tagged.days).toBe(0);
+    expect(result.difference.mood).toBeNull();
+  });
+});
@@ -0,0 +1,240 @@
+// src/utils/moodAnalytics.js
+// Numeric mood trends: rolling averages, week-over-week change, correlations
+// between dimensions, and the plain-language insights drawn from them.
+// Thresholds and wording live in src/config/moodInsights.json.
+import defaultConfig from '../config/moodInsights.json';
+import { MOOD_DIMENSIONS, getDimension, scoreEntry } from './moodScale';
+import { addDaysToKey } from './dateService';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Score daily_mood_entries rows and sort them oldest first
+ */
+export const toScoreSeries = (entries) =>
+  entries.map(scoreEntry).sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Average of a dimension over the `windowDays` calendar days ending on each entry
+ * Missing days don't count against the average; they just aren't in it.
+ */
+export const getRollingAverage = (series, dimension, windowDays) =>
+  series.map(point => {
+    const start = addDaysToKey(point.date, -(windowDays - 1));
+    const values = series
+      .filter(other => other.date >= start && other.date <= point.date)
+      .map(other => other[dimension]);
+
+    return { date: point.date, value: average(values) };
+  });
+
+/**
+ * This week's average against last week's, as rolling 7-day windows ending today
+ * `change` is null when either week has too few check-ins to compare.
+ */
+export const getWeekOverWeekChange = (series, dimension, today, config = defaultConfig) => {
+  const valuesBetween = (start, end) => series
+    .filter(point => point.date >= start && point.date <= end)
+    .map(point => point[dimension])
+    .filter(value => value !== null);
+
+  const currentValues = valuesBetween(addDaysToKey(today, -6), today);
+  const previousValues = valuesBetween(addDaysToKey(today, -13), addDaysToKey(today, -7));
+  const current = average(currentValues);
+  const previous = average(previousValues);
+  const enough = Math.min(currentValues.length, previousValues.length) >= config.minSamples.weekOverWeek;
+
+  return {
+    current,
+    previous,
+    change: enough ? round(current - previous) : null,
+  };
+};
+
+/**
+ * Pearson correlation between two dimensions, optionally with `y` taken
+ * `lagDays` after `x` (sleep against next-day mood is lag 1)
+ * `r` is null with fewer than two pairs or when either side never varies.
+ */
+export const getCorrelation = (series, x, y, lagDays = 0) => {
+  const byDate = new Map(series.map(point => [point.date, point]));
+  const pairs = series
+    .map(point => [point[x], byDate.get(addDaysToKey(point.date, lagDays))?.[y]])
+    .filter(([a, b]) => a !== null && a !== undefined && b !== null && b !== undefined);
+
+  return { r: pearson(pairs), samples: pairs.length };
+};
+
+/**
+ * Average of a dimension for each day of the week, Sunday first
+ */
+export const getWeekdayAverages = (series, dimension) =>
+  WEEKDAYS.map((weekday, index) => {
+    const values = series
+      .filter(point => getWeekdayIndex(point.date) === index)
+      .map(point => point[dimension])
+      .filter(value => value !== null);
+
+    return { weekday, average: average(values), samples: values.length };
+  });
+
+/**
+ * Short plain-language insights, like "Your stress is higher on Mondays"
+ *
+ * Only patterns past the configured thresholds and sample sizes are
+ * reported, so a handful of check-ins doesn't produce a confident claim.
+ * `tone` says whether the pattern is good news, a concern, or neither.
+ */
+export const buildMoodInsights = (series, today, config = defaultConfig) => {
+  const insights = [];
+
+  MOOD_DIMENSIONS.forEach(dimension => {
+    const { label, higherIsBetter } = getDimension(dimension);
+    const name = label.toLowerCase();
+    const toneFor = (higher) => (higher === higherIsBetter ? 'positive' : 'concern');
+
+    const { change } = getWeekOverWeekChange(series, dimension, today, config);
+    if (change !== null && Math.abs(change) >= config.thresholds.weekOverWeekChange) {
+      insights.push({
+        id: `week_${dimension}`,
+        kind: 'week_over_week',
+        dimension,
+        tone: toneFor(change > 0),
+        text: fill(change > 0 ? config.messages.weekUp : config.messages.weekDown, { dimension: name }),
+      });
+    }
+
+    const weekday = getStandoutWeekday(series, dimension, config);
+    if (weekday) {
+      insights.push({
+        id: `weekday_${dimension}`,
+        kind: 'weekday',
+        dimension,
+        tone: toneFor(weekday.difference > 0),
+        text: fill(
+          weekday.difference > 0 ? config.messages.weekdayHigher : config.messages.weekdayLower,
+          { dimension: name, weekday: weekday.weekday }
+        ),
+      });
+    }
+  });
+
+  config.correlations.forEach(pair => {
+    const { r, samples } = getCorrelation(series, pair.x, pair.y, pair.lagDays);
+    if (r === null || samples < config.minSamples.correlation || Math.abs(r) < config.thresholds.correlation) {
+      return;
+    }
+
+    insights.push({
+      id: pair.id,
+      kind: 'correlation',
+      dimension: pair.y,
+      tone: 'neutral',
+      text: r > 0 ? pair.positive : pair.negative,
+      r: round(r),
+    });
+  });
+
+  return insights;
+};
+
+/**
+ * Everything the analytics view needs from a run of mood entries
+ */
+export const analyzeMoodEntries = (entries, today, config = defaultConfig) => {
+  const series = toScoreSeries(entries);
+  const rollingAverages = {};
+  const weekOverWeek = {};
+
+  MOOD_DIMENSIONS.forEach(dimension => {
+    rollingAverages[dimension] = {};
+    config.rollingWindows.forEach(windowDays => {
+      rollingAverages[dimension][windowDays] = getRollingAverage(series, dimension, windowDays);
+    });
+    weekOverWeek[dimension] = getWeekOverWeekChange(series, dimension, today, config);
+  });
+
+  const correlations = config.correlations.map(pair => ({
+    id: pair.id,
+    x: pair.x,
+    y: pair.y,
+    lagDays: pair.lagDays,
+    ...getCorrelation(series, pair.x, pair.y, pair.lagDays),
+  }));
+
+  return {
+    series,
+    rollingAverages,
+    weekOverWeek,
+    correlations,
+    insights: buildMoodInsights(series, today, config),
+  };
+};
+
+/**
+ * Helper to find the weekday furthest from the overall average, if far enough
+ */
+const getStandoutWeekday = (series, dimension, config) => {
+  const overall = average(series.map(point => point[dimension]));
+  if (overall === null) return null;
+
+  let standout = null;
+  getWeekdayAverages(series, dimension).forEach(day => {
+    if (day.samples < config.minSamples.weekday) return;
+
+    const difference = day.average - overall;
+    if (Math.abs(difference) < config.thresholds.weekdayDifference) return;
+    if (!standout || Math.abs(difference) > Math.abs(standout.difference)) {
+      standout = { weekday: day.weekday, difference };
+    }
+  });
+
+  return standout;
+};
+
+/**
+ * Helper to compute Pearson's r for [x, y] pairs
+ */
+const pearson = (pairs) => {
+  if (pairs.length < 2) return null;
+
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Helper to average the non-null values, rounded to two places (null if none)
+ */
+const average = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  return round(present.reduce((sum, value) => sum + value, 0) / present.length);
+};
+
+/**
+ * Helper to round to two decimal places
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Helper to get the day of the week (0 = Sunday) for a 'yyyy-MM-dd' key
+ */
+const getWeekdayIndex = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Helper to fill {placeholders} in an insight message
+ */
+const fill = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
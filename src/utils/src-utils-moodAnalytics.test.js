@@ -0,0 +1,130 @@
+// src/utils/moodAnalytics.test.js
+import {
+  analyzeMoodEntries,
+  buildMoodInsights,
+  getCorrelation,
+  getRollingAverage,
+  getWeekOverWeekChange,
+  getWeekdayAverages,
+  toScoreSeries,
+} from './moodAnalytics';
+import { addDaysToKey } from './dateService';
+
+// Emoji for each score, per dimension (see config/moodScale.json)
+const MOOD = { 1: '😢', 2: '😔', 3: '😐', 4: '🙂', 5: '😄' };
+const STRESS = { 1: '😌', 2: '🙂', 3: '😐', 4: '😣', 5: '😫' };
+const SLEEP = { 1: '😩', 2: '🥱', 3: '😐', 4: '😊', 5: '😴' };
+
+const entry = (date, { mood = 3, stress = 3, sleep = 3 } = {}) => ({
+  entry_date: date,
+  mood_emoji: MOOD[mood],
+  stress_emoji: STRESS[stress],
+  anxiety_emoji: '😐',
+  sleep_quality_emoji: SLEEP[sleep],
+  energy_level_emoji: '😐',
+});
+
+// 2026-06-01 is a Monday
+const days = (count, start = '2026-06-01') =>
+  Array.from({ length: count }, (_, index) => addDaysToKey(start, index));
+
+describe('toScoreSeries', () => {
+  it('maps emoji to numbers and sorts by date', () => {
+    const series = toScoreSeries([entry('2026-06-02', { mood: 5 }), entry('2026-06-01', { mood: 1 })]);
+    expect(series.map(point => [point.date, point.mood])).toEqual([['2026-06-01', 1], ['2026-06-02', 5]]);
+  });
+});
+
+describe('getRollingAverage', () => {
+  it('averages over calendar days, not the last N entries', () => {
+    const series = toScoreSeries([
+      entry('2026-06-01', { mood: 1 }),
+      entry('2026-06-05', { mood: 3 }),
+      entry('2026-06-10', { mood: 5 }),
+    ]);
+
+    expect(getRollingAverage(series, 'mood', 7).map(point => point.value)).toEqual([1, 2, 4]);
+  });
+});
+
+describe('getWeekOverWeekChange', () => {
+  it('compares the last seven days with the seven before', () => {
+    const series = toScoreSeries(days(14).map((date, index) => entry(date, { mood: index < 7 ? 2 : 4 })));
+    expect(getWeekOverWeekChange(series, 'mood', '2026-06-14')).toEqual({ current: 4, previous: 2, change: 2 });
+  });
+
+  it('gives no change when a week has too few check-ins', () => {
+    const series = toScoreSeries([entry('2026-06-01'), entry('2026-06-10'), entry('2026-06-11'), entry('2026-06-12')]);
+    expect(getWeekOverWeekChange(series, 'mood', '2026-06-14').change).toBeNull();
+  });
+});
+
+describe('getCorrelation', () => {
+  it('pairs sleep with the next day mood', () => {
+    // Mood tracks the previous night's sleep exactly
+    const sleep = [1, 5, 2, 4, 3, 5, 1, 4];
+    const entries = days(sleep.length).map((date, index) =>
+      entry(date, { sleep: sleep[index], mood: index === 0 ? 3 : sleep[index - 1] })
+    );
+    const series = toScoreSeries(entries);
+
+    const nextDay = getCorrelation(series, 'sleep', 'mood', 1);
+    expect(nextDay.samples).toBe(7);
+    expect(nextDay.r).toBeCloseTo(1);
+    expect(getCorrelation(series, 'sleep', 'mood', 0).r).toBeLessThan(0.9);
+  });
+
+  it('returns null when a dimension never varies', () => {
+    const series = toScoreSeries(days(5).map(date => entry(date)));
+    expect(getCorrelation(series, 'sleep', 'mood').r).toBeNull();
+  });
+});
+
+describe('getWeekdayAverages', () => {
+  it('groups by day of the week', () => {
+    const series = toScoreSeries(days(14).map(date => entry(date, { stress: date === '2026-06-08' ? 5 : 3 })));
+    const monday = getWeekdayAverages(series, 'stress')[1];
+    expect(monday).toEqual({ weekday: 'Monday', average: 4, samples: 2 });
+  });
+});
+
+describe('buildMoodInsights', () => {
+  it('notices a weekday that stands out', () => {
+    const series = toScoreSeries(days(28).map(date => {
+      const isMonday = new Date(`${date}T00:00:00Z`).getUTCDay() === 1;
+      return entry(date, { stress: isMonday ? 5 : 2 });
+    }));
+
+    const insight = buildMoodInsights(series, '2026-06-28').find(item => item.id === 'weekday_stress');
+    expect(insight.text).toBe('Your stress is higher on Mondays.');
+    expect(insight.tone).toBe('concern');
+  });
+
+  it('reports sleep against next-day mood once there is enough data', () => {
+    const sleep = [1, 5, 2, 4, 3, 5, 1, 4, 2, 5, 3, 1];
+    const entries = days(sleep.length).map((date, index) =>
+      entry(date, { sleep: sleep[index], mood: index === 0 ? 3 : sleep[index - 1] })
+    );
+
+    const insights = buildMoodInsights(toScoreSeries(entries), '2026-06-12');
+    expect(insights.find(item => item.id === 'sleep_next_day_mood').text)
+      .toBe('After nights you sleep well, your mood the next day tends to be better.');
+
+    const fewer = buildMoodInsights(toScoreSeries(entries.slice(0, 6)), '2026-06-06');
+    expect(fewer.find(item => item.id === 'sleep_next_day_mood')).toBeUndefined();
+  });
+
+  it('says nothing about steady data', () => {
+    const series = toScoreSeries(days(28).map(date => entry(date)));
+    expect(buildMoodInsights(series, '2026-06-28')).toEqual([]);
+  });
+});
+
+describe('analyzeMoodEntries', () => {
+  it('returns 7- and 30-day rolling averages for every dimension', () => {
+    const result = analyzeMoodEntries(days(3).map(date => entry(date)), '2026-06-03');
+    expect(Object.keys(result.rollingAverages.sleep)).toEqual(['7', '30']);
+    expect(result.rollingAverages.energy[30]).toHaveLength(3);
+    expect(result.correlations.map(item => item.id)).toContain('sleep_next_day_mood');
+  });
+});
@@ -0,0 +1,173 @@
+// src/utils/moodReports.js
+// Date ranges for mood reports (custom, semester, year in review) and the
+// weekly summaries they are built from.
+// Term dates and report settings live in src/config/moodReports.json.
+import defaultConfig from '../config/moodReports.json';
+import { MOOD_DIMENSIONS, SCALE_MIN, SCALE_MAX, getDimension, toScore } from './moodScale';
+import { addDaysToKey, daysBetweenKeys, getMonthRange, getWeekRange } from './dateService';
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The term a day falls in, or the most recent one to have ended
+ * Terms recur every year; one whose end is before its start runs into the next year.
+ */
+export const getTermForDay = (dayKey, config = defaultConfig) => {
+  const year = Number(dayKey.slice(0, 4));
+  const candidates = [year - 1, year].flatMap(termYear =>
+    config.terms.map(term => ({
+      id: term.id,
+      label: `${term.label} ${termYear}`,
+      start: `${termYear}-${term.start}`,
+      end: `${term.end < term.start ? termYear + 1 : termYear}-${term.end}`,
+    }))
+  );
+
+  const current = candidates.find(term => term.start <= dayKey && dayKey <= term.end);
+  if (current) return current;
+
+  return candidates
+    .filter(term => term.end < dayKey)
+    .sort((a, b) => b.end.localeCompare(a.end))[0];
+};
+
+/**
+ * Turn a period into a { start, end } range of day keys
+ * `period` is 'week', 'month', 'semester', or a custom { start, end }.
+ */
+export const getPeriodRange = (period, today, config = defaultConfig) => {
+  if (period === 'week') return getWeekRange(today);
+  if (period === 'month') return getMonthRange(today);
+  if (period === 'semester') {
+    const { start, end } = getTermForDay(today, config);
+    return { start, end };
+  }
+
+  if (period && isDayKey(period.start) && isDayKey(period.end)) {
+    if (period.start > period.end) {
+      throw new Error('The start date must be on or before the end date');
+    }
+    return { start: period.start, end: period.end };
+  }
+
+  throw new Error('Invalid period. Use "week", "month", "semester" or { start, end }');
+};
+
+/**
+ * Whether a range is long enough to chart by week rather than by day
+ */
+export const isLongRange = ({ start, end }, config = defaultConfig) =>
+  daysBetweenKeys(end, start) + 1 > config.dailyRangeMaxDays;
+
+/**
+ * The year in review due on a day: the twelve months up to the end of the
+ * last term to finish, or null outside the window after a term ends
+ */
+export const getReviewRange = (today, config = defaultConfig) => {
+  let term = getTermForDay(today, config);
+  if (term.end >= today) {
+    term = getTermForDay(addDaysToKey(term.start, -1), config);
+  }
+
+  if (!term || daysBetweenKeys(today, term.end) > config.reviewAvailableDays) return null;
+
+  return {
+    term,
+    start: addDaysToKey(`${Number(term.end.slice(0, 4)) - 1}${term.end.slice(4)}`, 1),
+    end: term.end,
+  };
+};
+
+/**
+ * Summarize weekly emoji counts into per-week averages
+ *
+ * `rows` are { week_start, dimension, emoji, entries } as returned by the
+ * get_mood_week_counts function. Each week gets its average per dimension
+ * and a `wellbeing` score: the mean of all dimensions on the 1-5 scale, with
+ * stress and anxiety flipped so higher is always better.
+ */
+export const summarizeWeekCounts = (rows) => {
+  const weeks = new Map();
+  const counts = Object.fromEntries(MOOD_DIMENSIONS.map(dimension => [dimension, {}]));
+
+  rows.forEach(({ week_start: weekStart, dimension, emoji, entries }) => {
+    const score = toScore(dimension, emoji);
+    if (score === null) return;
+
+    if (!weeks.has(weekStart)) {
+      weeks.set(weekStart, Object.fromEntries(MOOD_DIMENSIONS.map(d => [d, { total: 0, count: 0 }])));
+    }
+    const totals = weeks.get(weekStart)[dimension];
+    totals.total += score * entries;
+    totals.count += entries;
+    counts[dimension][emoji] = (counts[dimension][emoji] || 0) + entries;
+  });
+
+  const summaries = [...weeks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, totals]) => {
+      const averages = {};
+      MOOD_DIMENSIONS.forEach(dimension => {
+        const { total, count } = totals[dimension];
+        averages[dimension] = count > 0 ? round(total / count) : null;
+      });
+
+      return {
+        weekStart,
+        weekEnd: addDaysToKey(weekStart, 6),
+        entries: Math.max(...MOOD_DIMENSIONS.map(dimension => totals[dimension].count)),
+        averages,
+        wellbeing: getWellbeingScore(averages),
+      };
+    });
+
+  return { weeks: summaries, counts };
+};
+
+/**
+ * One 1-5 score for a set of dimension averages, higher always better
+ */
+export const getWellbeingScore = (averages) => {
+  const scores = MOOD_DIMENSIONS
+    .filter(dimension => averages[dimension] !== null && averages[dimension] !== undefined)
+    .map(dimension => (getDimension(dimension).higherIsBetter
+      ? averages[dimension]
+      : SCALE_MIN + SCALE_MAX - averages[dimension]));
+
+  if (scores.length === 0) return null;
+  return round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+};
+
+/**
+ * The weeks with the highest and lowest wellbeing
+ * Weeks with only a check-in or two are left out, so one bad day isn't a "hardest week".
+ */
+export const getBestAndHardestWeeks = (weeks, config = defaultConfig) => {
+  const eligible = weeks.filter(week => week.entries >= config.minEntriesPerWeek && week.wellbeing !== null);
+  if (eligible.length === 0) return { bestWeek: null, hardestWeek: null };
+
+  const sorted = [...eligible].sort((a, b) => b.wellbeing - a.wellbeing);
+  return {
+    bestWeek: sorted[0],
+    hardestWeek: sorted.length > 1 ? sorted[sorted.length - 1] : null,
+  };
+};
+
+/**
+ * The most frequent emoji from an { emoji: count } map, most common first
+ */
+export const getTopEmojis = (counts, limit = defaultConfig.topMoodCount) =>
+  Object.entries(counts)
+    .map(([emoji, count]) => ({ emoji, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+
+/**
+ * Helper to check for a 'yyyy-MM-dd' string
+ */
+const isDayKey = (value) => typeof value === 'string' && DAY_KEY_PATTERN.test(value);
+
+/**
+ * Helper to round to two decimal places
+ */
+const round = (value) => Math.round(value * 100) / 100;
@@ -0,0 +1,128 @@
+// src/utils/moodReports.test.js
+import {
+  getBestAndHardestWeeks,
+  getPeriodRange,
+  getReviewRange,
+  getTermForDay,
+  getTopEmojis,
+  getWellbeingScore,
+  isLongRange,
+  summarizeWeekCounts,
+} from './moodReports';
+
+describe('getTermForDay', () => {
+  it('finds the term a day falls in', () => {
+    expect(getTermForDay('2026-10-01')).toEqual({
+      id: 'fall',
+      label: 'Fall semester 2026',
+      start: '2026-08-15',
+      end: '2026-12-20',
+    });
+    expect(getTermForDay('2026-03-01').id).toBe('spring');
+  });
+
+  it('falls back to the last term to end during a break', () => {
+    // Winter break, between fall and spring
+    expect(getTermForDay('2027-01-03').label).toBe('Fall semester 2026');
+  });
+
+  it('handles terms that run into the next year', () => {
+    const config = {
+      terms: [{ id: 'winter', label: 'Winter', start: '11-01', end: '02-28' }],
+    };
+    expect(getTermForDay('2027-01-15', config)).toMatchObject({ start: '2026-11-01', end: '2027-02-28' });
+  });
+});
+
+describe('getPeriodRange', () => {
+  it('supports week, month, semester and custom ranges', () => {
+    expect(getPeriodRange('week', '2026-06-17')).toEqual({ start: '2026-06-15', end: '2026-06-21' });
+    expect(getPeriodRange('month', '2026-02-10')).toEqual({ start: '2026-02-01', end: '2026-02-28' });
+    expect(getPeriodRange('semester', '2026-10-01')).toEqual({ start: '2026-08-15', end: '2026-12-20' });
+    expect(getPeriodRange({ start: '2025-01-01', end: '2026-06-30' }, '2026-06-17'))
+      .toEqual({ start: '2025-01-01', end: '2026-06-30' });
+  });
+
+  it('rejects backwards and malformed ranges', () => {
+    expect(() => getPeriodRange({ start: '2026-06-30', end: '2026-06-01' }, '2026-06-17')).toThrow('on or before');
+    expect(() => getPeriodRange({ start: 'June 1', end: '2026-06-30' }, '2026-06-17')).toThrow('Invalid period');
+    expect(() => getPeriodRange('year', '2026-06-17')).toThrow('Invalid period');
+  });
+});
+
+describe('isLongRange', () => {
+  it('switches to weekly charts past a season', () => {
+    expect(isLongRange({ start: '2026-06-01', end: '2026-06-30' })).toBe(false);
+    expect(isLongRange(getPeriodRange('semester', '2026-10-01'))).toBe(true);
+  });
+});
+
+describe('getReviewRange', () => {
+  it('covers the twelve months to the end of the term just finished', () => {
+    expect(getReviewRange('2026-12-28')).toEqual({
+      term: expect.objectContaining({ id: 'fall', end: '2026-12-20' }),
+      start: '2025-12-21',
+      end: '2026-12-20',
+    });
+  });
+
+  it('is offered early in the next term, but not for long', () => {
+    expect(getReviewRange('2027-01-10').end).toBe('2026-12-20');
+    expect(getReviewRange('2027-02-20')).toBeNull();
+  });
+});
+
+describe('summarizeWeekCounts', () => {
+  const rows = [
+    { week_start: '2026-06-08', dimension: 'mood', emoji: '😄', entries: 2 },
+    { week_start: '2026-06-08', dimension: 'mood', emoji: '😔', entries: 2 },
+    { week_start: '2026-06-08', dimension: 'stress', emoji: '😫', entries: 4 },
+    { week_start: '2026-06-01', dimension: 'mood', emoji: '😐', entries: 3 },
+    { week_start: '2026-06-01', dimension: 'mood', emoji: '❓', entries: 9 },
+  ];
+
+  it('averages each week from emoji counts and skips unknown emoji', () => {
+    const { weeks, counts } = summarizeWeekCounts(rows);
+
+    expect(weeks.map(week => week.weekStart)).toEqual(['2026-06-01', '2026-06-08']);
+    expect(weeks[1]).toMatchObject({ weekEnd: '2026-06-14', entries: 4 });
+    expect(weeks[1].averages).toMatchObject({ mood: 3.5, stress: 5, sleep: null });
+    expect(counts.mood).toEqual({ '😄': 2, '😔': 2, '😐': 3 });
+  });
+
+  it('flips stress and anxiety in the wellbeing score', () => {
+    // Mood 3.5 and stress 5 (so 1 once flipped) average to 2.25
+    expect(summarizeWeekCounts(rows).weeks[1].wellbeing).toBe(2.25);
+    expect(getWellbeingScore({ mood: 5, stress: 1 })).toBe(5);
+    expect(getWellbeingScore({})).toBeNull();
+  });
+});
+
+describe('getBestAndHardestWeeks', () => {
+  it('ignores weeks with too few check-ins', () => {
+    const weeks = [
+      { weekStart: '2026-06-01', entries: 5, wellbeing: 3.2 },
+      { weekStart: '2026-06-08', entries: 1, wellbeing: 1.0 },
+      { weekStart: '2026-06-15', entries: 6, wellbeing: 4.1 },
+      { weekStart: '2026-06-22', entries: 4, wellbeing: 2.4 },
+    ];
+
+    const { bestWeek, hardestWeek } = getBestAndHardestWeeks(weeks);
+    expect(bestWeek.weekStart).toBe('2026-06-15');
+    expect(hardestWeek.weekStart).toBe('2026-06-22');
+  });
+
+  it('has no hardest week with only one week to go on', () => {
+    expect(getBestAndHardestWeeks([{ weekStart: '2026-06-01', entries: 5, wellbeing: 3 }]).hardestWeek).toBeNull();
+  });
+});
+
+describe('getTopEmojis', () => {
+  it('lists the most common first', () => {
+    expect(getTopEmojis({ '😐': 3, '😄': 7, '😔': 1, '🙂': 5 })).toEqual([
+      { emoji: '😄', count: 7 },
+      { emoji: '🙂', count: 5 },
+      { emoji: '😐', count: 3 },
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+// src/utils/moodScale.js
+// Maps the emoji stored for each mood dimension onto a numeric 1-5 scale.
+// The emoji-to-number table lives in src/config/moodScale.json.
+import moodScale from '../config/moodScale.json';
+
+export const MOOD_DIMENSIONS = Object.keys(moodScale.dimensions);
+
+export const SCALE_MIN = moodScale.min;
+export const SCALE_MAX = moodScale.max;
+
+/**
+ * Get the config (column, label, direction) for a dimension
+ */
+export const getDimension = (dimension) => moodScale.dimensions[dimension];
+
+/**
+ * Numeric score for one emoji (null when the emoji isn't on the scale)
+ */
+export const toScore = (dimension, emoji) => {
+  const config = moodScale.dimensions[dimension];
+  if (!config || !emoji) return null;
+
+  const score = config.values[emoji];
+  return score === undefined ? null : score;
+};
+
+/**
+ * Numeric scores for every dimension of a daily_mood_entries row
+ */
+export const scoreEntry = (entry) => {
+  const scores = { date: entry.entry_date };
+
+  MOOD_DIMENSIONS.forEach(dimension => {
+    scores[dimension] = toScore(dimension, entry[moodScale.dimensions[dimension].column]);
+  });
+
+  return scores;
+};
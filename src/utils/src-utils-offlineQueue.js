@@ -0,0 +1,201 @@
+// src/utils/offlineQueue.js
+// Persistent IndexedDB queue for writes that must survive a lost connection.
+
+const DB_NAME = 'mental-health-offline';
+const DB_VERSION = 3;
+const MOOD_STORE = 'pending_mood_entries';
+const DRAFT_STORE = 'assessment_drafts';
+const ALERT_STORE = 'pending_risk_alerts';
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the offline database
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(MOOD_STORE)) {
+        // One pending entry per student per day: re-submitting the same day replaces it
+        const store = db.createObjectStore(MOOD_STORE, { keyPath: 'key' });
+        store.createIndex('student_id', 'student_id', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(DRAFT_STORE)) {
+        // One draft per student per instrument, keyed like the server row
+        db.createObjectStore(DRAFT_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(ALERT_STORE)) {
+        // One pending alert per source, so re-saving the same entry doesn't raise it twice
+        const store = db.createObjectStore(ALERT_STORE, { keyPath: 'key' });
+        store.createIndex('student_id', 'student_id', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against one store and resolve with its result
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const withMoodStore = (mode, callback) => withStore(MOOD_STORE, mode, callback);
+
+const withDraftStore = (mode, callback) => withStore(DRAFT_STORE, mode, callback);
+
+const withAlertStore = (mode, callback) => withStore(ALERT_STORE, mode, callback);
+
+const moodEntryKey = (studentId, entryDate) => `${studentId}:${entryDate}`;
+
+const riskAlertKey = (alert) => `${alert.student_id}:${alert.source}:${alert.source_ref}`;
+
+/**
+ * Queue a mood entry record for later sync (replaces any pending entry for the same day)
+ */
+export const enqueueMoodEntry = async (record) => {
+  const queued = {
+    ...record,
+    key: moodEntryKey(record.student_id, record.entry_date),
+    queued_at: new Date().toISOString(),
+  };
+
+  await withMoodStore('readwrite', (store) => store.put(queued));
+  return queued;
+};
+
+/**
+ * Get all pending mood entries for a student, oldest day first
+ */
+export const getQueuedMoodEntries = async (studentId) => {
+  const entries = await withMoodStore('readonly', (store) =>
+    store.index('student_id').getAll(studentId)
+  );
+
+  return (entries || []).sort((a, b) => a.entry_date.localeCompare(b.entry_date));
+};
+
+/**
+ * Get the pending mood entry for one day, if any
+ */
+export const getQueuedMoodEntry = async (studentId, entryDate) => {
+  const entry = await withMoodStore('readonly', (store) =>
+    store.get(moodEntryKey(studentId, entryDate))
+  );
+
+  return entry || null;
+};
+
+/**
+ * Remove a mood entry from the queue once it has been synced or discarded
+ */
+export const removeQueuedMoodEntry = async (studentId, entryDate) => {
+  await withMoodStore('readwrite', (store) =>
+    store.delete(moodEntryKey(studentId, entryDate))
+  );
+};
+
+/**
+ * Whether a queued write should replace the server row for the same day
+ * The most recent write wins; a server row without timestamps never beats a queued one.
+ */
+export const isQueuedWriteNewer = (queued, serverRow) => {
+  if (!serverRow) return true;
+
+  const serverWrittenAt = serverRow.updated_at || serverRow.created_at;
+  return !serverWrittenAt || new Date(serverWrittenAt) <= new Date(queued.queued_at);
+};
+
+/**
+ * Save an assessment draft on this device (replaces the previous copy)
+ */
+export const saveLocalDraft = async (draft) => {
+  await withDraftStore('readwrite', (store) => store.put(draft));
+  return draft;
+};
+
+/**
+ * Get the draft saved on this device for a draft key, if any
+ */
+export const getLocalDraft = async (draftKey) => {
+  const draft = await withDraftStore('readonly', (store) => store.get(draftKey));
+  return draft || null;
+};
+
+/**
+ * Remove a draft from this device
+ */
+export const removeLocalDraft = async (draftKey) => {
+  await withDraftStore('readwrite', (store) => store.delete(draftKey));
+};
+
+/**
+ * Queue a risk alert that couldn't reach the server (replaces a pending one from the same source)
+ */
+export const enqueueRiskAlert = async (alert) => {
+  const queued = {
+    ...alert,
+    key: riskAlertKey(alert),
+    queued_at: new Date().toISOString(),
+  };
+
+  await withAlertStore('readwrite', (store) => store.put(queued));
+  return queued;
+};
+
+/**
+ * Get all pending risk alerts for a student, oldest first
+ */
+export const getQueuedRiskAlerts = async (studentId) => {
+  const alerts = await withAlertStore('readonly', (store) =>
+    store.index('student_id').getAll(studentId)
+  );
+
+  return (alerts || []).sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+};
+
+/**
+ * Remove a risk alert from the queue once it has reached the server
+ */
+export const removeQueuedRiskAlert = async (key) => {
+  await withAlertStore('readwrite', (store) => store.delete(key));
+};
+
+/**
+ * Whether the browser currently reports a network connection
+ */
+export const isOnline = () =>
+  typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Whether a failed request looks like a lost connection rather than a server error
+ */
+export const isNetworkError = (error) =>
+  !error.code && /fetch|network|load failed/i.test(error.message || '');
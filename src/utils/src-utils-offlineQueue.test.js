@@ -0,0 +1,175 @@
+// src/utils/offlineQueue.test.js
+import {
+  enqueueMoodEntry,
+  getQueuedMoodEntries,
+  getQueuedMoodEntry,
+  removeQueuedMoodEntry,
+  enqueueRiskAlert,
+  getQueuedRiskAlerts,
+  removeQueuedRiskAlert,
+  saveLocalDraft,
+  getLocalDraft,
+  removeLocalDraft,
+  isQueuedWriteNewer,
+  isNetworkError,
+} from './offlineQueue';
+
+// Just enough of IndexedDB for the queue: keyPath stores, one-field indexes, async completion
+const createFakeIndexedDB = () => {
+  const stores = new Map();
+
+  const request = (result) => ({ result });
+
+  const storeApi = (store) => ({
+    put: (value) => {
+      store.rows.set(value[store.keyPath], value);
+      return request(value[store.keyPath]);
+    },
+    get: (key) => request(store.rows.get(key)),
+    delete: (key) => {
+      store.rows.delete(key);
+      return request(undefined);
+    },
+    index: (name) => ({
+      getAll: (value) =>
+        request([...store.rows.values()].filter(row => row[store.indexes[name]] === value)),
+    }),
+  });
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, { keyPath }) => {
+      const store = { keyPath, indexes: {}, rows: new Map() };
+      stores.set(name, store);
+      return { createIndex: (indexName, field) => { store.indexes[indexName] = field; } };
+    },
+    transaction: (name) => {
+      const transaction = { objectStore: () => storeApi(stores.get(name)) };
+      setTimeout(() => transaction.oncomplete(), 0);
+      return transaction;
+    },
+  };
+
+  return {
+    clear: () => stores.forEach(store => store.rows.clear()),
+    open: () => {
+      const openRequest = { result: db };
+      setTimeout(() => {
+        if (openRequest.onupgradeneeded) openRequest.onupgradeneeded();
+        openRequest.onsuccess();
+      }, 0);
+      return openRequest;
+    },
+  };
+};
+
+const fakeIndexedDB = createFakeIndexedDB();
+global.indexedDB = fakeIndexedDB;
+
+beforeEach(() => fakeIndexedDB.clear());
+
+const record = (studentId, entryDate, mood = '🙂') => ({
+  student_id: studentId,
+  entry_date: entryDate,
+  mood_emoji: mood,
+});
+
+describe('mood entry queue', () => {
+  it('keys entries by student and day and stamps when they were queued', async () => {
+    const queued = await enqueueMoodEntry(record('s1', '2026-03-02'));
+
+    expect(queued.key).toBe('s1:2026-03-02');
+    expect(Number.isNaN(Date.parse(queued.queued_at))).toBe(false);
+    expect(await getQueuedMoodEntry('s1', '2026-03-02')).toEqual(queued);
+  });
+
+  it('replaces a pending entry for the same day', async () => {
+    await enqueueMoodEntry(record('s1', '2026-03-02', '😞'));
+    await enqueueMoodEntry(record('s1', '2026-03-02', '😄'));
+
+    const entries = await getQueuedMoodEntries('s1');
+    expect(entries).toHaveLength(1);
+    expect(entries[0].mood_emoji).toBe('😄');
+  });
+
+  it("lists only the student's entries, oldest day first", async () => {
+    await enqueueMoodEntry(record('s1', '2026-03-04'));
+    await enqueueMoodEntry(record('s2', '2026-03-03'));
+    await enqueueMoodEntry(record('s1', '2026-03-02'));
+
+    const entries = await getQueuedMoodEntries('s1');
+    expect(entries.map(entry => entry.entry_date)).toEqual(['2026-03-02', '2026-03-04']);
+  });
+
+  it('forgets an entry once it is removed', async () => {
+    await enqueueMoodEntry(record('s1', '2026-03-02'));
+    await removeQueuedMoodEntry('s1', '2026-03-02');
+
+    expect(await getQueuedMoodEntry('s1', '2026-03-02')).toBeNull();
+    expect(await getQueuedMoodEntries('s1')).toEqual([]);
+  });
+});
+
+describe('risk alert queue', () => {
+  const alert = (source, sourceRef, level = 'high') => ({
+    student_id: 's1',
+    source,
+    source_ref: sourceRef,
+    level,
+  });
+
+  it('keeps one pending alert per source and removes it by key', async () => {
+    await enqueueRiskAlert(alert('mood_entry', '2026-03-02', 'elevated'));
+    const queued = await enqueueRiskAlert(alert('mood_entry', '2026-03-02'));
+    await enqueueRiskAlert(alert('assessment', 'session-1'));
+
+    const alerts = await getQueuedRiskAlerts('s1');
+    expect(alerts).toHaveLength(2);
+    expect(alerts.find(a => a.key === 's1:mood_entry:2026-03-02').level).toBe('high');
+
+    await removeQueuedRiskAlert(queued.key);
+    expect((await getQueuedRiskAlerts('s1')).map(a => a.source)).toEqual(['assessment']);
+  });
+});
+
+describe('assessment drafts', () => {
+  it('saves, replaces and removes a draft by key', async () => {
+    await saveLocalDraft({ key: 's1:phq9', answers: { 1: 2 } });
+    await saveLocalDraft({ key: 's1:phq9', answers: { 1: 3 } });
+    expect(await getLocalDraft('s1:phq9')).toEqual({ key: 's1:phq9', answers: { 1: 3 } });
+
+    await removeLocalDraft('s1:phq9');
+    expect(await getLocalDraft('s1:phq9')).toBeNull();
+  });
+});
+
+describe('isQueuedWriteNewer', () => {
+  const queued = { queued_at: '2026-03-02T10:00:00.000Z' };
+
+  it('keeps the queued write when the server has no row', () => {
+    expect(isQueuedWriteNewer(queued, null)).toBe(true);
+  });
+
+  it('keeps the server row when it was written after the entry was queued', () => {
+    expect(isQueuedWriteNewer(queued, { updated_at: '2026-03-02T10:00:00.001Z' })).toBe(false);
+  });
+
+  it('keeps the queued write when the server row is older or written at the same time', () => {
+    expect(isQueuedWriteNewer(queued, { updated_at: '2026-03-02T09:59:59.999Z' })).toBe(true);
+    expect(isQueuedWriteNewer(queued, { updated_at: '2026-03-02T10:00:00.000Z' })).toBe(true);
+  });
+
+  it('falls back to created_at, and lets the queued write win without timestamps', () => {
+    expect(isQueuedWriteNewer(queued, { created_at: '2026-03-02T11:00:00.000Z' })).toBe(false);
+    expect(isQueuedWriteNewer(queued, { id: 'row' })).toBe(true);
+  });
+});
+
+describe('isNetworkError', () => {
+  it('recognizes a lost connection but not a server error', () => {
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError(new TypeError('Load failed'))).toBe(true);
+    expect(isNetworkError({ code: '23505', message: 'duplicate key' })).toBe(false);
+    expect(isNetworkError({ code: 'PGRST301', message: 'network policy' })).toBe(false);
+  });
+});
@@ -0,0 +1,21 @@
+// src/utils/paging.js
+// PostgREST caps how many rows one request returns, so long ranges are read a page at a time.
+
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query, one page at a time
+ * `buildQuery` must return a fresh, ordered query each call, since a query
+ * can only be awaited once.
+ */
+export const fetchAllRows = async (buildQuery, pageSize = DEFAULT_PAGE_SIZE) => {
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) return { rows: null, error };
+
+    rows.push(...data);
+    if (data.length < pageSize) return { rows, error: null };
+  }
+};
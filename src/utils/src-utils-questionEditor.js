@@ -0,0 +1,97 @@
+// src/utils/questionEditor.js
+// Validation and ordering for the admin editor of initial_assessment_questions
+// and initial_assessment_options.
+// Severity range and option limits live in src/config/questionEditor.json.
+import defaultConfig from '../config/questionEditor.json';
+import interpretationRules from '../config/interpretationRules.json';
+
+/**
+ * Categories with their own interpretation rules, offered when writing a question
+ */
+export const getKnownCategories = (rules = interpretationRules) =>
+  Object.keys(rules.categories).filter(category => category !== 'default');
+
+/**
+ * Check an option's text, remark and severity score; returns the cleaned option
+ */
+export const validateOption = (option, config = defaultConfig) => {
+  const optionText = String(option.option_text || '').trim();
+  if (!optionText) {
+    throw new Error('Every option needs text');
+  }
+  if (optionText.length > config.maxTextLength) {
+    throw new Error(`Option text can be at most ${config.maxTextLength} characters`);
+  }
+
+  const severityScore = Number(option.severity_score);
+  if (!Number.isInteger(severityScore) || severityScore < config.severityMin || severityScore > config.severityMax) {
+    throw new Error(`Severity scores must be whole numbers from ${config.severityMin} to ${config.severityMax}`);
+  }
+
+  const remark = String(option.remark || '').trim();
+
+  return {
+    option_text: optionText,
+    remark: remark || null,
+    severity_score: severityScore,
+  };
+};
+
+/**
+ * Check a new or edited question; returns the cleaned question
+ * Options are only checked when given, since edits to the text alone don't include them.
+ */
+export const validateQuestion = (question, config = defaultConfig) => {
+  const questionText = String(question.question_text || '').trim();
+  if (!questionText) {
+    throw new Error('The question needs text');
+  }
+  if (questionText.length > config.maxTextLength) {
+    throw new Error(`Questions can be at most ${config.maxTextLength} characters`);
+  }
+
+  const category = String(question.category || '').trim().toLowerCase().replace(/\s+/g, '_');
+  if (!/^[a-z][a-z0-9_]*$/.test(category)) {
+    throw new Error('The category should be a short name like "stress" or "social"');
+  }
+
+  const cleaned = { question_text: questionText, category };
+  if (question.options === undefined) return cleaned;
+
+  if (question.options.length < config.minOptions || question.options.length > config.maxOptions) {
+    throw new Error(`A question needs ${config.minOptions} to ${config.maxOptions} options`);
+  }
+
+  return { ...cleaned, options: question.options.map(option => validateOption(option, config)) };
+};
+
+/**
+ * Move a question one place up (-1) or down (+1); returns the new order of ids
+ */
+export const moveQuestion = (questions, questionId, direction) => {
+  const ids = sortQuestions(questions).map(question => question.id);
+  const from = ids.indexOf(questionId);
+  const to = from + direction;
+  if (from === -1 || to < 0 || to >= ids.length) return ids;
+
+  [ids[from], ids[to]] = [ids[to], ids[from]];
+  return ids;
+};
+
+/**
+ * Questions by question_number, each with its options by severity score
+ */
+export const sortQuestions = (questions) =>
+  [...questions]
+    .sort((a, b) => a.question_number - b.question_number)
+    .map(question => ({
+      ...question,
+      initial_assessment_options: [...(question.initial_assessment_options || [])]
+        .sort((a, b) => a.severity_score - b.severity_score),
+    }));
+
+/**
+ * The questionnaire a student would see right now: active questions only, in order
+ */
+export const toPreviewQuestions = (questions) =>
+  sortQuestions(questions.filter(question => question.is_active));
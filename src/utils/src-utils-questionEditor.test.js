@@ -0,0 +1,66 @@
+// src/utils/questionEditor.test.js
+import {
+  getKnownCategories,
+  moveQuestion,
+  toPreviewQuestions,
+  validateOption,
+  validateQuestion,
+} from './questionEditor';
+
+const OPTIONS = [
+  { option_text: 'Never', remark: 'No concern', severity_score: 0 },
+  { option_text: 'Often', remark: '', severity_score: '2' },
+];
+
+describe('validateOption', () => {
+  it('trims text, blanks empty remarks and parses the score', () => {
+    expect(validateOption({ option_text: '  Often ', remark: ' ', severity_score: '2' }))
+      .toEqual({ option_text: 'Often', remark: null, severity_score: 2 });
+  });
+
+  it('rejects missing text and out-of-range scores', () => {
+    expect(() => validateOption({ option_text: '', severity_score: 1 })).toThrow('needs text');
+    expect(() => validateOption({ option_text: 'Always', severity_score: 4 })).toThrow('from 0 to 3');
+    expect(() => validateOption({ option_text: 'Always', severity_score: 1.5 })).toThrow('whole numbers');
+  });
+});
+
+describe('validateQuestion', () => {
+  it('normalizes the category and checks every option', () => {
+    const question = validateQuestion({ question_text: 'How often do you feel alone?', category: 'Social Life', options: OPTIONS });
+    expect(question.category).toBe('social_life');
+    expect(question.options[1]).toEqual({ option_text: 'Often', remark: null, severity_score: 2 });
+  });
+
+  it('needs enough options when they are given', () => {
+    expect(() => validateQuestion({ question_text: 'Q', category: 'stress', options: OPTIONS.slice(0, 1) }))
+      .toThrow('2 to 6 options');
+    expect(validateQuestion({ question_text: 'Q', category: 'stress' })).toEqual({ question_text: 'Q', category: 'stress' });
+  });
+});
+
+describe('ordering and preview', () => {
+  const questions = [
+    { id: 'c', question_number: 3, is_active: true, initial_assessment_options: [] },
+    { id: 'a', question_number: 1, is_active: true, initial_assessment_options: [
+      { id: 'a2', severity_score: 2 },
+      { id: 'a0', severity_score: 0 },
+    ] },
+    { id: 'b', question_number: 2, is_active: false, initial_assessment_options: [] },
+  ];
+
+  it('swaps a question with its neighbour and ignores moves off the end', () => {
+    expect(moveQuestion(questions, 'c', -1)).toEqual(['a', 'c', 'b']);
+    expect(moveQuestion(questions, 'a', -1)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('previews only active questions, in order, with options by severity', () => {
+    const preview = toPreviewQuestions(questions);
+    expect(preview.map(question => question.id)).toEqual(['a', 'c']);
+    expect(preview[0].initial_assessment_options.map(option => option.id)).toEqual(['a0', 'a2']);
+  });
+
+  it('offers the categories that have interpretation rules', () => {
+    expect(getKnownCategories()).toEqual(['stress', 'anxiety', 'sleep', 'mood', 'social']);
+  });
+});
@@ -0,0 +1,151 @@
+// src/utils/reminders.js
+// Daily check-in reminders: what to say, when to say it, and how to deliver it.
+// Defaults and wording live in src/config/reminders.json.
+import defaultConfig from '../config/reminders.json';
+import { getDayKey, addDaysToKey, zonedTimeToInstant } from './dateService';
+
+export const REMINDER_STATES = {
+  DONE: 'done',
+  STREAK_AT_RISK: 'streak_at_risk',
+  STREAK_AT_RISK_PROTECTED: 'streak_at_risk_protected',
+  START_STREAK: 'start_streak',
+  FIRST_CHECKIN: 'first_checkin',
+};
+
+/**
+ * Default reminder settings for a student who hasn't chosen any
+ */
+export const getDefaultReminderSettings = (config = defaultConfig) => ({ ...config.defaults });
+
+/**
+ * Work out which reminder (if any) fits the student's day so far
+ */
+export const getReminderState = ({ hasTodayEntry, needsMaintenance, currentStreak = 0, freezesAvailable = 0, totalCheckIns = 0 }) => {
+  if (hasTodayEntry) return REMINDER_STATES.DONE;
+  if (needsMaintenance && currentStreak > 0) {
+    return freezesAvailable > 0
+      ? REMINDER_STATES.STREAK_AT_RISK_PROTECTED
+      : REMINDER_STATES.STREAK_AT_RISK;
+  }
+  if (totalCheckIns === 0) return REMINDER_STATES.FIRST_CHECKIN;
+  return REMINDER_STATES.START_STREAK;
+};
+
+/**
+ * Build the notification for a student's state, or null when there's
+ * nothing to remind them about (today's check-in is already done)
+ */
+export const buildReminderMessage = (context, config = defaultConfig) => {
+  const state = getReminderState(context);
+  const template = config.messages[state];
+  if (!template) return null;
+
+  const fill = (text) => text.replace(/\{streak\}/g, String(context.currentStreak || 0));
+
+  return {
+    state,
+    title: fill(template.title),
+    body: fill(template.body),
+    url: '/student/mood-tracker',
+    // Same tag all day, so a repeat replaces rather than stacks
+    tag: `checkin-reminder-${context.dayKey || 'today'}`,
+  };
+};
+
+/**
+ * Whether a 'HH:mm' time falls inside quiet hours (which may wrap past midnight)
+ */
+export const isWithinQuietHours = (time, quietHours) => {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+
+  const minutes = toMinutes(time);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * The next instant a reminder should go out
+ *
+ * Uses the wall-clock reminder time in the student's timezone, so it stays
+ * at 7pm local across DST changes. A time inside quiet hours moves to the
+ * end of quiet hours. A day whose reminder was already sent is skipped.
+ */
+export const getNextReminderAt = (settings, { timeZone, rolloverHour = 0 }, now = new Date(), lastSentDay = null) => {
+  const time = isWithinQuietHours(settings.reminderTime, settings.quietHours)
+    ? settings.quietHours.end
+    : settings.reminderTime;
+  const [hour, minute] = time.split(':').map(Number);
+  const today = getDayKey(now, { timeZone });
+
+  // Today's slot, unless it has passed or today's reminder already went out
+  let at = null;
+  for (let offset = 0; offset < 3; offset++) {
+    const [year, month, day] = addDaysToKey(today, offset).split('-').map(Number);
+    at = zonedTimeToInstant({ year, month, day, hour, minute }, timeZone);
+
+    if (at > now && getDayKey(at, { timeZone, rolloverHour }) !== lastSentDay) break;
+  }
+
+  return at;
+};
+
+/**
+ * Deliver a reminder by push when the student has a subscription, otherwise
+ * hand it to the in-app banner
+ *
+ * `transport` is anything with `send(subscription, payload)`: the real Web
+ * Push sender, or createPushStandIn() for local testing. A push that fails
+ * goes to the in-app banner instead; with no banner to fall back to, the
+ * push error is thrown.
+ */
+export const deliverReminder = async (message, { subscription = null, transport = null, onInApp = null } = {}) => {
+  if (!message) {
+    return { delivered: false, channel: null };
+  }
+
+  if (subscription && transport) {
+    try {
+      await transport.send(subscription, message);
+      return { delivered: true, channel: 'push' };
+    } catch (pushError) {
+      if (!onInApp) throw pushError;
+      console.warn('Push reminder failed, showing it in the app instead:', pushError);
+    }
+  }
+
+  if (onInApp) onInApp(message);
+  return { delivered: Boolean(onInApp), channel: 'in_app' };
+};
+
+/**
+ * A push transport that never leaves the device
+ *
+ * Records every payload in `sent`. Given a service worker registration it
+ * also hands the payload to the worker as a simulated push event, so the
+ * real notification code runs without a push service or VAPID keys.
+ */
+export const createPushStandIn = (registration = null) => {
+  const sent = [];
+
+  return {
+    sent,
+    send: async (subscription, payload) => {
+      sent.push({ subscription, payload });
+      if (registration?.active) {
+        registration.active.postMessage({ type: 'SIMULATE_PUSH', payload });
+      }
+    },
+  };
+};
+
+/**
+ * Helper to turn 'HH:mm' into minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
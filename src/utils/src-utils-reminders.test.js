@@ -0,0 +1,154 @@
+// src/utils/reminders.test.js
+import {
+  REMINDER_STATES,
+  buildReminderMessage,
+  createPushStandIn,
+  deliverReminder,
+  getNextReminderAt,
+  getReminderState,
+  isWithinQuietHours,
+} from './reminders';
+
+const NEW_YORK = { timeZone: 'America/New_York' };
+const SETTINGS = {
+  enabled: true,
+  reminderTime: '19:00',
+  quietHours: { start: '22:00', end: '08:00' },
+};
+
+describe('getReminderState', () => {
+  it('has nothing to say once today is checked in', () => {
+    expect(getReminderState({ hasTodayEntry: true, needsMaintenance: true, currentStreak: 5 }))
+      .toBe(REMINDER_STATES.DONE);
+  });
+
+  it('warns about a streak at risk, noting a saved freeze', () => {
+    expect(getReminderState({ hasTodayEntry: false, needsMaintenance: true, currentStreak: 5 }))
+      .toBe(REMINDER_STATES.STREAK_AT_RISK);
+    expect(getReminderState({ hasTodayEntry: false, needsMaintenance: true, currentStreak: 5, freezesAvailable: 1 }))
+      .toBe(REMINDER_STATES.STREAK_AT_RISK_PROTECTED);
+  });
+
+  it('nudges new and lapsed students differently', () => {
+    expect(getReminderState({ hasTodayEntry: false, needsMaintenance: false, totalCheckIns: 0 }))
+      .toBe(REMINDER_STATES.FIRST_CHECKIN);
+    expect(getReminderState({ hasTodayEntry: false, needsMaintenance: false, totalCheckIns: 12 }))
+      .toBe(REMINDER_STATES.START_STREAK);
+  });
+});
+
+describe('buildReminderMessage', () => {
+  it('fills in the streak length and tags the message by day', () => {
+    const message = buildReminderMessage({
+      hasTodayEntry: false,
+      needsMaintenance: true,
+      currentStreak: 6,
+      dayKey: '2026-06-15',
+    });
+
+    expect(message.title).toContain('6-day streak');
+    expect(message.tag).toBe('checkin-reminder-2026-06-15');
+    expect(message.url).toBe('/student/mood-tracker');
+  });
+
+  it('returns null when today is already done', () => {
+    expect(buildReminderMessage({ hasTodayEntry: true })).toBeNull();
+  });
+});
+
+describe('isWithinQuietHours', () => {
+  it('handles quiet hours that wrap past midnight', () => {
+    expect(isWithinQuietHours('23:30', SETTINGS.quietHours)).toBe(true);
+    expect(isWithinQuietHours('03:00', SETTINGS.quietHours)).toBe(true);
+    expect(isWithinQuietHours('08:00', SETTINGS.quietHours)).toBe(false);
+    expect(isWithinQuietHours('19:00', SETTINGS.quietHours)).toBe(false);
+  });
+
+  it('handles same-day quiet hours and treats equal bounds as none', () => {
+    const afternoon = { start: '13:00', end: '15:00' };
+    expect(isWithinQuietHours('14:00', afternoon)).toBe(true);
+    expect(isWithinQuietHours('15:00', afternoon)).toBe(false);
+    expect(isWithinQuietHours('14:00', { start: '14:00', end: '14:00' })).toBe(false);
+  });
+});
+
+describe('getNextReminderAt', () => {
+  it('picks today when the time has not passed, tomorrow when it has', () => {
+    const morning = new Date('2026-06-15T14:00:00Z'); // 10:00 EDT
+    const night = new Date('2026-06-16T01:00:00Z'); // 21:00 EDT
+
+    expect(getNextReminderAt(SETTINGS, NEW_YORK, morning).toISOString()).toBe('2026-06-15T23:00:00.000Z');
+    expect(getNextReminderAt(SETTINGS, NEW_YORK, night).toISOString()).toBe('2026-06-16T23:00:00.000Z');
+  });
+
+  it('skips a day whose reminder already went out', () => {
+    const morning = new Date('2026-06-15T14:00:00Z');
+    expect(getNextReminderAt(SETTINGS, NEW_YORK, morning, '2026-06-15').toISOString())
+      .toBe('2026-06-16T23:00:00.000Z');
+  });
+
+  it('stays at 7pm local across the DST change', () => {
+    // Clocks fall back overnight on 2026-11-01
+    const saturday = new Date('2026-10-31T20:00:00Z'); // 16:00 EDT
+    const sundayAt = getNextReminderAt(SETTINGS, NEW_YORK, saturday, '2026-10-31');
+    expect(sundayAt.toISOString()).toBe('2026-11-02T00:00:00.000Z'); // 19:00 EST
+  });
+
+  it('moves a reminder set inside quiet hours to when they end', () => {
+    const late = { ...SETTINGS, reminderTime: '23:00' };
+    const morning = new Date('2026-06-15T11:00:00Z'); // 07:00 EDT
+    expect(getNextReminderAt(late, NEW_YORK, morning).toISOString()).toBe('2026-06-15T12:00:00.000Z');
+  });
+});
+
+describe('deliverReminder', () => {
+  const message = buildReminderMessage({ hasTodayEntry: false, needsMaintenance: false, totalCheckIns: 0 });
+
+  it('sends through the push stand-in when the student is subscribed', async () => {
+    const posted = [];
+    const registration = { active: { postMessage: (data) => posted.push(data) } };
+    const transport = createPushStandIn(registration);
+    const onInApp = jest.fn();
+
+    const result = await deliverReminder(message, { subscription: { endpoint: 'local' }, transport, onInApp });
+
+    expect(result).toEqual({ delivered: true, channel: 'push' });
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].payload.title).toBe(message.title);
+    expect(posted).toEqual([{ type: 'SIMULATE_PUSH', payload: message }]);
+    expect(onInApp).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the in-app banner without a subscription', async () => {
+    const transport = createPushStandIn();
+    const onInApp = jest.fn();
+
+    const result = await deliverReminder(message, { transport, onInApp });
+
+    expect(result).toEqual({ delivered: true, channel: 'in_app' });
+    expect(onInApp).toHaveBeenCalledWith(message);
+    expect(transport.sent).toHaveLength(0);
+  });
+
+  it('falls back to the in-app banner when the push fails', async () => {
+    const transport = { send: jest.fn().mockRejectedValue(new Error('push service unavailable')) };
+    const onInApp = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await deliverReminder(message, { subscription: { endpoint: 'gone' }, transport, onInApp });
+
+    expect(result).toEqual({ delivered: true, channel: 'in_app' });
+    expect(onInApp).toHaveBeenCalledWith(message);
+  });
+
+  it('reports a failed push when there is no banner to fall back to', async () => {
+    const transport = { send: jest.fn().mockRejectedValue(new Error('push service unavailable')) };
+
+    await expect(deliverReminder(message, { subscription: { endpoint: 'gone' }, transport }))
+      .rejects.toThrow('push service unavailable');
+  });
+
+  it('delivers nothing when there is no message', async () => {
+    expect(await deliverReminder(null, { onInApp: jest.fn() })).toEqual({ delivered: false, channel: null });
+  });
+});
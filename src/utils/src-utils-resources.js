@@ -0,0 +1,163 @@
+// src/utils/resources.js
+// Ranks campus and self-help resources against a student's assessment
+// severity and recent mood, minus anything they have dismissed.
+// Resource content, tags and weights live in src/config/resources.json.
+import defaultConfig from '../config/resources.json';
+import interpretationRules from '../config/interpretationRules.json';
+import { getSeverityBand } from './interpretation';
+import { getInstrument, getInstrumentBand } from './instruments';
+import { MOOD_DIMENSIONS, getDimension, scoreEntry } from './moodScale';
+
+/**
+ * Every resource, in display order
+ */
+export const getResources = (config = defaultConfig) => config.resources;
+
+/**
+ * One resource by id (undefined if there is no such resource)
+ */
+export const getResource = (resourceId, config = defaultConfig) =>
+  config.resources.find(resource => resource.id === resourceId);
+
+/**
+ * Label and icon for a resource type
+ */
+export const getResourceType = (type, config = defaultConfig) =>
+  config.types[type] || { label: type, icon: '📌' };
+
+/**
+ * Severity rank (0 minimal to 3 severe) of each category, from the latest
+ * session of each instrument
+ *
+ * `sessions` are initial_assessment_summary rows in any order. Instrument
+ * sessions use their published band, mapped onto the general bands; older
+ * sessions without an instrument use their averaged category scores. A
+ * category scored by more than one instrument keeps its highest rank.
+ */
+export const getCategorySeverity = (sessions, rules = interpretationRules) => {
+  const latest = new Map();
+  [...sessions]
+    .sort((a, b) => (a.completed_at || '').localeCompare(b.completed_at || ''))
+    .forEach(session => latest.set(session.instrument_id || null, session));
+
+  const severity = {};
+  const raise = (category, rank) => {
+    severity[category] = Math.max(severity[category] ?? 0, rank);
+  };
+
+  latest.forEach((session, instrumentId) => {
+    if (instrumentId) {
+      const instrument = getInstrument(instrumentId);
+      const band = getInstrumentBand(instrument, session.raw_score);
+      const general = rules.bands.find(b => b.id === band.interpretAs);
+      raise(instrument.category, general ? general.rank : 0);
+      return;
+    }
+
+    Object.entries(session.category_scores || {}).forEach(([category, score]) => {
+      raise(category, getSeverityBand(score, rules).rank);
+    });
+  });
+
+  return severity;
+};
+
+/**
+ * Mood dimensions whose recent average is worrying, e.g. stress averaging
+ * 3.5 or more over the last two weeks
+ * `entries` are daily_mood_entries rows already limited to the window.
+ */
+export const getMoodSignals = (entries, config = defaultConfig) => {
+  const { minEntries, signals } = config.mood;
+  const scored = entries.map(scoreEntry);
+
+  return MOOD_DIMENSIONS.filter(dimension => {
+    const signal = signals[dimension];
+    const values = scored.map(score => score[dimension]).filter(value => value !== null);
+    if (!signal || values.length < minEntries) return false;
+
+    const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return signal.atLeast !== undefined ? average >= signal.atLeast : average <= signal.atMost;
+  });
+};
+
+/**
+ * Rank resources for a student, best match first
+ *
+ * Each resource scores for every tag that matches a category (weighted by
+ * its severity rank) or a worrying mood dimension. Helplines only appear
+ * when a category reaches the configured rank, and then come first.
+ * Dismissed resources are left out; when nothing matches, the general
+ * resources are offered instead. `reasons` says why each one was picked.
+ */
+export const rankResources = (
+  { severity = {}, moodSignals = [], interactions = [] },
+  config = defaultConfig
+) => {
+  const statuses = new Map(interactions.map(row => [row.resource_id, row.status]));
+  const showHelplines = Math.max(0, ...Object.values(severity)) >= config.helplineMinRank;
+  const available = config.resources.filter(resource =>
+    statuses.get(resource.id) !== 'dismissed' && (resource.type !== 'helpline' || showHelplines));
+
+  const ranked = available
+    .map((resource, order) => {
+      const reasons = [];
+      let score = 0;
+
+      resource.tags.forEach(tag => {
+        if (severity[tag] > 0) {
+          score += config.weights.assessment * severity[tag];
+          reasons.push({ source: 'assessment', key: tag });
+        }
+        if (moodSignals.includes(tag)) {
+          score += config.weights.mood;
+          reasons.push({ source: 'mood', key: tag });
+        }
+      });
+
+      return { resource, score, reasons, order };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) =>
+      (b.resource.type === 'helpline') - (a.resource.type === 'helpline')
+      || b.score - a.score
+      || a.order - b.order);
+
+  const matches = ranked.length > 0
+    ? ranked
+    : available
+      .filter(resource => resource.tags.includes('general'))
+      .map((resource, order) => ({ resource, score: 0, reasons: [], order }));
+
+  return matches
+    .slice(0, config.maxRecommendations)
+    .map(({ resource, score, reasons }) => ({
+      resource,
+      score,
+      reasons,
+      bookmarked: statuses.get(resource.id) === 'bookmarked',
+    }));
+};
+
+/**
+ * Resources a student has bookmarked, in display order
+ */
+export const getBookmarkedResources = (interactions, config = defaultConfig) => {
+  const bookmarked = new Set(interactions
+    .filter(row => row.status === 'bookmarked')
+    .map(row => row.resource_id));
+
+  return config.resources.filter(resource => bookmarked.has(resource.id));
+};
+
+/**
+ * Plain-language reason for a recommendation, e.g. "your recent stress check-ins"
+ */
+export const describeReason = ({ source, key }, rules = interpretationRules) => {
+  if (source === 'mood') {
+    return `your recent ${getDimension(key).label.toLowerCase()} check-ins`;
+  }
+
+  const label = rules.categories[key]?.label || key.charAt(0).toUpperCase() + key.slice(1);
+  return `your ${label.toLowerCase()} assessment results`;
+};
@@ -0,0 +1,84 @@
+// src/utils/resources.test.js
+import {
+  describeReason,
+  getBookmarkedResources,
+  getCategorySeverity,
+  getMoodSignals,
+  rankResources,
+} from './resources';
+
+const ids = (recommendations) => recommendations.map(r => r.resource.id);
+
+describe('getCategorySeverity', () => {
+  it('ranks averaged category scores with the general bands', () => {
+    const sessions = [
+      { completed_at: '2026-01-10T00:00:00Z', instrument_id: null, category_scores: { stress: 2.4, sleep: 0.5 } },
+    ];
+    expect(getCategorySeverity(sessions)).toEqual({ stress: 2, sleep: 0 });
+  });
+
+  it('uses the latest session of each instrument and its published band', () => {
+    const sessions = [
+      { completed_at: '2026-01-10T00:00:00Z', instrument_id: 'phq9', raw_score: 22 },
+      { completed_at: '2026-03-10T00:00:00Z', instrument_id: 'phq9', raw_score: 6 },
+      { completed_at: '2026-02-10T00:00:00Z', instrument_id: 'gad7', raw_score: 16 },
+    ];
+    expect(getCategorySeverity(sessions)).toEqual({ depression: 1, anxiety: 3 });
+  });
+});
+
+describe('getMoodSignals', () => {
+  it('flags dimensions whose average crosses the threshold, with enough check-ins', () => {
+    const entries = ['2026-03-01', '2026-03-02', '2026-03-03'].map(date => ({
+      entry_date: date,
+      mood_emoji: '😐',
+      stress_emoji: '😫',
+      sleep_quality_emoji: '😩',
+    }));
+    expect(getMoodSignals(entries)).toEqual(['stress', 'sleep']);
+    expect(getMoodSignals(entries.slice(0, 2))).toEqual([]);
+  });
+});
+
+describe('rankResources', () => {
+  it('puts the most severe categories first and says why', () => {
+    const [first, second] = rankResources({ severity: { stress: 3, sleep: 1 } });
+    expect(first.resource.id).toBe('counseling_walk_in');
+    expect(second.resource.id).toBe('article_exam_stress');
+    expect(second.reasons).toEqual([{ source: 'assessment', key: 'stress' }]);
+  });
+
+  it('shows helplines first only when a category is severe', () => {
+    expect(ids(rankResources({ severity: { depression: 2 } }))).not.toContain('helpline_988');
+    expect(ids(rankResources({ severity: { depression: 3 } })).slice(0, 2))
+      .toEqual(['helpline_988', 'helpline_crisis_text']);
+  });
+
+  it('adds weight for recent mood trends', () => {
+    const recommendations = rankResources({ severity: { anxiety: 1 }, moodSignals: ['sleep'] });
+    expect(ids(recommendations)).toEqual(expect.arrayContaining(['article_sleep_hygiene', 'workshop_sleep']));
+  });
+
+  it('leaves out dismissed resources and marks bookmarked ones', () => {
+    const interactions = [
+      { resource_id: 'article_exam_stress', status: 'dismissed' },
+      { resource_id: 'workshop_stress_management', status: 'bookmarked' },
+    ];
+    const recommendations = rankResources({ severity: { stress: 2 }, interactions });
+
+    expect(ids(recommendations)).not.toContain('article_exam_stress');
+    expect(recommendations.find(r => r.resource.id === 'workshop_stress_management').bookmarked).toBe(true);
+    expect(getBookmarkedResources(interactions).map(resource => resource.id)).toEqual(['workshop_stress_management']);
+  });
+
+  it('falls back to general resources when nothing matches', () => {
+    expect(ids(rankResources({}))).toEqual(['counseling_walk_in', 'article_self_care_basics']);
+  });
+});
+
+describe('describeReason', () => {
+  it('names the assessment category or mood dimension', () => {
+    expect(describeReason({ source: 'assessment', key: 'social' })).toBe('your social connection assessment results');
+    expect(describeReason({ source: 'mood', key: 'sleep' })).toBe('your recent sleep quality check-ins');
+  });
+});
@@ -0,0 +1,194 @@
+// src/utils/riskEvaluation.js
+// Detects signs of severe distress in assessment answers and mood entries.
+// Thresholds and keyword lists live in src/config/riskRules.json.
+import defaultRules from '../config/riskRules.json';
+
+export const RISK_LEVELS = {
+  NONE: 'none',
+  ELEVATED: 'elevated',
+  HIGH: 'high',
+};
+
+/**
+ * Evaluate assessment responses for risk
+ * Expects the same response shape submitInitialAssessment receives.
+ */
+export const evaluateAssessmentRisk = (responses, overallScore, rules = defaultRules) => {
+  const { itemSeverityThreshold, highItemCount, overallScoreThreshold } = rules.assessment;
+  const reasons = [];
+
+  const highItems = responses.filter(r => r.severityScore >= itemSeverityThreshold);
+  if (highItems.length >= highItemCount) {
+    reasons.push({
+      code: 'high_severity_items',
+      message: `${highItems.length} answers at or above severity ${itemSeverityThreshold}`,
+      questionIds: highItems.map(r => r.questionId),
+    });
+  }
+
+  if (overallScore >= overallScoreThreshold) {
+    reasons.push({
+      code: 'high_overall_score',
+      message: `Overall score ${overallScore.toFixed(2)} at or above ${overallScoreThreshold}`,
+    });
+  }
+
+  const crisisTerms = findCrisisLanguage(responses.map(r => r.remark).join(' '), rules);
+  if (crisisTerms.length > 0) {
+    reasons.push({
+      code: 'crisis_language',
+      message: 'Crisis language in assessment remarks',
+      terms: crisisTerms,
+    });
+  }
+
+  return buildResult(reasons, rules);
+};
+
+/**
+ * Evaluate a scored standardized instrument for risk
+ * `score` comes from scoreInstrument; flagged items (e.g. PHQ-9 item 9) carry
+ * their own risk level, and bands marked `alert` in instruments.json raise an
+ * elevated alert on their own.
+ */
+export const evaluateInstrumentRisk = (score, responses = [], rules = defaultRules) => {
+  const reasons = [];
+
+  score.flaggedItems.forEach(flagged => {
+    reasons.push({
+      code: 'flagged_item',
+      message: `${flagged.reason}: answered ${flagged.value}`,
+      item: flagged.item,
+      level: flagged.riskLevel,
+    });
+  });
+
+  if (score.band.alert) {
+    reasons.push({
+      code: 'severe_band',
+      message: `${score.band.label} band (raw score ${score.rawScore} of ${score.maxScore})`,
+      band: score.severityBand,
+    });
+  }
+
+  const crisisTerms = findCrisisLanguage(responses.map(r => r.remark).join(' '), rules);
+  if (crisisTerms.length > 0) {
+    reasons.push({
+      code: 'crisis_language',
+      message: 'Crisis language in assessment remarks',
+      terms: crisisTerms,
+    });
+  }
+
+  return buildResult(reasons, rules);
+};
+
+/**
+ * Evaluate a mood entry (plus recent history) for risk
+ * `recentEntries` are earlier daily_mood_entries rows, in any order (duplicates allowed).
+ */
+export const evaluateMoodRisk = (entry, recentEntries = [], rules = defaultRules) => {
+  const { consecutiveDays, worstValues } = rules.mood;
+  const reasons = [];
+
+  // One entry per day, newest first; earlier items in the list win for the same day
+  const byDate = new Map();
+  [entry, ...recentEntries].forEach(e => {
+    if (!byDate.has(e.entry_date)) byDate.set(e.entry_date, e);
+  });
+  const entries = [...byDate.values()]
+    .sort((a, b) => b.entry_date.localeCompare(a.entry_date))
+    .slice(0, consecutiveDays);
+
+  if (entries.length >= consecutiveDays && areConsecutiveDays(entries)) {
+    Object.keys(worstValues).forEach(field => {
+      if (entries.every(e => worstValues[field].includes(e[field]))) {
+        reasons.push({
+          code: 'consecutive_worst_entries',
+          message: `${consecutiveDays} consecutive days at the worst ${field.replace('_emoji', '')} level`,
+          field,
+        });
+      }
+    });
+  }
+
+  const crisisTerms = findCrisisLanguage(entry.notes, rules);
+  if (crisisTerms.length > 0) {
+    reasons.push({
+      code: 'crisis_language',
+      message: 'Crisis language in mood notes',
+      terms: crisisTerms,
+    });
+  }
+
+  return buildResult(reasons, rules);
+};
+
+/**
+ * Evaluate free text written outside a mood entry (e.g. a thought record)
+ * for crisis language
+ */
+export const evaluateTextRisk = (text, rules = defaultRules) => {
+  const reasons = [];
+
+  const crisisTerms = findCrisisLanguage(text, rules);
+  if (crisisTerms.length > 0) {
+    reasons.push({
+      code: 'crisis_language',
+      message: 'Crisis language in a written activity',
+      terms: crisisTerms,
+    });
+  }
+
+  return buildResult(reasons, rules);
+};
+
+/**
+ * Crisis hotline and campus resources shown on the safety screen
+ */
+export const getCrisisResources = (rules = defaultRules) => rules.resources;
+
+/**
+ * Helper to find configured crisis phrases in free text
+ */
+const findCrisisLanguage = (text, rules) => {
+  if (!text) return [];
+  const normalized = text.toLowerCase();
+
+  return rules.crisisKeywords.filter(keyword => {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`).test(normalized);
+  });
+};
+
+/**
+ * Helper to check that entries (newest first) fall on back-to-back days
+ */
+const areConsecutiveDays = (entries) => {
+  for (let i = 1; i < entries.length; i++) {
+    const newer = new Date(`${entries[i - 1].entry_date}T00:00:00Z`);
+    const older = new Date(`${entries[i].entry_date}T00:00:00Z`);
+    if (newer - older !== 24 * 60 * 60 * 1000) return false;
+  }
+  return true;
+};
+
+/**
+ * Helper to turn reasons into a result; crisis language (or a reason that
+ * carries its own high level) is always high risk
+ */
+const buildResult = (reasons, rules) => {
+  let level = RISK_LEVELS.NONE;
+  if (reasons.some(r => r.code === 'crisis_language' || r.level === RISK_LEVELS.HIGH)) {
+    level = RISK_LEVELS.HIGH;
+  } else if (reasons.length > 0) {
+    level = RISK_LEVELS.ELEVATED;
+  }
+
+  return {
+    triggered: reasons.length > 0,
+    level,
+    reasons,
+    rulesVersion: rules.version,
+  };
+};
@@ -0,0 +1,111 @@
+// src/utils/serviceWorker.js
+// Registers public/service-worker.js and exposes its registration.
+
+// How often an open tab checks for a new version
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let registrationPromise = null;
+
+/**
+ * Whether this browser can run a service worker at all
+ */
+export const isServiceWorkerSupported = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * Register the service worker (once) and resolve with its registration
+ * Resolves with null where service workers aren't supported.
+ */
+export const registerServiceWorker = () => {
+  if (!isServiceWorkerSupported()) return Promise.resolve(null);
+
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => {
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+        return registration;
+      })
+      .catch((error) => {
+        console.warn('Service worker registration failed:', error);
+        registrationPromise = null;
+        return null;
+      });
+  }
+
+  return registrationPromise;
+};
+
+/**
+ * Call `onUpdate(worker)` when a new version has installed and is waiting
+ * Not called on first install, when there is no older version to replace.
+ */
+export const onUpdateAvailable = (onUpdate) => {
+  let cancelled = false;
+
+  registerServiceWorker().then((registration) => {
+    if (!registration || cancelled) return;
+
+    const notifyIfWaiting = (worker) => {
+      if (!cancelled && worker && navigator.serviceWorker.controller) onUpdate(worker);
+    };
+
+    notifyIfWaiting(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed') notifyIfWaiting(worker);
+      });
+    });
+  });
+
+  return () => {
+    cancelled = true;
+  };
+};
+
+/**
+ * Switch to a waiting version and reload once it has taken over
+ */
+export const applyUpdate = (worker) => {
+  let reloaded = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloaded) return;
+    reloaded = true;
+    window.location.reload();
+  });
+
+  worker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * Drop cached data so the next person on this device can't read it offline
+ */
+export const clearOfflineData = async () => {
+  if (!isServiceWorkerSupported()) return;
+
+  const registration = await navigator.serviceWorker.getRegistration();
+  registration?.active?.postMessage({ type: 'CLEAR_DATA_CACHE' });
+};
+
+/**
+ * Whether Web Push can work here (service worker, PushManager and Notifications)
+ */
+export const isPushSupported = () =>
+  isServiceWorkerSupported() &&
+  typeof window !== 'undefined' &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+/**
+ * Convert a base64url VAPID public key into the byte array PushManager expects
+ */
+export const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+
+  return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+};
@@ -0,0 +1,192 @@
+// src/utils/streakPolicy.js
+// Streak rules: which days count, and how missed days are forgiven.
+// Settings live in src/config/streakPolicy.json.
+//
+// A missed day can be covered by a grace day (a small free allowance that
+// refills over a rolling window) or by a banked streak freeze. Covered days
+// keep a streak alive but don't add to its length. A gap is only covered
+// when every day in it can be, so a streak that is already lost never
+// spends a student's freezes.
+import defaultPolicy from '../config/streakPolicy.json';
+import { addDaysToKey, daysBetweenKeys } from './dateService';
+
+export const STREAK_SOURCES = {
+  LOGINS: 'logins',
+  CHECKINS: 'checkins',
+  BOTH: 'both',
+};
+
+export const COVER_KINDS = {
+  GRACE: 'grace',
+  FREEZE: 'freeze',
+};
+
+/**
+ * The configured streak policy
+ */
+export const getStreakPolicy = () => defaultPolicy;
+
+/**
+ * The days that count toward a streak under a policy, oldest first
+ * With 'both', a day counts when the student logged in or checked in.
+ */
+export const getActiveDays = ({ loginDates = [], checkInDates = [] }, policy = defaultPolicy) => {
+  let days;
+  if (policy.countsBy === STREAK_SOURCES.LOGINS) {
+    days = loginDates;
+  } else if (policy.countsBy === STREAK_SOURCES.CHECKINS) {
+    days = checkInDates;
+  } else {
+    days = [...loginDates, ...checkInDates];
+  }
+
+  return [...new Set(days)].sort();
+};
+
+/**
+ * Work out current and longest streaks
+ *
+ * `coveredDays` are days already forgiven ([{ date, kind }]); they stay
+ * covered. Newly forgiven days are returned in `newlyCovered` so the caller
+ * can store them with the updated freeze count. Today is never treated as
+ * missed, since the student still has time to check in.
+ */
+export const calculateStreak = (
+  { activeDays = [], today, coveredDays = [], freezesAvailable = 0 },
+  policy = defaultPolicy
+) => {
+  const active = new Set(activeDays);
+  const covered = new Map(coveredDays.map(day => [day.date, day.kind]));
+  const newlyCovered = [];
+  let freezes = freezesAvailable;
+
+  if (activeDays.length === 0) {
+    return {
+      currentStreak: 0,
+      longestStreak: 0,
+      freezesAvailable: freezes,
+      coveredDays: [...coveredDays],
+      newlyCovered,
+      graceDaysLeft: getGraceDaysLeft(covered, today, policy),
+    };
+  }
+
+  const firstActive = activeDays[0];
+  let currentStreak = 0;
+  let day = active.has(today) ? today : addDaysToKey(today, -1);
+
+  while (day >= firstActive) {
+    if (active.has(day)) {
+      currentStreak++;
+      day = addDaysToKey(day, -1);
+    } else if (covered.has(day)) {
+      day = addDaysToKey(day, -1);
+    } else {
+      const gap = collectGap(day, active, covered, firstActive);
+      const plan = gap && planCover(gap, covered, freezes, policy);
+      if (!plan) break;
+
+      for (const cover of plan) {
+        covered.set(cover.date, cover.kind);
+        newlyCovered.push(cover);
+        if (cover.kind === COVER_KINDS.FREEZE) freezes--;
+      }
+      day = addDaysToKey(gap[gap.length - 1], -1);
+    }
+  }
+
+  return {
+    currentStreak,
+    longestStreak: Math.max(currentStreak, getLongestRun(firstActive, today, active, covered)),
+    freezesAvailable: freezes,
+    coveredDays: [...covered.entries()]
+      .map(([date, kind]) => ({ date, kind }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    newlyCovered,
+    graceDaysLeft: getGraceDaysLeft(covered, today, policy),
+  };
+};
+
+/**
+ * Helper to list consecutive missed days, newest first, back to the last
+ * active or covered day; null if nothing earlier is left to bridge to
+ */
+const collectGap = (start, active, covered, firstActive) => {
+  const gap = [];
+  let day = start;
+
+  while (!active.has(day) && !covered.has(day)) {
+    if (day < firstActive) return null;
+    gap.push(day);
+    day = addDaysToKey(day, -1);
+  }
+
+  return gap;
+};
+
+/**
+ * Helper to cover a gap with grace days first, then freezes
+ * Returns null when the gap can't be covered in full.
+ */
+const planCover = (gap, covered, freezesAvailable, policy) => {
+  const { allowance, windowDays } = policy.graceDays;
+  const graceDates = [...covered.entries()]
+    .filter(([, kind]) => kind === COVER_KINDS.GRACE)
+    .map(([date]) => date);
+
+  const plan = [];
+  let freezes = freezesAvailable;
+
+  // Gaps are found newest first, so grace days already spent may lie on
+  // either side of a day; any of them within the window count against it
+  [...gap].reverse().forEach(date => {
+    if (countGraceDaysNear(graceDates, date, windowDays) < allowance) {
+      plan.push({ date, kind: COVER_KINDS.GRACE });
+      graceDates.push(date);
+    } else if (freezes > 0) {
+      plan.push({ date, kind: COVER_KINDS.FREEZE });
+      freezes--;
+    } else {
+      plan.push(null);
+    }
+  });
+
+  return plan.includes(null) ? null : plan;
+};
+
+/**
+ * Helper to find the longest run of active days joined by covered days
+ */
+const getLongestRun = (firstActive, today, active, covered) => {
+  let longest = 0;
+  let run = 0;
+
+  for (let day = firstActive; day <= today; day = addDaysToKey(day, 1)) {
+    if (active.has(day)) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (!covered.has(day) && day !== today) {
+      run = 0;
+    }
+  }
+
+  return longest;
+};
+
+/**
+ * Helper to count grace days still available in the window ending today
+ */
+const getGraceDaysLeft = (covered, today, policy) => {
+  const { allowance, windowDays } = policy.graceDays;
+  const graceDates = [...covered.entries()]
+    .filter(([, kind]) => kind === COVER_KINDS.GRACE)
+    .map(([date]) => date);
+
+  return Math.max(0, allowance - countGraceDaysNear(graceDates, today, windowDays));
+};
+
+/**
+ * Helper to count grace days less than `windowDays` before or after a day
+ */
+const countGraceDaysNear = (graceDates, date, windowDays) =>
+  graceDates.filter(used => Math.abs(daysBetweenKeys(date, used)) < windowDays).length;
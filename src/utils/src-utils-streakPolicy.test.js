@@ -0,0 +1,102 @@
+// src/utils/streakPolicy.test.js
+import { calculateStreak, getActiveDays, COVER_KINDS, STREAK_SOURCES } from './streakPolicy';
+
+const policy = {
+  countsBy: STREAK_SOURCES.CHECKINS,
+  graceDays: { allowance: 1, windowDays: 7 },
+  freezes: { perMilestone: 1, maxBanked: 3 },
+};
+
+const jan = (...days) => days.map(day => `2026-01-${String(day).padStart(2, '0')}`);
+
+describe('getActiveDays', () => {
+  const dates = { loginDates: jan(1, 2), checkInDates: jan(2, 3) };
+
+  it('counts the configured source', () => {
+    expect(getActiveDays(dates, { ...policy, countsBy: STREAK_SOURCES.LOGINS })).toEqual(jan(1, 2));
+    expect(getActiveDays(dates, policy)).toEqual(jan(2, 3));
+  });
+
+  it('counts a day once when both sources have it', () => {
+    expect(getActiveDays(dates, { ...policy, countsBy: STREAK_SOURCES.BOTH })).toEqual(jan(1, 2, 3));
+  });
+});
+
+describe('calculateStreak', () => {
+  it('counts consecutive days and does not treat today as missed', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 2, 3), today: '2026-01-04' }, policy);
+
+    expect(streak.currentStreak).toBe(3);
+    expect(streak.longestStreak).toBe(3);
+    expect(streak.newlyCovered).toEqual([]);
+  });
+
+  it('covers a missed day with a grace day without adding to the streak', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 3, 4), today: '2026-01-04' }, policy);
+
+    expect(streak.currentStreak).toBe(3);
+    expect(streak.newlyCovered).toEqual([{ date: '2026-01-02', kind: COVER_KINDS.GRACE }]);
+    expect(streak.graceDaysLeft).toBe(0);
+  });
+
+  it('allows one grace day in any 7-day window, whichever gap is found first', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 3, 5, 7), today: '2026-01-07' }, policy);
+
+    expect(streak.currentStreak).toBe(2);
+    expect(streak.longestStreak).toBe(2);
+    expect(streak.newlyCovered).toEqual([{ date: '2026-01-06', kind: COVER_KINDS.GRACE }]);
+  });
+
+  it('does not count grace days already spent after the gap as free', () => {
+    const streak = calculateStreak({
+      activeDays: jan(1, 2, 3, 5, 6, 7, 9),
+      today: '2026-01-09',
+      coveredDays: [{ date: '2026-01-08', kind: COVER_KINDS.GRACE }],
+    }, policy);
+
+    expect(streak.currentStreak).toBe(4);
+    expect(streak.newlyCovered).toEqual([]);
+  });
+
+  it('spends a freeze when the grace day in the window is used up', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 3, 5), today: '2026-01-05', freezesAvailable: 1 }, policy);
+
+    expect(streak.currentStreak).toBe(3);
+    expect(streak.freezesAvailable).toBe(0);
+    expect(streak.newlyCovered).toEqual([
+      { date: '2026-01-04', kind: COVER_KINDS.GRACE },
+      { date: '2026-01-02', kind: COVER_KINDS.FREEZE },
+    ]);
+  });
+
+  it('refills grace days once the window has passed', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 3, 4, 5, 6, 7, 8, 9, 11), today: '2026-01-11' }, policy);
+
+    expect(streak.currentStreak).toBe(9);
+    expect(streak.newlyCovered.map(cover => cover.kind)).toEqual([COVER_KINDS.GRACE, COVER_KINDS.GRACE]);
+  });
+
+  it('spends nothing on a gap it cannot cover in full', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 4, 5), today: '2026-01-05', freezesAvailable: 0 }, policy);
+
+    expect(streak.currentStreak).toBe(2);
+    expect(streak.newlyCovered).toEqual([]);
+    expect(streak.graceDaysLeft).toBe(1);
+  });
+
+  it('keeps days covered earlier', () => {
+    const coveredDays = [{ date: '2026-01-02', kind: COVER_KINDS.FREEZE }];
+    const streak = calculateStreak({ activeDays: jan(1, 3), today: '2026-01-03', coveredDays }, policy);
+
+    expect(streak.currentStreak).toBe(2);
+    expect(streak.coveredDays).toEqual(coveredDays);
+    expect(streak.newlyCovered).toEqual([]);
+  });
+
+  it('remembers a longer run that has since ended', () => {
+    const streak = calculateStreak({ activeDays: jan(1, 2, 3, 4, 10, 11), today: '2026-01-11' }, policy);
+
+    expect(streak.currentStreak).toBe(2);
+    expect(streak.longestStreak).toBe(4);
+  });
+});
@@ -0,0 +1,37 @@
+// supabase/functions/_shared/webPush.ts
+// Web Push delivery shared by send-push and process-reminders. The VAPID
+// private key only ever lives in the edge function environment.
+import webpush from 'npm:web-push@3';
+
+export type PushSubscription = {
+  endpoint: string;
+  keys?: { p256dh: string; auth: string };
+};
+
+export type SendPush = (subscription: PushSubscription, payload: unknown) => Promise<void>;
+
+/**
+ * Whether the push service says the subscription no longer exists
+ * (the student revoked permission or the browser dropped it)
+ */
+export const isSubscriptionGone = (error: unknown) =>
+  [404, 410].includes((error as { statusCode?: number })?.statusCode ?? 0);
+
+/**
+ * A sender signed with the project's VAPID keys
+ */
+export const createWebPushSender = (): SendPush => {
+  const subject = Deno.env.get('VAPID_SUBJECT');
+  const publicKey = Deno.env.get('VAPID_PUBLIC_KEY');
+  const privateKey = Deno.env.get('VAPID_PRIVATE_KEY');
+
+  if (!subject || !publicKey || !privateKey) {
+    throw new Error('Web Push is not configured (missing VAPID keys)');
+  }
+
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return async (subscription, payload) => {
+    await webpush.sendNotification(subscription, JSON.stringify(payload));
+  };
+};
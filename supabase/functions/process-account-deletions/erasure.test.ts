@@ -0,0 +1,164 @@
+// supabase/functions/process-account-deletions/erasure.test.ts
+// Run with: deno test supabase/functions/process-account-deletions
+import { assertEquals } from 'jsr:@std/assert@1';
+import { ERASURE_PLAN, processDueDeletions, purgeExpiredRecords } from './erasure.ts';
+
+type Row = Record<string, unknown>;
+
+// In-memory stand-in for the service-role client: equality/range filters,
+// select/update/delete, storage list/remove and the auth-user RPC
+const createFakeClient = (tables: Record<string, Row[]>, files: Record<string, string[]>) => {
+  const deletedUsers: string[] = [];
+
+  const from = (table: string) => {
+    const filters: ((row: Row) => boolean)[] = [];
+    let action: { type: string; values?: Row } = { type: 'select' };
+
+    const run = () => {
+      const rows = tables[table] || [];
+      const matches = rows.filter((row) => filters.every((filter) => filter(row)));
+
+      if (action.type === 'delete') {
+        tables[table] = rows.filter((row) => !matches.includes(row));
+      } else if (action.type === 'update') {
+        matches.forEach((row) => Object.assign(row, action.values));
+      }
+      return { data: matches, error: null };
+    };
+
+    const query = {
+      select: () => query,
+      update: (values: Row) => { action = { type: 'update', values }; return query; },
+      delete: () => { action = { type: 'delete' }; return query; },
+      eq: (column: string, value: unknown) => { filters.push((row) => row[column] === value); return query; },
+      lte: (column: string, value: string) => { filters.push((row) => row[column] != null && String(row[column]) <= value); return query; },
+      gt: (column: string, value: string) => { filters.push((row) => row[column] != null && String(row[column]) > value); return query; },
+      then: (resolve: (result: unknown) => void) => resolve(run()),
+    };
+    return query;
+  };
+
+  return {
+    deletedUsers,
+    from,
+    storage: {
+      from: () => ({
+        list: async (folder: string) => ({ data: (files[folder] || []).map((name) => ({ name })), error: null }),
+        remove: async (paths: string[]) => {
+          paths.forEach((path) => {
+            const [folder, name] = path.split('/');
+            files[folder] = files[folder].filter((file) => file !== name);
+          });
+          return { data: paths, error: null };
+        },
+      }),
+    },
+    rpc: async (name: string, args: { target_user_id: string }) => {
+      if (name === 'delete_user_account') deletedUsers.push(args.target_user_id);
+      return { data: null, error: null };
+    },
+  };
+};
+
+// One row per table for each student, keyed by the plan's column
+const seedStudent = (tables: Record<string, Row[]>, studentId: string) => {
+  ERASURE_PLAN.forEach(({ table, column }) => {
+    tables[table] = tables[table] || [];
+    tables[table].push({ id: column === 'id' ? studentId : `${table}-${studentId}`, [column]: studentId });
+  });
+};
+
+const retention = { enabled: true, years: 7, tables: ['risk_alerts', 'appointments'] };
+
+const rowsFor = (tables: Record<string, Row[]>, studentId: string) =>
+  ERASURE_PLAN.filter(({ table, column }) => tables[table].some((row) => row[column] === studentId))
+    .map(({ table }) => table);
+
+Deno.test('a due request erases the student and leaves everyone else alone', async () => {
+  const tables: Record<string, Row[]> = {
+    account_deletion_requests: [
+      { student_id: 'due', status: 'pending', scheduled_for: '2026-10-01T00:00:00.000Z' },
+      { student_id: 'waiting', status: 'pending', scheduled_for: '2026-11-01T00:00:00.000Z' },
+    ],
+  };
+  seedStudent(tables, 'due');
+  seedStudent(tables, 'waiting');
+  const files = { 'message_threads-due': ['note.pdf'], 'message_threads-waiting': ['plan.pdf'] };
+  const client = createFakeClient(tables, files);
+
+  const { results, error } = await processDueDeletions(client, retention, new Date('2026-10-18T03:00:00.000Z'));
+
+  assertEquals(error, null);
+  assertEquals(results, [{ studentId: 'due', error: null }]);
+
+  // Only the anonymized profile still points at the student
+  assertEquals(rowsFor(tables, 'due'), ['profiles']);
+  assertEquals(tables.profiles.find((row) => row.id === 'due')?.full_name, 'Deleted user');
+
+  // Clinical records are kept, unlinked from the student
+  const keptAlert = tables.risk_alerts.find((row) => row.id === 'risk_alerts-due');
+  assertEquals(keptAlert?.student_id, null);
+  assertEquals(keptAlert?.retained_until, '2033-10-18T03:00:00.000Z');
+  assertEquals(files['message_threads-due'], []);
+  assertEquals(client.deletedUsers, ['due']);
+  assertEquals(tables.account_deletion_requests[0].status, 'completed');
+
+  assertEquals(rowsFor(tables, 'waiting'), ERASURE_PLAN.map(({ table }) => table));
+  assertEquals(files['message_threads-waiting'], ['plan.pdf']);
+  assertEquals(tables.account_deletion_requests[1].status, 'pending');
+});
+
+Deno.test('a cancelled request is never processed', async () => {
+  const tables: Record<string, Row[]> = {
+    account_deletion_requests: [
+      { student_id: 'kept', status: 'cancelled', scheduled_for: '2026-10-01T00:00:00.000Z' },
+    ],
+  };
+  seedStudent(tables, 'kept');
+  const client = createFakeClient(tables, {});
+
+  const { results } = await processDueDeletions(client, retention, new Date('2026-10-18T03:00:00.000Z'));
+
+  assertEquals(results, []);
+  assertEquals(rowsFor(tables, 'kept'), ERASURE_PLAN.map(({ table }) => table));
+});
+
+Deno.test('a retained appointment still booked is cancelled to free the slot', async () => {
+  const tables: Record<string, Row[]> = {
+    account_deletion_requests: [
+      { student_id: 'due', status: 'pending', scheduled_for: '2026-10-01T00:00:00.000Z' },
+    ],
+    appointments: [
+      { id: 'past', student_id: 'due', status: 'booked', starts_at: '2026-10-10T14:00:00.000Z' },
+      { id: 'upcoming', student_id: 'due', status: 'booked', starts_at: '2026-10-20T14:00:00.000Z' },
+    ],
+  };
+  seedStudent(tables, 'due');
+  const client = createFakeClient(tables, {});
+
+  await processDueDeletions(client, retention, new Date('2026-10-18T03:00:00.000Z'));
+
+  assertEquals(tables.appointments.find((row) => row.id === 'past')?.status, 'booked');
+  assertEquals(tables.appointments.find((row) => row.id === 'upcoming')?.status, 'cancelled');
+});
+
+Deno.test('retained records are deleted once their retention period ends', async () => {
+  const tables: Record<string, Row[]> = {
+    risk_alerts: [
+      { id: 'expired', student_id: null, retained_until: '2026-10-17T03:00:00.000Z' },
+      { id: 'kept', student_id: null, retained_until: '2033-10-18T03:00:00.000Z' },
+      { id: 'live', student_id: 'active' },
+    ],
+    appointments: [
+      { id: 'expired', student_id: null, retained_until: '2026-10-18T03:00:00.000Z' },
+    ],
+  };
+  const client = createFakeClient(tables, {});
+
+  const { purged, error } = await purgeExpiredRecords(client, retention, new Date('2026-10-18T03:00:00.000Z'));
+
+  assertEquals(error, null);
+  assertEquals(purged, { risk_alerts: 1, appointments: 1 });
+  assertEquals(tables.risk_alerts.map((row) => row.id), ['kept', 'live']);
+  assertEquals(tables.appointments, []);
+});
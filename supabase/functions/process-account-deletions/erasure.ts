@@ -0,0 +1,191 @@
+// supabase/functions/process-account-deletions/erasure.ts
+// Carries out account deletions once their grace period has ended. Runs with
+// the service role: row-level security stops a student's own session from
+// touching retained clinical tables or removing the auth user.
+
+// deno-lint-ignore no-explicit-any
+type Client = any;
+
+export const ATTACHMENT_BUCKET = 'message-attachments';
+
+/**
+ * Clinical records kept (and stamped with `retained_until`) instead of erased,
+ * from `clinicalRetention` in src/config/dataRetention.json
+ */
+export type ClinicalRetention = {
+  enabled: boolean;
+  years: number;
+  tables: string[];
+};
+
+/**
+ * Every table holding student data, in the order it must be erased
+ * (children before parents)
+ */
+export const ERASURE_PLAN = [
+  { table: 'message_threads', column: 'student_id', action: 'delete' }, // messages cascade with their thread
+  { table: 'appointments', column: 'student_id', action: 'delete' },
+  { table: 'counselor_assignments', column: 'student_id', action: 'delete' },
+  { table: 'risk_alerts', column: 'student_id', action: 'delete' }, // audit events cascade with their alert
+  { table: 'student_achievements', column: 'student_id', action: 'delete' },
+  { table: 'reminder_settings', column: 'student_id', action: 'delete' },
+  { table: 'coping_activity_logs', column: 'student_id', action: 'delete' },
+  { table: 'resource_interactions', column: 'student_id', action: 'delete' },
+  { table: 'daily_mood_entries', column: 'student_id', action: 'delete' },
+  { table: 'assessment_drafts', column: 'student_id', action: 'delete' },
+  { table: 'initial_assessment_responses', column: 'student_id', action: 'delete' },
+  { table: 'initial_assessment_summary', column: 'student_id', action: 'delete' },
+  { table: 'login_history', column: 'student_id', action: 'delete' },
+  { table: 'streak_tracking', column: 'student_id', action: 'delete' },
+  { table: 'student_profiles', column: 'id', action: 'delete' },
+  { table: 'profiles', column: 'id', action: 'anonymize' },
+];
+
+/**
+ * Erase (or anonymize / retain) every row tied to a student, remove their
+ * auth user and mark the request completed
+ *
+ * Retained clinical rows lose their link to the student, so nothing kept
+ * can be traced back to the erased account.
+ */
+export const eraseStudentData = async (
+  client: Client,
+  studentId: string,
+  retention: ClinicalRetention,
+  now = new Date(),
+) => {
+  try {
+    const retainedUntil = new Date(now);
+    retainedUntil.setUTCFullYear(retainedUntil.getUTCFullYear() + retention.years);
+    const report = [];
+
+    // Storage objects aren't covered by table cascades
+    const { data: threads, error: threadsError } = await client
+      .from('message_threads')
+      .select('id')
+      .eq('student_id', studentId);
+
+    if (threadsError) throw threadsError;
+
+    for (const thread of threads) {
+      const { data: files, error: listError } = await client.storage
+        .from(ATTACHMENT_BUCKET)
+        .list(thread.id);
+
+      if (listError) throw listError;
+
+      if (files.length > 0) {
+        const { error: removeError } = await client.storage
+          .from(ATTACHMENT_BUCKET)
+          .remove(files.map((file: { name: string }) => `${thread.id}/${file.name}`));
+
+        if (removeError) throw removeError;
+      }
+    }
+
+    // A kept appointment must not hold on to its counselor's time
+    const { error: cancelError } = await client
+      .from('appointments')
+      .update({ status: 'cancelled', updated_at: now.toISOString() })
+      .eq('student_id', studentId)
+      .eq('status', 'booked')
+      .gt('starts_at', now.toISOString());
+
+    if (cancelError) throw cancelError;
+
+    for (const step of ERASURE_PLAN) {
+      const retain = retention.enabled && retention.tables.includes(step.table);
+      let query = client.from(step.table);
+
+      if (retain) {
+        query = query.update({ student_id: null, retained_until: retainedUntil.toISOString() });
+      } else if (step.action === 'anonymize') {
+        query = query.update({
+          full_name: 'Deleted user',
+          email: `deleted-${studentId}@invalid`,
+          deleted_at: now.toISOString(),
+        });
+      } else {
+        query = query.delete();
+      }
+
+      const { error } = await query.eq(step.column, studentId);
+      if (error) throw error;
+
+      report.push({ table: step.table, action: retain ? 'retained' : step.action });
+    }
+
+    const { error: authError } = await client.rpc('delete_user_account', { target_user_id: studentId });
+    if (authError) throw authError;
+
+    const { error: completeError } = await client
+      .from('account_deletion_requests')
+      .update({
+        status: 'completed',
+        completed_at: now.toISOString(),
+        erasure_report: report,
+      })
+      .eq('student_id', studentId)
+      .eq('status', 'pending');
+
+    if (completeError) throw completeError;
+
+    return { report, error: null };
+  } catch (error) {
+    return { report: null, error };
+  }
+};
+
+/**
+ * Carry out every deletion whose grace period has ended
+ * One failed erasure is reported and the rest still run; it stays pending
+ * and is retried on the next run.
+ */
+export const processDueDeletions = async (client: Client, retention: ClinicalRetention, now = new Date()) => {
+  try {
+    const { data: due, error } = await client
+      .from('account_deletion_requests')
+      .select('student_id')
+      .eq('status', 'pending')
+      .lte('scheduled_for', now.toISOString());
+
+    if (error) throw error;
+
+    const results = [];
+    for (const request of due) {
+      const { error: eraseError } = await eraseStudentData(client, request.student_id, retention, now);
+      results.push({ studentId: request.student_id, error: eraseError });
+    }
+
+    return { results, error: null };
+  } catch (error) {
+    return { results: null, error };
+  }
+};
+
+/**
+ * Delete retained clinical rows whose retention period has ended
+ * Every retention table is checked, even when retention is now switched off,
+ * so rows kept under an earlier setting still expire.
+ */
+export const purgeExpiredRecords = async (client: Client, retention: ClinicalRetention, now = new Date()) => {
+  try {
+    const purged: Record<string, number> = {};
+
+    for (const table of retention.tables) {
+      const { data, error } = await client
+        .from(table)
+        .delete()
+        .lte('retained_until', now.toISOString())
+        .select('id');
+
+      if (error) throw error;
+
+      purged[table] = data.length;
+    }
+
+    return { purged, error: null };
+  } catch (error) {
+    return { purged: null, error };
+  }
+};
@@ -0,0 +1,39 @@
+// supabase/functions/process-account-deletions/index.ts
+// Scheduled daily by pg_cron (see the account_deletion_job migration). Also
+// deletes retained clinical records once their retention period is over.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import retentionConfig from '../../../src/config/src-config-dataRetention.json' with { type: 'json' };
+import { processDueDeletions, purgeExpiredRecords } from './erasure.ts';
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL');
+const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+Deno.serve(async (request) => {
+  // Only the scheduler holds the service role key
+  if (!serviceRoleKey || request.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
+  }
+
+  const client = createClient(supabaseUrl!, serviceRoleKey, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  const retention = retentionConfig.clinicalRetention;
+
+  const { results, error } = await processDueDeletions(client, retention);
+  if (error || !results) {
+    console.error('Error loading due deletions:', error);
+    return new Response(JSON.stringify({ error: (error as Error).message }), { status: 500 });
+  }
+
+  const { purged, error: purgeError } = await purgeExpiredRecords(client, retention);
+  if (purgeError) console.error('Error purging expired clinical records:', purgeError);
+
+  const failed = results.filter((result) => result.error);
+  failed.forEach((result) => console.error(`Error erasing ${result.studentId}:`, result.error));
+
+  return new Response(
+    JSON.stringify({ processed: results.length, failed: failed.length, purged }),
+    { headers: { 'Content-Type': 'application/json' }, status: failed.length > 0 || purgeError ? 207 : 200 }
+  );
+});
@@ -0,0 +1,46 @@
+// supabase/functions/process-reminders/index.ts
+// Scheduled every few minutes by pg_cron (see the reminder_job migration).
+// Needs the same VAPID secrets as send-push.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createWebPushSender } from '../_shared/webPush.ts';
+import { processDueReminders } from './reminders.ts';
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL');
+const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+Deno.serve(async (request) => {
+  // Only the scheduler holds the service role key
+  if (!serviceRoleKey || request.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
+  }
+
+  const client = createClient(supabaseUrl!, serviceRoleKey, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  let send;
+  try {
+    send = createWebPushSender();
+  } catch (configError) {
+    console.error(configError);
+    return new Response(JSON.stringify({ error: (configError as Error).message }), { status: 500 });
+  }
+
+  const { results, error } = await processDueReminders(client, send);
+  if (error || !results) {
+    console.error('Error loading due reminders:', error);
+    return new Response(JSON.stringify({ error: (error as Error).message }), { status: 500 });
+  }
+
+  const failed = results.filter((result) => result.error);
+  failed.forEach((result) => console.error(`Error reminding ${result.studentId}:`, result.error));
+
+  return new Response(
+    JSON.stringify({
+      due: results.length,
+      sent: results.filter((result) => result.sent).length,
+      failed: failed.length,
+    }),
+    { headers: { 'Content-Type': 'application/json' }, status: failed.length > 0 ? 207 : 200 }
+  );
+});
@@ -0,0 +1,78 @@
+// supabase/functions/process-reminders/reminders.test.ts
+// Run with: deno test supabase/functions/process-reminders
+import { assertEquals } from 'jsr:@std/assert@1';
+import { buildReminderMessage, type DueReminder, processDueReminders } from './reminders.ts';
+
+type Row = Record<string, unknown>;
+
+const dueReminder = (overrides: Partial<DueReminder> = {}): DueReminder => ({
+  student_id: 's1',
+  push_subscription: { endpoint: 'https://push.example/s1' },
+  day_key: '2026-10-18',
+  checked_in_today: false,
+  checked_in_yesterday: false,
+  logged_in_today: false,
+  logged_in_yesterday: false,
+  current_streak: 0,
+  freezes_available: 0,
+  total_check_ins: 3,
+  ...overrides,
+});
+
+// Stand-in for the service-role client: the due-reminders RPC plus
+// reminder_settings updates filtered by student
+const createFakeClient = (due: DueReminder[], settings: Record<string, Row>) => ({
+  rpc: async () => ({ data: due, error: null }),
+  from: () => ({
+    update: (values: Row) => ({
+      eq: async (_column: string, studentId: string) => {
+        Object.assign(settings[studentId], values);
+        return { data: null, error: null };
+      },
+    }),
+  }),
+});
+
+Deno.test('warns about a streak at risk and names its length', () => {
+  const message = buildReminderMessage(dueReminder({ checked_in_yesterday: true, current_streak: 6 }));
+
+  assertEquals(message?.state, 'streak_at_risk');
+  assertEquals(message?.title, '🔥 Keep your 6-day streak going');
+  assertEquals(message?.tag, 'checkin-reminder-2026-10-18');
+});
+
+Deno.test('has nothing to say once today is checked in', () => {
+  assertEquals(buildReminderMessage(dueReminder({ checked_in_today: true })), null);
+});
+
+Deno.test('sends due reminders and records the day they went out', async () => {
+  const settings: Record<string, Row> = { s1: { last_sent_on: null }, s2: { last_sent_on: null } };
+  const client = createFakeClient(
+    [dueReminder(), dueReminder({ student_id: 's2', checked_in_today: true })],
+    settings,
+  );
+  const sent: unknown[] = [];
+
+  const { results, error } = await processDueReminders(client, async (_subscription, payload) => {
+    sent.push(payload);
+  });
+
+  assertEquals(error, null);
+  assertEquals(sent.length, 1);
+  assertEquals(results?.map((result) => [result.studentId, result.sent]), [['s1', true], ['s2', false]]);
+  assertEquals(settings.s1.last_sent_on, '2026-10-18');
+  assertEquals(settings.s2.last_sent_on, null);
+});
+
+Deno.test('drops a subscription the push service no longer knows', async () => {
+  const settings: Record<string, Row> = { s1: { push_subscription: { endpoint: 'https://push.example/s1' } } };
+  const client = createFakeClient([dueReminder()], settings);
+
+  const { results } = await processDueReminders(client, async () => {
+    throw Object.assign(new Error('Gone'), { statusCode: 410 });
+  });
+
+  assertEquals(results?.[0].reason, 'push_failed');
+  assertEquals(settings.s1.push_subscription, null);
+  assertEquals(settings.s1.last_sent_on, undefined);
+});
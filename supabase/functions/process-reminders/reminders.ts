@@ -0,0 +1,117 @@
+// supabase/functions/process-reminders/reminders.ts
+// Sends every push reminder that is due. The database decides who is due
+// (get_due_push_reminders) in each student's own timezone, rollover hour and
+// quiet hours; this decides what to say, the same way buildReminderMessage in
+// src/utils/reminders.js does, from the same config files.
+import remindersConfig from '../../../src/config/src-config-reminders.json' with { type: 'json' };
+import streakPolicy from '../../../src/config/src-config-streakPolicy.json' with { type: 'json' };
+import { isSubscriptionGone, type PushSubscription, type SendPush } from '../_shared/webPush.ts';
+
+// deno-lint-ignore no-explicit-any
+type Client = any;
+
+export type DueReminder = {
+  student_id: string;
+  push_subscription: PushSubscription;
+  day_key: string;
+  checked_in_today: boolean;
+  checked_in_yesterday: boolean;
+  logged_in_today: boolean;
+  logged_in_yesterday: boolean;
+  current_streak: number;
+  freezes_available: number;
+  total_check_ins: number;
+};
+
+type Template = { title: string; body: string };
+
+/**
+ * Build the notification for a due student, or null once they've checked in
+ */
+export const buildReminderMessage = (
+  reminder: DueReminder,
+  config: { messages: Record<string, Template> } = remindersConfig,
+  countsBy: string = streakPolicy.countsBy,
+) => {
+  if (reminder.checked_in_today) return null;
+
+  // A streak is at risk when yesterday counted towards it and today hasn't yet
+  const counts = (checkedIn: boolean, loggedIn: boolean) => {
+    if (countsBy === 'logins') return loggedIn;
+    if (countsBy === 'both') return checkedIn || loggedIn;
+    return checkedIn;
+  };
+  const needsMaintenance = counts(reminder.checked_in_yesterday, reminder.logged_in_yesterday)
+    && !counts(reminder.checked_in_today, reminder.logged_in_today);
+
+  let state = 'start_streak';
+  if (needsMaintenance && reminder.current_streak > 0) {
+    state = reminder.freezes_available > 0 ? 'streak_at_risk_protected' : 'streak_at_risk';
+  } else if (reminder.total_check_ins === 0) {
+    state = 'first_checkin';
+  }
+
+  const template = config.messages[state];
+  const fill = (text: string) => text.replace(/\{streak\}/g, String(reminder.current_streak || 0));
+
+  return {
+    state,
+    title: fill(template.title),
+    body: fill(template.body),
+    url: '/student/mood-tracker',
+    // Same tag all day, so a repeat replaces rather than stacks
+    tag: `checkin-reminder-${reminder.day_key}`,
+  };
+};
+
+/**
+ * Send every due push reminder and record the day it went out
+ * One failed push is reported and the rest still go out. A subscription the
+ * push service no longer knows is cleared, so the student gets in-app
+ * reminders from then on.
+ */
+export const processDueReminders = async (client: Client, send: SendPush, now = new Date()) => {
+  try {
+    const { data: due, error } = await client.rpc('get_due_push_reminders', { p_now: now.toISOString() });
+
+    if (error) throw error;
+
+    const results = [];
+    for (const reminder of due as DueReminder[]) {
+      const studentId = reminder.student_id;
+      const message = buildReminderMessage(reminder);
+
+      if (!message) {
+        results.push({ studentId, sent: false, reason: 'checked_in', error: null });
+        continue;
+      }
+
+      try {
+        await send(reminder.push_subscription, message);
+      } catch (pushError) {
+        if (isSubscriptionGone(pushError)) {
+          const { error: clearError } = await client
+            .from('reminder_settings')
+            .update({ push_subscription: null })
+            .eq('student_id', studentId);
+
+          if (clearError) console.error(`Error clearing push subscription for ${studentId}:`, clearError);
+        }
+
+        results.push({ studentId, sent: false, reason: 'push_failed', error: pushError });
+        continue;
+      }
+
+      const { error: markError } = await client
+        .from('reminder_settings')
+        .update({ last_sent_on: reminder.day_key })
+        .eq('student_id', studentId);
+
+      results.push({ studentId, sent: true, error: markError });
+    }
+
+    return { results, error: null };
+  } catch (error) {
+    return { results: null, error };
+  }
+};
@@ -0,0 +1,65 @@
+// supabase/functions/send-push/index.ts
+// Called from the browser (getPushTransport in src/api/reminders.js) with the
+// student's session. Needs VAPID_SUBJECT, VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY set as function secrets.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createWebPushSender } from '../_shared/webPush.ts';
+import { sendStoredPush } from './push.ts';
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL');
+const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const respond = (body: unknown, status: number) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  });
+
+Deno.serve(async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const client = createClient(supabaseUrl!, serviceRoleKey!, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  // Only the student's own session may push to their device
+  const token = request.headers.get('Authorization')?.replace(/^Bearer /, '');
+  const { data, error: authError } = token
+    ? await client.auth.getUser(token)
+    : { data: null, error: new Error('Missing session') };
+  const user = data?.user;
+
+  if (authError || !user) {
+    return respond({ error: 'Unauthorized' }, 401);
+  }
+
+  const { subscription, payload } = await request.json().catch(() => ({}));
+
+  let send;
+  try {
+    send = createWebPushSender();
+  } catch (configError) {
+    console.error(configError);
+    return respond({ error: (configError as Error).message }, 500);
+  }
+
+  const { status, error } = await sendStoredPush(client, send, {
+    studentId: user.id,
+    endpoint: subscription?.endpoint,
+    payload,
+  });
+
+  if (error) {
+    if (status === 500) console.error(`Error sending push to ${user.id}:`, error);
+    return respond({ error: (error as Error).message }, status);
+  }
+
+  return respond({ sent: true }, 200);
+});
@@ -0,0 +1,64 @@
+// supabase/functions/send-push/push.test.ts
+// Run with: deno test supabase/functions/send-push
+import { assertEquals } from 'jsr:@std/assert@1';
+import { sendStoredPush } from './push.ts';
+
+type Row = Record<string, unknown>;
+
+// Stand-in for the service-role client over reminder_settings
+const createFakeClient = (settings: Record<string, Row>) => ({
+  from: () => ({
+    select: () => ({
+      eq: (_column: string, studentId: string) => ({
+        single: async () => (settings[studentId]
+          ? { data: settings[studentId], error: null }
+          : { data: null, error: { code: 'PGRST116' } }),
+      }),
+    }),
+    update: (values: Row) => ({
+      eq: async (_column: string, studentId: string) => {
+        Object.assign(settings[studentId], values);
+        return { data: null, error: null };
+      },
+    }),
+  }),
+});
+
+const payload = { title: 'Check in', body: 'How are you feeling today?' };
+
+Deno.test("pushes to the stored copy of the student's own subscription", async () => {
+  const stored = { endpoint: 'https://push.example/mine', keys: { p256dh: 'key', auth: 'secret' } };
+  const client = createFakeClient({ s1: { push_subscription: stored } });
+  const sent: unknown[] = [];
+
+  const { status, error } = await sendStoredPush(client, async (subscription) => {
+    sent.push(subscription);
+  }, { studentId: 's1', endpoint: stored.endpoint, payload });
+
+  assertEquals([status, error], [200, null]);
+  assertEquals(sent, [stored]);
+});
+
+Deno.test('refuses an endpoint the student has not subscribed', async () => {
+  const client = createFakeClient({ s1: { push_subscription: { endpoint: 'https://push.example/mine' } } });
+  const sent: unknown[] = [];
+
+  const { status } = await sendStoredPush(client, async (subscription) => {
+    sent.push(subscription);
+  }, { studentId: 's1', endpoint: 'https://push.example/someone-else', payload });
+
+  assertEquals(status, 403);
+  assertEquals(sent, []);
+});
+
+Deno.test('clears a subscription the push service no longer knows', async () => {
+  const settings: Record<string, Row> = { s1: { push_subscription: { endpoint: 'https://push.example/mine' } } };
+  const client = createFakeClient(settings);
+
+  const { status } = await sendStoredPush(client, async () => {
+    throw Object.assign(new Error('Gone'), { statusCode: 410 });
+  }, { studentId: 's1', endpoint: 'https://push.example/mine', payload });
+
+  assertEquals(status, 410);
+  assertEquals(settings.s1.push_subscription, null);
+});
@@ -0,0 +1,58 @@
+// supabase/functions/send-push/push.ts
+// Sends a push to the signed-in student's own device. The browser only names
+// the subscription; the stored copy is what gets used, so nobody can push to
+// an endpoint that isn't theirs.
+import { isSubscriptionGone, type SendPush } from '../_shared/webPush.ts';
+
+// deno-lint-ignore no-explicit-any
+type Client = any;
+
+/**
+ * Push `payload` to the student's stored subscription, which must be the one
+ * with `endpoint`
+ * Returns the HTTP status to answer with and the error, if any. A
+ * subscription the push service no longer knows is cleared, so the student
+ * gets in-app reminders from then on.
+ */
+export const sendStoredPush = async (
+  client: Client,
+  send: SendPush,
+  { studentId, endpoint, payload }: { studentId: string; endpoint?: string; payload?: unknown },
+) => {
+  try {
+    if (!endpoint || !payload) {
+      return { status: 400, error: new Error('A subscription and payload are required') };
+    }
+
+    const { data, error } = await client
+      .from('reminder_settings')
+      .select('push_subscription')
+      .eq('student_id', studentId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    if (data?.push_subscription?.endpoint !== endpoint) {
+      return { status: 403, error: new Error('That subscription does not belong to you') };
+    }
+
+    try {
+      await send(data.push_subscription, payload);
+    } catch (pushError) {
+      if (!isSubscriptionGone(pushError)) throw pushError;
+
+      const { error: clearError } = await client
+        .from('reminder_settings')
+        .update({ push_subscription: null })
+        .eq('student_id', studentId);
+
+      if (clearError) throw clearError;
+
+      return { status: 410, error: new Error('This device is no longer subscribed to push') };
+    }
+
+    return { status: 200, error: null };
+  } catch (error) {
+    return { status: 500, error };
+  }
+};
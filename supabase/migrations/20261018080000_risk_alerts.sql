@@ -0,0 +1,33 @@
+-- Risk alerts.
+--
+-- An alert is raised when an assessment, mood entry or coping activity trips
+-- the crisis rules in src/config/riskRules.json. Counselors acknowledge and
+-- resolve it; every change is recorded in risk_alert_events.
+
+create table if not exists risk_alerts (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid references profiles (id) on delete set null,
+  source text not null check (source in ('assessment', 'mood_entry', 'coping_activity')),
+  source_ref text,
+  risk_level text not null check (risk_level in ('elevated', 'high')),
+  reasons jsonb not null default '[]'::jsonb,
+  rules_version integer,
+  status text not null default 'open' check (status in ('open', 'acknowledged', 'resolved')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists risk_alerts_student_status_idx
+  on risk_alerts (student_id, status);
+
+create table if not exists risk_alert_events (
+  id uuid primary key default gen_random_uuid(),
+  alert_id uuid not null references risk_alerts (id) on delete cascade,
+  action text not null check (action in ('created', 'acknowledged', 'resolved')),
+  actor_id uuid references profiles (id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists risk_alert_events_alert_idx
+  on risk_alert_events (alert_id, created_at);
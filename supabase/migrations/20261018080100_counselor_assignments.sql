@@ -0,0 +1,23 @@
+-- Counselor assignments.
+--
+-- One row per period a counselor is responsible for a student. A transfer
+-- closes the current row (ended_at) and opens a new one, so the history of who
+-- looked after a student is kept.
+
+create table if not exists counselor_assignments (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references profiles (id) on delete cascade,
+  counselor_id uuid not null references profiles (id) on delete cascade,
+  assigned_by uuid references profiles (id) on delete set null,
+  reason text,
+  assigned_at timestamptz not null default now(),
+  ended_at timestamptz,
+  check (ended_at is null or ended_at >= assigned_at)
+);
+
+create index if not exists counselor_assignments_student_idx
+  on counselor_assignments (student_id, assigned_at desc);
+
+create index if not exists counselor_assignments_counselor_active_idx
+  on counselor_assignments (counselor_id)
+  where ended_at is null;
@@ -0,0 +1,36 @@
+-- Counselor availability and appointments.
+--
+-- Counselors publish recurring weekly blocks; students book slots inside
+-- them. Cancelled appointments are kept for history.
+
+create table if not exists counselor_availability (
+  id uuid primary key default gen_random_uuid(),
+  counselor_id uuid not null references profiles (id) on delete cascade,
+  weekday smallint not null,
+  start_time time not null,
+  end_time time not null,
+  slot_minutes integer not null default 50,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists counselor_availability_counselor_idx
+  on counselor_availability (counselor_id, weekday, start_time);
+
+create table if not exists appointments (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid references profiles (id) on delete set null,
+  counselor_id uuid references profiles (id) on delete set null,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  status text not null default 'booked' check (status in ('booked', 'cancelled')),
+  cancelled_by uuid references profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at)
+);
+
+create index if not exists appointments_counselor_starts_idx
+  on appointments (counselor_id, starts_at);
+
+create index if not exists appointments_student_starts_idx
+  on appointments (student_id, starts_at);
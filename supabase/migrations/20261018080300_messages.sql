@@ -0,0 +1,46 @@
+-- Secure messaging.
+--
+-- One thread per student and counselor pair. A message carries a body, an
+-- attachment stored in the message-attachments bucket, or both. Messages
+-- are published to realtime so open threads and unread badges update live.
+
+create table if not exists message_threads (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references profiles (id) on delete cascade,
+  counselor_id uuid not null references profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (student_id, counselor_id)
+);
+
+create index if not exists message_threads_counselor_idx
+  on message_threads (counselor_id);
+
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  thread_id uuid not null references message_threads (id) on delete cascade,
+  sender_id uuid references profiles (id) on delete set null,
+  body text,
+  attachment_path text,
+  attachment_name text,
+  attachment_type text,
+  read_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (body is not null or attachment_path is not null)
+);
+
+create index if not exists messages_thread_created_idx
+  on messages (thread_id, created_at);
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_publication_tables
+    where pubname = 'supabase_realtime'
+      and schemaname = 'public'
+      and tablename = 'messages'
+  ) then
+    alter publication supabase_realtime add table messages;
+  end if;
+end;
+$$;
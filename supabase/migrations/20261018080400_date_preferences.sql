@@ -0,0 +1,17 @@
+-- Date preferences.
+--
+-- Each user's timezone and the hour their day rolls over, used to decide
+-- which calendar day a check-in or login belongs to. Both start empty; the
+-- app saves the browser's timezone the first time it sees none and treats
+-- an empty rollover hour as midnight.
+
+alter table profiles
+  add column if not exists timezone text,
+  add column if not exists day_rollover_hour smallint;
+
+alter table profiles
+  drop constraint if exists profiles_day_rollover_hour_check;
+
+alter table profiles
+  add constraint profiles_day_rollover_hour_check
+  check (day_rollover_hour between 0 and 6);
@@ -0,0 +1,25 @@
+-- Account deletion requests.
+--
+-- A student asks for their account to be erased; the request waits out the
+-- grace period as 'pending' and can be cancelled until then. Erased
+-- profiles are anonymized and stamped with deleted_at rather than removed.
+-- A request is the record that the erasure happened, so it has no foreign
+-- key and outlives the auth user it names.
+
+alter table profiles add column if not exists deleted_at timestamptz;
+
+create table if not exists account_deletion_requests (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null,
+  requested_at timestamptz not null default now(),
+  scheduled_for timestamptz not null,
+  status text not null default 'pending' check (status in ('pending', 'cancelled', 'completed')),
+  reason text,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (scheduled_for >= requested_at)
+);
+
+create unique index if not exists account_deletion_requests_one_pending_idx
+  on account_deletion_requests (student_id)
+  where status = 'pending';
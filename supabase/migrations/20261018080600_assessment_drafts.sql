@@ -0,0 +1,20 @@
+-- Assessment drafts.
+--
+-- Unfinished assessment answers saved on the server so a student can resume
+-- on another device. One draft per student per questionnaire or instrument;
+-- every save pushes expires_at forward.
+
+create table if not exists assessment_drafts (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references profiles (id) on delete cascade,
+  draft_key text not null,
+  instrument_id text,
+  answers jsonb not null default '{}'::jsonb,
+  current_index integer not null default 0,
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  unique (student_id, draft_key)
+);
+
+create index if not exists assessment_drafts_expires_idx
+  on assessment_drafts (expires_at);
@@ -0,0 +1,18 @@
+-- Reminder settings.
+--
+-- One row per student who changed their daily check-in reminder or turned
+-- on push. Times are wall-clock 'HH:mm' in the student's timezone; quiet
+-- hours may wrap past midnight. last_sent_on is the day key of the last
+-- reminder that went out, so a day never gets two.
+
+create table if not exists reminder_settings (
+  student_id uuid primary key references profiles (id) on delete cascade,
+  enabled boolean not null default true,
+  reminder_time text not null default '19:00' check (reminder_time ~ '^([01]\d|2[0-3]):[0-5]\d$'),
+  quiet_start text not null default '22:00' check (quiet_start ~ '^([01]\d|2[0-3]):[0-5]\d$'),
+  quiet_end text not null default '08:00' check (quiet_end ~ '^([01]\d|2[0-3]):[0-5]\d$'),
+  push_subscription jsonb,
+  last_sent_on date,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
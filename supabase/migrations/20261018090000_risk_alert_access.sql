@@ -0,0 +1,140 @@
+-- Risk alert access.
+--
+-- Counselors see alerts for the students assigned to them. Alerts from students
+-- with no counselor yet form a shared queue every counselor can see, and any
+-- counselor can take such a student on with claim_unassigned_student().
+
+create or replace function public.is_counselor()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from profiles where id = auth.uid() and role = 'counselor'
+  );
+$$;
+
+create or replace function public.is_assigned_counselor(p_student_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from counselor_assignments
+    where student_id = p_student_id
+      and counselor_id = auth.uid()
+      and ended_at is null
+  );
+$$;
+
+create or replace function public.has_active_counselor(p_student_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from counselor_assignments
+    where student_id = p_student_id
+      and ended_at is null
+  );
+$$;
+
+alter table risk_alerts enable row level security;
+alter table risk_alert_events enable row level security;
+
+drop policy if exists "Students raise their own alerts" on risk_alerts;
+create policy "Students raise their own alerts"
+  on risk_alerts for insert
+  with check (student_id = auth.uid() and status = 'open');
+
+drop policy if exists "Students see their own alerts" on risk_alerts;
+create policy "Students see their own alerts"
+  on risk_alerts for select
+  using (student_id = auth.uid());
+
+drop policy if exists "Counselors see their students' and unassigned alerts" on risk_alerts;
+create policy "Counselors see their students' and unassigned alerts"
+  on risk_alerts for select
+  using (
+    public.is_counselor()
+    and (
+      public.is_assigned_counselor(student_id)
+      or not public.has_active_counselor(student_id)
+    )
+  );
+
+drop policy if exists "Counselors update their students' alerts" on risk_alerts;
+create policy "Counselors update their students' alerts"
+  on risk_alerts for update
+  using (public.is_assigned_counselor(student_id))
+  with check (public.is_assigned_counselor(student_id));
+
+-- The audit trail follows the alert: whoever can see an alert can read and add to its trail
+drop policy if exists "Audit trail follows its alert" on risk_alert_events;
+create policy "Audit trail follows its alert"
+  on risk_alert_events for select
+  using (exists (select 1 from risk_alerts a where a.id = alert_id));
+
+drop policy if exists "Actors record their own events" on risk_alert_events;
+create policy "Actors record their own events"
+  on risk_alert_events for insert
+  with check (
+    actor_id = auth.uid()
+    and exists (select 1 from risk_alerts a where a.id = alert_id)
+  );
+
+-- Alerts from students who have no counselor yet (RLS limits them to counselors)
+create or replace function public.get_unassigned_risk_alerts(p_status text default 'open')
+returns setof risk_alerts
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select a.*
+  from risk_alerts a
+  where not public.has_active_counselor(a.student_id)
+    and (p_status is null or a.status = p_status)
+  order by a.created_at desc;
+$$;
+
+-- Assign a student with no counselor to the calling counselor
+create or replace function public.claim_unassigned_student(p_student_id uuid)
+returns counselor_assignments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_assignment counselor_assignments;
+begin
+  if not public.is_counselor() then
+    raise exception 'Only counselors can take on students' using errcode = '42501';
+  end if;
+
+  -- Serialize claims for the same student so two counselors can't both win
+  perform pg_advisory_xact_lock(hashtext('claim_unassigned_student:' || p_student_id::text));
+
+  if public.has_active_counselor(p_student_id) then
+    raise exception 'This student already has a counselor' using errcode = '23505';
+  end if;
+
+  insert into counselor_assignments (student_id, counselor_id, assigned_by, reason)
+  values (p_student_id, auth.uid(), auth.uid(), 'Taken on from the unassigned risk alert queue')
+  returning * into v_assignment;
+
+  return v_assignment;
+end;
+$$;
+
+revoke execute on function public.claim_unassigned_student(uuid) from public, anon;
+grant execute on function public.claim_unassigned_student(uuid) to authenticated;
+grant execute on function public.get_unassigned_risk_alerts(text) to authenticated;
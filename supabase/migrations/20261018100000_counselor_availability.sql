@@ -0,0 +1,83 @@
+-- Counselor availability and booking guards.
+--
+-- Availability blocks are wall-clock hours in the counselor's own timezone,
+-- stored with each block so slots mean the same instants for every viewer.
+-- save_counselor_availability() replaces a schedule in one transaction.
+-- Exclusion constraints stop a counselor or a student being double-booked.
+
+alter table counselor_availability
+  add column if not exists time_zone text;
+
+update counselor_availability ca
+set time_zone = coalesce(p.timezone, 'UTC')
+from profiles p
+where p.id = ca.counselor_id
+  and ca.time_zone is null;
+
+alter table counselor_availability
+  alter column time_zone set not null;
+
+create or replace function public.save_counselor_availability(
+  p_counselor_id uuid,
+  p_time_zone text,
+  p_blocks jsonb
+)
+returns setof counselor_availability
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  if p_counselor_id is distinct from auth.uid() then
+    raise exception 'Counselors can only change their own availability' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from pg_timezone_names where name = p_time_zone) then
+    raise exception 'Unknown timezone: %', p_time_zone using errcode = '22023';
+  end if;
+
+  delete from counselor_availability where counselor_id = p_counselor_id;
+
+  return query
+  insert into counselor_availability (counselor_id, weekday, start_time, end_time, slot_minutes, time_zone)
+  select
+    p_counselor_id,
+    (block->>'weekday')::smallint,
+    (block->>'start_time')::time,
+    (block->>'end_time')::time,
+    coalesce((block->>'slot_minutes')::integer, 50),
+    p_time_zone
+  from jsonb_array_elements(coalesce(p_blocks, '[]'::jsonb)) as block
+  returning *;
+end;
+$$;
+
+grant execute on function public.save_counselor_availability(uuid, text, jsonb) to authenticated;
+
+alter table counselor_availability
+  drop constraint if exists counselor_availability_valid_block;
+alter table counselor_availability
+  add constraint counselor_availability_valid_block
+  check (weekday between 0 and 6 and start_time < end_time and slot_minutes > 0);
+
+-- No overlapping booked appointments for the same counselor or the same student.
+-- Violations raise 23P01, which the client turns into "That time is no longer available".
+create extension if not exists btree_gist;
+
+alter table appointments
+  drop constraint if exists appointments_no_counselor_overlap;
+alter table appointments
+  add constraint appointments_no_counselor_overlap
+  exclude using gist (
+    counselor_id with =,
+    tstzrange(starts_at, ends_at, '[)') with &&
+  ) where (status = 'booked');
+
+alter table appointments
+  drop constraint if exists appointments_no_student_overlap;
+alter table appointments
+  add constraint appointments_no_student_overlap
+  exclude using gist (
+    student_id with =,
+    tstzrange(starts_at, ends_at, '[)') with &&
+  ) where (status = 'booked');
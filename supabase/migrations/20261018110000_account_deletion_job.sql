@@ -0,0 +1,55 @@
+-- Account deletion job.
+--
+-- The process-account-deletions edge function erases every account whose
+-- grace period has ended. pg_cron calls it once a day through pg_net, using
+-- the project URL and service role key stored in Vault:
+--
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<service-role-key>', 'service_role_key');
+
+-- Removes the auth user once their data is gone; only the service role may call it
+create or replace function public.delete_user_account(target_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+begin
+  delete from auth.users where id = target_user_id;
+end;
+$$;
+
+revoke execute on function public.delete_user_account(uuid) from public, anon, authenticated;
+grant execute on function public.delete_user_account(uuid) to service_role;
+
+alter table account_deletion_requests
+  add column if not exists completed_at timestamptz,
+  add column if not exists erasure_report jsonb;
+
+alter table risk_alerts add column if not exists retained_until timestamptz;
+alter table appointments add column if not exists retained_until timestamptz;
+
+create index if not exists account_deletion_requests_due_idx
+  on account_deletion_requests (scheduled_for)
+  where status = 'pending';
+
+create extension if not exists pg_cron;
+create extension if not exists pg_net;
+
+select cron.unschedule(jobid) from cron.job where jobname = 'process-account-deletions';
+
+select cron.schedule(
+  'process-account-deletions',
+  '0 3 * * *',
+  $$
+  select net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url')
+      || '/functions/v1/process-account-deletions',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,42 @@
+-- Instrument scores.
+--
+-- overall_score and category_scores hold per-item averages on the general
+-- 0-3 scale for every session, so caseload sorting, session comparison and
+-- resource ranking compare like with like. An instrument's raw sum, subscale
+-- sums and published band live in their own columns.
+
+alter table initial_assessment_summary
+  add column if not exists instrument_id text,
+  add column if not exists instrument_version text,
+  add column if not exists raw_score integer,
+  add column if not exists subscale_scores jsonb,
+  add column if not exists severity_band text,
+  add column if not exists flagged_items jsonb;
+
+-- Sessions scored before this change stored the raw sum in overall_score too;
+-- rescale them the way toGeneralScale in src/utils/instruments.js does
+with scale(instrument_id, category, item_count, option_max) as (
+  values
+    ('phq9', 'depression', 9, 3),
+    ('gad7', 'anxiety', 7, 3),
+    ('pss10', 'stress', 10, 4)
+)
+update initial_assessment_summary summary
+set
+  overall_score = round(summary.raw_score::numeric / scale.item_count / scale.option_max * 3, 2),
+  category_scores = case
+    when summary.instrument_id = 'pss10' then jsonb_build_object(
+      'perceived_helplessness',
+      round((summary.subscale_scores ->> 'perceived_helplessness')::numeric / 6 / scale.option_max * 3, 2),
+      'perceived_self_efficacy',
+      round((summary.subscale_scores ->> 'perceived_self_efficacy')::numeric / 4 / scale.option_max * 3, 2)
+    )
+    else jsonb_build_object(
+      scale.category,
+      round(summary.raw_score::numeric / scale.item_count / scale.option_max * 3, 2)
+    )
+  end
+from scale
+where summary.instrument_id = scale.instrument_id
+  and summary.raw_score is not null
+  and summary.overall_score = summary.raw_score;
@@ -0,0 +1,204 @@
+-- Atomic account and assessment writes.
+--
+-- Signup creates every profile row in one call to create_student_account() or
+-- create_counselor_account(), and an assessment is saved by one call to
+-- submit_assessment_session(); each runs in a single transaction, so a failure
+-- leaves nothing half-written. Accounts broken before this change are found
+-- and fixed by an admin from the dashboard (src/api/accountRepair.js).
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from profiles where id = auth.uid() and role = 'admin'
+  );
+$$;
+
+-- The caller is the user, or the user signed up moments ago and has no
+-- session yet because their email isn't confirmed
+create or replace function public.can_set_up_account(p_user_id uuid, p_email text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, auth
+as $$
+  select auth.uid() = p_user_id
+    or (
+      auth.uid() is null
+      and exists (
+        select 1
+        from auth.users
+        where id = p_user_id
+          and email = p_email
+          and created_at > now() - interval '10 minutes'
+      )
+      and not exists (select 1 from profiles where id = p_user_id)
+    );
+$$;
+
+-- Creates (or finishes creating) a student's rows; existing rows are left alone
+create or replace function public.create_student_account(
+  p_user_id uuid,
+  p_email text,
+  p_full_name text,
+  p_student_id text,
+  p_major text,
+  p_year_of_study integer
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not can_set_up_account(p_user_id, p_email) then
+    raise exception 'Not allowed to set up this account' using errcode = '42501';
+  end if;
+
+  if exists (select 1 from profiles where id = p_user_id and role <> 'student') then
+    raise exception 'This account is not a student account' using errcode = '42501';
+  end if;
+
+  insert into profiles (id, email, full_name, role)
+  values (p_user_id, p_email, p_full_name, 'student')
+  on conflict (id) do nothing;
+
+  insert into student_profiles (id, student_id, major, year_of_study, has_completed_initial_assessment)
+  values (p_user_id, p_student_id, p_major, p_year_of_study, false)
+  on conflict (id) do nothing;
+
+  insert into streak_tracking (student_id, current_streak, longest_streak, total_login_days)
+  values (p_user_id, 0, 0, 0)
+  on conflict (student_id) do nothing;
+end;
+$$;
+
+-- Creates (or finishes creating) a counselor's rows; existing rows are left alone
+create or replace function public.create_counselor_account(
+  p_user_id uuid,
+  p_email text,
+  p_full_name text,
+  p_specialization text,
+  p_license_number text,
+  p_years_of_experience integer
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not can_set_up_account(p_user_id, p_email) then
+    raise exception 'Not allowed to set up this account' using errcode = '42501';
+  end if;
+
+  if exists (select 1 from profiles where id = p_user_id and role <> 'counselor') then
+    raise exception 'This account is not a counselor account' using errcode = '42501';
+  end if;
+
+  insert into profiles (id, email, full_name, role)
+  values (p_user_id, p_email, p_full_name, 'counselor')
+  on conflict (id) do nothing;
+
+  insert into counselor_profiles (id, specialization, license_number, years_of_experience)
+  values (p_user_id, p_specialization, p_license_number, p_years_of_experience)
+  on conflict (id) do nothing;
+end;
+$$;
+
+revoke execute on function public.can_set_up_account(uuid, text) from public;
+grant execute on function public.create_student_account(uuid, text, text, text, text, integer) to anon, authenticated;
+grant execute on function public.create_counselor_account(uuid, text, text, text, text, integer) to anon, authenticated;
+
+-- Instrument items aren't rows in initial_assessment_questions
+alter table initial_assessment_responses
+  add column if not exists instrument_id text,
+  add column if not exists item_number integer,
+  alter column question_id drop not null,
+  alter column selected_option_id drop not null;
+
+-- Saves a session's responses and summary, and (for the first assessment)
+-- marks it completed, in one transaction. Runs as the student, so the usual
+-- row-level security applies.
+create or replace function public.submit_assessment_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_responses jsonb,
+  p_summary jsonb,
+  p_mark_completed boolean
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  if p_student_id is distinct from auth.uid() then
+    raise exception 'Students can only submit their own assessments' using errcode = '42501';
+  end if;
+
+  insert into initial_assessment_responses (
+    student_id, question_id, selected_option_id, instrument_id, item_number,
+    remark, severity_score, assessment_session_id
+  )
+  select p_student_id, r.question_id, r.selected_option_id, r.instrument_id, r.item_number,
+    r.remark, r.severity_score, p_session_id
+  from jsonb_populate_recordset(null::initial_assessment_responses, p_responses) r;
+
+  insert into initial_assessment_summary (
+    student_id, assessment_session_id, aggregated_remarks, category_scores, overall_score,
+    instrument_id, instrument_version, raw_score, severity_band, subscale_scores, flagged_items,
+    ai_diagnosis, ai_insights, ai_recommendations, completed_at
+  )
+  select p_student_id, p_session_id, s.aggregated_remarks, s.category_scores, s.overall_score,
+    s.instrument_id, s.instrument_version, s.raw_score, s.severity_band, s.subscale_scores, s.flagged_items,
+    s.ai_diagnosis, s.ai_insights, s.ai_recommendations, coalesce(s.completed_at, now())
+  from jsonb_populate_record(null::initial_assessment_summary, p_summary) s;
+
+  if p_mark_completed then
+    update student_profiles
+    set has_completed_initial_assessment = true
+    where id = p_student_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.submit_assessment_session(uuid, uuid, jsonb, jsonb, boolean) to authenticated;
+
+-- What findIncompleteAccounts reads and repairIncompleteAccounts writes
+drop policy if exists "Admins read profiles" on profiles;
+create policy "Admins read profiles"
+  on profiles for select
+  using (is_admin());
+
+drop policy if exists "Admins repair student profiles" on student_profiles;
+create policy "Admins repair student profiles"
+  on student_profiles for all
+  using (is_admin())
+  with check (is_admin());
+
+drop policy if exists "Admins repair streaks" on streak_tracking;
+create policy "Admins repair streaks"
+  on streak_tracking for all
+  using (is_admin())
+  with check (is_admin());
+
+drop policy if exists "Admins read assessment summaries" on initial_assessment_summary;
+create policy "Admins read assessment summaries"
+  on initial_assessment_summary for select
+  using (is_admin());
+
+drop policy if exists "Admins read assessment responses" on initial_assessment_responses;
+create policy "Admins read assessment responses"
+  on initial_assessment_responses for select
+  using (is_admin());
+
+drop policy if exists "Admins remove orphaned responses" on initial_assessment_responses;
+create policy "Admins remove orphaned responses"
+  on initial_assessment_responses for delete
+  using (is_admin());
@@ -0,0 +1,40 @@
+-- Weekly mood counts.
+--
+-- getWeeklyMoodSummary (src/api/moodTracker.js) reads long ranges as one row
+-- per week, dimension and emoji instead of one row per entry. Weeks start on
+-- Monday, like getWeekRange. Runs as the caller, so the usual row-level
+-- security on daily_mood_entries decides whose entries are counted.
+
+create or replace function public.get_mood_week_counts(
+  p_student_id uuid,
+  p_start date,
+  p_end date
+)
+returns table (week_start date, dimension text, emoji text, entries integer)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    date_trunc('week', e.entry_date)::date as week_start,
+    d.dimension,
+    d.emoji,
+    count(*)::integer as entries
+  from daily_mood_entries e
+  cross join lateral (
+    values
+      ('mood', e.mood_emoji),
+      ('stress', e.stress_emoji),
+      ('anxiety', e.anxiety_emoji),
+      ('sleep', e.sleep_quality_emoji),
+      ('energy', e.energy_level_emoji)
+  ) as d(dimension, emoji)
+  where e.student_id = p_student_id
+    and e.entry_date between p_start and p_end
+    and d.emoji is not null
+  group by 1, 2, 3
+  order by 1, 2, 3;
+$$;
+
+grant execute on function public.get_mood_week_counts(uuid, date, date) to authenticated;
@@ -0,0 +1,226 @@
+-- Cohort analytics.
+--
+-- Campus-wide mood and assessment trends for counseling center directors and
+-- admins. Both functions count students per group themselves and return only
+-- aggregates; a group with fewer students than cohort_min_group_size() comes
+-- back as a single row marked suppressed, with no counts. The minimum lives
+-- here rather than in a parameter so no caller can lower it; keep
+-- minGroupSize in src/config/cohortAnalytics.json in step with it.
+
+alter table counselor_profiles add column if not exists is_director boolean not null default false;
+
+create or replace function public.cohort_min_group_size()
+returns integer
+language sql
+immutable
+as $$
+  select 10;
+$$;
+
+create or replace function public.can_view_cohort_analytics()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select is_admin() or exists (
+    select 1 from counselor_profiles where id = auth.uid() and is_director
+  );
+$$;
+
+-- The group a student falls in; null when they left that field blank
+create or replace function public.cohort_group_value(p_group_by text, p_student_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case p_group_by
+    when 'all' then 'All students'
+    when 'major' then sp.major
+    when 'year_of_study' then sp.year_of_study::text
+  end
+  from student_profiles sp
+  where sp.id = p_student_id;
+$$;
+
+revoke execute on function public.cohort_group_value(text, uuid) from public;
+
+-- Emoji counts per group and week (weeks start on Monday)
+create or replace function public.get_cohort_mood_weeks(
+  p_start date,
+  p_end date,
+  p_group_by text
+)
+returns table (
+  week_start date,
+  group_value text,
+  students integer,
+  dimension text,
+  emoji text,
+  entries integer,
+  suppressed boolean
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not can_view_cohort_analytics() then
+    raise exception 'Not allowed to view cohort analytics' using errcode = '42501';
+  end if;
+
+  if p_group_by not in ('all', 'major', 'year_of_study') then
+    raise exception 'Cannot group cohort analytics by "%"', p_group_by;
+  end if;
+
+  return query
+  with scoped as (
+    select
+      date_trunc('week', e.entry_date)::date as week_start,
+      cohort_group_value(p_group_by, e.student_id) as group_value,
+      e.*
+    from daily_mood_entries e
+    join profiles p on p.id = e.student_id and p.role = 'student' and p.deleted_at is null
+    where e.entry_date between p_start and p_end
+  ),
+  groups as (
+    select s.week_start, s.group_value, count(distinct s.student_id)::integer as students
+    from scoped s
+    group by 1, 2
+  )
+  select g.week_start, g.group_value, g.students, d.dimension, d.emoji, count(*)::integer, false
+  from scoped s
+  join groups g
+    on g.week_start = s.week_start
+    and g.group_value is not distinct from s.group_value
+  cross join lateral (
+    values
+      ('mood', s.mood_emoji),
+      ('stress', s.stress_emoji),
+      ('anxiety', s.anxiety_emoji),
+      ('sleep', s.sleep_quality_emoji),
+      ('energy', s.energy_level_emoji)
+  ) as d(dimension, emoji)
+  where g.students >= cohort_min_group_size()
+    and d.emoji is not null
+  group by g.week_start, g.group_value, g.students, d.dimension, d.emoji
+  union all
+  select g.week_start, g.group_value, null::integer, null::text, null::text, null::integer, true
+  from groups g
+  where g.students < cohort_min_group_size();
+end;
+$$;
+
+-- Students per general severity band, group, month and category, counting
+-- each student's latest session in the month. Instrument sessions use their
+-- published band (mapped like interpretAs in src/config/instruments.json);
+-- other sessions band each category score like src/config/interpretationRules.json.
+create or replace function public.get_cohort_assessment_months(
+  p_start date,
+  p_end date,
+  p_group_by text
+)
+returns table (
+  month text,
+  group_value text,
+  category text,
+  band text,
+  students integer,
+  suppressed boolean
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not can_view_cohort_analytics() then
+    raise exception 'Not allowed to view cohort analytics' using errcode = '42501';
+  end if;
+
+  if p_group_by not in ('all', 'major', 'year_of_study') then
+    raise exception 'Cannot group cohort analytics by "%"', p_group_by;
+  end if;
+
+  return query
+  with sessions as (
+    select
+      to_char(s.completed_at, 'YYYY-MM') as month,
+      cohort_group_value(p_group_by, s.student_id) as group_value,
+      s.student_id,
+      s.completed_at,
+      s.instrument_id,
+      s.severity_band,
+      s.category_scores
+    from initial_assessment_summary s
+    join profiles p on p.id = s.student_id and p.role = 'student' and p.deleted_at is null
+    where s.completed_at >= p_start
+      and s.completed_at < p_end + 1
+  ),
+  banded as (
+    select x.month, x.group_value, x.student_id, x.completed_at, b.category, b.band
+    from sessions x
+    cross join lateral (
+      select i.category, i.band
+      from (
+        values
+          ('phq9', 'depression', 'minimal', 'minimal'),
+          ('phq9', 'depression', 'mild', 'mild'),
+          ('phq9', 'depression', 'moderate', 'moderate'),
+          ('phq9', 'depression', 'moderately_severe', 'severe'),
+          ('phq9', 'depression', 'severe', 'severe'),
+          ('gad7', 'anxiety', 'minimal', 'minimal'),
+          ('gad7', 'anxiety', 'mild', 'mild'),
+          ('gad7', 'anxiety', 'moderate', 'moderate'),
+          ('gad7', 'anxiety', 'severe', 'severe'),
+          ('pss10', 'stress', 'low', 'mild'),
+          ('pss10', 'stress', 'moderate', 'moderate'),
+          ('pss10', 'stress', 'high', 'severe')
+      ) as i(instrument_id, category, severity_band, band)
+      where i.instrument_id = x.instrument_id
+        and i.severity_band = x.severity_band
+      union all
+      select c.key, case
+          when c.value::numeric >= 3 then 'severe'
+          when c.value::numeric >= 2 then 'moderate'
+          when c.value::numeric >= 1 then 'mild'
+          else 'minimal'
+        end
+      from jsonb_each_text(x.category_scores) as c
+      where x.instrument_id is null
+    ) as b
+  ),
+  latest as (
+    select distinct on (b.month, b.category, b.student_id)
+      b.month, b.group_value, b.category, b.band, b.student_id
+    from banded b
+    order by b.month, b.category, b.student_id, b.completed_at desc
+  ),
+  groups as (
+    select l.month, l.group_value, l.category, count(*)::integer as students
+    from latest l
+    group by 1, 2, 3
+  )
+  select l.month, l.group_value, l.category, l.band, count(*)::integer, false
+  from latest l
+  join groups g
+    on g.month = l.month
+    and g.category = l.category
+    and g.group_value is not distinct from l.group_value
+  where g.students >= cohort_min_group_size()
+  group by l.month, l.group_value, l.category, l.band
+  union all
+  select g.month, g.group_value, g.category, null::text, null::integer, true
+  from groups g
+  where g.students < cohort_min_group_size();
+end;
+$$;
+
+grant execute on function public.get_cohort_mood_weeks(date, date, text) to authenticated;
+grant execute on function public.get_cohort_assessment_months(date, date, text) to authenticated;
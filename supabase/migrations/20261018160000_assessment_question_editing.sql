@@ -0,0 +1,105 @@
+-- Assessment question editing.
+--
+-- Admins add questions with their options, and renumber questions, through
+-- these functions so each change lands in one transaction. They run as the
+-- caller, so the admin-only write policies on the question tables still apply.
+-- Limits mirror src/config/questionEditor.json.
+
+create or replace function public.create_assessment_question(
+  p_question_text text,
+  p_category text,
+  p_options jsonb,
+  p_is_active boolean default false
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_question initial_assessment_questions;
+  v_options jsonb;
+begin
+  if not is_admin() then
+    raise exception 'Only admins can edit assessment questions' using errcode = '42501';
+  end if;
+
+  if jsonb_typeof(p_options) <> 'array' or jsonb_array_length(p_options) not between 2 and 6 then
+    raise exception 'A question needs 2 to 6 options';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_options) as o(option_text text, severity_score integer)
+    where coalesce(trim(o.option_text), '') = ''
+      or o.severity_score is null
+      or o.severity_score not between 0 and 3
+  ) then
+    raise exception 'Every option needs text and a severity score from 0 to 3';
+  end if;
+
+  -- Serialize numbering with reorder_assessment_questions
+  lock table initial_assessment_questions in share row exclusive mode;
+
+  insert into initial_assessment_questions (question_text, category, question_number, is_active)
+  values (
+    p_question_text,
+    p_category,
+    (select coalesce(max(question_number), 0) + 1 from initial_assessment_questions),
+    p_is_active
+  )
+  returning * into v_question;
+
+  with inserted as (
+    insert into initial_assessment_options (question_id, option_text, remark, severity_score)
+    select v_question.id, o.option_text, o.remark, o.severity_score
+    from jsonb_to_recordset(p_options) as o(option_text text, remark text, severity_score integer)
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted) order by inserted.severity_score), '[]'::jsonb)
+  into v_options
+  from inserted;
+
+  return to_jsonb(v_question) || jsonb_build_object('initial_assessment_options', v_options);
+end;
+$$;
+
+-- Renumbers every question to match p_question_ids, first id as question 1.
+-- Numbers are moved out of the way first so none collide on the way there.
+create or replace function public.reorder_assessment_questions(p_question_ids uuid[])
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  if not is_admin() then
+    raise exception 'Only admins can edit assessment questions' using errcode = '42501';
+  end if;
+
+  lock table initial_assessment_questions in share row exclusive mode;
+
+  if cardinality(p_question_ids) <> (select count(*) from initial_assessment_questions)
+    or cardinality(p_question_ids) <> (select count(distinct id) from unnest(p_question_ids) as id)
+    or exists (
+      select 1
+      from initial_assessment_questions q
+      where q.id <> all (p_question_ids)
+    )
+  then
+    raise exception 'The new order must list every question exactly once';
+  end if;
+
+  update initial_assessment_questions
+  set question_number = -question_number
+  where id = any (p_question_ids);
+
+  update initial_assessment_questions q
+  set question_number = ordered.position
+  from unnest(p_question_ids) with ordinality as ordered(id, position)
+  where q.id = ordered.id;
+end;
+$$;
+
+grant execute on function public.create_assessment_question(text, text, jsonb, boolean) to authenticated;
+grant execute on function public.reorder_assessment_questions(uuid[]) to authenticated;
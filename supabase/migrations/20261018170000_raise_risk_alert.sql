@@ -0,0 +1,84 @@
+-- Raising risk alerts.
+--
+-- raise_risk_alert() writes an alert and its 'created' audit event in one
+-- transaction. An alert is unique per student, source and source ref (the
+-- assessment session, mood entry date or coping activity log), so re-saving
+-- the same day's entry, or sending an alert queued offline whose first
+-- attempt did reach the server, updates the existing alert instead of adding
+-- another.
+
+-- Fold any duplicates into the oldest alert, keeping every audit event
+create temporary table duplicate_risk_alerts as
+select id, keeper_id
+from (
+  select
+    id,
+    first_value(id) over (partition by student_id, source, source_ref order by created_at, id) as keeper_id
+  from risk_alerts
+) ranked
+where id <> keeper_id;
+
+update risk_alert_events e
+set alert_id = d.keeper_id
+from duplicate_risk_alerts d
+where e.alert_id = d.id;
+
+delete from risk_alerts a
+using duplicate_risk_alerts d
+where a.id = d.id;
+
+drop table duplicate_risk_alerts;
+
+alter table risk_alerts
+  drop constraint if exists risk_alerts_source_key,
+  add constraint risk_alerts_source_key unique (student_id, source, source_ref);
+
+create or replace function public.raise_risk_alert(
+  p_source text,
+  p_source_ref text,
+  p_risk_level text,
+  p_reasons jsonb,
+  p_rules_version integer
+)
+returns risk_alerts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_alert risk_alerts;
+  v_alert_id uuid;
+  v_inserted boolean;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to raise an alert' using errcode = '42501';
+  end if;
+
+  insert into risk_alerts (student_id, source, source_ref, risk_level, reasons, rules_version, status)
+  values (auth.uid(), p_source, p_source_ref, p_risk_level, p_reasons, p_rules_version, 'open')
+  on conflict (student_id, source, source_ref) do update
+  set
+    -- A later save can raise the level but never lower it
+    risk_level = case when excluded.risk_level = 'high' then 'high' else risk_alerts.risk_level end,
+    reasons = excluded.reasons,
+    rules_version = excluded.rules_version,
+    updated_at = now()
+  -- xmax is 0 only for a row this statement inserted
+  returning id, (xmax = 0) into v_alert_id, v_inserted;
+
+  if v_inserted then
+    insert into risk_alert_events (alert_id, action, actor_id)
+    values (v_alert_id, 'created', auth.uid());
+  end if;
+
+  select * into v_alert from risk_alerts where id = v_alert_id;
+
+  return v_alert;
+end;
+$$;
+
+revoke execute on function public.raise_risk_alert(text, text, text, jsonb, integer) from public, anon;
+grant execute on function public.raise_risk_alert(text, text, text, jsonb, integer) to authenticated;
+
+-- Alerts are only written through raise_risk_alert() now
+drop policy if exists "Students raise their own alerts" on risk_alerts;
@@ -0,0 +1,245 @@
+-- Student data access.
+--
+-- Students read and write their own rows. A counselor reads a student's rows
+-- only while assigned to them (is_assigned_counselor). Assignments themselves
+-- are only written by the functions below, each in one transaction; a
+-- student has at most one active assignment.
+
+-- Close all but the newest active assignment of any student with several
+update counselor_assignments a
+set ended_at = now()
+where a.ended_at is null
+  and exists (
+    select 1
+    from counselor_assignments newer
+    where newer.student_id = a.student_id
+      and newer.ended_at is null
+      and (newer.assigned_at, newer.id) > (a.assigned_at, a.id)
+  );
+
+create unique index if not exists counselor_assignments_one_active_idx
+  on counselor_assignments (student_id)
+  where ended_at is null;
+
+-- Every counselor with their number of active students, for matching and transfers
+create or replace function public.get_counselor_loads()
+returns table (
+  id uuid,
+  full_name text,
+  specialization text,
+  years_of_experience integer,
+  load integer
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    c.id,
+    p.full_name,
+    c.specialization,
+    c.years_of_experience,
+    (
+      select count(*)::integer
+      from counselor_assignments a
+      where a.counselor_id = c.id
+        and a.ended_at is null
+    )
+  from counselor_profiles c
+  join profiles p on p.id = c.id
+  where p.role = 'counselor'
+    and p.deleted_at is null;
+$$;
+
+-- Give the calling student their first counselor; returns the existing
+-- assignment if they already have one
+create or replace function public.auto_assign_counselor(p_counselor_id uuid, p_reason text)
+returns counselor_assignments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_assignment counselor_assignments;
+begin
+  if not exists (select 1 from student_profiles where id = auth.uid()) then
+    raise exception 'Only students can be assigned a counselor' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from profiles where id = p_counselor_id and role = 'counselor' and deleted_at is null) then
+    raise exception 'Choose an active counselor' using errcode = '22023';
+  end if;
+
+  -- Same lock as claim_unassigned_student, so the two can't both assign
+  perform pg_advisory_xact_lock(hashtext('claim_unassigned_student:' || auth.uid()::text));
+
+  select * into v_assignment
+  from counselor_assignments
+  where student_id = auth.uid()
+    and ended_at is null;
+
+  if found then
+    return v_assignment;
+  end if;
+
+  insert into counselor_assignments (student_id, counselor_id, assigned_by, reason)
+  values (auth.uid(), p_counselor_id, null, p_reason)
+  returning * into v_assignment;
+
+  return v_assignment;
+end;
+$$;
+
+-- Move a student to another counselor: only their current counselor or an
+-- admin may. The old assignment is closed and the new one opened together.
+create or replace function public.transfer_student(p_student_id uuid, p_counselor_id uuid, p_reason text)
+returns counselor_assignments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_current counselor_assignments;
+  v_assignment counselor_assignments;
+begin
+  if not (public.is_assigned_counselor(p_student_id) or public.is_admin()) then
+    raise exception 'Only the student''s counselor can transfer them' using errcode = '42501';
+  end if;
+
+  if not exists (select 1 from profiles where id = p_counselor_id and role = 'counselor' and deleted_at is null) then
+    raise exception 'Choose an active counselor' using errcode = '22023';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('claim_unassigned_student:' || p_student_id::text));
+
+  select * into v_current
+  from counselor_assignments
+  where student_id = p_student_id
+    and ended_at is null;
+
+  if found and v_current.counselor_id = p_counselor_id then
+    return v_current;
+  end if;
+
+  if found then
+    update counselor_assignments
+    set ended_at = now()
+    where id = v_current.id;
+  end if;
+
+  insert into counselor_assignments (student_id, counselor_id, assigned_by, reason)
+  values (p_student_id, p_counselor_id, auth.uid(), p_reason)
+  returning * into v_assignment;
+
+  return v_assignment;
+end;
+$$;
+
+revoke execute on function public.get_counselor_loads() from public, anon;
+revoke execute on function public.auto_assign_counselor(uuid, text) from public, anon;
+revoke execute on function public.transfer_student(uuid, uuid, text) from public, anon;
+grant execute on function public.get_counselor_loads() to authenticated;
+grant execute on function public.auto_assign_counselor(uuid, text) to authenticated;
+grant execute on function public.transfer_student(uuid, uuid, text) to authenticated;
+
+-- Assignments: readable by the student, their counselors past and present,
+-- and admins; no direct writes
+alter table counselor_assignments enable row level security;
+
+drop policy if exists "Students see their assignments" on counselor_assignments;
+create policy "Students see their assignments"
+  on counselor_assignments for select
+  using (student_id = auth.uid());
+
+drop policy if exists "Counselors see their students' assignments" on counselor_assignments;
+create policy "Counselors see their students' assignments"
+  on counselor_assignments for select
+  using (counselor_id = auth.uid() or public.is_assigned_counselor(student_id));
+
+drop policy if exists "Admins see assignments" on counselor_assignments;
+create policy "Admins see assignments"
+  on counselor_assignments for select
+  using (public.is_admin());
+
+-- Student profiles
+alter table student_profiles enable row level security;
+
+drop policy if exists "Students read their profile" on student_profiles;
+create policy "Students read their profile"
+  on student_profiles for select
+  using (id = auth.uid());
+
+drop policy if exists "Students update their profile" on student_profiles;
+create policy "Students update their profile"
+  on student_profiles for update
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+drop policy if exists "Counselors read their students' profiles" on student_profiles;
+create policy "Counselors read their students' profiles"
+  on student_profiles for select
+  using (public.is_assigned_counselor(id));
+
+-- Mood entries
+alter table daily_mood_entries enable row level security;
+
+drop policy if exists "Students manage their mood entries" on daily_mood_entries;
+create policy "Students manage their mood entries"
+  on daily_mood_entries for all
+  using (student_id = auth.uid())
+  with check (student_id = auth.uid());
+
+drop policy if exists "Counselors read their students' mood entries" on daily_mood_entries;
+create policy "Counselors read their students' mood entries"
+  on daily_mood_entries for select
+  using (public.is_assigned_counselor(student_id));
+
+-- Assessment responses and summaries (written by submit_assessment_session)
+alter table initial_assessment_responses enable row level security;
+
+drop policy if exists "Students read their responses" on initial_assessment_responses;
+create policy "Students read their responses"
+  on initial_assessment_responses for select
+  using (student_id = auth.uid());
+
+drop policy if exists "Students save their responses" on initial_assessment_responses;
+create policy "Students save their responses"
+  on initial_assessment_responses for insert
+  with check (student_id = auth.uid());
+
+drop policy if exists "Counselors read their students' responses" on initial_assessment_responses;
+create policy "Counselors read their students' responses"
+  on initial_assessment_responses for select
+  using (public.is_assigned_counselor(student_id));
+
+alter table initial_assessment_summary enable row level security;
+
+drop policy if exists "Students read their summaries" on initial_assessment_summary;
+create policy "Students read their summaries"
+  on initial_assessment_summary for select
+  using (student_id = auth.uid());
+
+drop policy if exists "Students save their summaries" on initial_assessment_summary;
+create policy "Students save their summaries"
+  on initial_assessment_summary for insert
+  with check (student_id = auth.uid());
+
+drop policy if exists "Counselors read their students' summaries" on initial_assessment_summary;
+create policy "Counselors read their students' summaries"
+  on initial_assessment_summary for select
+  using (public.is_assigned_counselor(student_id));
+
+-- Streaks
+alter table streak_tracking enable row level security;
+
+drop policy if exists "Students manage their streak" on streak_tracking;
+create policy "Students manage their streak"
+  on streak_tracking for all
+  using (student_id = auth.uid())
+  with check (student_id = auth.uid());
+
+drop policy if exists "Counselors read their students' streaks" on streak_tracking;
+create policy "Counselors read their students' streaks"
+  on streak_tracking for select
+  using (public.is_assigned_counselor(student_id));
@@ -0,0 +1,222 @@
+-- Appointment booking.
+--
+-- Students book, reschedule and cancel through the functions below, which
+-- check that the slot lies inside their counselor's published availability
+-- and that the counselor is the one currently assigned to them. Row-level
+-- security keeps direct writes out, and lets each side read only their own
+-- appointments; the exclusion constraints still stop double-booking.
+
+-- A slot is bookable when it is in the future and is exactly one slot of one
+-- of the counselor's availability blocks, in the block's own timezone
+create or replace function public.is_bookable_slot(
+  p_counselor_id uuid,
+  p_starts_at timestamptz,
+  p_ends_at timestamptz
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p_starts_at > now() and exists (
+    select 1
+    from counselor_availability b
+    cross join lateral (
+      select
+        p_starts_at at time zone b.time_zone as local_start,
+        p_ends_at at time zone b.time_zone as local_end
+    ) l
+    where b.counselor_id = p_counselor_id
+      and extract(dow from l.local_start) = b.weekday
+      and l.local_start::date = l.local_end::date
+      and l.local_start::time >= b.start_time
+      and l.local_end::time <= b.end_time
+      and p_ends_at - p_starts_at = make_interval(mins => b.slot_minutes)
+      and (extract(epoch from l.local_start::time - b.start_time)::integer / 60) % b.slot_minutes = 0
+  );
+$$;
+
+create or replace function public.book_appointment(
+  p_student_id uuid,
+  p_counselor_id uuid,
+  p_starts_at timestamptz,
+  p_ends_at timestamptz
+)
+returns appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment appointments;
+begin
+  if p_student_id is distinct from auth.uid() then
+    raise exception 'Students can only book their own appointments' using errcode = '42501';
+  end if;
+
+  if not exists (
+    select 1
+    from counselor_assignments
+    where student_id = p_student_id
+      and counselor_id = p_counselor_id
+      and ended_at is null
+  ) then
+    raise exception 'You can only book your own counselor' using errcode = '42501';
+  end if;
+
+  if not is_bookable_slot(p_counselor_id, p_starts_at, p_ends_at) then
+    raise exception 'That time isn''t in your counselor''s availability' using errcode = '22023';
+  end if;
+
+  insert into appointments (student_id, counselor_id, starts_at, ends_at, status)
+  values (p_student_id, p_counselor_id, p_starts_at, p_ends_at, 'booked')
+  returning * into v_appointment;
+
+  return v_appointment;
+end;
+$$;
+
+create or replace function public.reschedule_appointment(
+  p_appointment_id uuid,
+  p_starts_at timestamptz,
+  p_ends_at timestamptz
+)
+returns appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment appointments;
+begin
+  select * into v_appointment
+  from appointments
+  where id = p_appointment_id
+    and student_id = auth.uid()
+    and status = 'booked'
+  for update;
+
+  if not found then
+    raise exception 'Appointment not found' using errcode = 'P0002';
+  end if;
+
+  if not exists (
+    select 1
+    from counselor_assignments
+    where student_id = v_appointment.student_id
+      and counselor_id = v_appointment.counselor_id
+      and ended_at is null
+  ) then
+    raise exception 'You can only book your own counselor' using errcode = '42501';
+  end if;
+
+  if not is_bookable_slot(v_appointment.counselor_id, p_starts_at, p_ends_at) then
+    raise exception 'That time isn''t in your counselor''s availability' using errcode = '22023';
+  end if;
+
+  update appointments
+  set starts_at = p_starts_at,
+      ends_at = p_ends_at,
+      updated_at = now()
+  where id = p_appointment_id
+  returning * into v_appointment;
+
+  return v_appointment;
+end;
+$$;
+
+-- Either side may cancel; the appointment is kept for history
+create or replace function public.cancel_appointment(p_appointment_id uuid)
+returns appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment appointments;
+begin
+  update appointments
+  set status = 'cancelled',
+      cancelled_by = auth.uid(),
+      updated_at = now()
+  where id = p_appointment_id
+    and auth.uid() in (student_id, counselor_id)
+  returning * into v_appointment;
+
+  if not found then
+    raise exception 'Appointment not found' using errcode = 'P0002';
+  end if;
+
+  return v_appointment;
+end;
+$$;
+
+-- Booked times for a counselor, without who booked them, so a student can
+-- see which slots are taken
+create or replace function public.get_booked_times(
+  p_counselor_id uuid,
+  p_from timestamptz,
+  p_to timestamptz
+)
+returns table (starts_at timestamptz, ends_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select a.starts_at, a.ends_at
+  from appointments a
+  where a.counselor_id = p_counselor_id
+    and a.status = 'booked'
+    and a.ends_at >= p_from
+    and a.starts_at <= p_to
+    and (
+      p_counselor_id = auth.uid()
+      or exists (
+        select 1
+        from counselor_assignments ca
+        where ca.student_id = auth.uid()
+          and ca.counselor_id = p_counselor_id
+          and ca.ended_at is null
+      )
+    );
+$$;
+
+revoke execute on function public.is_bookable_slot(uuid, timestamptz, timestamptz) from public, anon;
+revoke execute on function public.book_appointment(uuid, uuid, timestamptz, timestamptz) from public, anon;
+revoke execute on function public.reschedule_appointment(uuid, timestamptz, timestamptz) from public, anon;
+revoke execute on function public.cancel_appointment(uuid) from public, anon;
+revoke execute on function public.get_booked_times(uuid, timestamptz, timestamptz) from public, anon;
+grant execute on function public.book_appointment(uuid, uuid, timestamptz, timestamptz) to authenticated;
+grant execute on function public.reschedule_appointment(uuid, timestamptz, timestamptz) to authenticated;
+grant execute on function public.cancel_appointment(uuid) to authenticated;
+grant execute on function public.get_booked_times(uuid, timestamptz, timestamptz) to authenticated;
+
+alter table appointments enable row level security;
+
+drop policy if exists "Participants see their appointments" on appointments;
+create policy "Participants see their appointments"
+  on appointments for select
+  using (auth.uid() in (student_id, counselor_id));
+
+drop policy if exists "Admins see every appointment" on appointments;
+create policy "Admins see every appointment"
+  on appointments for select
+  using (is_admin());
+
+-- Availability is public to signed-in users; each counselor edits their own
+-- (save_counselor_availability runs as the counselor)
+alter table counselor_availability enable row level security;
+
+drop policy if exists "Signed-in users see availability" on counselor_availability;
+create policy "Signed-in users see availability"
+  on counselor_availability for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Counselors manage their availability" on counselor_availability;
+create policy "Counselors manage their availability"
+  on counselor_availability for all
+  using (counselor_id = auth.uid())
+  with check (counselor_id = auth.uid());
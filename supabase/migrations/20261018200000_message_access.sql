@@ -0,0 +1,93 @@
+-- Message access.
+--
+-- A thread is visible to its student and to the counselor currently
+-- assigned to that student; a counselor who has been transferred away loses
+-- the thread. Messages and their attachments follow the thread, so every
+-- policy below checks access through the message_threads policy. Realtime
+-- uses the same select policies to decide who receives a change.
+
+alter table message_threads enable row level security;
+
+drop policy if exists "Participants see their threads" on message_threads;
+create policy "Participants see their threads"
+  on message_threads for select
+  using (
+    student_id = auth.uid()
+    or (counselor_id = auth.uid() and is_assigned_counselor(student_id))
+  );
+
+-- A thread can only be started between a student and their current counselor
+drop policy if exists "Participants start their thread" on message_threads;
+create policy "Participants start their thread"
+  on message_threads for insert
+  with check (
+    auth.uid() in (student_id, counselor_id)
+    and exists (
+      select 1
+      from counselor_assignments ca
+      where ca.student_id = message_threads.student_id
+        and ca.counselor_id = message_threads.counselor_id
+        and ca.ended_at is null
+    )
+  );
+
+alter table messages enable row level security;
+
+drop policy if exists "Participants see thread messages" on messages;
+create policy "Participants see thread messages"
+  on messages for select
+  using (exists (select 1 from message_threads t where t.id = messages.thread_id));
+
+drop policy if exists "Participants send as themselves" on messages;
+create policy "Participants send as themselves"
+  on messages for insert
+  with check (
+    sender_id = auth.uid()
+    and read_at is null
+    and exists (select 1 from message_threads t where t.id = messages.thread_id)
+  );
+
+-- Readers mark what they received as read; nothing else about a message changes
+drop policy if exists "Recipients mark messages read" on messages;
+create policy "Recipients mark messages read"
+  on messages for update
+  using (
+    sender_id is distinct from auth.uid()
+    and exists (select 1 from message_threads t where t.id = messages.thread_id)
+  )
+  with check (
+    sender_id is distinct from auth.uid()
+    and exists (select 1 from message_threads t where t.id = messages.thread_id)
+  );
+
+revoke update on messages from anon, authenticated;
+grant update (read_at) on messages to authenticated;
+
+-- Attachments live under '<thread id>/' in a private bucket
+insert into storage.buckets (id, name, public)
+values ('message-attachments', 'message-attachments', false)
+on conflict (id) do nothing;
+
+drop policy if exists "Participants read thread attachments" on storage.objects;
+create policy "Participants read thread attachments"
+  on storage.objects for select
+  using (
+    bucket_id = 'message-attachments'
+    and exists (
+      select 1
+      from public.message_threads t
+      where t.id::text = (storage.foldername(name))[1]
+    )
+  );
+
+drop policy if exists "Participants upload thread attachments" on storage.objects;
+create policy "Participants upload thread attachments"
+  on storage.objects for insert
+  with check (
+    bucket_id = 'message-attachments'
+    and exists (
+      select 1
+      from public.message_threads t
+      where t.id::text = (storage.foldername(name))[1]
+    )
+  );
@@ -0,0 +1,15 @@
+-- Assessment draft purge.
+--
+-- Expired drafts are deleted nightly by pg_cron, in the database, so
+-- abandoned answers don't outlive assessmentDraftExpiryDays
+-- (src/config/dataRetention.json) for students who never come back.
+
+create extension if not exists pg_cron;
+
+select cron.unschedule(jobid) from cron.job where jobname = 'purge-expired-assessment-drafts';
+
+select cron.schedule(
+  'purge-expired-assessment-drafts',
+  '30 3 * * *',
+  $$ delete from public.assessment_drafts where expires_at <= now() $$
+);
@@ -0,0 +1,61 @@
+-- Assessment completion date.
+--
+-- submit_assessment_session records initial_assessment_date again, which
+-- the client set before the submission became one transaction, and students
+-- who completed the assessment in between get the date of their first summary.
+
+create or replace function public.submit_assessment_session(
+  p_student_id uuid,
+  p_session_id uuid,
+  p_responses jsonb,
+  p_summary jsonb,
+  p_mark_completed boolean
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  if p_student_id is distinct from auth.uid() then
+    raise exception 'Students can only submit their own assessments' using errcode = '42501';
+  end if;
+
+  insert into initial_assessment_responses (
+    student_id, question_id, selected_option_id, instrument_id, item_number,
+    remark, severity_score, assessment_session_id
+  )
+  select p_student_id, r.question_id, r.selected_option_id, r.instrument_id, r.item_number,
+    r.remark, r.severity_score, p_session_id
+  from jsonb_populate_recordset(null::initial_assessment_responses, p_responses) r;
+
+  insert into initial_assessment_summary (
+    student_id, assessment_session_id, aggregated_remarks, category_scores, overall_score,
+    instrument_id, instrument_version, raw_score, severity_band, subscale_scores, flagged_items,
+    ai_diagnosis, ai_insights, ai_recommendations, completed_at
+  )
+  select p_student_id, p_session_id, s.aggregated_remarks, s.category_scores, s.overall_score,
+    s.instrument_id, s.instrument_version, s.raw_score, s.severity_band, s.subscale_scores, s.flagged_items,
+    s.ai_diagnosis, s.ai_insights, s.ai_recommendations, coalesce(s.completed_at, now())
+  from jsonb_populate_record(null::initial_assessment_summary, p_summary) s;
+
+  if p_mark_completed then
+    update student_profiles
+    set has_completed_initial_assessment = true,
+        initial_assessment_date = now()
+    where id = p_student_id;
+  end if;
+end;
+$$;
+
+-- Students who completed the assessment while the date wasn't being recorded
+update student_profiles sp
+set initial_assessment_date = first_summary.completed_at
+from (
+  select student_id, min(completed_at) as completed_at
+  from initial_assessment_summary
+  group by student_id
+) first_summary
+where first_summary.student_id = sp.id
+  and sp.has_completed_initial_assessment
+  and sp.initial_assessment_date is null;
@@ -0,0 +1,148 @@
+-- Account repair in the database.
+--
+-- Incomplete accounts are found with anti-joins over every row rather than
+-- by comparing capped client-side reads, which could miss summaries and
+-- report real answers as orphaned. Repairs re-check each student in the
+-- database before changing anything, so responses are only deleted when no
+-- summary for their session exists at that moment.
+
+-- Responses from a session that never got a summary. Responses saved before
+-- sessions existed have no session id and are never treated as orphaned.
+create or replace function public.orphaned_assessment_sessions(p_student_id uuid)
+returns uuid[]
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select array_agg(distinct r.assessment_session_id)
+  from initial_assessment_responses r
+  where r.student_id = p_student_id
+    and r.assessment_session_id is not null
+    and not exists (
+      select 1
+      from initial_assessment_summary s
+      where s.assessment_session_id = r.assessment_session_id
+    );
+$$;
+
+create or replace function public.find_incomplete_accounts()
+returns table (student_id uuid, problems text[], orphaned_session_ids uuid[])
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not is_admin() then
+    raise exception 'Only admins can check accounts' using errcode = '42501';
+  end if;
+
+  return query
+  select a.id, a.problems, coalesce(a.orphaned_session_ids, '{}')
+  from (
+    select
+      p.id,
+      array_remove(array[
+        case when sp.id is null then 'missing_student_profile' end,
+        case when st.student_id is null then 'missing_streak' end,
+        case
+          when sp.id is not null
+            and not coalesce(sp.has_completed_initial_assessment, false)
+            and exists (select 1 from initial_assessment_summary s where s.student_id = p.id)
+          then 'assessment_flag_not_set'
+        end,
+        case when o.session_ids is not null then 'orphaned_responses' end
+      ], null) as problems,
+      o.session_ids as orphaned_session_ids
+    from profiles p
+    left join student_profiles sp on sp.id = p.id
+    left join streak_tracking st on st.student_id = p.id
+    cross join lateral (select orphaned_assessment_sessions(p.id) as session_ids) o
+    where p.role = 'student'
+      and p.deleted_at is null
+  ) a
+  where cardinality(a.problems) > 0
+  order by a.id;
+end;
+$$;
+
+-- Fixes whatever is still wrong with one student and returns what it fixed
+create or replace function public.repair_incomplete_account(p_student_id uuid)
+returns text[]
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_fixed text[] := '{}';
+  v_count integer;
+begin
+  if not is_admin() then
+    raise exception 'Only admins can repair accounts' using errcode = '42501';
+  end if;
+
+  if not exists (
+    select 1 from profiles where id = p_student_id and role = 'student' and deleted_at is null
+  ) then
+    raise exception 'Student not found' using errcode = 'P0002';
+  end if;
+
+  insert into student_profiles (id, has_completed_initial_assessment)
+  values (p_student_id, false)
+  on conflict (id) do nothing;
+
+  get diagnostics v_count = row_count;
+  if v_count > 0 then
+    v_fixed := array_append(v_fixed, 'missing_student_profile');
+  end if;
+
+  insert into streak_tracking (student_id, current_streak, longest_streak, total_login_days)
+  values (p_student_id, 0, 0, 0)
+  on conflict (student_id) do nothing;
+
+  get diagnostics v_count = row_count;
+  if v_count > 0 then
+    v_fixed := array_append(v_fixed, 'missing_streak');
+  end if;
+
+  update student_profiles sp
+  set has_completed_initial_assessment = true,
+      initial_assessment_date = coalesce(
+        sp.initial_assessment_date,
+        (select min(s.completed_at) from initial_assessment_summary s where s.student_id = p_student_id)
+      )
+  where sp.id = p_student_id
+    and not coalesce(sp.has_completed_initial_assessment, false)
+    and exists (select 1 from initial_assessment_summary s where s.student_id = p_student_id);
+
+  get diagnostics v_count = row_count;
+  if v_count > 0 then
+    v_fixed := array_append(v_fixed, 'assessment_flag_not_set');
+  end if;
+
+  -- Without a summary these answers were never shown to anyone, and the
+  -- student is asked to take the assessment again
+  delete from initial_assessment_responses r
+  where r.student_id = p_student_id
+    and r.assessment_session_id = any (coalesce(orphaned_assessment_sessions(p_student_id), '{}'));
+
+  get diagnostics v_count = row_count;
+  if v_count > 0 then
+    v_fixed := array_append(v_fixed, 'orphaned_responses');
+  end if;
+
+  return v_fixed;
+end;
+$$;
+
+revoke execute on function public.orphaned_assessment_sessions(uuid) from public, anon, authenticated;
+revoke execute on function public.find_incomplete_accounts() from public, anon;
+revoke execute on function public.repair_incomplete_account(uuid) from public, anon;
+grant execute on function public.find_incomplete_accounts() to authenticated;
+grant execute on function public.repair_incomplete_account(uuid) to authenticated;
+
+-- Repairs now go through repair_incomplete_account; admins never delete
+-- assessment responses directly
+drop policy if exists "Admins remove orphaned responses" on initial_assessment_responses;
@@ -0,0 +1,54 @@
+-- Assessment question access.
+--
+-- Every signed-in user reads the question bank (past responses point at
+-- questions that may since have been switched off); only admins add, edit,
+-- switch off or delete questions and options. The editing functions run as
+-- the caller, so these policies cover them too.
+
+alter table initial_assessment_questions enable row level security;
+
+drop policy if exists "Signed-in users read questions" on initial_assessment_questions;
+create policy "Signed-in users read questions"
+  on initial_assessment_questions for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Admins add questions" on initial_assessment_questions;
+create policy "Admins add questions"
+  on initial_assessment_questions for insert
+  with check (is_admin());
+
+drop policy if exists "Admins edit questions" on initial_assessment_questions;
+create policy "Admins edit questions"
+  on initial_assessment_questions for update
+  using (is_admin())
+  with check (is_admin());
+
+drop policy if exists "Admins delete questions" on initial_assessment_questions;
+create policy "Admins delete questions"
+  on initial_assessment_questions for delete
+  using (is_admin());
+
+alter table initial_assessment_options enable row level security;
+
+drop policy if exists "Signed-in users read options" on initial_assessment_options;
+create policy "Signed-in users read options"
+  on initial_assessment_options for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Admins add options" on initial_assessment_options;
+create policy "Admins add options"
+  on initial_assessment_options for insert
+  with check (is_admin());
+
+drop policy if exists "Admins edit options" on initial_assessment_options;
+create policy "Admins edit options"
+  on initial_assessment_options for update
+  using (is_admin())
+  with check (is_admin());
+
+drop policy if exists "Admins delete options" on initial_assessment_options;
+create policy "Admins delete options"
+  on initial_assessment_options for delete
+  using (is_admin());
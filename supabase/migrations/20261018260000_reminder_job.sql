@@ -0,0 +1,109 @@
+-- Reminder job.
+--
+-- The process-reminders edge function sends push reminders as they come
+-- due. pg_cron calls it every five minutes through pg_net, with the same
+-- Vault secrets as the account deletion job (see account_deletion_job).
+-- get_due_push_reminders picks the students whose reminder time has passed
+-- in their own timezone, outside quiet hours, on a day that hasn't had one
+-- yet, and returns what the message wording depends on.
+
+-- Whether a wall-clock time falls inside quiet hours (which may wrap past midnight)
+create or replace function public.reminder_in_quiet_hours(p_time time, p_start time, p_end time)
+returns boolean
+language sql
+immutable
+as $$
+  select case
+    when p_start = p_end then false
+    when p_start < p_end then p_time >= p_start and p_time < p_end
+    else p_time >= p_start or p_time < p_end
+  end;
+$$;
+
+create or replace function public.get_due_push_reminders(p_now timestamptz default now())
+returns table (
+  student_id uuid,
+  push_subscription jsonb,
+  day_key date,
+  checked_in_today boolean,
+  checked_in_yesterday boolean,
+  logged_in_today boolean,
+  logged_in_yesterday boolean,
+  current_streak integer,
+  freezes_available integer,
+  total_check_ins integer
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with settings as (
+    select
+      r.student_id,
+      r.push_subscription,
+      r.last_sent_on,
+      r.reminder_time::time as reminder_time,
+      r.quiet_start::time as quiet_start,
+      r.quiet_end::time as quiet_end,
+      p_now at time zone coalesce(p.timezone, 'UTC') as local_now,
+      make_time(coalesce(p.day_rollover_hour, 0), 0, 0) as rollover
+    from reminder_settings r
+    join profiles p on p.id = r.student_id and p.deleted_at is null
+    where r.enabled
+      and r.push_subscription is not null
+  ),
+  slotted as (
+    select
+      s.*,
+      (s.local_now - (s.rollover - time '00:00'))::date as day_key,
+      -- A reminder time inside quiet hours moves to the end of quiet hours
+      case
+        when reminder_in_quiet_hours(s.reminder_time, s.quiet_start, s.quiet_end) then s.quiet_end
+        else s.reminder_time
+      end as slot_time
+    from settings s
+  )
+  select
+    x.student_id,
+    x.push_subscription,
+    x.day_key,
+    exists (select 1 from daily_mood_entries e where e.student_id = x.student_id and e.entry_date = x.day_key),
+    exists (select 1 from daily_mood_entries e where e.student_id = x.student_id and e.entry_date = x.day_key - 1),
+    exists (select 1 from login_history l where l.student_id = x.student_id and l.login_date = x.day_key),
+    exists (select 1 from login_history l where l.student_id = x.student_id and l.login_date = x.day_key - 1),
+    coalesce(st.current_streak, 0),
+    coalesce(st.freezes_available, 0),
+    (select count(*)::integer from daily_mood_entries e where e.student_id = x.student_id)
+  from slotted x
+  left join streak_tracking st on st.student_id = x.student_id
+  where x.last_sent_on is distinct from x.day_key
+    and not reminder_in_quiet_hours(x.local_now::time, x.quiet_start, x.quiet_end)
+    -- A slot before the rollover hour belongs to the next calendar date
+    and x.local_now >= x.day_key + x.slot_time
+      + case when x.slot_time < x.rollover then interval '1 day' else interval '0' end;
+$$;
+
+revoke execute on function public.get_due_push_reminders(timestamptz) from public, anon, authenticated;
+grant execute on function public.get_due_push_reminders(timestamptz) to service_role;
+
+create extension if not exists pg_cron;
+create extension if not exists pg_net;
+
+select cron.unschedule(jobid) from cron.job where jobname = 'process-reminders';
+
+select cron.schedule(
+  'process-reminders',
+  '*/5 * * * *',
+  $$
+  select net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url')
+      || '/functions/v1/process-reminders',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);